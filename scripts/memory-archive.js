@@ -0,0 +1,74 @@
+import path from 'path';
+import { getDatabaseService } from '../src/services/database.js';
+import { getArchiveService, IMPORT_STRATEGIES } from '../src/services/archive.js';
+import logger from '../src/utils/logger.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Usage:
+//   npm run db:export -- <file.jsonl> [--user <userId>] [--no-embeddings] [--tables memory,memory_entities]
+//   npm run db:import -- <file.jsonl> [--strategy skip|merge|overwrite] [--no-reembed]
+
+const USAGE = [
+  'Usage:',
+  '  node scripts/memory-archive.js export <file.jsonl> [--user <userId>] [--no-embeddings] [--tables a,b]',
+  `  node scripts/memory-archive.js import <file.jsonl> [--strategy ${IMPORT_STRATEGIES.join('|')}] [--no-reembed]`,
+].join('\n');
+
+function parseArgs(argv) {
+  const [command, file, ...rest] = argv;
+  const flags = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--no-embeddings') flags.includeEmbeddings = false;
+    else if (arg === '--no-reembed') flags.reembed = false;
+    else if (arg === '--user') flags.userId = rest[++i];
+    else if (arg === '--strategy') flags.strategy = rest[++i];
+    else if (arg === '--tables') flags.tables = String(rest[++i] || '').split(',').filter(Boolean);
+    else throw new Error(`Unknown option: ${arg}\n${USAGE}`);
+  }
+  return { command, file, flags };
+}
+
+async function run() {
+  const db = getDatabaseService();
+
+  try {
+    const { command, file, flags } = parseArgs(process.argv.slice(2));
+    if (!['export', 'import'].includes(command) || !file) {
+      throw new Error(USAGE);
+    }
+
+    await db.initialize();
+    const archive = getArchiveService();
+    const filePath = path.resolve(file);
+
+    if (command === 'export') {
+      const { manifest } = await archive.exportToFile(filePath, {
+        userId: flags.userId,
+        includeEmbeddings: flags.includeEmbeddings !== false,
+        tables: flags.tables,
+      });
+      logger.info(`Exported to ${filePath}`, { tables: manifest.tables, includeEmbeddings: manifest.includeEmbeddings });
+    } else {
+      const summary = await archive.importFromFile(filePath, {
+        strategy: flags.strategy || 'skip',
+        reembed: flags.reembed !== false,
+      });
+      logger.info(`Imported ${filePath}`, { strategy: summary.strategy, tables: summary.tables, reembedded: summary.reembedded });
+      for (const err of summary.errors.slice(0, 20)) {
+        logger.warn(`  line ${err.line}${err.table ? ` (${err.table})` : ''}: ${err.error}`);
+      }
+    }
+
+    await db.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Memory archive failed', { error: error.message });
+    await db.close().catch(() => {});
+    process.exit(1);
+  }
+}
+
+run();
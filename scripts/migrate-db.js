@@ -1,95 +1,69 @@
 import { getDatabaseService } from '../src/services/database.js';
+import Migrator from '../src/services/migrator.js';
 import logger from '../src/utils/logger.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-async function migrateDatabase() {
-  try {
-    logger.info('Starting database migration...');
+// Usage:
+//   npm run db:migrate -- status
+//   npm run db:migrate -- up [targetVersion]
+//   npm run db:migrate -- down [steps]
 
-    const db = getDatabaseService();
-    await db.initialize();
-
-    // Check if memory_entities table exists (DuckDB syntax)
-    let tables = [];
-    try {
-      tables = await db.query(`
-        SELECT table_name as name 
-        FROM information_schema.tables 
-        WHERE table_schema = 'main' AND table_name = 'memory_entities'
-      `);
-    } catch (error) {
-      logger.warn('Could not check for existing tables, will create anyway', { error: error.message });
-    }
+const USAGE = 'Usage: npm run db:migrate -- status | up [targetVersion] | down [steps]';
 
-    if (tables.length === 0) {
-      logger.info('memory_entities table not found. Creating...');
-      
-      // Create memory_entities table
-      await db.execute(`
-        CREATE TABLE IF NOT EXISTS memory_entities (
-          id TEXT PRIMARY KEY,
-          memory_id TEXT NOT NULL,
-          entity TEXT NOT NULL,
-          type TEXT,
-          entity_type TEXT,
-          normalized_value TEXT,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
+function parseCount(value, fallback) {
+  if (value === undefined) return fallback;
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 0) {
+    throw new Error(`Invalid number: ${value}\n${USAGE}`);
+  }
+  return n;
+}
 
-      // Create indexes
-      await db.execute('CREATE INDEX IF NOT EXISTS idx_memory_entities_memory_id ON memory_entities(memory_id)');
-      await db.execute('CREATE INDEX IF NOT EXISTS idx_memory_entities_entity ON memory_entities(entity)');
-      await db.execute('CREATE INDEX IF NOT EXISTS idx_memory_entities_type ON memory_entities(type)');
-      await db.execute('CREATE INDEX IF NOT EXISTS idx_memory_entities_entity_type ON memory_entities(entity_type)');
+function printStatus(status) {
+  logger.info(`Schema version ${status.currentVersion} (latest known: ${status.latestVersion}, pending: ${status.pending})`);
+  for (const m of status.migrations) {
+    const version = String(m.version).padStart(3, '0');
+    const state = m.applied ? `applied ${m.appliedAt ? new Date(m.appliedAt).toISOString() : ''}` : 'pending';
+    const check = m.checksumOk === false ? '  [CHECKSUM MISMATCH]' : '';
+    logger.info(`  ${version}_${m.name}  ${state}${check}`);
+  }
+}
 
-      logger.info('✅ memory_entities table created successfully');
-    } else {
-      logger.info('✅ memory_entities table already exists');
-      
-      // Check if normalized_value column exists (DuckDB syntax)
-      const columns = await db.query(`
-        SELECT column_name as name 
-        FROM information_schema.columns 
-        WHERE table_name = 'memory_entities' AND table_schema = 'main'
-      `);
-      
-      const hasNormalizedValue = columns.some(col => col.name === 'normalized_value');
-      
-      if (!hasNormalizedValue) {
-        logger.info('Adding normalized_value column...');
-        await db.execute(`
-          ALTER TABLE memory_entities ADD COLUMN normalized_value TEXT
-        `);
-        logger.info('✅ normalized_value column added');
-      }
-    }
+async function migrateDatabase() {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const db = getDatabaseService();
 
-    // Verify table structure
-    const stats = await db.getStats();
-    logger.info('Database migration completed successfully', {
-      totalMemories: stats.totalMemories,
-      totalEntities: stats.totalEntities
-    });
+  try {
+    await db.initialize({ migrate: false });
+    const migrator = new Migrator(db);
 
-    // List all tables (DuckDB syntax)
-    const allTables = await db.query(`
-      SELECT table_name as name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'main' 
-      ORDER BY table_name
-    `);
-    
-    logger.info('Database tables:', {
-      tables: allTables.map(t => t.name)
-    });
+    switch (command) {
+    case 'status':
+      printStatus(await migrator.status());
+      break;
+    case 'up': {
+      const applied = await migrator.up(parseCount(arg, migrator.latestVersion));
+      logger.info(applied.length ? `Applied: ${applied.join(', ')}` : 'Schema already up to date');
+      printStatus(await migrator.status());
+      break;
+    }
+    case 'down': {
+      const reverted = await migrator.down(parseCount(arg, 1));
+      logger.info(reverted.length ? `Reverted: ${reverted.join(', ')}` : 'Nothing to revert');
+      printStatus(await migrator.status());
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command}\n${USAGE}`);
+    }
 
     await db.close();
     process.exit(0);
   } catch (error) {
-    logger.error('Database migration failed', { error: error.message, stack: error.stack });
+    logger.error('Database migration failed', { error: error.message });
+    await db.close().catch(() => {});
     process.exit(1);
   }
 }
@@ -1,34 +1,63 @@
 import logger from '../utils/logger.js';
+import { getApiKeyService } from '../services/apiKeys.js';
+import { isActionAllowed } from '../utils/scopes.js';
 
+// Operator keys from the environment: full access, and the caller's
+// context.userId is trusted. Used by the local agent and to issue user keys.
 const API_KEYS = (process.env.API_KEY || '').split(',').filter(k => k.length > 0);
 
-export function authMiddleware(req, res, next) {
+function unauthorized(res, status, code, message) {
+  return res.status(status).json({
+    version: 'mcp.v1',
+    status: 'error',
+    error: {
+      code,
+      message
+    }
+  });
+}
+
+export async function authMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
 
   if (!authHeader) {
     logger.warn('Missing authorization header', { ip: req.ip });
-    return res.status(401).json({
-      version: 'mcp.v1',
-      status: 'error',
-      error: {
-        code: 'UNAUTHORIZED',
-        message: 'Missing authorization header'
-      }
-    });
+    return unauthorized(res, 401, 'UNAUTHORIZED', 'Missing authorization header');
   }
 
   const token = authHeader.replace('Bearer ', '');
 
-  if (!API_KEYS.includes(token)) {
+  if (API_KEYS.includes(token)) {
+    req.auth = { type: 'operator', keyId: null, userId: null, scopes: ['*:admin'] };
+    return next();
+  }
+
+  let key;
+  try {
+    key = await getApiKeyService().authenticate(token);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!key) {
     logger.warn('Invalid API key', { ip: req.ip });
-    return res.status(401).json({
-      version: 'mcp.v1',
-      status: 'error',
-      error: {
-        code: 'UNAUTHORIZED',
-        message: 'Invalid API key'
-      }
-    });
+    return unauthorized(res, 401, 'UNAUTHORIZED', 'Invalid API key');
+  }
+
+  // Scope is checked against the route, not the self-reported body.action
+  const action = req.path.replace(/^\//, '');
+  if (!isActionAllowed(key.scopes, action)) {
+    logger.warn('API key scope denied', { keyId: key.id, action });
+    return unauthorized(res, 403, 'FORBIDDEN', `API key is not allowed to call ${action}`);
+  }
+
+  // The key's identity wins over whatever user the caller claims to be
+  req.auth = { type: 'user', keyId: key.id, userId: key.userId, scopes: key.scopes };
+  if (req.body && typeof req.body === 'object') {
+    req.body.context = { ...(req.body.context || {}), userId: key.userId };
+    if (req.body.payload && typeof req.body.payload === 'object' && 'userId' in req.body.payload) {
+      req.body.payload.userId = key.userId;
+    }
   }
 
   next();
@@ -0,0 +1,286 @@
+// ---------------------------------------------------------------------------
+// 001 — initial schema.
+//
+// Every table as it shipped before versioned migrations existed. All
+// statements use IF NOT EXISTS so that adopting an existing local DuckDB file
+// (which has these tables but no schema_migrations rows yet) is a no-op.
+// Columns that were later bolted on with ALTER TABLE live in 002–004.
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 1,
+  name: 'initial_schema',
+  up: [
+    // Semantic memory — user-authored facts, notes and conversation snippets.
+    `CREATE TABLE IF NOT EXISTS memory (
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      type TEXT DEFAULT 'user_memory',
+      source_text TEXT,
+      metadata TEXT,
+      screenshot TEXT,
+      extracted_text TEXT,
+      embedding FLOAT[384],
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_memory_user_id ON memory(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_memory_type ON memory(type)',
+    'CREATE INDEX IF NOT EXISTS idx_memory_created_at ON memory(created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_memory_user_created ON memory(user_id, created_at DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_memory_user_type ON memory(user_id, type)',
+    'CREATE INDEX IF NOT EXISTS idx_memory_user_type_created ON memory(user_id, type, created_at DESC)',
+
+    // Episodic memory — high-volume screen captures / activity log, kept apart
+    // from semantic memory so captures don't drown out search.
+    `CREATE TABLE IF NOT EXISTS episodic_memory (
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      type TEXT DEFAULT 'screen_capture',
+      source_text TEXT,
+      metadata TEXT,
+      screenshot TEXT,
+      extracted_text TEXT,
+      embedding FLOAT[384],
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_episodic_user_id ON episodic_memory(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_episodic_type ON episodic_memory(type)',
+    'CREATE INDEX IF NOT EXISTS idx_episodic_created_at ON episodic_memory(created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_episodic_user_created ON episodic_memory(user_id, created_at DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_episodic_user_type_created ON episodic_memory(user_id, type, created_at DESC)',
+
+    `CREATE TABLE IF NOT EXISTS episodic_entities (
+      id TEXT PRIMARY KEY,
+      memory_id TEXT NOT NULL,
+      entity TEXT NOT NULL,
+      type TEXT,
+      entity_type TEXT,
+      normalized_value TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_episodic_entities_memory_id ON episodic_entities(memory_id)',
+    'CREATE INDEX IF NOT EXISTS idx_episodic_entities_entity ON episodic_entities(entity)',
+
+    `CREATE TABLE IF NOT EXISTS memory_entities (
+      id TEXT PRIMARY KEY,
+      memory_id TEXT NOT NULL,
+      entity TEXT NOT NULL,
+      type TEXT,
+      entity_type TEXT,
+      normalized_value TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_memory_entities_memory_id ON memory_entities(memory_id)',
+    'CREATE INDEX IF NOT EXISTS idx_memory_entities_entity ON memory_entities(entity)',
+    'CREATE INDEX IF NOT EXISTS idx_memory_entities_type ON memory_entities(type)',
+    'CREATE INDEX IF NOT EXISTS idx_memory_entities_entity_type ON memory_entities(entity_type)',
+
+    // RAG-based dynamic skill prompt injection.
+    `CREATE TABLE IF NOT EXISTS skill_prompts (
+      id TEXT PRIMARY KEY,
+      tags TEXT,
+      prompt_text TEXT NOT NULL,
+      embedding FLOAT[384],
+      hit_count INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_skill_prompts_tags ON skill_prompts(tags)',
+    'CREATE INDEX IF NOT EXISTS idx_skill_prompts_created_at ON skill_prompts(created_at)',
+
+    // Per-site/app prompt injection.
+    // context_type: 'site' (hostname) | 'app' (app name e.g. 'slack', 'excel')
+    // context_key:  hostname (e.g. 'en.wikipedia.org') OR app name (e.g. 'slack')
+    `CREATE TABLE IF NOT EXISTS context_rules (
+      id TEXT PRIMARY KEY,
+      context_type TEXT NOT NULL DEFAULT 'site',
+      context_key TEXT NOT NULL,
+      rule_text TEXT NOT NULL,
+      category TEXT DEFAULT 'general',
+      source TEXT DEFAULT 'thinkdrop_ai',
+      hit_count INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_context_rules_key ON context_rules(context_key)',
+    'CREATE INDEX IF NOT EXISTS idx_context_rules_type ON context_rules(context_type)',
+    'CREATE INDEX IF NOT EXISTS idx_context_rules_category ON context_rules(category)',
+
+    // Per-service API contract rules used by the skill generation pipeline.
+    // rule_type: 'auth' | 'payload' | 'secret' | 'endpoint' | 'gotcha'
+    // source:    'system' (seed rules) | 'learned' (written from runtime failures)
+    `CREATE TABLE IF NOT EXISTS api_rules (
+      id TEXT PRIMARY KEY,
+      service TEXT NOT NULL,
+      rule_type TEXT NOT NULL DEFAULT 'gotcha',
+      rule_text TEXT NOT NULL,
+      code_pattern TEXT,
+      fix_hint TEXT,
+      source TEXT DEFAULT 'system',
+      hit_count INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_api_rules_service ON api_rules(service)',
+    'CREATE INDEX IF NOT EXISTS idx_api_rules_type ON api_rules(rule_type)',
+    'CREATE INDEX IF NOT EXISTS idx_api_rules_source ON api_rules(source)',
+
+    // User-corrected intent learning — checked before the classifier so the
+    // same phrasing never misclassifies twice.
+    `CREATE TABLE IF NOT EXISTS intent_overrides (
+      id TEXT PRIMARY KEY,
+      example_prompt TEXT NOT NULL,
+      correct_intent TEXT NOT NULL,
+      wrong_intent TEXT,
+      embedding FLOAT[384],
+      source TEXT DEFAULT 'user_correction',
+      hit_count INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_intent_overrides_intent ON intent_overrides(correct_intent)',
+    'CREATE INDEX IF NOT EXISTS idx_intent_overrides_created ON intent_overrides(created_at)',
+
+    // User-taught phrase→delivery mappings ("shoot me a text" → sms).
+    // delivery: 'sms' | 'email' | 'slack' | 'discord' | 'push' | 'webhook'
+    `CREATE TABLE IF NOT EXISTS phrase_preferences (
+      id TEXT PRIMARY KEY,
+      example_phrase TEXT NOT NULL,
+      delivery TEXT NOT NULL,
+      service TEXT,
+      metadata TEXT,
+      embedding FLOAT[384],
+      source TEXT DEFAULT 'user_answer',
+      hit_count INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_phrase_prefs_delivery ON phrase_preferences(delivery)',
+    'CREATE INDEX IF NOT EXISTS idx_phrase_prefs_service ON phrase_preferences(service)',
+    'CREATE INDEX IF NOT EXISTS idx_phrase_prefs_created ON phrase_preferences(created_at)',
+
+    // Skill extension system.
+    `CREATE TABLE IF NOT EXISTS installed_skills (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT NOT NULL,
+      contract_md TEXT NOT NULL,
+      exec_path TEXT NOT NULL,
+      exec_type TEXT NOT NULL DEFAULT 'node',
+      enabled BOOLEAN DEFAULT true,
+      installed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_installed_skills_name ON installed_skills(name)',
+    'CREATE INDEX IF NOT EXISTS idx_installed_skills_enabled ON installed_skills(enabled)',
+
+    // Singleton row tracking ThinkDrop's live emotional state.
+    `CREATE TABLE IF NOT EXISTS personality_state (
+      id           TEXT PRIMARY KEY DEFAULT 'singleton',
+      valence      FLOAT  DEFAULT 0.0,
+      arousal      FLOAT  DEFAULT 0.0,
+      dominance    FLOAT  DEFAULT 0.3,
+      mood_label   TEXT   DEFAULT 'content',
+      mood_reason  TEXT,
+      hurt_count   INTEGER DEFAULT 0,
+      joy_count    INTEGER DEFAULT 0,
+      reset_at     TIMESTAMP,
+      updated_at   TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Persisted key/value traits shaping the personality overlay.
+    `CREATE TABLE IF NOT EXISTS personality_traits (
+      id           TEXT PRIMARY KEY,
+      trait_key    TEXT NOT NULL UNIQUE,
+      trait_value  TEXT NOT NULL,
+      source       TEXT DEFAULT 'system',
+      weight       FLOAT DEFAULT 1.0,
+      updated_at   TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_personality_traits_key ON personality_traits(trait_key)',
+    'CREATE INDEX IF NOT EXISTS idx_personality_traits_source ON personality_traits(source)',
+
+    // Speaker identification via spectral feature vectors (one row per speaker).
+    `CREATE TABLE IF NOT EXISTS voice_fingerprint (
+      id            TEXT PRIMARY KEY,
+      speaker_id    TEXT NOT NULL UNIQUE,
+      speaker_name  TEXT DEFAULT 'Primary User',
+      features_json TEXT NOT NULL,
+      sample_count  INTEGER DEFAULT 1,
+      gender        TEXT DEFAULT 'unknown',
+      age_group     TEXT DEFAULT 'adult',
+      angry_count   INTEGER DEFAULT 0,
+      loud_count    INTEGER DEFAULT 0,
+      whisper_count INTEGER DEFAULT 0,
+      created_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_voice_fingerprint_speaker ON voice_fingerprint(speaker_id)',
+
+    // Identity & per-service account pointers. Sensitive rows hold a
+    // KEYTAR:<key> reference — the secret itself lives in the OS keychain.
+    `CREATE TABLE IF NOT EXISTS user_profile (
+      id          TEXT PRIMARY KEY,
+      key         TEXT NOT NULL UNIQUE,
+      value_ref   TEXT NOT NULL,
+      sensitive   INTEGER DEFAULT 0,
+      service     TEXT DEFAULT NULL,
+      label       TEXT DEFAULT NULL,
+      created_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Hard/soft rules restricting ThinkDrop's autonomous actions.
+    // blocks: JSON array of action glob patterns.
+    `CREATE TABLE IF NOT EXISTS user_constraints (
+      id           TEXT PRIMARY KEY,
+      scope        TEXT NOT NULL DEFAULT 'global',
+      rule         TEXT NOT NULL,
+      blocks       TEXT DEFAULT NULL,
+      severity     TEXT DEFAULT 'hard',
+      created_at   TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at   TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Long-running tasks awaiting async completion.
+    `CREATE TABLE IF NOT EXISTS pending_tasks (
+      id TEXT PRIMARY KEY,
+      original_prompt TEXT NOT NULL,
+      sub_prompt TEXT NOT NULL,
+      intent TEXT NOT NULL,
+      step_order INTEGER NOT NULL,
+      plan_context TEXT,
+      status TEXT DEFAULT 'running',
+      completion_signal TEXT,
+      completion_arg TEXT,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP,
+      result TEXT,
+      error_text TEXT,
+      session_id TEXT,
+      user_id TEXT DEFAULT 'default'
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_pending_tasks_status ON pending_tasks(status)',
+    'CREATE INDEX IF NOT EXISTS idx_pending_tasks_started ON pending_tasks(started_at)',
+  ],
+  down: [
+    'DROP TABLE IF EXISTS pending_tasks',
+    'DROP TABLE IF EXISTS user_constraints',
+    'DROP TABLE IF EXISTS user_profile',
+    'DROP TABLE IF EXISTS voice_fingerprint',
+    'DROP TABLE IF EXISTS personality_traits',
+    'DROP TABLE IF EXISTS personality_state',
+    'DROP TABLE IF EXISTS installed_skills',
+    'DROP TABLE IF EXISTS phrase_preferences',
+    'DROP TABLE IF EXISTS intent_overrides',
+    'DROP TABLE IF EXISTS api_rules',
+    'DROP TABLE IF EXISTS context_rules',
+    'DROP TABLE IF EXISTS skill_prompts',
+    'DROP TABLE IF EXISTS memory_entities',
+    'DROP TABLE IF EXISTS episodic_entities',
+    'DROP TABLE IF EXISTS episodic_memory',
+    'DROP TABLE IF EXISTS memory',
+  ],
+};
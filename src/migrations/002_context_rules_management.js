@@ -0,0 +1,26 @@
+// ---------------------------------------------------------------------------
+// 002 — rule-management columns on context_rules (status, priority,
+// verification counters, user note). Previously added at boot by ALTERs
+// wrapped in empty catches.
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 2,
+  name: 'context_rules_management',
+  up: [
+    'ALTER TABLE context_rules ADD COLUMN IF NOT EXISTS status TEXT DEFAULT \'active\'',
+    'ALTER TABLE context_rules ADD COLUMN IF NOT EXISTS priority INTEGER DEFAULT 0',
+    'ALTER TABLE context_rules ADD COLUMN IF NOT EXISTS verified_count INTEGER DEFAULT 0',
+    'ALTER TABLE context_rules ADD COLUMN IF NOT EXISTS failed_count INTEGER DEFAULT 0',
+    'ALTER TABLE context_rules ADD COLUMN IF NOT EXISTS last_verified_at TIMESTAMP',
+    'ALTER TABLE context_rules ADD COLUMN IF NOT EXISTS user_note TEXT',
+  ],
+  down: [
+    'ALTER TABLE context_rules DROP COLUMN IF EXISTS user_note',
+    'ALTER TABLE context_rules DROP COLUMN IF EXISTS last_verified_at',
+    'ALTER TABLE context_rules DROP COLUMN IF EXISTS failed_count',
+    'ALTER TABLE context_rules DROP COLUMN IF EXISTS verified_count',
+    'ALTER TABLE context_rules DROP COLUMN IF EXISTS priority',
+    'ALTER TABLE context_rules DROP COLUMN IF EXISTS status',
+  ],
+};
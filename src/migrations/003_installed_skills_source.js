@@ -0,0 +1,16 @@
+// ---------------------------------------------------------------------------
+// 003 — record which domain/action a generated skill was created for.
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 3,
+  name: 'installed_skills_source',
+  up: [
+    'ALTER TABLE installed_skills ADD COLUMN IF NOT EXISTS source_domain TEXT',
+    'ALTER TABLE installed_skills ADD COLUMN IF NOT EXISTS source_action TEXT',
+  ],
+  down: [
+    'ALTER TABLE installed_skills DROP COLUMN IF EXISTS source_action',
+    'ALTER TABLE installed_skills DROP COLUMN IF EXISTS source_domain',
+  ],
+};
@@ -0,0 +1,14 @@
+// ---------------------------------------------------------------------------
+// 004 — optional PIN (sha256) that lets the user override a hard constraint.
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 4,
+  name: 'user_constraints_override_pin',
+  up: [
+    'ALTER TABLE user_constraints ADD COLUMN IF NOT EXISTS override_pin TEXT DEFAULT NULL',
+  ],
+  down: [
+    'ALTER TABLE user_constraints DROP COLUMN IF EXISTS override_pin',
+  ],
+};
@@ -0,0 +1,27 @@
+// ---------------------------------------------------------------------------
+// 005 — skill_health: structural validation state per skill, written by the
+// skill.review agent. status: 'ok' | 'invalid' | 'repaired' | 'unvalidated'
+//
+// Older builds created this table with a foreign key to installed_skills and
+// then dropped/recreated it on every boot to shake off stale FK constraints.
+// Rebuilding it once here replaces that; health rows are repopulated by the
+// startup scan, so nothing of value is lost.
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 5,
+  name: 'skill_health',
+  up: [
+    'DROP TABLE IF EXISTS skill_health',
+    `CREATE TABLE skill_health (
+      skill_name TEXT PRIMARY KEY,
+      status TEXT NOT NULL DEFAULT 'unvalidated',
+      errors TEXT,
+      last_checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      auto_repaired BOOLEAN DEFAULT false
+    )`,
+  ],
+  down: [
+    'DROP TABLE IF EXISTS skill_health',
+  ],
+};
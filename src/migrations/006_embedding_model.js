@@ -0,0 +1,29 @@
+// ---------------------------------------------------------------------------
+// 006 — record which model produced each vector.
+//
+// Searches only compare vectors whose embedding_model matches the active
+// provider, so switching models can no longer silently mix incompatible
+// similarity scores. Existing vectors were all produced by the original
+// in-process model and are tagged accordingly.
+// ---------------------------------------------------------------------------
+
+const VECTOR_TABLES = ['memory', 'episodic_memory', 'skill_prompts', 'intent_overrides', 'phrase_preferences'];
+const ORIGINAL_MODEL = 'local:Xenova/all-MiniLM-L6-v2';
+
+export default {
+  version: 6,
+  name: 'embedding_model',
+  up: [
+    ...VECTOR_TABLES.flatMap(table => [
+      `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS embedding_model TEXT`,
+      `UPDATE ${table} SET embedding_model = '${ORIGINAL_MODEL}' WHERE embedding IS NOT NULL AND embedding_model IS NULL`,
+    ]),
+    'CREATE INDEX IF NOT EXISTS idx_memory_embedding_model ON memory(embedding_model)',
+    'CREATE INDEX IF NOT EXISTS idx_episodic_embedding_model ON episodic_memory(embedding_model)',
+  ],
+  down: [
+    'DROP INDEX IF EXISTS idx_episodic_embedding_model',
+    'DROP INDEX IF EXISTS idx_memory_embedding_model',
+    ...VECTOR_TABLES.map(table => `ALTER TABLE ${table} DROP COLUMN IF EXISTS embedding_model`),
+  ],
+};
@@ -0,0 +1,33 @@
+// ---------------------------------------------------------------------------
+// 007 — per-user API keys.
+//
+// Only the SHA-256 of each key is stored; key_prefix keeps the first few
+// characters so a key can be recognised in listings. scopes is a JSON array
+// of 'action-glob:level' strings (see utils/scopes.js). Rotation links the
+// replacement to its predecessor through rotated_from.
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 7,
+  name: 'api_keys',
+  up: [
+    `CREATE TABLE IF NOT EXISTS api_keys (
+      id           TEXT PRIMARY KEY,
+      user_id      TEXT NOT NULL,
+      name         TEXT,
+      key_prefix   TEXT NOT NULL,
+      key_hash     TEXT NOT NULL UNIQUE,
+      scopes       TEXT NOT NULL,
+      rotated_from TEXT,
+      created_at   TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP,
+      expires_at   TIMESTAMP,
+      revoked_at   TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)',
+  ],
+  down: [
+    'DROP INDEX IF EXISTS idx_api_keys_user',
+    'DROP TABLE IF EXISTS api_keys',
+  ],
+};
@@ -0,0 +1,18 @@
+// ---------------------------------------------------------------------------
+// 008 — provenance for consolidated memories.
+//
+// When memory.consolidate merges near-duplicates into a canonical memory,
+// merged_from records (as a JSON array) the ids of the memories folded into
+// it, accumulated across runs.
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 8,
+  name: 'memory_merged_from',
+  up: [
+    'ALTER TABLE memory ADD COLUMN IF NOT EXISTS merged_from TEXT',
+  ],
+  down: [
+    'ALTER TABLE memory DROP COLUMN IF EXISTS merged_from',
+  ],
+};
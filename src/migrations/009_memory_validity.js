@@ -0,0 +1,26 @@
+// ---------------------------------------------------------------------------
+// 009 — temporal validity and supersession for memories.
+//
+// valid_from / valid_until bound when a fact holds; superseded_by points at
+// the memory that replaced it ("I now work at Globex" supersedes "I work at
+// Acme"). Existing memories become valid from their creation time.
+// superseded_by is deliberately unindexed: DuckDB rewrites UPDATEs of indexed
+// columns as delete+insert, which trips the primary-key constraint bug that
+// updateMemory already works around.
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 9,
+  name: 'memory_validity',
+  up: [
+    'ALTER TABLE memory ADD COLUMN IF NOT EXISTS valid_from TIMESTAMP',
+    'ALTER TABLE memory ADD COLUMN IF NOT EXISTS valid_until TIMESTAMP',
+    'ALTER TABLE memory ADD COLUMN IF NOT EXISTS superseded_by TEXT',
+    'UPDATE memory SET valid_from = created_at WHERE valid_from IS NULL',
+  ],
+  down: [
+    'ALTER TABLE memory DROP COLUMN IF EXISTS superseded_by',
+    'ALTER TABLE memory DROP COLUMN IF EXISTS valid_until',
+    'ALTER TABLE memory DROP COLUMN IF EXISTS valid_from',
+  ],
+};
@@ -0,0 +1,30 @@
+// ---------------------------------------------------------------------------
+// 010 — change-data-capture log.
+//
+// One row per insert/update/delete on memory and rule tables, written by the
+// services that perform the mutation. seq is the resumable cursor handed to
+// changes.stream / changes.list subscribers.
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 10,
+  name: 'change_log',
+  up: [
+    'CREATE SEQUENCE IF NOT EXISTS change_log_seq START 1',
+    `CREATE TABLE IF NOT EXISTS change_log (
+      seq        BIGINT PRIMARY KEY DEFAULT nextval('change_log_seq'),
+      table_name TEXT NOT NULL,
+      op         TEXT NOT NULL,
+      row_id     TEXT,
+      user_id    TEXT,
+      data       TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_change_log_created_at ON change_log(created_at)',
+  ],
+  down: [
+    'DROP INDEX IF EXISTS idx_change_log_created_at',
+    'DROP TABLE IF EXISTS change_log',
+    'DROP SEQUENCE IF EXISTS change_log_seq',
+  ],
+};
@@ -0,0 +1,80 @@
+// ---------------------------------------------------------------------------
+// 011 — knowledge graph over memory entities.
+//
+// entity_nodes are canonical entities per user, keyed by (type, normalized
+// value); entity_mentions link them to the memories that name them and
+// entity_edges hold one row per (source, target, relation, memory) so every
+// edge keeps its supporting memories. Node ids are derived from the key
+// (md5, same formula as EntityGraphService.nodeId) so writers can INSERT OR
+// IGNORE instead of looking nodes up first.
+//
+// Existing memories are backfilled with nodes, mentions and co-occurrence
+// edges here; typed relations need the memory text and are derived by
+// graph.rebuild or whenever a memory is stored or updated.
+// ---------------------------------------------------------------------------
+
+const TYPE = 'coalesce(nullif(lower(trim(me.type)), \'\'), \'entity\')';
+const VALUE = 'lower(trim(regexp_replace(coalesce(nullif(me.normalized_value, \'\'), me.entity), \'\\s+\', \' \', \'g\')))';
+const NODE_ID = `'gent_' || substr(md5(m.user_id || chr(31) || ${TYPE} || chr(31) || ${VALUE}), 1, 20)`;
+
+export default {
+  version: 11,
+  name: 'entity_graph',
+  up: [
+    `CREATE TABLE IF NOT EXISTS entity_nodes (
+      id               TEXT PRIMARY KEY,
+      user_id          TEXT NOT NULL,
+      type             TEXT NOT NULL,
+      normalized_value TEXT NOT NULL,
+      name             TEXT NOT NULL,
+      created_at       TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_entity_nodes_user_value ON entity_nodes(user_id, normalized_value)',
+
+    `CREATE TABLE IF NOT EXISTS entity_mentions (
+      entity_id  TEXT NOT NULL,
+      memory_id  TEXT NOT NULL,
+      user_id    TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (entity_id, memory_id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_entity_mentions_memory_id ON entity_mentions(memory_id)',
+
+    `CREATE TABLE IF NOT EXISTS entity_edges (
+      source_id  TEXT NOT NULL,
+      target_id  TEXT NOT NULL,
+      relation   TEXT NOT NULL,
+      memory_id  TEXT NOT NULL,
+      user_id    TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (source_id, target_id, relation, memory_id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_entity_edges_source_id ON entity_edges(source_id)',
+    'CREATE INDEX IF NOT EXISTS idx_entity_edges_target_id ON entity_edges(target_id)',
+    'CREATE INDEX IF NOT EXISTS idx_entity_edges_memory_id ON entity_edges(memory_id)',
+
+    `INSERT OR IGNORE INTO entity_nodes (id, user_id, type, normalized_value, name)
+     SELECT ${NODE_ID}, m.user_id, ${TYPE}, ${VALUE}, min(me.entity)
+     FROM memory_entities me JOIN memory m ON m.id = me.memory_id
+     WHERE ${VALUE} <> ''
+     GROUP BY 1, 2, 3, 4`,
+    `INSERT OR IGNORE INTO entity_mentions (entity_id, memory_id, user_id)
+     SELECT DISTINCT ${NODE_ID}, me.memory_id, m.user_id
+     FROM memory_entities me JOIN memory m ON m.id = me.memory_id
+     WHERE ${VALUE} <> ''`,
+    `INSERT OR IGNORE INTO entity_edges (source_id, target_id, relation, memory_id, user_id)
+     SELECT a.entity_id, b.entity_id, 'co_occurs', a.memory_id, a.user_id
+     FROM entity_mentions a JOIN entity_mentions b
+       ON a.memory_id = b.memory_id AND a.entity_id < b.entity_id`,
+  ],
+  down: [
+    'DROP INDEX IF EXISTS idx_entity_edges_memory_id',
+    'DROP INDEX IF EXISTS idx_entity_edges_target_id',
+    'DROP INDEX IF EXISTS idx_entity_edges_source_id',
+    'DROP TABLE IF EXISTS entity_edges',
+    'DROP INDEX IF EXISTS idx_entity_mentions_memory_id',
+    'DROP TABLE IF EXISTS entity_mentions',
+    'DROP INDEX IF EXISTS idx_entity_nodes_user_value',
+    'DROP TABLE IF EXISTS entity_nodes',
+  ],
+};
@@ -0,0 +1,20 @@
+// ---------------------------------------------------------------------------
+// 012 — soft delete for memories.
+//
+// memory.delete now sets deleted_at instead of removing the row; trashed
+// memories are hidden from search/list/retrieve until memory.restore clears
+// it, and RetentionService purges them for good after TRASH_RETENTION_DAYS.
+// Unindexed for the same DuckDB UPDATE reason as superseded_by (009).
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 12,
+  name: 'memory_trash',
+  up: [
+    'ALTER TABLE memory ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP',
+  ],
+  down: [
+    'DELETE FROM memory WHERE deleted_at IS NOT NULL',
+    'ALTER TABLE memory DROP COLUMN IF EXISTS deleted_at',
+  ],
+};
@@ -0,0 +1,43 @@
+// ---------------------------------------------------------------------------
+// 013 — revision history for memories.
+//
+// updateMemory replaces the memory row, so before each change the previous
+// version (text, metadata, media, embedding, entities, validity) is copied
+// here together with who changed it: the MCP action, request id, the
+// client-declared context.source and the authenticated actor. revision
+// numbers start at 1 per memory; the live row is always revision MAX + 1.
+// active_from is when the version became live, created_at when it was replaced.
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 13,
+  name: 'memory_revisions',
+  up: [
+    `CREATE TABLE IF NOT EXISTS memory_revisions (
+      id              TEXT PRIMARY KEY,
+      memory_id       TEXT NOT NULL,
+      user_id         TEXT NOT NULL,
+      revision        INTEGER NOT NULL,
+      source_text     TEXT,
+      metadata        TEXT,
+      screenshot      TEXT,
+      extracted_text  TEXT,
+      embedding       FLOAT[384],
+      embedding_model TEXT,
+      entities        TEXT,
+      valid_from      TIMESTAMP,
+      valid_until     TIMESTAMP,
+      active_from     TIMESTAMP,
+      action          TEXT,
+      request_id      TEXT,
+      source          TEXT,
+      actor           TEXT,
+      created_at      TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_memory_revisions_memory_id ON memory_revisions(memory_id)',
+  ],
+  down: [
+    'DROP INDEX IF EXISTS idx_memory_revisions_memory_id',
+    'DROP TABLE IF EXISTS memory_revisions',
+  ],
+};
@@ -0,0 +1,54 @@
+// ---------------------------------------------------------------------------
+// 014 — tags and collections.
+//
+// memory_tags holds free-form labels (normalized to lower case) and
+// memory_collections links memories to named, user-created collections.
+// Link ids are derived from (memory, tag|collection) — see TagService.linkId —
+// so tagging twice is a no-op (INSERT OR IGNORE) and archive imports dedupe
+// on id. Collection names are unique per user, case-insensitively; the
+// lower-cased name is kept in name_key for that check.
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 14,
+  name: 'memory_tags',
+  up: [
+    `CREATE TABLE IF NOT EXISTS collections (
+      id          TEXT PRIMARY KEY,
+      user_id     TEXT NOT NULL,
+      name        TEXT NOT NULL,
+      name_key    TEXT NOT NULL,
+      description TEXT,
+      created_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_collections_user_name ON collections(user_id, name_key)',
+    `CREATE TABLE IF NOT EXISTS memory_tags (
+      id         TEXT PRIMARY KEY,
+      memory_id  TEXT NOT NULL,
+      user_id    TEXT NOT NULL,
+      tag        TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_memory_tags_memory_id ON memory_tags(memory_id)',
+    'CREATE INDEX IF NOT EXISTS idx_memory_tags_user_tag ON memory_tags(user_id, tag)',
+    `CREATE TABLE IF NOT EXISTS memory_collections (
+      id            TEXT PRIMARY KEY,
+      memory_id     TEXT NOT NULL,
+      collection_id TEXT NOT NULL,
+      user_id       TEXT NOT NULL,
+      created_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_memory_collections_memory_id ON memory_collections(memory_id)',
+    'CREATE INDEX IF NOT EXISTS idx_memory_collections_collection_id ON memory_collections(collection_id)',
+  ],
+  down: [
+    'DROP INDEX IF EXISTS idx_memory_collections_collection_id',
+    'DROP INDEX IF EXISTS idx_memory_collections_memory_id',
+    'DROP TABLE IF EXISTS memory_collections',
+    'DROP INDEX IF EXISTS idx_memory_tags_user_tag',
+    'DROP INDEX IF EXISTS idx_memory_tags_memory_id',
+    'DROP TABLE IF EXISTS memory_tags',
+    'DROP INDEX IF EXISTS idx_collections_user_name',
+    'DROP TABLE IF EXISTS collections',
+  ],
+};
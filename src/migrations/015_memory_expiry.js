@@ -0,0 +1,20 @@
+// ---------------------------------------------------------------------------
+// 015 — per-memory expiry.
+//
+// memory.store may set expires_at (expiresAt / ttl) for short-lived facts
+// such as today's parking spot. Expired memories are hidden from
+// search/list/retrieve at once and RetentionService's expiry sweep deletes
+// them with their entities. Unindexed for the same DuckDB UPDATE reason as
+// superseded_by (009).
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 15,
+  name: 'memory_expiry',
+  up: [
+    'ALTER TABLE memory ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP',
+  ],
+  down: [
+    'ALTER TABLE memory DROP COLUMN IF EXISTS expires_at',
+  ],
+};
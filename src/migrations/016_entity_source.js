@@ -0,0 +1,19 @@
+// ---------------------------------------------------------------------------
+// 016 — entity provenance.
+//
+// memory_entities.source is 'extracted' for rows the rule-based extractor
+// produced (memory.store without `entities`, memory.entities.backfill) and
+// NULL for entities the caller supplied. Backfill only ever replaces
+// extracted rows, so caller-provided entities are never overwritten.
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 16,
+  name: 'entity_source',
+  up: [
+    'ALTER TABLE memory_entities ADD COLUMN IF NOT EXISTS source TEXT',
+  ],
+  down: [
+    'ALTER TABLE memory_entities DROP COLUMN IF EXISTS source',
+  ],
+};
@@ -0,0 +1,33 @@
+// ---------------------------------------------------------------------------
+// 017 — long documents.
+//
+// document.ingest keeps the full text here and stores it as overlapping
+// chunks in `memory` (type 'document_chunk', metadata.documentId /
+// chunkIndex / start / end), so chunks go through the normal vector, BM25
+// and entity search paths. memory.search collapses chunk hits back to this
+// parent row.
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 17,
+  name: 'documents',
+  up: [
+    `CREATE TABLE IF NOT EXISTS documents (
+      id            TEXT PRIMARY KEY,
+      user_id       TEXT NOT NULL,
+      title         TEXT,
+      source_text   TEXT NOT NULL,
+      metadata      TEXT DEFAULT '{}',
+      char_count    INTEGER NOT NULL,
+      chunk_count   INTEGER NOT NULL,
+      chunk_size    INTEGER NOT NULL,
+      chunk_overlap INTEGER NOT NULL,
+      created_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_documents_user_id ON documents(user_id)',
+  ],
+  down: [
+    'DROP INDEX IF EXISTS idx_documents_user_id',
+    'DROP TABLE IF EXISTS documents',
+  ],
+};
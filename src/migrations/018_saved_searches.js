@@ -0,0 +1,51 @@
+// ---------------------------------------------------------------------------
+// 018 — saved searches.
+//
+// A saved search is a standing query: its embedding and optional entity
+// filter are checked against every memory and screen capture stored after
+// it was created. Each hit is recorded in saved_search_match until the
+// client fetches it with saved_search.poll, which sets seen_at.
+//
+// seen_at is unindexed for the same DuckDB UPDATE reason as superseded_by
+// (009).
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 18,
+  name: 'saved_searches',
+  up: [
+    `CREATE TABLE IF NOT EXISTS saved_search (
+      id              TEXT PRIMARY KEY,
+      user_id         TEXT NOT NULL,
+      name            TEXT,
+      query           TEXT,
+      embedding       FLOAT[384],
+      embedding_model TEXT,
+      min_similarity  DOUBLE NOT NULL,
+      entities        TEXT DEFAULT '[]',
+      sources         TEXT NOT NULL,
+      created_at      TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_saved_search_user_id ON saved_search(user_id)',
+    `CREATE TABLE IF NOT EXISTS saved_search_match (
+      id              TEXT PRIMARY KEY,
+      saved_search_id TEXT NOT NULL,
+      user_id         TEXT NOT NULL,
+      source          TEXT NOT NULL,
+      memory_id       TEXT NOT NULL,
+      similarity      DOUBLE,
+      matched_entities TEXT,
+      seen_at         TIMESTAMP,
+      created_at      TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_saved_search_match_search ON saved_search_match(saved_search_id)',
+    'CREATE INDEX IF NOT EXISTS idx_saved_search_match_user ON saved_search_match(user_id)',
+  ],
+  down: [
+    'DROP INDEX IF EXISTS idx_saved_search_match_user',
+    'DROP INDEX IF EXISTS idx_saved_search_match_search',
+    'DROP TABLE IF EXISTS saved_search_match',
+    'DROP INDEX IF EXISTS idx_saved_search_user_id',
+    'DROP TABLE IF EXISTS saved_search',
+  ],
+};
@@ -0,0 +1,33 @@
+// ---------------------------------------------------------------------------
+// 019 — conversation turns.
+//
+// The messages of each chat session, in order, so conversation.resolve can
+// answer the queries memory.classify-conversational-query labels
+// POSITIONAL, TOPICAL or OVERVIEW: the first/last turns, the turns about a
+// topic (by embedding) or a digest of the whole session. turn_index counts
+// from 0 within a (user_id, session_id) pair.
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 19,
+  name: 'conversation_turns',
+  up: [
+    `CREATE TABLE IF NOT EXISTS conversation_turns (
+      id              TEXT PRIMARY KEY,
+      user_id         TEXT NOT NULL,
+      session_id      TEXT NOT NULL,
+      turn_index      INTEGER NOT NULL,
+      role            TEXT NOT NULL,
+      source_text     TEXT NOT NULL,
+      embedding       FLOAT[384],
+      embedding_model TEXT,
+      metadata        TEXT DEFAULT '{}',
+      created_at      TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_conversation_turns_session ON conversation_turns(user_id, session_id, turn_index)',
+  ],
+  down: [
+    'DROP INDEX IF EXISTS idx_conversation_turns_session',
+    'DROP TABLE IF EXISTS conversation_turns',
+  ],
+};
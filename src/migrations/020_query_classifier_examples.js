@@ -0,0 +1,32 @@
+// ---------------------------------------------------------------------------
+// 020 — labeled examples for the conversational query classifier.
+//
+// QueryClassifierService averages the embeddings of each label's examples
+// into a prototype and labels a query by the nearest one. Built-in examples
+// (source 'seed', user_id NULL) are inserted on first use, since migrations
+// can't embed; memory.classify.feedback adds the user's own corrections
+// (source 'feedback').
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 20,
+  name: 'query_classifier_examples',
+  up: [
+    `CREATE TABLE IF NOT EXISTS query_classifier_examples (
+      id              TEXT PRIMARY KEY,
+      user_id         TEXT,
+      query           TEXT NOT NULL,
+      label           TEXT NOT NULL,
+      wrong_label     TEXT,
+      embedding       FLOAT[384],
+      embedding_model TEXT,
+      source          TEXT NOT NULL,
+      created_at      TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_query_classifier_examples_user ON query_classifier_examples(user_id)',
+  ],
+  down: [
+    'DROP INDEX IF EXISTS idx_query_classifier_examples_user',
+    'DROP TABLE IF EXISTS query_classifier_examples',
+  ],
+};
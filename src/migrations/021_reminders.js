@@ -0,0 +1,39 @@
+// ---------------------------------------------------------------------------
+// 021 — reminders (prospective memory).
+//
+// A reminder is due at due_at; reminder.due surfaces the ones whose due time
+// (or snoozed_until, while snoozed) has passed. Completing a recurring
+// reminder (rrule) moves due_at to its next occurrence and counts it in
+// occurrence_count; completing any other one sets status 'done'.
+// memory_id links reminders created by memory.store { createReminder }.
+//
+// status, due_at and snoozed_until are unindexed for the same DuckDB UPDATE
+// reason as superseded_by (009).
+// ---------------------------------------------------------------------------
+
+export default {
+  version: 21,
+  name: 'reminders',
+  up: [
+    `CREATE TABLE IF NOT EXISTS reminders (
+      id               TEXT PRIMARY KEY,
+      user_id          TEXT NOT NULL,
+      memory_id        TEXT,
+      source_text      TEXT NOT NULL,
+      due_at           TIMESTAMP NOT NULL,
+      rrule            TEXT,
+      status           TEXT NOT NULL DEFAULT 'pending',
+      snoozed_until    TIMESTAMP,
+      occurrence_count INTEGER NOT NULL DEFAULT 0,
+      completed_at     TIMESTAMP,
+      metadata         TEXT DEFAULT '{}',
+      created_at       TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at       TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_reminders_user_id ON reminders(user_id)',
+  ],
+  down: [
+    'DROP INDEX IF EXISTS idx_reminders_user_id',
+    'DROP TABLE IF EXISTS reminders',
+  ],
+};
@@ -0,0 +1,51 @@
+// ---------------------------------------------------------------------------
+// Ordered list of schema migrations. Append new files here with the next
+// version number; never edit or renumber one that has shipped — its checksum
+// is recorded in schema_migrations and startup refuses a mismatch.
+// ---------------------------------------------------------------------------
+
+import initialSchema from './001_initial_schema.js';
+import contextRulesManagement from './002_context_rules_management.js';
+import installedSkillsSource from './003_installed_skills_source.js';
+import userConstraintsOverridePin from './004_user_constraints_override_pin.js';
+import skillHealth from './005_skill_health.js';
+import embeddingModel from './006_embedding_model.js';
+import apiKeys from './007_api_keys.js';
+import memoryMergedFrom from './008_memory_merged_from.js';
+import memoryValidity from './009_memory_validity.js';
+import changeLog from './010_change_log.js';
+import entityGraph from './011_entity_graph.js';
+import memoryTrash from './012_memory_trash.js';
+import memoryRevisions from './013_memory_revisions.js';
+import memoryTags from './014_memory_tags.js';
+import memoryExpiry from './015_memory_expiry.js';
+import entitySource from './016_entity_source.js';
+import documents from './017_documents.js';
+import savedSearches from './018_saved_searches.js';
+import conversationTurns from './019_conversation_turns.js';
+import queryClassifierExamples from './020_query_classifier_examples.js';
+import reminders from './021_reminders.js';
+
+export default [
+  initialSchema,
+  contextRulesManagement,
+  installedSkillsSource,
+  userConstraintsOverridePin,
+  skillHealth,
+  embeddingModel,
+  apiKeys,
+  memoryMergedFrom,
+  memoryValidity,
+  changeLog,
+  entityGraph,
+  memoryTrash,
+  memoryRevisions,
+  memoryTags,
+  memoryExpiry,
+  entitySource,
+  documents,
+  savedSearches,
+  conversationTurns,
+  queryClassifierExamples,
+  reminders,
+];
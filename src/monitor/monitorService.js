@@ -3,7 +3,9 @@ import { getScreenCaptureService } from './screenCapture.js';
 import OCRService, { getOCRService } from './ocrService.js';
 import { getDatabaseService } from '../services/database.js';
 import { getEmbeddingService } from '../services/embeddings.js';
+import { getSavedSearchService } from '../services/savedSearch.js';
 import { generateMemoryId } from '../utils/helpers.js';
+import { Conditions, raw, vectorLiteral } from '../utils/sql.js';
 import logger from '../utils/logger.js';
 import { PNG } from 'pngjs';
 import fs from 'fs';
@@ -73,6 +75,7 @@ class MonitorService {
     this.ocr = getOCRService();
     this.db = getDatabaseService();
     this.embeddings = getEmbeddingService();
+    this.savedSearches = getSavedSearchService();
     this._watchModes = new Map();
     // The last non-overlay app the user was in before switching to ThinkDrop.
     // Used by getRecentOcr to prefer captures from the app the user was actually looking at.
@@ -474,7 +477,6 @@ class MonitorService {
 
     // Generate embedding
     const embedding = await this.embeddings.generateEmbedding(embeddingText);
-    const embeddingValues = embedding.map(v => v.toString()).join(',');
 
     // Detect whether the captured image contains the ThinkDrop overlay
     const overlayTainted = isOverlayTainted(processed.filteredText) || isOverlayTainted(ocrResult.text);
@@ -500,24 +502,18 @@ class MonitorService {
 
     // source_text = cleaned text for embedding/search
     // extracted_text = filtered text (gibberish removed, redacted, no noise)
-    const sql = `
-      INSERT INTO episodic_memory (
-        id, user_id, type, source_text, metadata,
-        extracted_text, embedding, created_at, updated_at
-      ) VALUES (
-        '${memoryId}',
-        '${userId}',
-        'screen_capture',
-        '${embeddingText.replace(/'/g, '\'\'')}',
-        '${metadata.replace(/'/g, '\'\'')}',
-        '${processed.filteredText.replace(/'/g, '\'\'')}',
-        list_value(${embeddingValues}),
-        now(),
-        now()
-      )
-    `;
-
-    await this.db.execute(sql);
+    await this.db.insert('episodic_memory', {
+      id: memoryId,
+      user_id: userId,
+      type: 'screen_capture',
+      source_text: embeddingText,
+      metadata,
+      extracted_text: processed.filteredText,
+      embedding: raw(vectorLiteral(embedding)),
+      embedding_model: this.embeddings.getModelId(),
+      created_at: raw('now()'),
+      updated_at: raw('now()')
+    });
 
     // Store entities: app name, window title, and extracted file names
     const entities = [
@@ -531,20 +527,18 @@ class MonitorService {
     }
 
     for (const entity of entities) {
-      const entityId = `ent_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const entitySql = `
-        INSERT INTO episodic_entities (id, memory_id, entity, type, entity_type, normalized_value)
-        VALUES (
-          '${entityId}',
-          '${memoryId}',
-          '${entity.value.replace(/'/g, '\'\'')}',
-          '${entity.type}',
-          '${entity.entity_type}',
-          '${entity.value.toLowerCase().replace(/'/g, '\'\'')}'
-        )
-      `;
-      await this.db.execute(entitySql);
+      await this.db.insert('episodic_entities', {
+        id: `ent_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        memory_id: memoryId,
+        entity: entity.value,
+        type: entity.type,
+        entity_type: entity.entity_type,
+        normalized_value: entity.value.toLowerCase()
+      });
     }
+
+    // Record hits for the user's saved searches (best-effort)
+    await this.savedSearches.evaluate('episodic', { id: memoryId, userId, embedding, entities });
   }
 
   /**
@@ -571,12 +565,11 @@ class MonitorService {
         if (isOverlayTainted(text)) {
           const metadata = JSON.parse(row.metadata || '{}');
           metadata.overlayTainted = true;
-          const safeMetadata = JSON.stringify(metadata).replace(/'/g, '\'\'');
-          await this.db.execute(`
-            UPDATE episodic_memory
-            SET metadata = '${safeMetadata}'
-            WHERE id = '${row.id.replace(/'/g, '\'\'')}'
-          `);
+          await this.db.update(
+            'episodic_memory',
+            { metadata: JSON.stringify(metadata) },
+            new Conditions().add('id = ?', row.id)
+          );
           updated++;
         }
       }
@@ -0,0 +1,117 @@
+import express from 'express';
+import { getApiKeyService } from '../services/apiKeys.js';
+import { formatMCPResponse } from '../utils/helpers.js';
+import { normalizeScopes, scopesCover } from '../utils/scopes.js';
+
+const router = express.Router();
+const apiKeyService = getApiKeyService();
+
+// Operator (env) keys manage every user's keys. A user key holding
+// api_key.*:admin manages only its own user's keys and cannot mint scopes
+// beyond the ones it holds.
+function forbidden(res, requestId, action, message) {
+  return res.status(403).json(formatMCPResponse(action, requestId, 'error', null, {
+    code: 'FORBIDDEN',
+    message
+  }));
+}
+
+async function ownedKey(req, id) {
+  const key = await apiKeyService.get(id);
+  if (req.auth?.type === 'user' && key.userId !== req.auth.userId) {
+    // Don't reveal other users' key ids
+    throw new Error(`API key not found: ${id}`);
+  }
+  return key;
+}
+
+/**
+ * POST /api_key.issue
+ * Issue a key bound to a user. The plaintext key is only returned here.
+ * Body: { payload: { userId, scopes: string[], name?, expiresAt? }, context, requestId }
+ */
+router.post('/api_key.issue', async (req, res, next) => {
+  try {
+    const { payload, requestId } = req.body;
+    if (!payload?.userId || !Array.isArray(payload?.scopes)) {
+      return res.status(400).json({ error: 'Missing required fields: userId, scopes (array)' });
+    }
+    const scopes = normalizeScopes(payload.scopes);
+    if (req.auth?.type === 'user' && !scopesCover(req.auth.scopes, scopes)) {
+      return forbidden(res, requestId, 'api_key.issue', 'Requested scopes exceed the calling key\'s scopes');
+    }
+    const result = await apiKeyService.issue(payload.userId, {
+      scopes,
+      name:      payload.name      ?? null,
+      expiresAt: payload.expiresAt ?? null,
+    });
+    res.json(formatMCPResponse('api_key.issue', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api_key.rotate
+ * Replace a key; the old one is revoked (or expires after graceSeconds).
+ * Body: { payload: { id, graceSeconds?, scopes? }, context, requestId }
+ */
+router.post('/api_key.rotate', async (req, res, next) => {
+  try {
+    const { payload, requestId } = req.body;
+    if (!payload?.id) {
+      return res.status(400).json({ error: 'Missing required field: id' });
+    }
+    await ownedKey(req, payload.id);
+    const scopes = payload.scopes ? normalizeScopes(payload.scopes) : undefined;
+    if (scopes && req.auth?.type === 'user' && !scopesCover(req.auth.scopes, scopes)) {
+      return forbidden(res, requestId, 'api_key.rotate', 'Requested scopes exceed the calling key\'s scopes');
+    }
+    const result = await apiKeyService.rotate(payload.id, {
+      graceSeconds: payload.graceSeconds ?? 0,
+      scopes,
+    });
+    res.json(formatMCPResponse('api_key.rotate', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api_key.revoke
+ * Revoke a key immediately.
+ * Body: { payload: { id }, context, requestId }
+ */
+router.post('/api_key.revoke', async (req, res, next) => {
+  try {
+    const { payload, requestId } = req.body;
+    if (!payload?.id) {
+      return res.status(400).json({ error: 'Missing required field: id' });
+    }
+    await ownedKey(req, payload.id);
+    const result = await apiKeyService.revoke(payload.id);
+    res.json(formatMCPResponse('api_key.revoke', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api_key.list
+ * List keys (never the key material itself).
+ * Body: { payload: { userId?, includeRevoked? }, context, requestId }
+ */
+router.post('/api_key.list', async (req, res, next) => {
+  try {
+    const { payload, requestId } = req.body;
+    const keys = await apiKeyService.list({
+      userId:         req.auth?.type === 'user' ? req.auth.userId : payload?.userId,
+      includeRevoked: payload?.includeRevoked === true,
+    });
+    res.json(formatMCPResponse('api_key.list', requestId, 'ok', { keys, count: keys.length }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
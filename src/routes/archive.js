@@ -0,0 +1,74 @@
+import express from 'express';
+import { getArchiveService, resolveArchivePath } from '../services/archive.js';
+import { formatMCPResponse } from '../utils/helpers.js';
+
+const router = express.Router();
+const archiveService = getArchiveService();
+
+function forbidden(res, requestId, action, message) {
+  return res.status(403).json(formatMCPResponse(action, requestId, 'error', null, {
+    code: 'FORBIDDEN',
+    message
+  }));
+}
+
+/**
+ * POST /memory.export
+ * Export memory, rules, traits, profile and constraints as a JSONL bundle.
+ * With `file`, the bundle is written to ARCHIVE_DIR/<file> and only the
+ * manifest is returned; otherwise the bundle is returned inline.
+ * A user key exports its own user's rows only, inline, without the shared
+ * (not user-scoped) tables; operator keys may pass userId or omit it for all.
+ * Body: { payload: { file?, userId?, includeEmbeddings?, tables? }, context, requestId }
+ */
+router.post('/memory.export', async (req, res, next) => {
+  try {
+    const { payload, requestId } = req.body;
+    const userKey = req.auth?.type === 'user';
+    if (userKey && payload.file) {
+      return forbidden(res, requestId, 'memory.export', 'User API keys cannot write export files');
+    }
+    const options = {
+      userId: userKey ? req.auth.userId : (payload.userId ?? null),
+      userTablesOnly: userKey,
+      includeEmbeddings: payload.includeEmbeddings !== false,
+      tables: Array.isArray(payload.tables) ? payload.tables : undefined,
+    };
+
+    const result = payload.file
+      ? await archiveService.exportToFile(resolveArchivePath(payload.file), options)
+      : await archiveService.exportBundle(options);
+    res.json(formatMCPResponse('memory.export', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /memory.import
+ * Import a bundle produced by memory.export, either inline (`bundle`) or from
+ * ARCHIVE_DIR/<file>. Rows without embeddings are re-embedded unless
+ * `reembed` is false.
+ * Body: { payload: { bundle? | file?, strategy?: 'skip'|'merge'|'overwrite', reembed? }, context, requestId }
+ */
+router.post('/memory.import', async (req, res, next) => {
+  try {
+    const { payload, requestId } = req.body;
+    if (!payload.bundle && !payload.file) {
+      return res.status(400).json({ error: 'Missing required field: bundle or file' });
+    }
+    const options = {
+      strategy: payload.strategy || 'skip',
+      reembed: payload.reembed !== false,
+    };
+
+    const result = payload.file
+      ? await archiveService.importFromFile(resolveArchivePath(payload.file), options)
+      : await archiveService.importBundle(payload.bundle, options);
+    res.json(formatMCPResponse('memory.import', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
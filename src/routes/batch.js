@@ -0,0 +1,76 @@
+import express from 'express';
+import { getMemoryService } from '../services/memory.js';
+import { formatMCPResponse, auditInfo } from '../utils/helpers.js';
+
+const router = express.Router();
+const memoryService = getMemoryService();
+
+/**
+ * POST /memory.storeBatch
+ * Store up to BATCH_MAX_ITEMS memories in one request. Each item takes the
+ * memory.store payload. Partial failures are reported per item.
+ * Body: { payload: { items: [{ text, metadata?, entities?, type?, validFrom?, validUntil?, ... }] }, context, requestId }
+ */
+router.post('/memory.storeBatch', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload.items) {
+      throw new Error('Missing required field: items');
+    }
+
+    const result = await memoryService.storeBatch(payload.items, context);
+
+    res.json(formatMCPResponse('memory.storeBatch', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /memory.updateBatch
+ * Update many memories. Each item takes the memory.update payload.
+ * Body: { payload: { items: [{ memoryId, updates }] }, context, requestId }
+ */
+router.post('/memory.updateBatch', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload.items) {
+      throw new Error('Missing required field: items');
+    }
+
+    const result = await memoryService.updateBatch(payload.items, context, {
+      audit: auditInfo(req, 'memory.updateBatch')
+    });
+
+    res.json(formatMCPResponse('memory.updateBatch', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /memory.deleteBatch
+ * Delete many memories (to the trash unless permanent: true).
+ * Body: { payload: { memoryIds: [...], permanent? }, context, requestId }
+ */
+router.post('/memory.deleteBatch', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload.memoryIds) {
+      throw new Error('Missing required field: memoryIds');
+    }
+
+    const result = await memoryService.deleteBatch(payload.memoryIds, context, {
+      permanent: payload.permanent === true
+    });
+
+    res.json(formatMCPResponse('memory.deleteBatch', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+import express from 'express';
+import { getChangeFeedService, parseTables, matchesFilter } from '../services/changeFeed.js';
+import { formatMCPResponse } from '../utils/helpers.js';
+import { int } from '../utils/sql.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+const changeFeed = getChangeFeedService();
+
+const HEARTBEAT_MS = 25000;
+const STREAM_PAGE = 500;
+
+/**
+ * User filter for a request: a user key only ever sees its own user (plus
+ * global rule changes); operator keys may pass userId or omit it for all.
+ */
+function userFilter(req, requested) {
+  if (req.auth?.type === 'user') return req.auth.userId;
+  return requested || null;
+}
+
+/**
+ * POST /changes.list
+ * Poll the change log. Pass the returned cursor back to resume; reset: true
+ * means the cursor fell behind retention and the client should resync.
+ * Body: { payload: { cursor?, tables?, userId?, limit? }, context, requestId }
+ */
+router.post('/changes.list', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+    const result = await changeFeed.since(payload.cursor ?? 0, {
+      tables: parseTables(payload.tables),
+      userId: userFilter(req, payload.userId ?? context?.userId),
+      limit: payload.limit,
+    });
+    res.json(formatMCPResponse('changes.list', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /changes.stream?tables=memory,context_rules&userId=...&cursor=<seq|latest>
+ * Server-Sent Events stream of changes. Each event is
+ *   id: <seq>  event: change  data: { seq, table, op, id, userId, data, at }
+ * A reconnecting EventSource resumes from its Last-Event-ID. Without a cursor
+ * the stream starts at the latest change (only new changes are sent).
+ *
+ * Mounted outside the MCP envelope validation: it is a GET with no body.
+ */
+export const streamRouter = express.Router();
+
+streamRouter.get('/changes.stream', async (req, res, next) => {
+  let filter;
+  let cursor;
+  let reset = false;
+  try {
+    filter = {
+      tables: parseTables(req.query.tables),
+      userId: userFilter(req, req.query.userId),
+    };
+    const requested = req.get('Last-Event-ID') ?? req.query.cursor;
+    if (requested === undefined || requested === 'latest') {
+      cursor = await changeFeed.latestSeq();
+    } else {
+      cursor = int(requested);
+      const oldest = await changeFeed.oldestSeq();
+      reset = cursor > 0 && oldest !== null && cursor < oldest - 1;
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  let closed = false;
+  let pumping = false;
+  let pending = false;
+
+  const send = (event, data, id) => {
+    if (closed) return;
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Always read from the log rather than forwarding emitted objects, so
+  // events arrive in seq order with no gaps even while catching up.
+  const pump = async () => {
+    if (pumping) {
+      pending = true;
+      return;
+    }
+    pumping = true;
+    try {
+      do {
+        pending = false;
+        const page = await changeFeed.since(cursor, { ...filter, limit: STREAM_PAGE });
+        for (const change of page.changes) send('change', change, change.seq);
+        cursor = page.cursor;
+        if (page.changes.length === STREAM_PAGE) pending = true;
+      } while (pending && !closed);
+    } catch (error) {
+      logger.warn('[changes.stream] read failed:', error.message);
+    } finally {
+      pumping = false;
+    }
+  };
+
+  const unsubscribe = changeFeed.subscribe(change => {
+    if (matchesFilter(change, filter)) pump();
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  if (reset) send('reset', { cursor, reason: 'cursor older than retained change log' });
+  send('ready', { cursor, tables: filter.tables, userId: filter.userId });
+  await pump();
+});
+
+export default router;
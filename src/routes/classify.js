@@ -1,9 +1,9 @@
 import express from 'express';
-import { getMemoryService } from '../services/memory.js';
+import { getQueryClassifierService } from '../services/queryClassifier.js';
 import { formatMCPResponse } from '../utils/helpers.js';
 
 const router = express.Router();
-const memoryService = getMemoryService();
+const queryClassifier = getQueryClassifierService();
 
 router.post('/memory.classify-conversational-query', async (req, res, next) => {
   try {
@@ -13,7 +13,7 @@ router.post('/memory.classify-conversational-query', async (req, res, next) => {
       throw new Error('Missing required field: query');
     }
 
-    const result = memoryService.classifyConversationalQuery(payload.query, { ...payload, context });
+    const result = await queryClassifier.classify(payload.query, { ...payload, context });
 
     res.json(formatMCPResponse(
       'memory.classify-conversational-query',
@@ -26,4 +26,29 @@ router.post('/memory.classify-conversational-query', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /memory.classify.feedback
+ * Correct a classification: the query becomes a labeled example for the
+ * user, so similar queries are classified the same way from now on.
+ * Body: { payload: { query, label, wrongLabel? }, context, requestId }
+ */
+router.post('/memory.classify.feedback', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload?.query || !payload?.label) {
+      return res.status(400).json({ error: 'Missing required fields: query, label' });
+    }
+
+    const result = await queryClassifier.feedback(payload.query, payload.label, {
+      wrongLabel: payload.wrongLabel,
+      context
+    });
+
+    res.json(formatMCPResponse('memory.classify.feedback', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import { getConsolidationService } from '../services/consolidation.js';
+import { formatMCPResponse, extractUserId } from '../utils/helpers.js';
+
+const router = express.Router();
+const consolidationService = getConsolidationService();
+
+/**
+ * POST /memory.consolidate
+ * Cluster near-duplicate memories and merge each cluster into a canonical
+ * memory. Defaults to a dry run that only returns the proposed clusters;
+ * pass dryRun: false (optionally with the canonicalIds to accept) to apply.
+ * Body: { payload: { dryRun?, canonicalIds?, similarityThreshold?, strictThreshold?, minEntityOverlap? }, context, requestId }
+ */
+router.post('/memory.consolidate', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+    if (payload.canonicalIds !== undefined && !Array.isArray(payload.canonicalIds)) {
+      return res.status(400).json({ error: 'Invalid field: canonicalIds must be an array' });
+    }
+    const result = await consolidationService.consolidate(extractUserId(context), {
+      dryRun:              payload.dryRun !== false,
+      canonicalIds:        payload.canonicalIds,
+      similarityThreshold: payload.similarityThreshold,
+      strictThreshold:     payload.strictThreshold,
+      minEntityOverlap:    payload.minEntityOverlap,
+    });
+    res.json(formatMCPResponse('memory.consolidate', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,89 @@
+import express from 'express';
+import { getConversationService } from '../services/conversation.js';
+import { formatMCPResponse } from '../utils/helpers.js';
+
+const router = express.Router();
+const conversationService = getConversationService();
+
+/**
+ * POST /conversation.append
+ * Append one turn ({ role, text }) or several (turns: [...]) to a session.
+ * Body: { payload: { sessionId, role?, text?, metadata?, turns? }, context, requestId }
+ */
+router.post('/conversation.append', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload?.sessionId && !context?.sessionId) {
+      return res.status(400).json({ error: 'Missing required field: sessionId' });
+    }
+    if (!payload.text && !payload.turns) {
+      return res.status(400).json({ error: 'Missing required field: text or turns' });
+    }
+
+    const result = await conversationService.append(payload, context);
+
+    res.json(formatMCPResponse('conversation.append', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /conversation.get
+ * A session's turns in order.
+ * Body: { payload: { sessionId, limit?, offset? }, context, requestId }
+ */
+router.post('/conversation.get', async (req, res, next) => {
+  try {
+    const { payload = {}, context, requestId } = req.body;
+
+    const sessionId = payload.sessionId || context?.sessionId;
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Missing required field: sessionId' });
+    }
+
+    const result = await conversationService.get(sessionId, context, {
+      limit:  payload.limit,
+      offset: payload.offset
+    });
+
+    res.json(formatMCPResponse('conversation.get', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /conversation.resolve
+ * Classify a query that refers back to the conversation and return the
+ * turns that answer it: first/last turns, turns about a topic, or a digest
+ * of the session.
+ * Body: { payload: { query, sessionId, limit?, topic?, minSimilarity?, classification? }, context, requestId }
+ */
+router.post('/conversation.resolve', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload?.query) {
+      return res.status(400).json({ error: 'Missing required field: query' });
+    }
+    if (!payload.sessionId && !context?.sessionId) {
+      return res.status(400).json({ error: 'Missing required field: sessionId' });
+    }
+
+    const result = await conversationService.resolve(payload.query, context, {
+      sessionId:      payload.sessionId,
+      limit:          payload.limit,
+      topic:          payload.topic,
+      minSimilarity:  payload.minSimilarity,
+      classification: payload.classification
+    });
+
+    res.json(formatMCPResponse('conversation.resolve', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -13,7 +13,10 @@ router.post('/memory.delete', async (req, res, next) => {
       throw new Error('Missing required field: memoryId');
     }
 
-    const result = await memoryService.deleteMemory(payload.memoryId, context);
+    // Trashed by default; permanent: true skips the trash
+    const result = await memoryService.deleteMemory(payload.memoryId, context, {
+      permanent: payload.permanent === true
+    });
 
     res.json(formatMCPResponse(
       'memory.delete',
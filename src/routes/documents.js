@@ -0,0 +1,94 @@
+import express from 'express';
+import { getDocumentService } from '../services/documents.js';
+import { formatMCPResponse } from '../utils/helpers.js';
+
+const router = express.Router();
+const documentService = getDocumentService();
+
+/**
+ * POST /document.ingest
+ * Store a long text (transcript, article) as overlapping chunk memories
+ * linked to a parent document.
+ * Body: { payload: { text, title?, metadata?, chunkSize?, chunkOverlap?, extractEntities? }, context, requestId }
+ */
+router.post('/document.ingest', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload?.text) {
+      return res.status(400).json({ error: 'Missing required field: text' });
+    }
+
+    const result = await documentService.ingest(payload, context);
+
+    res.json(formatMCPResponse('document.ingest', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /document.get
+ * A document's details and chunks, optionally with the full text.
+ * Body: { payload: { documentId, includeText? }, context, requestId }
+ */
+router.post('/document.get', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload?.documentId) {
+      return res.status(400).json({ error: 'Missing required field: documentId' });
+    }
+
+    const result = await documentService.get(payload.documentId, context, {
+      includeText: payload.includeText === true
+    });
+
+    res.json(formatMCPResponse('document.get', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /document.list
+ * The user's documents, newest first.
+ * Body: { payload: { limit?, offset? }, context, requestId }
+ */
+router.post('/document.list', async (req, res, next) => {
+  try {
+    const { payload = {}, context, requestId } = req.body;
+
+    const result = await documentService.list(context, {
+      limit:  payload.limit,
+      offset: payload.offset
+    });
+
+    res.json(formatMCPResponse('document.list', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /document.delete
+ * Delete a document and permanently delete its chunks.
+ * Body: { payload: { documentId }, context, requestId }
+ */
+router.post('/document.delete', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload?.documentId) {
+      return res.status(400).json({ error: 'Missing required field: documentId' });
+    }
+
+    const result = await documentService.delete(payload.documentId, context);
+
+    res.json(formatMCPResponse('document.delete', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import { getMemoryService } from '../services/memory.js';
+import { formatMCPResponse } from '../utils/helpers.js';
+
+const router = express.Router();
+const memoryService = getMemoryService();
+
+/**
+ * POST /memory.entities.backfill
+ * Run rule-based entity extraction over the user's existing memories.
+ * Memories with caller-provided entities are left alone.
+ * Body: { payload: { dryRun?, limit? }, context, requestId }
+ */
+router.post('/memory.entities.backfill', async (req, res, next) => {
+  try {
+    const { payload = {}, context, requestId } = req.body;
+
+    const result = await memoryService.backfillEntities(context, {
+      dryRun: payload.dryRun === true,
+      limit:  payload.limit
+    });
+
+    res.json(formatMCPResponse('memory.entities.backfill', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -6,11 +6,6 @@ import crypto from 'crypto';
 
 const router = express.Router();
 
-// ── SQL helper ─────────────────────────────────────────────────────────────────
-function sq(val) {
-  return '\'' + String(val).replace(/'/g, '\'\'') + '\'';
-}
-
 // ── EMA update ─────────────────────────────────────────────────────────────────
 function emaUpdate(stored, incoming, alpha) {
   return stored.map((v, i) => v * (1 - alpha) + (incoming[i] || 0) * alpha);
@@ -43,7 +38,7 @@ router.post('/fingerprint.enroll', async (req, res, next) => {
     }
 
     const db = getDatabaseService();
-    const existing = await db.query(`SELECT * FROM voice_fingerprint WHERE speaker_id = ${sq(speaker_id)}`);
+    const existing = await db.query('SELECT * FROM voice_fingerprint WHERE speaker_id = ?', [String(speaker_id)]);
 
     if (existing && existing.length > 0) {
       // Update: blend features via EMA
@@ -60,16 +55,25 @@ router.post('/fingerprint.enroll', async (req, res, next) => {
 
       await db.execute(`
         UPDATE voice_fingerprint SET
-          features_json = ${sq(JSON.stringify(blended))},
-          sample_count  = ${newSampleCount},
-          gender        = ${sq(gender !== 'unknown' ? gender : row.gender)},
-          age_group     = ${sq(age_group)},
-          angry_count   = ${newAngryCount},
-          loud_count    = ${newLoudCount},
-          whisper_count = ${newWhisperCount},
+          features_json = ?,
+          sample_count  = ?,
+          gender        = ?,
+          age_group     = ?,
+          angry_count   = ?,
+          loud_count    = ?,
+          whisper_count = ?,
           updated_at    = now()
-        WHERE speaker_id = ${sq(speaker_id)}
-      `);
+        WHERE speaker_id = ?
+      `, [
+        JSON.stringify(blended),
+        newSampleCount,
+        String(gender !== 'unknown' ? gender : row.gender),
+        String(age_group),
+        newAngryCount,
+        newLoudCount,
+        newWhisperCount,
+        String(speaker_id),
+      ]);
 
       logger.info('[Fingerprint] Updated speaker', {
         speaker_id,
@@ -95,8 +99,8 @@ router.post('/fingerprint.enroll', async (req, res, next) => {
       INSERT INTO voice_fingerprint
         (id, speaker_id, speaker_name, features_json, sample_count, gender, age_group, angry_count, loud_count, whisper_count)
       VALUES
-        (${sq(id)}, ${sq(speaker_id)}, ${sq(speaker_name)}, ${sq(JSON.stringify(features))}, 1, ${sq(gender)}, ${sq(age_group)}, 0, 0, 0)
-    `);
+        (?, ?, ?, ?, 1, ?, ?, 0, 0, 0)
+    `, [id, String(speaker_id), String(speaker_name), JSON.stringify(features), String(gender), String(age_group)]);
 
     logger.info('[Fingerprint] Enrolled new speaker', { speaker_id, speaker_name, gender, age_group });
 
@@ -149,7 +153,7 @@ router.post('/fingerprint.get', async (req, res, next) => {
     }
 
     const db = getDatabaseService();
-    const rows = await db.query(`SELECT * FROM voice_fingerprint WHERE speaker_id = ${sq(speaker_id)}`);
+    const rows = await db.query('SELECT * FROM voice_fingerprint WHERE speaker_id = ?', [String(speaker_id)]);
     const row = rows && rows[0];
 
     if (!row) {
@@ -191,10 +195,10 @@ router.post('/fingerprint.rename', async (req, res, next) => {
     }
 
     const db = getDatabaseService();
-    await db.execute(`
-      UPDATE voice_fingerprint SET speaker_name = ${sq(speaker_name)}, updated_at = now()
-      WHERE speaker_id = ${sq(speaker_id)}
-    `);
+    await db.execute(
+      'UPDATE voice_fingerprint SET speaker_name = ?, updated_at = now() WHERE speaker_id = ?',
+      [String(speaker_name), String(speaker_id)]
+    );
 
     return res.json(formatMCPResponse('fingerprint.rename', requestId, 'ok', { speaker_id, speaker_name }));
   } catch (error) {
@@ -216,7 +220,7 @@ router.post('/fingerprint.delete', async (req, res, next) => {
     }
 
     const db = getDatabaseService();
-    await db.execute(`DELETE FROM voice_fingerprint WHERE speaker_id = ${sq(speaker_id)}`);
+    await db.execute('DELETE FROM voice_fingerprint WHERE speaker_id = ?', [String(speaker_id)]);
 
     return res.json(formatMCPResponse('fingerprint.delete', requestId, 'ok', { deleted: true, speaker_id }));
   } catch (error) {
@@ -0,0 +1,109 @@
+import express from 'express';
+import { getEntityGraphService } from '../services/entityGraph.js';
+import { formatMCPResponse, extractUserId } from '../utils/helpers.js';
+
+const router = express.Router();
+const graphService = getEntityGraphService();
+
+/**
+ * Entity reference from a payload: { entityId } or { entity: name, type? }.
+ * graph.path passes prefixed fields (fromId / from / fromType).
+ */
+function entityRef(payload, prefix = null) {
+  if (!prefix) {
+    return { entityId: payload.entityId, name: payload.entity, type: payload.type };
+  }
+  return { entityId: payload[`${prefix}Id`], name: payload[prefix], type: payload[`${prefix}Type`] };
+}
+
+/**
+ * POST /graph.entity
+ * Look up an entity: its canonical node, the memories that mention it and a
+ * count of connected entities per relation.
+ * Body: { payload: { entity | entityId, type?, memoryLimit?, validity? }, context, requestId }
+ */
+router.post('/graph.entity', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+    if (!payload?.entity && !payload?.entityId) {
+      return res.status(400).json({ error: 'Missing required field: entity or entityId' });
+    }
+    const result = await graphService.entity(extractUserId(context), entityRef(payload), {
+      memoryLimit: payload.memoryLimit ?? 10,
+      validity:    payload.validity    ?? 'current',
+    });
+    res.json(formatMCPResponse('graph.entity', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /graph.neighbors
+ * Entities connected to an entity, strongest first, with supporting memories.
+ * "Who works with John": { entity: 'John', relation: 'works_with' }.
+ * "What projects is Sarah on": { entity: 'Sarah', neighborType: 'project' }.
+ * Body: { payload: { entity | entityId, type?, relation?, neighborType?, limit?, memoryLimit?, validity? }, context, requestId }
+ */
+router.post('/graph.neighbors', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+    if (!payload?.entity && !payload?.entityId) {
+      return res.status(400).json({ error: 'Missing required field: entity or entityId' });
+    }
+    const result = await graphService.neighbors(extractUserId(context), entityRef(payload), {
+      relation:     payload.relation     ?? null,
+      neighborType: payload.neighborType ?? null,
+      limit:        payload.limit        ?? 25,
+      memoryLimit:  payload.memoryLimit  ?? 3,
+      validity:     payload.validity     ?? 'current',
+    });
+    res.json(formatMCPResponse('graph.neighbors', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /graph.path
+ * Shortest chain of relations linking two entities.
+ * Body: { payload: { from | fromId, fromType?, to | toId, toType?, maxDepth?, relation?, validity? }, context, requestId }
+ */
+router.post('/graph.path', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+    if ((!payload?.from && !payload?.fromId) || (!payload?.to && !payload?.toId)) {
+      return res.status(400).json({ error: 'Missing required fields: from/fromId, to/toId' });
+    }
+    const result = await graphService.path(
+      extractUserId(context),
+      entityRef(payload, 'from'),
+      entityRef(payload, 'to'),
+      {
+        maxDepth: payload.maxDepth ?? 4,
+        relation: payload.relation ?? null,
+        validity: payload.validity ?? 'current',
+      }
+    );
+    res.json(formatMCPResponse('graph.path', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /graph.rebuild
+ * Re-derive the user's graph from their memories (typed relations included).
+ * Body: { payload: {}, context, requestId }
+ */
+router.post('/graph.rebuild', async (req, res, next) => {
+  try {
+    const { context, requestId } = req.body;
+    const result = await graphService.rebuild(extractUserId(context));
+    res.json(formatMCPResponse('graph.rebuild', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,57 @@
+import express from 'express';
+import { getMemoryService } from '../services/memory.js';
+import { formatMCPResponse, auditInfo } from '../utils/helpers.js';
+
+const router = express.Router();
+const memoryService = getMemoryService();
+
+/**
+ * POST /memory.history
+ * Every version of a memory, oldest first. Each replaced version carries
+ * `diff` (what the next change altered) and `replacedBy` (action, request id,
+ * source and actor of that change).
+ * Body: { payload: { memoryId }, context, requestId }
+ */
+router.post('/memory.history', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload.memoryId) {
+      throw new Error('Missing required field: memoryId');
+    }
+
+    const result = await memoryService.getHistory(payload.memoryId, context);
+
+    res.json(formatMCPResponse('memory.history', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /memory.revert
+ * Roll a memory back to an earlier revision (as listed by memory.history).
+ * Body: { payload: { memoryId, revision }, context, requestId }
+ */
+router.post('/memory.revert', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload.memoryId || payload.revision === undefined) {
+      return res.status(400).json({ error: 'Missing required fields: memoryId, revision' });
+    }
+
+    const result = await memoryService.revertMemory(
+      payload.memoryId,
+      payload.revision,
+      context,
+      auditInfo(req, 'memory.revert')
+    );
+
+    res.json(formatMCPResponse('memory.revert', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -6,12 +6,6 @@ import crypto from 'crypto';
 
 const router = express.Router();
 
-// ── SQL helper: wrap a JS string as a SQL single-quoted literal ────────────────
-// Using a function avoids inline quote literals that ESLint flags inside template strings.
-function sq(val) {
-  return '\'' + String(val).replace(/'/g, '\'\'') + '\'';
-}
-
 // ── Mood label computation from VAD values ─────────────────────────────────────
 
 function computeMoodLabel(valence, arousal) {
@@ -147,13 +141,15 @@ router.post('/personality.event', async (req, res, next) => {
       'INSERT INTO personality_state',
       '(id, valence, arousal, dominance, mood_label, mood_reason, hurt_count, joy_count, updated_at)',
       'VALUES',
-      '(' + sq('singleton') + ', ' + newValence + ', ' + newArousal + ', ' + newDominance + ', ' + sq(newMoodLabel) + ', ' + sq(moodReason) + ', ' + newHurtCount + ', ' + newJoyCount + ', now())',
+      '(\'singleton\', ?, ?, ?, ?, ?, ?, ?, now())',
       'ON CONFLICT (id) DO UPDATE SET',
       'valence = excluded.valence, arousal = excluded.arousal, dominance = excluded.dominance,',
       'mood_label = excluded.mood_label, mood_reason = excluded.mood_reason,',
       'hurt_count = excluded.hurt_count, joy_count = excluded.joy_count, updated_at = now()',
     ].join(' ');
-    await db.execute(insertSql);
+    await db.execute(insertSql, [
+      newValence, newArousal, newDominance, newMoodLabel, String(moodReason), newHurtCount, newJoyCount,
+    ]);
 
     logger.info('[personality.event]', { event_type, source, newMoodLabel, newValence: newValence.toFixed(3), newArousal: newArousal.toFixed(3) });
 
@@ -258,23 +254,24 @@ router.post('/personality.upsertTrait', async (req, res, next) => {
     }
 
     const db = getDatabaseService();
-    const safeKey   = trait_key.replace(/'/g, '\'\'');
-    const safeVal   = String(trait_value).replace(/'/g, '\'\'');
-    const safeSrc   = source.replace(/'/g, '\'\'' );
+    const key       = String(trait_key);
+    const value     = String(trait_value);
+    const src       = String(source);
+    const numWeight = Number.isFinite(Number(weight)) ? Number(weight) : 1.0;
 
-    const existing = await db.query(`SELECT id FROM personality_traits WHERE trait_key = '${safeKey}'`); // eslint-disable-line
+    const existing = await db.query('SELECT id FROM personality_traits WHERE trait_key = ?', [key]);
     if (existing && existing.length > 0) {
       await db.execute(`
         UPDATE personality_traits
-        SET trait_value = '${safeVal}', source = '${safeSrc}', weight = ${weight}, updated_at = now()
-        WHERE trait_key = '${safeKey}'
-      `);
+        SET trait_value = ?, source = ?, weight = ?, updated_at = now()
+        WHERE trait_key = ?
+      `, [value, src, numWeight, key]);
     } else {
       const id = `pt_${crypto.randomBytes(4).toString('hex')}`;
       await db.execute(`
         INSERT INTO personality_traits (id, trait_key, trait_value, source, weight, updated_at)
-        VALUES ('${id}', '${safeKey}', '${safeVal}', '${safeSrc}', ${weight}, now())
-      `);
+        VALUES (?, ?, ?, ?, ?, now())
+      `, [id, key, value, src, numWeight]);
     }
 
     logger.info('[personality.upsertTrait]', { trait_key, source });
@@ -0,0 +1,55 @@
+import express from 'express';
+import { getReembedService } from '../services/reembed.js';
+import { formatMCPResponse } from '../utils/helpers.js';
+
+const router = express.Router();
+const reembedService = getReembedService();
+
+/**
+ * POST /embedding.reembed.start
+ * Start a background job re-embedding every row whose vector was produced by
+ * a different model than the active one. Returns immediately with the job.
+ * Body: { payload: { batchSize? }, context, requestId }
+ */
+router.post('/embedding.reembed.start', async (req, res, next) => {
+  try {
+    const { payload, requestId } = req.body;
+    const result = await reembedService.start({ batchSize: payload.batchSize });
+    res.json(formatMCPResponse('embedding.reembed.start', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /embedding.reembed.status
+ * Progress of the current/last job plus live per-table pending counts.
+ * Body: { payload: {}, context, requestId }
+ */
+router.post('/embedding.reembed.status', async (req, res, next) => {
+  try {
+    const { requestId } = req.body;
+    const result = await reembedService.status();
+    res.json(formatMCPResponse('embedding.reembed.status', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /embedding.reembed.cancel
+ * Stop the running job after the current row. Already re-embedded rows keep
+ * their new vectors; starting again resumes with the remaining ones.
+ * Body: { payload: {}, context, requestId }
+ */
+router.post('/embedding.reembed.cancel', async (req, res, next) => {
+  try {
+    const { requestId } = req.body;
+    const result = reembedService.cancel();
+    res.json(formatMCPResponse('embedding.reembed.cancel', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,118 @@
+import express from 'express';
+import { getReminderService } from '../services/reminders.js';
+import { formatMCPResponse } from '../utils/helpers.js';
+
+const router = express.Router();
+const reminderService = getReminderService();
+
+/**
+ * POST /reminder.create
+ * Create a reminder due at a time, optionally recurring.
+ * Body: { payload: { text, dueAt, rrule?, memoryId?, metadata? }, context, requestId }
+ */
+router.post('/reminder.create', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload?.text) {
+      return res.status(400).json({ error: 'Missing required field: text' });
+    }
+    if (!payload.dueAt) {
+      return res.status(400).json({ error: 'Missing required field: dueAt' });
+    }
+
+    const result = await reminderService.create(payload, context);
+
+    res.json(formatMCPResponse('reminder.create', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /reminder.list
+ * The user's reminders by due time.
+ * Body: { payload: { status?, limit?, offset? }, context, requestId }
+ */
+router.post('/reminder.list', async (req, res, next) => {
+  try {
+    const { payload = {}, context, requestId } = req.body;
+
+    const result = await reminderService.list(context, {
+      status: payload.status || null,
+      limit:  payload.limit,
+      offset: payload.offset
+    });
+
+    res.json(formatMCPResponse('reminder.list', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /reminder.due
+ * Reminders due now (or within a look-ahead window), earliest first.
+ * Body: { payload: { within?, limit? }, context, requestId }
+ */
+router.post('/reminder.due', async (req, res, next) => {
+  try {
+    const { payload = {}, context, requestId } = req.body;
+
+    const result = await reminderService.due(context, {
+      within: payload.within,
+      limit:  payload.limit
+    });
+
+    res.json(formatMCPResponse('reminder.due', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /reminder.complete
+ * Mark a reminder done; a recurring one moves to its next occurrence.
+ * Body: { payload: { reminderId }, context, requestId }
+ */
+router.post('/reminder.complete', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload?.reminderId) {
+      return res.status(400).json({ error: 'Missing required field: reminderId' });
+    }
+
+    const result = await reminderService.complete(payload.reminderId, context);
+
+    res.json(formatMCPResponse('reminder.complete', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /reminder.snooze
+ * Snooze a reminder until a time or for a duration (default 10 minutes).
+ * Body: { payload: { reminderId, until?, duration? }, context, requestId }
+ */
+router.post('/reminder.snooze', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload?.reminderId) {
+      return res.status(400).json({ error: 'Missing required field: reminderId' });
+    }
+
+    const result = await reminderService.snooze(payload.reminderId, context, {
+      until:    payload.until || null,
+      duration: payload.duration ?? null
+    });
+
+    res.json(formatMCPResponse('reminder.snooze', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
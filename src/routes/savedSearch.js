@@ -0,0 +1,90 @@
+import express from 'express';
+import { getSavedSearchService } from '../services/savedSearch.js';
+import { formatMCPResponse } from '../utils/helpers.js';
+
+const router = express.Router();
+const savedSearchService = getSavedSearchService();
+
+/**
+ * POST /saved_search.create
+ * Register a standing query; new memories and screen captures that match
+ * it are recorded for saved_search.poll.
+ * Body: { payload: { query?, entities?, name?, minSimilarity?, sources? }, context, requestId }
+ */
+router.post('/saved_search.create', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload?.query && !payload?.entities) {
+      return res.status(400).json({ error: 'Missing required field: query or entities' });
+    }
+
+    const result = await savedSearchService.create(payload, context);
+
+    res.json(formatMCPResponse('saved_search.create', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /saved_search.list
+ * The user's saved searches with match counts.
+ * Body: { payload: {}, context, requestId }
+ */
+router.post('/saved_search.list', async (req, res, next) => {
+  try {
+    const { context, requestId } = req.body;
+
+    const result = await savedSearchService.list(context);
+
+    res.json(formatMCPResponse('saved_search.list', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /saved_search.delete
+ * Delete a saved search and its matches.
+ * Body: { payload: { savedSearchId }, context, requestId }
+ */
+router.post('/saved_search.delete', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload?.savedSearchId) {
+      return res.status(400).json({ error: 'Missing required field: savedSearchId' });
+    }
+
+    const result = await savedSearchService.delete(payload.savedSearchId, context);
+
+    res.json(formatMCPResponse('saved_search.delete', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /saved_search.poll
+ * Unseen matches across all saved searches (or one), oldest first; they are
+ * marked seen unless markSeen is false.
+ * Body: { payload: { savedSearchId?, limit?, markSeen? }, context, requestId }
+ */
+router.post('/saved_search.poll', async (req, res, next) => {
+  try {
+    const { payload = {}, context, requestId } = req.body;
+
+    const result = await savedSearchService.poll(context, {
+      savedSearchId: payload.savedSearchId || null,
+      limit:         payload.limit,
+      markSeen:      payload.markSeen !== false
+    });
+
+    res.json(formatMCPResponse('saved_search.poll', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
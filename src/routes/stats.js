@@ -0,0 +1,30 @@
+import express from 'express';
+import { getStatsService } from '../services/stats.js';
+import { formatMCPResponse } from '../utils/helpers.js';
+
+const router = express.Router();
+const statsService = getStatsService();
+
+/**
+ * POST /memory.stats
+ * Per-user facets: memories by type and month, top entities per type, top
+ * episodic apps, embedding coverage, average text length and storage.
+ * Body: { payload: { months?, topEntities?, topApps? }, context, requestId }
+ */
+router.post('/memory.stats', async (req, res, next) => {
+  try {
+    const { payload = {}, context, requestId } = req.body;
+
+    const result = await statsService.getUserStats(context, {
+      months:      payload.months,
+      topEntities: payload.topEntities,
+      topApps:     payload.topApps
+    });
+
+    res.json(formatMCPResponse('memory.stats', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
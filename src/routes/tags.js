@@ -0,0 +1,127 @@
+import express from 'express';
+import { getTagService } from '../services/tags.js';
+import { formatMCPResponse, extractUserId } from '../utils/helpers.js';
+
+const router = express.Router();
+const tagService = getTagService();
+
+/**
+ * Memory ids from a payload: { memoryId } or { memoryIds: [...] }.
+ */
+function memoryIds(payload) {
+  return payload.memoryIds ?? (payload.memoryId ? [payload.memoryId] : []);
+}
+
+/**
+ * Whether a payload names at least one tag or collection.
+ */
+function hasLabels(payload) {
+  return [payload.tags, payload.collections].some(v => (Array.isArray(v) ? v.length > 0 : Boolean(v)));
+}
+
+/**
+ * POST /memory.tag
+ * Attach tags and/or collections (id or name) to one or more memories.
+ * Body: { payload: { memoryId | memoryIds, tags?, collections? }, context, requestId }
+ */
+router.post('/memory.tag', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+    if (!payload?.memoryId && !payload?.memoryIds) {
+      return res.status(400).json({ error: 'Missing required field: memoryId or memoryIds' });
+    }
+    if (!hasLabels(payload)) {
+      return res.status(400).json({ error: 'Missing required field: tags or collections' });
+    }
+    const result = await tagService.tag(extractUserId(context), memoryIds(payload), {
+      tags:        payload.tags        ?? [],
+      collections: payload.collections ?? [],
+    });
+    res.json(formatMCPResponse('memory.tag', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /memory.untag
+ * Detach tags and/or collections from one or more memories.
+ * Body: { payload: { memoryId | memoryIds, tags?, collections? }, context, requestId }
+ */
+router.post('/memory.untag', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+    if (!payload?.memoryId && !payload?.memoryIds) {
+      return res.status(400).json({ error: 'Missing required field: memoryId or memoryIds' });
+    }
+    if (!hasLabels(payload)) {
+      return res.status(400).json({ error: 'Missing required field: tags or collections' });
+    }
+    const result = await tagService.untag(extractUserId(context), memoryIds(payload), {
+      tags:        payload.tags        ?? [],
+      collections: payload.collections ?? [],
+    });
+    res.json(formatMCPResponse('memory.untag', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /collection.create
+ * Create a named collection. Names are unique per user (case-insensitive).
+ * Body: { payload: { name, description? }, context, requestId }
+ */
+router.post('/collection.create', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+    if (!payload?.name) {
+      return res.status(400).json({ error: 'Missing required field: name' });
+    }
+    const result = await tagService.createCollection(extractUserId(context), {
+      name:        payload.name,
+      description: payload.description ?? null,
+    });
+    res.json(formatMCPResponse('collection.create', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /collection.list
+ * The user's collections with memory counts.
+ * Body: { payload: {}, context, requestId }
+ */
+router.post('/collection.list', async (req, res, next) => {
+  try {
+    const { context, requestId } = req.body;
+    const result = await tagService.listCollections(extractUserId(context));
+    res.json(formatMCPResponse('collection.list', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /collection.delete
+ * Delete a collection. The memories in it are kept, only unlinked.
+ * Body: { payload: { collectionId | name }, context, requestId }
+ */
+router.post('/collection.delete', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+    if (!payload?.collectionId && !payload?.name) {
+      return res.status(400).json({ error: 'Missing required field: collectionId or name' });
+    }
+    const result = await tagService.deleteCollection(extractUserId(context), {
+      collectionId: payload.collectionId,
+      name:         payload.name,
+    });
+    res.json(formatMCPResponse('collection.delete', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
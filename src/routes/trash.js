@@ -0,0 +1,46 @@
+import express from 'express';
+import { getMemoryService } from '../services/memory.js';
+import { formatMCPResponse } from '../utils/helpers.js';
+
+const router = express.Router();
+const memoryService = getMemoryService();
+
+/**
+ * POST /memory.restore
+ * Move a trashed memory back out of the trash.
+ * Body: { payload: { memoryId }, context, requestId }
+ */
+router.post('/memory.restore', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    if (!payload.memoryId) {
+      throw new Error('Missing required field: memoryId');
+    }
+
+    const result = await memoryService.restoreMemory(payload.memoryId, context);
+
+    res.json(formatMCPResponse('memory.restore', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /memory.trash.list
+ * List trashed memories with the time each will be purged.
+ * Body: { payload: { limit?, offset? }, context, requestId }
+ */
+router.post('/memory.trash.list', async (req, res, next) => {
+  try {
+    const { payload, context, requestId } = req.body;
+
+    const result = await memoryService.listTrash(payload, context);
+
+    res.json(formatMCPResponse('memory.trash.list', requestId, 'ok', result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
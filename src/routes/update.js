@@ -1,6 +1,6 @@
 import express from 'express';
 import { getMemoryService } from '../services/memory.js';
-import { formatMCPResponse } from '../utils/helpers.js';
+import { formatMCPResponse, auditInfo } from '../utils/helpers.js';
 
 const router = express.Router();
 const memoryService = getMemoryService();
@@ -20,7 +20,8 @@ router.post('/memory.update', async (req, res, next) => {
     const result = await memoryService.updateMemory(
       payload.memoryId,
       payload.updates,
-      context
+      context,
+      { audit: auditInfo(req, 'memory.update') }
     );
 
     res.json(formatMCPResponse(
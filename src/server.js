@@ -7,10 +7,13 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { getDatabaseService } from './services/database.js';
 import { getEmbeddingService } from './services/embeddings.js';
+import { getReembedService } from './services/reembed.js';
+import { getRerankerService } from './services/reranker.js';
 import { getMetrics } from './middleware/metrics.js';
 import logger from './utils/logger.js';
 import { getMonitorService } from './monitor/monitorService.js';
 import { getRetentionService } from './services/retention.js';
+import { getConsolidationService } from './services/consolidation.js';
 
 // Import middleware
 import authMiddleware from './middleware/auth.js';
@@ -25,6 +28,15 @@ import episodicSearchRoute from './routes/episodicSearch.js';
 import retrieveRoute from './routes/retrieve.js';
 import updateRoute from './routes/update.js';
 import deleteRoute from './routes/delete.js';
+import trashRoute from './routes/trash.js';
+import historyRoute from './routes/history.js';
+import batchRoute from './routes/batch.js';
+import entitiesRoute from './routes/entities.js';
+import documentsRoute from './routes/documents.js';
+import statsRoute from './routes/stats.js';
+import savedSearchRoute from './routes/savedSearch.js';
+import conversationRoute from './routes/conversation.js';
+import remindersRoute from './routes/reminders.js';
 import listRoute from './routes/list.js';
 import classifyRoute from './routes/classify.js';
 import debugRoute from './routes/debug.js';
@@ -42,6 +54,13 @@ import userProfileRoute from './routes/userProfile.js';
 import userConstraintsRoute from './routes/userConstraints.js';
 import pendingTasksRoute from './routes/pendingTasks.js';
 import embedRoute from './routes/embed.js';
+import archiveRoute from './routes/archive.js';
+import reembedRoute from './routes/reembed.js';
+import apiKeyRoute from './routes/apiKeys.js';
+import consolidateRoute from './routes/consolidate.js';
+import changesRoute, { streamRouter as changeStreamRoute } from './routes/changes.js';
+import graphRoute from './routes/graph.js';
+import tagsRoute from './routes/tags.js';
 
 // Load environment variables from service directory
 const __filename = fileURLToPath(import.meta.url);
@@ -96,7 +115,8 @@ app.get('/service.health', async (req, res) => {
           totalRequests: cacheStats.totalRequests
         }
       },
-      retention: retentionStatus
+      retention: retentionStatus,
+      consolidation: getConsolidationService().getStatus()
     });
   } catch (error) {
     logger.error('Health check failed', { error: error.message });
@@ -121,12 +141,20 @@ app.get('/service.capabilities', (req, res) => {
           description: 'Store a new memory with entities and embeddings',
           inputSchema: {
             text: 'string (required)',
-            entities: 'array (optional)',
+            entities: 'array (optional, extracted from the text when omitted)',
+            extractEntities: 'boolean (optional, default: true, set false to skip extraction)',
             metadata: 'object (optional)',
             screenshot: 'string (optional)',
             extractedText: 'string (optional)',
             sessionId: 'string (optional)',
-            userId: 'string (optional)'
+            userId: 'string (optional)',
+            validFrom: 'string (optional, ISO timestamp, default: now)',
+            validUntil: 'string (optional, ISO timestamp)',
+            expiresAt: 'string (optional, ISO timestamp or phrase like "until tomorrow")',
+            ttl: 'number | string (optional, seconds or duration like "2h"; instead of expiresAt)',
+            supersedes: 'array (optional, ids of memories this one replaces)',
+            detectSupersession: 'boolean (optional, default: true)',
+            createReminder: 'boolean (optional, default: false, create a reminder from the first future date entity)'
           }
         },
         {
@@ -136,8 +164,17 @@ app.get('/service.capabilities', (req, res) => {
             query: 'string (required)',
             limit: 'number (optional, default: 25)',
             offset: 'number (optional, default: 0)',
-            filters: 'object (optional)',
-            minSimilarity: 'number (optional, default: 0.3)'
+            filters: 'object (optional, { type, excludeTypes, sessionId, tags, collection })',
+            minSimilarity: 'number (optional, default: 0.3)',
+            validity: 'string (optional, current | all | history, default: current)',
+            fusion: 'object (optional, { strategy: weighted | rrf, weights: { vector, bm25, recency, entity }, k })',
+            explain: 'boolean (optional, default: false, adds a per-result score breakdown)',
+            timezone: 'string (optional, IANA zone for time expressions in the query, or context.timezone)',
+            parseTime: 'boolean (optional, default: true, read "last tuesday" etc. from the query as a date filter)',
+            collapseDocuments: 'boolean (optional, default: true, one result per document with matching passages)',
+            passagesPerDocument: 'number (optional, default: 3)',
+            rerank: 'boolean | object (optional, { topN }, default: RERANK_ENABLED, cross-encoder re-rank of the top 20 candidates)',
+            mmr: 'boolean | object (optional, { lambda: 0-1 (default 0.7), candidates (default 3 × limit) }, diversify results)'
           }
         },
         {
@@ -149,8 +186,11 @@ app.get('/service.capabilities', (req, res) => {
             offset: 'number (optional, default: 0)',
             startDate: 'string (optional)',
             endDate: 'string (optional)',
+            timezone: 'string (optional, IANA zone for time expressions in the query, or context.timezone)',
+            parseTime: 'boolean (optional, default: true, read "yesterday" etc. from the query as a date filter)',
             filters: 'object (optional)',
-            dedup: 'boolean (optional, default: true)'
+            dedup: 'boolean (optional, default: true)',
+            mmr: 'boolean | object (optional, { lambda: 0-1 (default 0.7), candidates (default 3 × limit) }, diversify results)'
           }
         },
         {
@@ -172,30 +212,252 @@ app.get('/service.capabilities', (req, res) => {
         },
         {
           name: 'memory.delete',
-          description: 'Delete memory by ID',
+          description: 'Move a memory to the trash (or delete it permanently)',
+          inputSchema: {
+            memoryId: 'string (required)',
+            permanent: 'boolean (optional, default: false, skip the trash)'
+          }
+        },
+        {
+          name: 'memory.restore',
+          description: 'Restore a trashed memory',
           inputSchema: {
             memoryId: 'string (required)'
           }
         },
+        {
+          name: 'memory.history',
+          description: 'Revision history of a memory with per-change diffs and audit info',
+          inputSchema: {
+            memoryId: 'string (required)'
+          }
+        },
+        {
+          name: 'memory.revert',
+          description: 'Roll a memory back to an earlier revision',
+          inputSchema: {
+            memoryId: 'string (required)',
+            revision: 'number (required, from memory.history)'
+          }
+        },
+        {
+          name: 'memory.storeBatch',
+          description: 'Store many memories in one request with per-item results',
+          inputSchema: {
+            items: 'array (required, max 500) of memory.store payloads'
+          }
+        },
+        {
+          name: 'memory.updateBatch',
+          description: 'Update many memories in one request with per-item results',
+          inputSchema: {
+            items: 'array (required, max 500) of { memoryId, updates }'
+          }
+        },
+        {
+          name: 'memory.deleteBatch',
+          description: 'Delete many memories in one request with per-item results',
+          inputSchema: {
+            memoryIds: 'array (required, max 500) of memory ids',
+            permanent: 'boolean (optional, default: false, skip the trash)'
+          }
+        },
+        {
+          name: 'memory.entities.backfill',
+          description: 'Re-run rule-based entity extraction over existing memories',
+          inputSchema: {
+            dryRun: 'boolean (optional, default: false, report without writing)',
+            limit: 'number (optional, max memories to scan)'
+          }
+        },
+        {
+          name: 'document.ingest',
+          description: 'Store a long text as overlapping, searchable chunks of a parent document',
+          inputSchema: {
+            text: 'string (required, up to 500,000 characters)',
+            title: 'string (optional, default: first line)',
+            metadata: 'object (optional)',
+            chunkSize: 'number (optional, default: 1000 characters)',
+            chunkOverlap: 'number (optional, default: 150 characters)',
+            extractEntities: 'boolean (optional, default: true)'
+          }
+        },
+        {
+          name: 'document.get',
+          description: 'Get a document and its chunks',
+          inputSchema: {
+            documentId: 'string (required)',
+            includeText: 'boolean (optional, default: false)'
+          }
+        },
+        {
+          name: 'document.list',
+          description: 'List documents, newest first',
+          inputSchema: {
+            limit: 'number (optional, default: 25)',
+            offset: 'number (optional, default: 0)'
+          }
+        },
+        {
+          name: 'document.delete',
+          description: 'Delete a document and its chunks',
+          inputSchema: {
+            documentId: 'string (required)'
+          }
+        },
+        {
+          name: 'memory.stats',
+          description: 'Per-user facets: counts by type and month, top entities and apps, embedding coverage, storage',
+          inputSchema: {
+            months: 'number (optional, default: 12, max: 120, length of the byMonth series)',
+            topEntities: 'number (optional, default: 10, entities kept per entity type)',
+            topApps: 'number (optional, default: 10)'
+          }
+        },
+        {
+          name: 'saved_search.create',
+          description: 'Register a standing query matched against newly stored memories and screen captures',
+          inputSchema: {
+            query: 'string (query or entities required)',
+            entities: 'array (query or entities required, strings or { type, value }; all must be mentioned)',
+            name: 'string (optional, default: the query)',
+            minSimilarity: 'number (optional, default: 0.5)',
+            sources: 'array (optional, memory | episodic, default: both)'
+          }
+        },
+        {
+          name: 'saved_search.list',
+          description: 'List saved searches with total and unseen match counts',
+          inputSchema: {}
+        },
+        {
+          name: 'saved_search.delete',
+          description: 'Delete a saved search and its matches',
+          inputSchema: {
+            savedSearchId: 'string (required)'
+          }
+        },
+        {
+          name: 'saved_search.poll',
+          description: 'Fetch unseen saved-search matches, oldest first, and mark them seen',
+          inputSchema: {
+            savedSearchId: 'string (optional, default: all saved searches)',
+            limit: 'number (optional, default: 50, max: 500)',
+            markSeen: 'boolean (optional, default: true)'
+          }
+        },
+        {
+          name: 'reminder.create',
+          description: 'Create a reminder due at a time, optionally recurring',
+          inputSchema: {
+            text: 'string (required)',
+            dueAt: 'string (required, ISO timestamp, epoch ms or phrase like "tomorrow" / "in 2 hours")',
+            rrule: 'string (optional, RRULE subset: FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL)',
+            memoryId: 'string (optional)',
+            metadata: 'object (optional)'
+          }
+        },
+        {
+          name: 'reminder.list',
+          description: 'List reminders by due time',
+          inputSchema: {
+            status: 'string (optional, pending | snoozed | done)',
+            limit: 'number (optional, default: 25)',
+            offset: 'number (optional, default: 0)'
+          }
+        },
+        {
+          name: 'reminder.due',
+          description: 'Reminders due now (snoozed ones from their snooze time), earliest first',
+          inputSchema: {
+            within: 'string (optional, look-ahead duration, e.g. "15m")',
+            limit: 'number (optional, default: 50, max: 500)'
+          }
+        },
+        {
+          name: 'reminder.complete',
+          description: 'Mark a reminder done; a recurring reminder moves to its next occurrence',
+          inputSchema: {
+            reminderId: 'string (required)'
+          }
+        },
+        {
+          name: 'reminder.snooze',
+          description: 'Snooze a reminder',
+          inputSchema: {
+            reminderId: 'string (required)',
+            until: 'string (optional, timestamp or phrase)',
+            duration: 'string (optional, default: 10m)'
+          }
+        },
+        {
+          name: 'memory.trash.list',
+          description: 'List trashed memories with their purge time',
+          inputSchema: {
+            limit: 'number (optional, default: 25)',
+            offset: 'number (optional, default: 0)'
+          }
+        },
         {
           name: 'memory.list',
           description: 'List memories with pagination',
           inputSchema: {
             limit: 'number (optional, default: 25)',
             offset: 'number (optional, default: 0)',
-            filters: 'object (optional)',
+            filters: 'object (optional, { type, excludeTypes, sessionId, tags, collection })',
             sortBy: 'string (optional, default: created_at)',
             sortOrder: 'string (optional, default: DESC)'
           }
         },
         {
           name: 'memory.classify-conversational-query',
-          description: 'Classify if query references conversation history',
+          description: 'Classify if query references conversation history (POSITIONAL, TOPICAL, OVERVIEW or GENERAL) from labeled examples, with regex rules as a fallback',
           inputSchema: {
             query: 'string (required)',
             sessionId: 'string (optional)'
           }
         },
+        {
+          name: 'memory.classify.feedback',
+          description: 'Correct a query classification; the query becomes a labeled example for future classifications',
+          inputSchema: {
+            query: 'string (required)',
+            label: 'string (required, POSITIONAL | TOPICAL | OVERVIEW | GENERAL)',
+            wrongLabel: 'string (optional, the label that was returned)'
+          }
+        },
+        {
+          name: 'conversation.append',
+          description: 'Append one or more turns to a conversation session',
+          inputSchema: {
+            sessionId: 'string (required)',
+            role: 'string (user | assistant | system, required unless turns)',
+            text: 'string (required unless turns)',
+            metadata: 'object (optional)',
+            turns: 'array (optional, up to 100 { role, text, metadata? })'
+          }
+        },
+        {
+          name: 'conversation.get',
+          description: 'Get the turns of a conversation session in order',
+          inputSchema: {
+            sessionId: 'string (required)',
+            limit: 'number (optional, default: 100)',
+            offset: 'number (optional, default: 0)'
+          }
+        },
+        {
+          name: 'conversation.resolve',
+          description: 'Classify a conversational query and return the turns that answer it (first/last turns, turns about a topic, or a session digest)',
+          inputSchema: {
+            query: 'string (required)',
+            sessionId: 'string (required)',
+            limit: 'number (optional, default: 3 positional / 5 topical, max: 50)',
+            topic: 'string (optional, default: taken from the query)',
+            minSimilarity: 'number (optional, default: 0.3, topical only)',
+            classification: 'string (optional, POSITIONAL | TOPICAL | OVERVIEW, skips the classifier)'
+          }
+        },
         {
           name: 'memory.debug-embedding',
           description: 'Test embedding generation and view statistics',
@@ -214,6 +476,191 @@ app.get('/service.capabilities', (req, res) => {
           inputSchema: {
             maxAgeSeconds: 'number (optional, default: 10)'
           }
+        },
+        {
+          name: 'memory.export',
+          description: 'Export memories, rules, traits, profile and constraints as a portable JSONL bundle',
+          inputSchema: {
+            file: 'string (optional, written to ARCHIVE_DIR; bundle returned inline if omitted)',
+            userId: 'string (optional)',
+            includeEmbeddings: 'boolean (optional, default: true)',
+            tables: 'array (optional)'
+          }
+        },
+        {
+          name: 'memory.import',
+          description: 'Import a memory.export bundle, resolving id collisions by strategy',
+          inputSchema: {
+            bundle: 'string (bundle or file required)',
+            file: 'string (bundle or file required, read from ARCHIVE_DIR)',
+            strategy: 'string (optional, skip | merge | overwrite, default: skip)',
+            reembed: 'boolean (optional, default: true)'
+          }
+        },
+        {
+          name: 'changes.list',
+          description: 'Poll the change log (memory and rule mutations) from a cursor',
+          inputSchema: {
+            cursor: 'number (optional, default: 0)',
+            tables: 'array (optional, memory | context_rules | api_rules | user_constraints)',
+            userId: 'string (optional)',
+            limit: 'number (optional, default: 100, max: 1000)'
+          }
+        },
+        {
+          name: 'changes.stream',
+          description: 'GET Server-Sent Events stream of changes; resumes from Last-Event-ID',
+          inputSchema: {
+            tables: 'string (optional, comma-separated query param)',
+            userId: 'string (optional query param)',
+            cursor: 'number | "latest" (optional query param, default: latest)'
+          }
+        },
+        {
+          name: 'memory.consolidate',
+          description: 'Preview or merge near-duplicate memories into canonical memories with provenance',
+          inputSchema: {
+            dryRun: 'boolean (optional, default: true)',
+            canonicalIds: 'array (optional, apply only these previewed clusters)',
+            similarityThreshold: 'number (optional, default: 0.9)',
+            strictThreshold: 'number (optional, default: 0.95, used when either memory has no entities)',
+            minEntityOverlap: 'number (optional, default: 0.5)'
+          }
+        },
+        {
+          name: 'graph.entity',
+          description: 'Canonical entity node with the memories that mention it and its relation counts',
+          inputSchema: {
+            entity: 'string (entity or entityId required)',
+            entityId: 'string (entity or entityId required)',
+            type: 'string (optional, e.g. person | organization | project)',
+            memoryLimit: 'number (optional, default: 10)',
+            validity: 'string (optional, current | all, default: current)'
+          }
+        },
+        {
+          name: 'graph.neighbors',
+          description: 'Entities connected to an entity, weighted by supporting memories',
+          inputSchema: {
+            entity: 'string (entity or entityId required)',
+            entityId: 'string (entity or entityId required)',
+            type: 'string (optional)',
+            relation: 'string (optional, co_occurs | works_with | works_at | works_on | lives_in)',
+            neighborType: 'string (optional)',
+            limit: 'number (optional, default: 25)',
+            memoryLimit: 'number (optional, default: 3)',
+            validity: 'string (optional, current | all, default: current)'
+          }
+        },
+        {
+          name: 'graph.path',
+          description: 'Shortest chain of relations linking two entities',
+          inputSchema: {
+            from: 'string (from or fromId required)',
+            to: 'string (to or toId required)',
+            fromType: 'string (optional)',
+            toType: 'string (optional)',
+            maxDepth: 'number (optional, default: 4, max: 6)',
+            relation: 'string (optional)',
+            validity: 'string (optional, current | all, default: current)'
+          }
+        },
+        {
+          name: 'graph.rebuild',
+          description: 'Re-derive the entity graph from all of the user\'s memories',
+          inputSchema: {}
+        },
+        {
+          name: 'memory.tag',
+          description: 'Attach tags and/or collections to memories',
+          inputSchema: {
+            memoryId: 'string (memoryId or memoryIds required)',
+            memoryIds: 'array (optional)',
+            tags: 'array (optional)',
+            collections: 'array (optional, collection ids or names)'
+          }
+        },
+        {
+          name: 'memory.untag',
+          description: 'Detach tags and/or collections from memories',
+          inputSchema: {
+            memoryId: 'string (memoryId or memoryIds required)',
+            memoryIds: 'array (optional)',
+            tags: 'array (optional)',
+            collections: 'array (optional, collection ids or names)'
+          }
+        },
+        {
+          name: 'collection.create',
+          description: 'Create a named collection of memories',
+          inputSchema: {
+            name: 'string (required, unique per user)',
+            description: 'string (optional)'
+          }
+        },
+        {
+          name: 'collection.list',
+          description: 'List collections with memory counts',
+          inputSchema: {}
+        },
+        {
+          name: 'collection.delete',
+          description: 'Delete a collection (its memories are kept)',
+          inputSchema: {
+            collectionId: 'string (collectionId or name required)',
+            name: 'string (optional)'
+          }
+        },
+        {
+          name: 'embedding.reembed.start',
+          description: 'Start a background job re-embedding rows produced by a different embedding model',
+          inputSchema: {
+            batchSize: 'number (optional, default: 50)'
+          }
+        },
+        {
+          name: 'embedding.reembed.status',
+          description: 'Progress of the re-embed job and per-table counts of stale vectors',
+          inputSchema: {}
+        },
+        {
+          name: 'embedding.reembed.cancel',
+          description: 'Stop the running re-embed job',
+          inputSchema: {}
+        },
+        {
+          name: 'api_key.issue',
+          description: 'Issue a scoped API key bound to a user (plaintext returned once)',
+          inputSchema: {
+            userId: 'string (required)',
+            scopes: 'array (required, e.g. ["memory.*:read", "constraint.*:admin"])',
+            name: 'string (optional)',
+            expiresAt: 'string (optional, ISO timestamp)'
+          }
+        },
+        {
+          name: 'api_key.rotate',
+          description: 'Replace an API key, revoking the old one now or after a grace period',
+          inputSchema: {
+            id: 'string (required)',
+            graceSeconds: 'number (optional, default: 0)',
+            scopes: 'array (optional, defaults to the old key\'s scopes)'
+          }
+        },
+        {
+          name: 'api_key.revoke',
+          description: 'Revoke an API key',
+          inputSchema: {
+            id: 'string (required)'
+          }
+        },
+        {
+          name: 'api_key.list',
+          description: 'List API keys without key material',
+          inputSchema: {
+            userId: 'string (optional)',
+            includeRevoked: 'boolean (optional, default: false)'
+          }
         }
       ],
       features: [
@@ -230,6 +677,7 @@ app.get('/service.capabilities', (req, res) => {
 
 // Apply auth and validation to all MCP routes
 app.use(authMiddleware);
+app.use(changeStreamRoute); // GET SSE stream — no MCP envelope
 app.use(validateMCPRequest);
 
 // MCP action routes
@@ -239,6 +687,15 @@ app.use(episodicSearchRoute);
 app.use(retrieveRoute);
 app.use(updateRoute);
 app.use(deleteRoute);
+app.use(trashRoute);
+app.use(historyRoute);
+app.use(batchRoute);
+app.use(entitiesRoute);
+app.use(documentsRoute);
+app.use(statsRoute);
+app.use(savedSearchRoute);
+app.use(conversationRoute);
+app.use(remindersRoute);
 app.use(listRoute);
 app.use(classifyRoute);
 app.use(debugRoute);
@@ -256,6 +713,13 @@ app.use(userProfileRoute);
 app.use(userConstraintsRoute);
 app.use(pendingTasksRoute);
 app.use(embedRoute);
+app.use(archiveRoute);
+app.use(reembedRoute);
+app.use(apiKeyRoute);
+app.use(consolidateRoute);
+app.use(changesRoute);
+app.use(graphRoute);
+app.use(tagsRoute);
 
 // Error handler (must be last)
 app.use(errorHandler);
@@ -275,10 +739,29 @@ async function startServer() {
     await embeddings.initialize();
     logger.info('Embedding service initialized');
 
+    // Vectors from another model are invisible to search until re-embedded
+    const reembed = getReembedService();
+    const stale = Object.values(await reembed.pendingCounts()).reduce((a, b) => a + b, 0);
+    if (stale > 0 && process.env.EMBEDDING_REEMBED_ON_START === 'true') {
+      await reembed.start();
+    } else if (stale > 0) {
+      logger.warn(`${stale} rows were embedded with a different model than ${embeddings.getModelId()}; run embedding.reembed.start to make them searchable`);
+    }
+
+    // Load the cross-encoder up front when every search re-ranks by default
+    if (process.env.RERANK_ENABLED === 'true') {
+      getRerankerService().initialize().catch(error => {
+        logger.warn('Re-rank model failed to load; searches will keep fused order', { error: error.message });
+      });
+    }
+
     // Start data retention service
     const retention = getRetentionService();
     await retention.start();
 
+    // Start scheduled memory consolidation (opt-in)
+    await getConsolidationService().start();
+
     // Start screen monitor if enabled
     if (process.env.MONITOR_SCREEN_OCR === 'true') {
       const monitor = getMonitorService();
@@ -302,8 +785,34 @@ async function startServer() {
       console.log('   - POST /memory.retrieve');
       console.log('   - POST /memory.update');
       console.log('   - POST /memory.delete');
+      console.log('   - POST /memory.restore');
+      console.log('   - POST /memory.trash.list');
+      console.log('   - POST /memory.history');
+      console.log('   - POST /memory.revert');
+      console.log('   - POST /memory.storeBatch');
+      console.log('   - POST /memory.updateBatch');
+      console.log('   - POST /memory.deleteBatch');
+      console.log('   - POST /memory.entities.backfill');
+      console.log('   - POST /document.ingest');
+      console.log('   - POST /document.get');
+      console.log('   - POST /document.list');
+      console.log('   - POST /document.delete');
+      console.log('   - POST /memory.stats');
+      console.log('   - POST /saved_search.create');
+      console.log('   - POST /saved_search.list');
+      console.log('   - POST /saved_search.delete');
+      console.log('   - POST /saved_search.poll');
+      console.log('   - POST /reminder.create');
+      console.log('   - POST /reminder.list');
+      console.log('   - POST /reminder.due');
+      console.log('   - POST /reminder.complete');
+      console.log('   - POST /reminder.snooze');
       console.log('   - POST /memory.list');
       console.log('   - POST /memory.classify-conversational-query');
+      console.log('   - POST /memory.classify.feedback');
+      console.log('   - POST /conversation.append');
+      console.log('   - POST /conversation.get');
+      console.log('   - POST /conversation.resolve');
       console.log('   - POST /memory.getRecentOcr');
       console.log('   - POST /personality.getState');
       console.log('   - POST /personality.event');
@@ -312,6 +821,20 @@ async function startServer() {
       console.log('   - POST /personality.upsertTrait');
       console.log('   - POST /personality.getOverlay');
       console.log('   - POST /memory.embed');
+      console.log('   - POST /memory.consolidate');
+      console.log('   - POST /changes.list');
+      console.log('   - GET  /changes.stream (SSE)');
+      console.log('   - POST /graph.entity');
+      console.log('   - POST /graph.neighbors');
+      console.log('   - POST /graph.path');
+      console.log('   - POST /graph.rebuild');
+      console.log('   - POST /memory.tag');
+      console.log('   - POST /memory.untag');
+      console.log('   - POST /collection.create');
+      console.log('   - POST /collection.list');
+      console.log('   - POST /collection.delete');
+      console.log('   - POST /embedding.reembed.start');
+      console.log('   - POST /embedding.reembed.status');
       if (process.env.MONITOR_SCREEN_OCR === 'true') {
         console.log('\n👁️  Screen Monitor: ACTIVE');
         console.log(`   Capture interval: ${process.env.SCREEN_CAPTURE_INTERVAL || 10000}ms`);
@@ -408,6 +931,7 @@ async function gracefulShutdown(signal) {
   }
   const retention = getRetentionService();
   await retention.stop();
+  await getConsolidationService().stop();
   const db = getDatabaseService();
   await db.close();
   process.exit(0);
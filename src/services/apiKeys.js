@@ -0,0 +1,203 @@
+import { getDatabaseService } from './database.js';
+import { createHash, randomBytes } from 'crypto';
+import logger from '../utils/logger.js';
+import { Conditions, raw } from '../utils/sql.js';
+import { normalizeScopes } from '../utils/scopes.js';
+
+// ---------------------------------------------------------------------------
+// ApiKeyService — per-user API keys stored in DuckDB.
+//
+// Each key is bound to one user id and a list of action scopes. The plaintext
+// key is returned exactly once (on issue/rotate); only its SHA-256 is kept.
+// Keys are high-entropy random strings, so an unsalted fast hash is enough to
+// make a leaked table useless while keeping lookup a single indexed query.
+//
+// Schema: api_keys(id, user_id, name, key_prefix, key_hash, scopes, ...)
+// ---------------------------------------------------------------------------
+
+const KEY_PREFIX = 'umk_';
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function generateId() {
+  return `ak_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+export function hashKey(key) {
+  return createHash('sha256').update(String(key)).digest('hex');
+}
+
+function toTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid expiresAt: ${value}`);
+  }
+  return date;
+}
+
+function parseScopes(text) {
+  try { return text ? JSON.parse(text) : []; } catch (_) { return []; }
+}
+
+function formatKey(row) {
+  return {
+    id:          row.id,
+    userId:      row.user_id,
+    name:        row.name,
+    keyPrefix:   row.key_prefix,
+    scopes:      parseScopes(row.scopes),
+    rotatedFrom: row.rotated_from,
+    createdAt:   row.created_at,
+    lastUsedAt:  row.last_used_at,
+    expiresAt:   row.expires_at,
+    revokedAt:   row.revoked_at,
+  };
+}
+
+class ApiKeyService {
+  constructor() {
+    this.db = getDatabaseService();
+  }
+
+  /**
+   * Issue a new key for a user.
+   * opts.scopes    — array of 'action-glob:level' strings (required)
+   * opts.name      — label shown in listings
+   * opts.expiresAt — ISO timestamp after which the key stops working
+   * Returns the stored record plus the plaintext `key` (only time it is shown).
+   */
+  async issue(userId, opts = {}) {
+    if (!userId) throw new Error('userId is required');
+    const scopes = normalizeScopes(opts.scopes);
+    const expiresAt = toTimestamp(opts.expiresAt);
+
+    const id = generateId();
+    const key = KEY_PREFIX + randomBytes(32).toString('base64url');
+
+    try {
+      await this.db.insert('api_keys', {
+        id,
+        user_id: String(userId),
+        name: opts.name ? String(opts.name) : null,
+        key_prefix: key.slice(0, KEY_PREFIX.length + 8),
+        key_hash: hashKey(key),
+        scopes: JSON.stringify(scopes),
+        rotated_from: opts.rotatedFrom || null,
+        expires_at: expiresAt,
+      });
+      logger.info(`[ApiKeyService] issued ${id} for user="${userId}" scopes=${scopes.join(',')}`);
+      return { ...(await this.get(id)), key };
+    } catch (error) {
+      logger.error('[ApiKeyService] issue failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a key record by id (never includes the hash).
+   */
+  async get(id) {
+    const rows = await this.db.query('SELECT * FROM api_keys WHERE id = ?', [String(id)]);
+    if (rows.length === 0) throw new Error(`API key not found: ${id}`);
+    return formatKey(rows[0]);
+  }
+
+  /**
+   * Resolve a presented key to its record, or null if unknown, revoked or
+   * expired. Touches last_used_at at most once a minute.
+   */
+  async authenticate(key) {
+    if (!key || !String(key).startsWith(KEY_PREFIX)) return null;
+
+    const rows = await this.db.query(`
+      SELECT * FROM api_keys
+      WHERE key_hash = ?
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > now())
+    `, [hashKey(key)]);
+    if (rows.length === 0) return null;
+
+    const row = rows[0];
+    const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed > LAST_USED_RESOLUTION_MS) {
+      this.db.execute('UPDATE api_keys SET last_used_at = now() WHERE id = ?', [row.id])
+        .catch(error => logger.warn('[ApiKeyService] last_used_at update failed:', error.message));
+    }
+    return formatKey(row);
+  }
+
+  /**
+   * Replace a key with a new one carrying the same user, name and scopes.
+   * The old key is revoked immediately, or keeps working for graceSeconds so
+   * clients can be switched over.
+   */
+  async rotate(id, opts = {}) {
+    const current = await this.get(id);
+    if (current.revokedAt) throw new Error(`Invalid rotation: API key ${id} is revoked`);
+
+    const replacement = await this.issue(current.userId, {
+      scopes: opts.scopes || current.scopes,
+      name: current.name,
+      expiresAt: opts.expiresAt ?? current.expiresAt,
+      rotatedFrom: current.id,
+    });
+
+    const grace = Math.max(0, Number(opts.graceSeconds) || 0);
+    try {
+      if (grace > 0) {
+        await this.db.update('api_keys', {
+          expires_at: new Date(Date.now() + grace * 1000),
+        }, new Conditions().add('id = ?', current.id));
+      } else {
+        await this.db.update('api_keys', { revoked_at: raw('now()') }, new Conditions().add('id = ?', current.id));
+      }
+      logger.info(`[ApiKeyService] rotated ${current.id} → ${replacement.id} (grace ${grace}s)`);
+      return { ...replacement, previous: await this.get(current.id) };
+    } catch (error) {
+      logger.error('[ApiKeyService] rotate failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a key. Idempotent; revoking twice keeps the original timestamp.
+   */
+  async revoke(id) {
+    await this.get(id);
+    try {
+      await this.db.execute(
+        'UPDATE api_keys SET revoked_at = COALESCE(revoked_at, now()) WHERE id = ?',
+        [String(id)]
+      );
+      logger.info(`[ApiKeyService] revoked ${id}`);
+      return { revoked: true, id: String(id) };
+    } catch (error) {
+      logger.error('[ApiKeyService] revoke failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List keys, newest first.
+   * opts.userId         — only this user's keys
+   * opts.includeRevoked — include revoked keys (default false)
+   */
+  async list(opts = {}) {
+    const where = new Conditions();
+    if (opts.userId) where.add('user_id = ?', String(opts.userId));
+    if (!opts.includeRevoked) where.add('revoked_at IS NULL');
+    const rows = await this.db.query(
+      `SELECT * FROM api_keys ${where.toWhere()} ORDER BY created_at DESC`,
+      where.params
+    );
+    return rows.map(formatKey);
+  }
+}
+
+let _instance = null;
+export function getApiKeyService() {
+  if (!_instance) _instance = new ApiKeyService();
+  return _instance;
+}
+
+export default ApiKeyService;
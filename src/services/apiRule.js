@@ -1,5 +1,7 @@
 import { getDatabaseService } from './database.js';
 import logger from '../utils/logger.js';
+import { getChangeFeedService } from './changeFeed.js';
+import { Conditions, raw, int } from '../utils/sql.js';
 
 // ---------------------------------------------------------------------------
 // ApiRuleService — per-service API contract rules for skill generation.
@@ -20,8 +22,6 @@ import logger from '../utils/logger.js';
 // source:       'system' (seed rules) | 'learned' (written from runtime failures)
 // ---------------------------------------------------------------------------
 
-const SQ = '\'';
-
 function generateId() {
   return `ar_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
@@ -29,6 +29,7 @@ function generateId() {
 class ApiRuleService {
   constructor() {
     this.db = getDatabaseService();
+    this.changes = getChangeFeedService();
   }
 
   /**
@@ -40,22 +41,20 @@ class ApiRuleService {
     const { ruleType } = options;
 
     try {
-      const placeholders = services
-        .map(s => `${SQ}${s.replace(/'/g, SQ + SQ).toLowerCase()}${SQ}`)
-        .join(', ');
-
-      const typeFilter = ruleType ? `AND rule_type = '${ruleType}'` : '';
+      const where = new Conditions().in('service', services.map(s => String(s).toLowerCase()));
+      if (ruleType) where.add('rule_type = ?', ruleType);
 
       const rows = await this.db.query(`
         SELECT id, service, rule_type, rule_text, code_pattern, fix_hint, source, hit_count, created_at
         FROM api_rules
-        WHERE service IN (${placeholders}) ${typeFilter}
+        ${where.toWhere()}
         ORDER BY hit_count DESC, created_at DESC
-      `);
+      `, where.params);
 
       for (const row of rows) {
         this.db.execute(
-          `UPDATE api_rules SET hit_count = hit_count + 1, updated_at = now() WHERE id = '${row.id}'`
+          'UPDATE api_rules SET hit_count = hit_count + 1, updated_at = now() WHERE id = ?',
+          [row.id]
         ).catch(() => {});
       }
 
@@ -93,19 +92,14 @@ class ApiRuleService {
       throw new Error('service, ruleType, and ruleText are required');
     }
 
-    const safeService     = service.replace(/'/g, SQ + SQ).toLowerCase().trim();
-    const safeRuleType    = ruleType.replace(/'/g, SQ + SQ);
-    const safeRuleText    = ruleText.replace(/'/g, SQ + SQ);
-    const safeCodePattern = codePattern ? codePattern.replace(/'/g, SQ + SQ) : null;
-    const safeFixHint     = fixHint ? fixHint.replace(/'/g, SQ + SQ) : null;
-    const safeSource      = (source || 'system').replace(/'/g, SQ + SQ);
+    const safeService = String(service).toLowerCase().trim();
 
     try {
       const existing = await this.db.query(`
         SELECT id, rule_text FROM api_rules
-        WHERE service = '${safeService}' AND rule_type = '${safeRuleType}'
+        WHERE service = ? AND rule_type = ?
         ORDER BY hit_count DESC, created_at DESC
-      `);
+      `, [safeService, ruleType]);
 
       for (const row of existing) {
         if (row.rule_text.trim() === ruleText.trim()) {
@@ -115,24 +109,21 @@ class ApiRuleService {
       }
 
       const id = generateId();
-      const patternVal  = safeCodePattern ? `'${safeCodePattern}'` : 'NULL';
-      const fixHintVal  = safeFixHint     ? `'${safeFixHint}'`     : 'NULL';
-
-      await this.db.execute(`
-        INSERT INTO api_rules (id, service, rule_type, rule_text, code_pattern, fix_hint, source, hit_count, created_at, updated_at)
-        VALUES (
-          '${id}',
-          '${safeService}',
-          '${safeRuleType}',
-          '${safeRuleText}',
-          ${patternVal},
-          ${fixHintVal},
-          '${safeSource}',
-          0,
-          now(),
-          now()
-        )
-      `);
+      await this.db.insert('api_rules', {
+        id,
+        service: safeService,
+        rule_type: ruleType,
+        rule_text: ruleText,
+        code_pattern: codePattern || null,
+        fix_hint: fixHint || null,
+        source: source || 'system',
+        hit_count: 0,
+        created_at: raw('now()'),
+        updated_at: raw('now()')
+      });
+      await this.changes.record('api_rules', 'insert', id, {
+        data: { service: safeService, ruleType, ruleText, source: source || 'system' }
+      });
       logger.info(`[ApiRuleService] Inserted rule ${id} for ${service}:${ruleType}`);
       return { id, created: true };
     } catch (error) {
@@ -147,19 +138,18 @@ class ApiRuleService {
   async list(options = {}) {
     const { service, ruleType, source, limit = 200 } = options;
     try {
-      const filters = [];
-      if (service)  filters.push(`service = '${service.replace(/'/g, '\'\'')}'`);
-      if (ruleType) filters.push(`rule_type = '${ruleType.replace(/'/g, '\'\'')}'`);
-      if (source)   filters.push(`source = '${source.replace(/'/g, '\'\'')}'`);
-      const where = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+      const where = new Conditions();
+      if (service)  where.add('service = ?', service);
+      if (ruleType) where.add('rule_type = ?', ruleType);
+      if (source)   where.add('source = ?', source);
 
       const rows = await this.db.query(`
         SELECT id, service, rule_type, rule_text, code_pattern, fix_hint, source, hit_count, created_at, updated_at
         FROM api_rules
-        ${where}
+        ${where.toWhere()}
         ORDER BY service, hit_count DESC, created_at DESC
-        LIMIT ${limit}
-      `);
+        LIMIT ${int(limit, 200)}
+      `, where.params);
       return {
         results: rows.map(r => ({
           id: r.id,
@@ -186,7 +176,8 @@ class ApiRuleService {
    */
   async delete(id) {
     try {
-      await this.db.execute(`DELETE FROM api_rules WHERE id = '${id.replace(/'/g, '\'\'')}'`);
+      await this.db.execute('DELETE FROM api_rules WHERE id = ?', [id]);
+      await this.changes.record('api_rules', 'delete', id);
       return { deleted: true };
     } catch (error) {
       logger.error('[ApiRuleService] delete failed:', error.message);
@@ -0,0 +1,462 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { getDatabaseService } from './database.js';
+import { getEmbeddingService } from './embeddings.js';
+import { getEntityGraphService } from './entityGraph.js';
+import { EMBEDDING_DIMENSIONS } from './embeddingProviders.js';
+import Migrator from './migrator.js';
+import logger from '../utils/logger.js';
+import { Conditions, identifier, raw, vectorLiteral, int } from '../utils/sql.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ---------------------------------------------------------------------------
+// ArchiveService — portable export/import of a user's memory.
+//
+// Bundle format (JSONL, one JSON object per line):
+//   line 1:  { type: 'manifest', format, formatVersion, schemaVersion,
+//              exportedAt, includeEmbeddings, embeddingDims, embeddingModel,
+//              userId, tables }
+//   line 2+: { type: 'row', table, data }
+//
+// Rows are written parent-first (memory before memory_entities) so an import
+// can stream the file top to bottom. Only columns the target table actually
+// has are imported, which lets a bundle from a slightly older/newer schema
+// load without manual edits.
+//
+// Embeddings can be omitted on export (much smaller bundles); on import any
+// row without a valid vector — or whose vector came from a different model
+// than the active one — is re-embedded from its text column.
+//
+// Id collisions are resolved per `strategy`:
+//   'skip'      — keep the existing row (default)
+//   'overwrite' — replace the existing row (and, for memories, its entities)
+//   'merge'     — update the existing row with the bundle's non-null fields;
+//                 `metadata` JSON objects are shallow-merged
+// A memory in the trash is not a collision: the bundle's copy replaces it
+// and it leaves the trash.
+// ---------------------------------------------------------------------------
+
+export const BUNDLE_FORMAT = 'thinkdrop-memory-bundle';
+export const BUNDLE_FORMAT_VERSION = 1;
+export const IMPORT_STRATEGIES = ['skip', 'merge', 'overwrite'];
+
+const PAGE_SIZE = 500;
+
+export const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, '..', '..', 'data', 'exports');
+
+// key:       column used to detect collisions (a UNIQUE column where the id
+//            is machine-generated but the natural key is what matters)
+// embedFrom: text column to re-embed from when the vector is missing
+// userScope: how to restrict rows to one user (null = not user-scoped)
+// children:  dependent rows removed when a parent is overwritten
+const TABLES = [
+  { table: 'memory', key: 'id', embedFrom: 'source_text', userScope: 'user_id = ?',
+    children: { table: 'memory_entities', fk: 'memory_id' } },
+  { table: 'memory_entities', key: 'id', userScope: 'memory_id IN (SELECT id FROM memory WHERE user_id = ?)' },
+  { table: 'collections', key: 'id', userScope: 'user_id = ?' },
+  { table: 'memory_tags', key: 'id', userScope: 'user_id = ?' },
+  { table: 'memory_collections', key: 'id', userScope: 'user_id = ?' },
+  { table: 'documents', key: 'id', userScope: 'user_id = ?' },
+  { table: 'saved_search', key: 'id', embedFrom: 'query', userScope: 'user_id = ?' },
+  { table: 'conversation_turns', key: 'id', embedFrom: 'source_text', userScope: 'user_id = ?' },
+  { table: 'query_classifier_examples', key: 'id', embedFrom: 'query', userScope: 'user_id = ?' },
+  { table: 'reminders', key: 'id', userScope: 'user_id = ?' },
+  { table: 'episodic_memory', key: 'id', embedFrom: 'source_text', userScope: 'user_id = ?',
+    children: { table: 'episodic_entities', fk: 'memory_id' } },
+  { table: 'episodic_entities', key: 'id', userScope: 'memory_id IN (SELECT id FROM episodic_memory WHERE user_id = ?)' },
+  { table: 'context_rules', key: 'id' },
+  { table: 'api_rules', key: 'id' },
+  { table: 'intent_overrides', key: 'id', embedFrom: 'example_prompt' },
+  { table: 'phrase_preferences', key: 'id', embedFrom: 'example_phrase' },
+  { table: 'skill_prompts', key: 'id', embedFrom: 'prompt_text' },
+  { table: 'personality_state', key: 'id' },
+  { table: 'personality_traits', key: 'trait_key' },
+  { table: 'user_profile', key: 'key' },
+  { table: 'user_constraints', key: 'id' },
+  { table: 'voice_fingerprint', key: 'speaker_id' },
+];
+
+const TABLES_BY_NAME = new Map(TABLES.map(t => [t.table, t]));
+
+export const ARCHIVE_TABLES = TABLES.map(t => t.table);
+
+/**
+ * Resolve a bundle file name inside ARCHIVE_DIR. Directory components are
+ * stripped so MCP callers can't read or write outside the archive folder.
+ */
+export function resolveArchivePath(fileName) {
+  const base = path.basename(String(fileName || ''));
+  if (!base || base === '.' || base === '..') {
+    throw new Error('Invalid archive file name');
+  }
+  return path.join(ARCHIVE_DIR, base);
+}
+
+// DuckDB hands back Date for TIMESTAMP and BigInt for BIGINT/COUNT — neither
+// survives JSON.stringify as-is.
+function serializeValue(value) {
+  if (value instanceof Date) return value.toISOString().replace('T', ' ').replace('Z', '');
+  if (typeof value === 'bigint') return Number(value);
+  if (ArrayBuffer.isView(value)) return Array.from(value);
+  return value;
+}
+
+function serializeRow(row, includeEmbeddings) {
+  const out = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (column === 'embedding' && !includeEmbeddings) {
+      out[column] = null;
+      continue;
+    }
+    out[column] = Array.isArray(value) ? value.map(serializeValue) : serializeValue(value);
+  }
+  return out;
+}
+
+function parseJsonObject(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+class ArchiveService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.embeddings = getEmbeddingService();
+    this._columns = new Map();
+  }
+
+  /**
+   * Table specs to export. `userTablesOnly` drops the tables that are not
+   * user-scoped (rules, traits, profile, ...), which are shared by everyone.
+   */
+  _selectTables(tables, userTablesOnly = false) {
+    const available = userTablesOnly ? TABLES.filter(t => t.userScope) : TABLES;
+    if (!tables) return available;
+    const wanted = new Set(tables);
+    const unknown = [...wanted].filter(t => !TABLES_BY_NAME.has(t));
+    if (unknown.length) {
+      throw new Error(`Invalid archive table(s): ${unknown.join(', ')}. Valid: ${ARCHIVE_TABLES.join(', ')}`);
+    }
+    return available.filter(t => wanted.has(t.table));
+  }
+
+  _where(spec, userId) {
+    const where = new Conditions();
+    if (userId && spec.userScope) where.add(spec.userScope, userId);
+    return where;
+  }
+
+  async _tableColumns(table) {
+    if (!this._columns.has(table)) {
+      const rows = await this.db.query(
+        'SELECT column_name FROM information_schema.columns WHERE table_schema = \'main\' AND table_name = ?',
+        [table]
+      );
+      this._columns.set(table, new Set(rows.map(r => r.column_name)));
+    }
+    return this._columns.get(table);
+  }
+
+  /**
+   * Build the manifest for an export (row counts per table).
+   */
+  async buildManifest(options = {}) {
+    const { userId = null, includeEmbeddings = true, tables, userTablesOnly } = options;
+    const counts = {};
+    for (const spec of this._selectTables(tables, userTablesOnly)) {
+      const where = this._where(spec, userId);
+      const rows = await this.db.query(
+        `SELECT COUNT(*) AS count FROM ${identifier(spec.table)} ${where.toWhere()}`,
+        where.params
+      );
+      counts[spec.table] = Number(rows[0]?.count || 0);
+    }
+
+    return {
+      type: 'manifest',
+      format: BUNDLE_FORMAT,
+      formatVersion: BUNDLE_FORMAT_VERSION,
+      schemaVersion: await new Migrator(this.db).currentVersion(),
+      exportedAt: new Date().toISOString(),
+      includeEmbeddings: Boolean(includeEmbeddings),
+      embeddingDims: EMBEDDING_DIMENSIONS,
+      embeddingModel: this.embeddings.getModelId(),
+      userId: userId || null,
+      tables: counts,
+    };
+  }
+
+  /**
+   * Yield bundle lines (without trailing newline), manifest first.
+   * Rows are paged so large databases never sit in memory all at once.
+   */
+  async *exportLines(options = {}) {
+    const { userId = null, includeEmbeddings = true, tables, userTablesOnly } = options;
+    yield JSON.stringify(await this.buildManifest(options));
+
+    for (const spec of this._selectTables(tables, userTablesOnly)) {
+      const where = this._where(spec, userId);
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        const rows = await this.db.query(`
+          SELECT * FROM ${identifier(spec.table)}
+          ${where.toWhere()}
+          ORDER BY ${identifier(spec.key)}
+          LIMIT ${PAGE_SIZE} OFFSET ${int(offset)}
+        `, where.params);
+        for (const row of rows) {
+          yield JSON.stringify({ type: 'row', table: spec.table, data: serializeRow(row, includeEmbeddings) });
+        }
+        if (rows.length < PAGE_SIZE) break;
+      }
+    }
+  }
+
+  /**
+   * Export to an in-memory JSONL string.
+   */
+  async exportBundle(options = {}) {
+    const lines = [];
+    for await (const line of this.exportLines(options)) lines.push(line);
+    return { manifest: JSON.parse(lines[0]), bundle: lines.join('\n') + '\n' };
+  }
+
+  /**
+   * Export straight to a JSONL file.
+   */
+  async exportToFile(filePath, options = {}) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const out = fs.createWriteStream(filePath, { encoding: 'utf8' });
+    let manifest = null;
+    try {
+      for await (const line of this.exportLines(options)) {
+        if (!manifest) manifest = JSON.parse(line);
+        if (!out.write(line + '\n')) {
+          await new Promise(resolve => out.once('drain', resolve));
+        }
+      }
+    } finally {
+      await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+    }
+    logger.info(`[ArchiveService] Exported bundle to ${filePath}`, { tables: manifest?.tables });
+    return { manifest, file: filePath };
+  }
+
+  /**
+   * Import a bundle from a JSONL string.
+   */
+  async importBundle(bundle, options = {}) {
+    if (typeof bundle !== 'string' || !bundle.trim()) {
+      throw new Error('Invalid bundle: expected a non-empty JSONL string');
+    }
+    return this.importLines(bundle.split('\n'), options);
+  }
+
+  /**
+   * Import a bundle from a JSONL file.
+   */
+  async importFromFile(filePath, options = {}) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Archive file not found: ${filePath}`);
+    }
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity,
+    });
+    return this.importLines(lines, options);
+  }
+
+  /**
+   * Import from any (async) iterable of JSONL lines.
+   */
+  async importLines(lines, options = {}) {
+    const { strategy = 'skip', reembed = true } = options;
+    if (!IMPORT_STRATEGIES.includes(strategy)) {
+      throw new Error(`Invalid import strategy: ${strategy}. Valid: ${IMPORT_STRATEGIES.join(', ')}`);
+    }
+
+    let manifest = null;
+    let lineNo = 0;
+    const summary = { strategy, manifest: null, tables: {}, reembedded: 0, errors: [] };
+    this._columns.clear();
+    // Memories whose entities changed; their graph links are rebuilt at the end
+    const touched = new Set();
+
+    for await (const rawLine of lines) {
+      lineNo++;
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (_) {
+        throw new Error(`Invalid bundle: line ${lineNo} is not valid JSON`);
+      }
+
+      if (!manifest) {
+        manifest = this._checkManifest(record);
+        summary.manifest = manifest;
+        continue;
+      }
+
+      const spec = record.type === 'row' ? TABLES_BY_NAME.get(record.table) : null;
+      if (!spec || !record.data || typeof record.data !== 'object') {
+        summary.errors.push({ line: lineNo, error: `Unsupported record (table: ${record.table})` });
+        continue;
+      }
+
+      const stats = summary.tables[spec.table] ||= { inserted: 0, updated: 0, skipped: 0, failed: 0 };
+      try {
+        const outcome = await this._importRow(spec, record.data, { strategy, reembed, summary, manifest });
+        stats[outcome]++;
+        if (outcome !== 'skipped' && spec.table === 'memory') touched.add(record.data.id);
+        if (outcome !== 'skipped' && spec.table === 'memory_entities') touched.add(record.data.memory_id);
+      } catch (error) {
+        stats.failed++;
+        summary.errors.push({ line: lineNo, table: spec.table, error: error.message });
+        logger.warn(`[ArchiveService] import row failed (line ${lineNo}, ${spec.table}):`, error.message);
+      }
+    }
+
+    if (!manifest) {
+      throw new Error('Invalid bundle: missing manifest');
+    }
+
+    const graph = getEntityGraphService();
+    for (const memoryId of touched) {
+      if (memoryId) await graph.indexMemory(memoryId);
+    }
+
+    logger.info('[ArchiveService] Import complete', { strategy, tables: summary.tables, reembedded: summary.reembedded });
+    return summary;
+  }
+
+  _checkManifest(record) {
+    if (record?.type !== 'manifest' || record.format !== BUNDLE_FORMAT) {
+      throw new Error('Invalid bundle: first line must be a thinkdrop-memory-bundle manifest');
+    }
+    if (Number(record.formatVersion) > BUNDLE_FORMAT_VERSION) {
+      throw new Error(
+        `Invalid bundle: format version ${record.formatVersion} is newer than supported (${BUNDLE_FORMAT_VERSION})`
+      );
+    }
+    return record;
+  }
+
+  /**
+   * Insert/update a single row. Returns 'inserted' | 'updated' | 'skipped'.
+   */
+  async _importRow(spec, data, { strategy, reembed, summary, manifest }) {
+    const columns = await this._tableColumns(spec.table);
+    const row = {};
+    for (const [column, value] of Object.entries(data)) {
+      if (columns.has(column)) row[column] = value;
+    }
+    if (row[spec.key] === undefined || row[spec.key] === null) {
+      throw new Error(`row is missing key column ${spec.key}`);
+    }
+
+    if (columns.has('embedding')) {
+      const { embedding, model } = await this._embeddingFor(spec, row, manifest, reembed, summary);
+      row.embedding = embedding;
+      if (columns.has('embedding_model')) row.embedding_model = model;
+    }
+
+    const keyWhere = () => new Conditions().add(`${identifier(spec.key)} = ?`, row[spec.key]);
+    const where = keyWhere();
+    const existing = await this.db.query(
+      `SELECT * FROM ${identifier(spec.table)} ${where.toWhere()}`,
+      where.params
+    );
+
+    if (existing.length === 0) {
+      await this.db.insert(spec.table, row);
+      return 'inserted';
+    }
+
+    // A trashed row counts as deleted: the bundle's live copy restores it
+    // whatever the strategy, so exporting, deleting and importing round-trips.
+    if (existing[0].deleted_at && !row.deleted_at) {
+      await this._replaceRow(spec, existing[0], where, row);
+      return 'inserted';
+    }
+
+    if (strategy === 'skip') return 'skipped';
+
+    if (strategy === 'overwrite') {
+      await this._replaceRow(spec, existing[0], where, row);
+      return 'updated';
+    }
+
+    // merge
+    const changes = {};
+    for (const [column, value] of Object.entries(row)) {
+      if (column === spec.key || column === 'id' || value === null || value === undefined) continue;
+      if (column === 'metadata') {
+        changes.metadata = JSON.stringify({ ...parseJsonObject(existing[0].metadata), ...parseJsonObject(value) });
+      } else {
+        changes[column] = value;
+      }
+    }
+    if (Object.keys(changes).length === 0) return 'skipped';
+    await this.db.update(spec.table, changes, keyWhere());
+    return 'updated';
+  }
+
+  /**
+   * Replace an existing row (and, for memories, its entities) with `row`.
+   */
+  async _replaceRow(spec, existing, where, row) {
+    if (spec.children) {
+      await this.db.execute(
+        `DELETE FROM ${identifier(spec.children.table)} WHERE ${identifier(spec.children.fk)} = ?`,
+        [existing.id]
+      );
+    }
+    await this.db.execute(`DELETE FROM ${identifier(spec.table)} ${where.toWhere()}`, where.params);
+    await this.db.insert(spec.table, row);
+  }
+
+  /**
+   * Decide the stored vector for an imported row. A bundled vector is kept if
+   * it came from the active model (or re-embedding is off — the re-embed job
+   * can convert it later); otherwise the row is re-embedded from its text.
+   */
+  async _embeddingFor(spec, row, manifest, reembed, summary) {
+    const activeModel = this.embeddings.getModelId();
+    const vector = row.embedding;
+    const vectorModel = row.embedding_model || manifest.embeddingModel || null;
+    const hasVector = Array.isArray(vector) && vector.length === EMBEDDING_DIMENSIONS;
+
+    if (hasVector && (vectorModel === activeModel || !reembed)) {
+      return { embedding: raw(vectorLiteral(vector)), model: vectorModel };
+    }
+    const text = spec.embedFrom ? row[spec.embedFrom] : null;
+    if (!reembed || !text) return { embedding: null, model: null };
+
+    if (!this.embeddings.isInitialized()) {
+      await this.embeddings.initialize();
+    }
+    const embedding = await this.embeddings.generateEmbedding(String(text));
+    summary.reembedded++;
+    return { embedding: raw(vectorLiteral(embedding)), model: activeModel };
+  }
+}
+
+let _instance = null;
+export function getArchiveService() {
+  if (!_instance) _instance = new ArchiveService();
+  return _instance;
+}
+
+export default ArchiveService;
@@ -0,0 +1,171 @@
+import { EventEmitter } from 'events';
+import { getDatabaseService } from './database.js';
+import logger from '../utils/logger.js';
+import { Conditions, int } from '../utils/sql.js';
+
+// ---------------------------------------------------------------------------
+// ChangeFeedService — change-data-capture log for memory and rule tables.
+//
+// Services call record() after each successful insert/update/delete. Every
+// entry gets a monotonically increasing seq, which clients use as a resumable
+// cursor: changes.list polls with it, changes.stream (SSE) sends it as the
+// event id so a reconnecting EventSource resumes via Last-Event-ID.
+//
+// Recording is best-effort: a failed log write is logged and never fails the
+// mutation that triggered it. Entries older than CHANGE_LOG_RETENTION_DAYS
+// (default 7) are pruned by the retention check; a client whose cursor falls
+// behind the oldest retained entry is told to resync (reset: true).
+//
+// Schema: change_log(seq, table_name, op, row_id, user_id, data, created_at)
+// ---------------------------------------------------------------------------
+
+export const CHANGE_TABLES = ['memory', 'context_rules', 'api_rules', 'user_constraints'];
+
+const MAX_PAGE = 1000;
+
+function formatChange(row) {
+  let data = null;
+  try { data = row.data ? JSON.parse(row.data) : null; } catch (_) { data = null; }
+  return {
+    seq: Number(row.seq),
+    table: row.table_name,
+    op: row.op,
+    id: row.row_id,
+    userId: row.user_id,
+    data,
+    at: row.created_at,
+  };
+}
+
+/**
+ * Normalize a tables filter (array or comma-separated string). Empty → all.
+ */
+export function parseTables(tables) {
+  if (tables === undefined || tables === null || tables === '') return [];
+  const list = Array.isArray(tables) ? tables : String(tables).split(',');
+  const names = list.map(t => String(t).trim()).filter(Boolean);
+  const unknown = names.filter(t => !CHANGE_TABLES.includes(t));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid table filter: ${unknown.join(', ')}. Valid: ${CHANGE_TABLES.join(', ')}`);
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * Whether a change passes a { tables, userId } filter. Rows without a user
+ * (rules are global) are visible to every user.
+ */
+export function matchesFilter(change, { tables = [], userId = null } = {}) {
+  if (tables.length > 0 && !tables.includes(change.table)) return false;
+  if (userId && change.userId && change.userId !== userId) return false;
+  return true;
+}
+
+class ChangeFeedService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.retentionDays = parseInt(process.env.CHANGE_LOG_RETENTION_DAYS || '7', 10);
+  }
+
+  /**
+   * Append a change. data is a small JSON-able summary of the new state
+   * (never embeddings); clients re-fetch the row if they need more.
+   */
+  async record(table, op, rowId, { userId = null, data = null } = {}) {
+    try {
+      const rows = await this.db.query(`
+        INSERT INTO change_log (table_name, op, row_id, user_id, data)
+        VALUES (?, ?, ?, ?, ?)
+        RETURNING seq, table_name, op, row_id, user_id, data, created_at
+      `, [table, op, rowId ?? null, userId, data ? JSON.stringify(data) : null]);
+      const change = formatChange(rows[0]);
+      this.emitter.emit('change', change);
+      return change;
+    } catch (error) {
+      logger.warn(`[ChangeFeedService] record ${op} ${table}/${rowId} failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Changes after `cursor` (exclusive), oldest first.
+   * Returns { changes, cursor, reset } — cursor is the seq to resume from;
+   * reset means entries after the given cursor were already pruned.
+   */
+  async since(cursor, { tables = [], userId = null, limit = 100 } = {}) {
+    const after = int(cursor);
+    const where = new Conditions().add('seq > ?', after);
+    if (tables.length > 0) where.in('table_name', tables);
+    if (userId) where.add('(user_id = ? OR user_id IS NULL)', userId);
+
+    const rows = await this.db.query(`
+      SELECT * FROM change_log
+      ${where.toWhere()}
+      ORDER BY seq
+      LIMIT ${Math.min(int(limit, 100) || 100, MAX_PAGE)}
+    `, where.params);
+    const changes = rows.map(formatChange);
+
+    let reset = false;
+    if (after > 0) {
+      const oldest = await this.oldestSeq();
+      reset = oldest !== null && after < oldest - 1;
+    }
+
+    return {
+      changes,
+      cursor: changes.length > 0 ? changes[changes.length - 1].seq : after,
+      reset,
+    };
+  }
+
+  async latestSeq() {
+    const rows = await this.db.query('SELECT MAX(seq) AS seq FROM change_log');
+    return Number(rows[0]?.seq || 0);
+  }
+
+  async oldestSeq() {
+    const rows = await this.db.query('SELECT MIN(seq) AS seq FROM change_log');
+    return rows[0]?.seq == null ? null : Number(rows[0].seq);
+  }
+
+  /**
+   * Listen for newly recorded changes. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.emitter.on('change', listener);
+    return () => this.emitter.off('change', listener);
+  }
+
+  /**
+   * Drop entries older than the retention window.
+   */
+  async prune() {
+    try {
+      const rows = await this.db.query(
+        `SELECT COUNT(*) AS count FROM change_log WHERE created_at < CURRENT_TIMESTAMP - INTERVAL '${int(this.retentionDays)}' DAY`
+      );
+      const count = Number(rows[0]?.count || 0);
+      if (count > 0) {
+        await this.db.execute(
+          `DELETE FROM change_log WHERE created_at < CURRENT_TIMESTAMP - INTERVAL '${int(this.retentionDays)}' DAY`
+        );
+        logger.info(`[ChangeFeedService] pruned ${count} change_log entries older than ${this.retentionDays}d`);
+      }
+      return { pruned: count };
+    } catch (error) {
+      logger.error('[ChangeFeedService] prune failed:', error.message);
+      return { pruned: 0 };
+    }
+  }
+}
+
+let _instance = null;
+export function getChangeFeedService() {
+  if (!_instance) _instance = new ChangeFeedService();
+  return _instance;
+}
+
+export default ChangeFeedService;
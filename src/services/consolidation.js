@@ -0,0 +1,413 @@
+import logger from '../utils/logger.js';
+import { getDatabaseService } from './database.js';
+import { getEmbeddingService } from './embeddings.js';
+import { getChangeFeedService } from './changeFeed.js';
+import { getEntityGraphService } from './entityGraph.js';
+import { getTagService } from './tags.js';
+import { placeholders } from '../utils/sql.js';
+
+/**
+ * Memory Consolidation Service
+ *
+ * Users repeatedly store the same fact ("my dentist is Dr. Lee"), which makes
+ * memory.search return several near-identical hits. This service clusters a
+ * user's memories and folds each cluster into one canonical memory.
+ *
+ * Only current memories (not superseded, trashed or expired) are considered,
+ * and never document chunks: they belong to their document, and a
+ * transcript's repeated passages are not duplicate facts. Two memories of
+ * the same type are linked when:
+ *   - both carry entities: cosine similarity >= similarityThreshold AND
+ *     entity Jaccard overlap >= minEntityOverlap (so "Dr. Lee" and "Dr. Kim"
+ *     never merge however similar the sentences are)
+ *   - otherwise: cosine similarity >= strictThreshold
+ * Clusters are the connected components of those links.
+ *
+ * Merging keeps the oldest member (lowest id on ties) as canonical, so a
+ * cluster always resolves to the same memory. It copies the other members'
+ * entities and tags onto it, appends their ids to its merged_from provenance
+ * list and moves them to the trash.
+ *
+ * Strategy (env):
+ *   - CONSOLIDATION_ENABLED: run on a schedule (default: false — merges trash rows)
+ *   - CONSOLIDATION_INTERVAL_HOURS: how often to run for every user (default: 24)
+ *   - CONSOLIDATION_SIMILARITY: similarityThreshold (default: 0.9)
+ *   - CONSOLIDATION_STRICT_SIMILARITY: strictThreshold (default: 0.95)
+ *   - CONSOLIDATION_ENTITY_OVERLAP: minEntityOverlap (default: 0.5)
+ */
+
+let consolidationInstance = null;
+
+function parseJsonArray(text) {
+  try {
+    const value = text ? JSON.parse(text) : [];
+    return Array.isArray(value) ? value : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function entityKey(row) {
+  return `${String(row.type || '').toLowerCase()}:${String(row.normalized_value || row.entity).toLowerCase().trim()}`;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const key of a) if (b.has(key)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Group linked pairs into clusters (union-find) and pick each canonical.
+ * `memories` is [{ id, text, createdAt }]; `links` is [{ a, b, similarity }].
+ */
+export function buildClusters(memories, links) {
+  const byId = new Map(memories.map(m => [m.id, m]));
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  for (const { a, b } of links) {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent.set(ra, rb);
+  }
+
+  const groups = new Map();
+  for (const id of parent.keys()) {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(byId.get(id));
+  }
+
+  const bestSimilarity = new Map();
+  for (const { a, b, similarity } of links) {
+    bestSimilarity.set(a, Math.max(bestSimilarity.get(a) || 0, similarity));
+    bestSimilarity.set(b, Math.max(bestSimilarity.get(b) || 0, similarity));
+  }
+
+  return [...groups.values()]
+    .filter(members => members.length > 1)
+    .map(members => {
+      const ranked = [...members].sort((x, y) =>
+        new Date(x.createdAt) - new Date(y.createdAt) ||
+        x.id.localeCompare(y.id)
+      );
+      const canonical = ranked[0];
+      return {
+        canonicalId: canonical.id,
+        canonicalText: canonical.text,
+        sourceIds: ranked.slice(1).map(m => m.id),
+        members: ranked.map(m => ({
+          id: m.id,
+          text: m.text,
+          createdAt: m.createdAt,
+          similarity: Math.round((bestSimilarity.get(m.id) || 0) * 1000) / 1000,
+        })),
+      };
+    })
+    .sort((x, y) => y.members.length - x.members.length || x.canonicalId.localeCompare(y.canonicalId));
+}
+
+class ConsolidationService {
+  constructor() {
+    this.enabled = process.env.CONSOLIDATION_ENABLED === 'true';
+    this.checkIntervalHours = parseInt(process.env.CONSOLIDATION_INTERVAL_HOURS || '24', 10);
+    this.defaults = {
+      similarityThreshold: parseFloat(process.env.CONSOLIDATION_SIMILARITY || '0.9'),
+      strictThreshold: parseFloat(process.env.CONSOLIDATION_STRICT_SIMILARITY || '0.95'),
+      minEntityOverlap: parseFloat(process.env.CONSOLIDATION_ENTITY_OVERLAP || '0.5'),
+    };
+    this.timer = null;
+    this.db = null;
+    this.lastRun = null;
+    this.totalMerged = 0;
+  }
+
+  /**
+   * Start the scheduled consolidation (no-op unless CONSOLIDATION_ENABLED).
+   */
+  async start() {
+    if (!this.enabled) {
+      logger.info('Memory consolidation service disabled');
+      return;
+    }
+
+    this.db = getDatabaseService();
+
+    logger.info('Memory consolidation service starting', {
+      checkIntervalHours: this.checkIntervalHours,
+      ...this.defaults
+    });
+
+    await this.runAll();
+
+    const intervalMs = this.checkIntervalHours * 60 * 60 * 1000;
+    this.timer = setInterval(() => this.runAll(), intervalMs);
+  }
+
+  /**
+   * Stop the scheduled consolidation.
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    logger.info('Memory consolidation service stopped', {
+      totalMerged: this.totalMerged,
+      lastRun: this.lastRun
+    });
+  }
+
+  /**
+   * Consolidate every user's memories. Errors are logged, never thrown.
+   */
+  async runAll() {
+    try {
+      const users = await this.db.query('SELECT DISTINCT user_id FROM memory WHERE deleted_at IS NULL');
+      for (const { user_id: userId } of users) {
+        await this.consolidate(userId, { dryRun: false });
+      }
+      this.lastRun = new Date().toISOString();
+    } catch (error) {
+      logger.error('Memory consolidation run failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Find (and unless dryRun, merge) near-duplicate clusters for one user.
+   * options.dryRun       — preview only (default: true)
+   * options.canonicalIds — when applying, only merge clusters with these canonical ids
+   *                        (lets the client apply a subset of a preview)
+   * options.similarityThreshold / strictThreshold / minEntityOverlap — see header
+   */
+  async consolidate(userId, options = {}) {
+    if (!this.db) this.db = getDatabaseService();
+    const dryRun = options.dryRun !== false;
+    const thresholds = {
+      similarityThreshold: this._threshold(options.similarityThreshold, this.defaults.similarityThreshold),
+      strictThreshold: this._threshold(options.strictThreshold, this.defaults.strictThreshold),
+      minEntityOverlap: this._threshold(options.minEntityOverlap, this.defaults.minEntityOverlap),
+    };
+
+    const links = await this._findLinks(userId, thresholds);
+    const ids = [...new Set(links.flatMap(l => [l.a, l.b]))];
+    const memories = ids.length === 0 ? [] : await this.db.query(
+      `SELECT id, source_text, created_at FROM memory WHERE id IN (${placeholders(ids.length)})`,
+      ids
+    );
+
+    let clusters = buildClusters(
+      memories.map(m => ({ id: m.id, text: m.source_text, createdAt: m.created_at })),
+      links
+    );
+    if (Array.isArray(options.canonicalIds)) {
+      const wanted = new Set(options.canonicalIds.map(String));
+      clusters = clusters.filter(c => wanted.has(c.canonicalId));
+    }
+
+    const result = {
+      userId,
+      dryRun,
+      thresholds,
+      clusters,
+      clusterCount: clusters.length,
+      duplicateCount: clusters.reduce((n, c) => n + c.sourceIds.length, 0),
+      merged: 0,
+    };
+    if (dryRun || clusters.length === 0) return result;
+
+    for (const cluster of clusters) {
+      try {
+        await this._merge(userId, cluster);
+        result.merged += cluster.sourceIds.length;
+      } catch (error) {
+        logger.error('Memory consolidation merge failed', {
+          canonicalId: cluster.canonicalId,
+          error: error.message
+        });
+      }
+    }
+
+    this.totalMerged += result.merged;
+    logger.info('Memory consolidation applied', {
+      userId,
+      clusters: clusters.length,
+      merged: result.merged
+    });
+    return result;
+  }
+
+  /**
+   * Get consolidation service status for health checks.
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      checkIntervalHours: this.checkIntervalHours,
+      ...this.defaults,
+      lastRun: this.lastRun,
+      totalMerged: this.totalMerged
+    };
+  }
+
+  _threshold(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || n > 1) {
+      throw new Error(`Invalid threshold: ${value} (expected 0..1)`);
+    }
+    return n;
+  }
+
+  /**
+   * Candidate pairs above the lower similarity bar, filtered by the
+   * entity-overlap rule. Only vectors from the active model are compared.
+   */
+  async _findLinks(userId, { similarityThreshold, strictThreshold, minEntityOverlap }) {
+    const modelId = getEmbeddingService().getModelId();
+    const floor = Math.min(similarityThreshold, strictThreshold);
+
+    const pairs = await this.db.query(`
+      SELECT a.id AS a, b.id AS b,
+             array_cosine_similarity(a.embedding::FLOAT[384], b.embedding::FLOAT[384]) AS similarity
+      FROM memory a
+      JOIN memory b
+        ON a.user_id = b.user_id
+       AND a.type = b.type
+       AND a.id < b.id
+      WHERE a.user_id = ?
+        AND a.embedding IS NOT NULL AND b.embedding IS NOT NULL
+        AND a.embedding_model = ? AND b.embedding_model = ?
+        AND a.superseded_by IS NULL AND b.superseded_by IS NULL
+        AND a.deleted_at IS NULL AND b.deleted_at IS NULL
+        AND a.type <> 'document_chunk'
+        AND (a.expires_at IS NULL OR a.expires_at > now())
+        AND (b.expires_at IS NULL OR b.expires_at > now())
+        AND array_cosine_similarity(a.embedding::FLOAT[384], b.embedding::FLOAT[384]) >= ?
+    `, [userId, modelId, modelId, floor]);
+    if (pairs.length === 0) return [];
+
+    const ids = [...new Set(pairs.flatMap(p => [p.a, p.b]))];
+    const entityRows = await this.db.query(
+      `SELECT memory_id, entity, type, normalized_value FROM memory_entities
+       WHERE memory_id IN (${placeholders(ids.length)})`,
+      ids
+    );
+    const entities = new Map(ids.map(id => [id, new Set()]));
+    for (const row of entityRows) entities.get(row.memory_id).add(entityKey(row));
+
+    return pairs
+      .map(p => ({ a: p.a, b: p.b, similarity: Number(p.similarity) }))
+      .filter(({ a, b, similarity }) => {
+        const ea = entities.get(a);
+        const eb = entities.get(b);
+        if (ea.size > 0 && eb.size > 0) {
+          return similarity >= similarityThreshold && jaccard(ea, eb) >= minEntityOverlap;
+        }
+        return similarity >= strictThreshold;
+      });
+  }
+
+  /**
+   * Fold a cluster's sources into its canonical memory. The sources go to
+   * the trash like a memory.delete, keeping their entities, tags and
+   * history, so memory.restore brings one back whole.
+   */
+  async _merge(userId, cluster) {
+    const { canonicalId, sourceIds } = cluster;
+    const sourceList = placeholders(sourceIds.length);
+
+    const mergedFrom = await this.db.transaction(async () => {
+      const canonical = await this.db.query(
+        'SELECT merged_from FROM memory WHERE id = ? AND user_id = ?',
+        [canonicalId, userId]
+      );
+      if (canonical.length === 0) throw new Error(`Memory not found: ${canonicalId}`);
+
+      const sources = await this.db.query(
+        `SELECT id, merged_from FROM memory WHERE user_id = ? AND id IN (${sourceList})`,
+        [userId, ...sourceIds]
+      );
+
+      // Provenance: prior merges of the canonical, each source, and whatever the
+      // sources had themselves absorbed earlier
+      const merged = [...new Set([
+        ...parseJsonArray(canonical[0].merged_from),
+        ...sources.flatMap(s => [s.id, ...parseJsonArray(s.merged_from)]),
+      ])];
+
+      // Copy entities the canonical doesn't already carry
+      const existing = await this.db.query(
+        'SELECT entity, type, normalized_value FROM memory_entities WHERE memory_id = ?',
+        [canonicalId]
+      );
+      const seen = new Set(existing.map(entityKey));
+      const incoming = await this.db.query(
+        `SELECT entity, type, entity_type, normalized_value, source FROM memory_entities
+         WHERE memory_id IN (${sourceList})`,
+        sourceIds
+      );
+      for (const row of incoming) {
+        const key = entityKey(row);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        await this.db.insert('memory_entities', {
+          id: `ent_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          memory_id: canonicalId,
+          entity: row.entity,
+          type: row.type,
+          entity_type: row.entity_type,
+          normalized_value: row.normalized_value,
+          source: row.source
+        });
+      }
+
+      // Facts the sources superseded now point at the canonical instead
+      await this.db.execute(
+        `UPDATE memory SET superseded_by = ? WHERE user_id = ? AND superseded_by IN (${sourceList})`,
+        [canonicalId, userId, ...sourceIds]
+      );
+      await this.db.execute(
+        `UPDATE memory SET deleted_at = now() WHERE user_id = ? AND id IN (${sourceList})`,
+        [userId, ...sourceIds]
+      );
+      await this.db.execute(
+        'UPDATE memory SET merged_from = ?, updated_at = now() WHERE id = ?',
+        [JSON.stringify(merged), canonicalId]
+      );
+      return merged;
+    });
+
+    await getTagService().reassign(sourceIds, canonicalId, userId);
+
+    // The canonical now carries the sources' entities
+    const graph = getEntityGraphService();
+    await graph.removeMemory(sourceIds, userId);
+    await graph.indexMemory(canonicalId);
+
+    const changes = getChangeFeedService();
+    for (const id of sourceIds) {
+      await changes.record('memory', 'delete', id, { userId, data: { trashed: true, mergedInto: canonicalId } });
+    }
+    await changes.record('memory', 'update', canonicalId, { userId, data: { mergedFrom } });
+  }
+}
+
+export function getConsolidationService() {
+  if (!consolidationInstance) {
+    consolidationInstance = new ConsolidationService();
+  }
+  return consolidationInstance;
+}
+
+export default ConsolidationService;
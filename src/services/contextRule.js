@@ -1,5 +1,7 @@
 import { getDatabaseService } from './database.js';
 import logger from '../utils/logger.js';
+import { getChangeFeedService } from './changeFeed.js';
+import { Conditions, raw, int } from '../utils/sql.js';
 
 // ---------------------------------------------------------------------------
 // ContextRuleService — per-site/app prompt injection rules stored in DuckDB.
@@ -15,9 +17,6 @@ import logger from '../utils/logger.js';
 // Schema: context_rules(id, context_type, context_key, rule_text, category, source, hit_count, ...)
 // ---------------------------------------------------------------------------
 
-// eslint-disable-next-line quotes
-const SQ = "'";
-
 function generateId() {
   return `cr_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
@@ -25,6 +24,7 @@ function generateId() {
 class ContextRuleService {
   constructor() {
     this.db = getDatabaseService();
+    this.changes = getChangeFeedService();
   }
 
   /**
@@ -39,25 +39,23 @@ class ContextRuleService {
     const { contextType } = options; // optional filter: site | app
 
     try {
-      const placeholders = contextKeys
-        .map(k => `${SQ}${k.replace(/'/g, SQ + SQ)}${SQ}`)
-        .join(', ');
-
-      const typeFilter = contextType ? `AND context_type = '${contextType}'` : '';
+      const where = new Conditions().in('context_key', contextKeys.map(String));
+      if (contextType) where.add('context_type = ?', contextType);
+      where.add('(status IS NULL OR status = \'active\')');
 
       const rows = await this.db.query(`
         SELECT id, context_type, context_key, rule_text, category, source, hit_count, created_at,
                status, priority, verified_count, failed_count, last_verified_at, user_note
         FROM context_rules
-        WHERE context_key IN (${placeholders}) ${typeFilter}
-          AND (status IS NULL OR status = 'active')
+        ${where.toWhere()}
         ORDER BY priority DESC, verified_count DESC, hit_count DESC, created_at DESC
-      `);
+      `, where.params);
 
       // Bump hit_count for matched rows (fire-and-forget)
       for (const row of rows) {
         this.db.execute(
-          `UPDATE context_rules SET hit_count = hit_count + 1, updated_at = now() WHERE id = '${row.id}'`
+          'UPDATE context_rules SET hit_count = hit_count + 1, updated_at = now() WHERE id = ?',
+          [row.id]
         ).catch(() => {});
       }
 
@@ -98,19 +96,16 @@ class ContextRuleService {
 
     if (!contextKey || !ruleText) throw new Error('contextKey and ruleText are required');
 
-    const safeKey = contextKey.replace(/'/g, SQ + SQ).toLowerCase().trim();
+    const safeKey = String(contextKey).toLowerCase().trim();
     const safeType = ['app', 'agent'].includes(contextType) ? contextType : 'site';
-    const safeRule = ruleText.replace(/'/g, SQ + SQ);
-    const safeCategory = (category || 'general').replace(/'/g, SQ + SQ);
-    const safeSource = (source || 'thinkdrop_ai').replace(/'/g, SQ + SQ);
 
     try {
       // Check for exact duplicate
       const existing = await this.db.query(`
         SELECT id, rule_text FROM context_rules
-        WHERE context_key = '${safeKey}' AND context_type = '${safeType}'
+        WHERE context_key = ? AND context_type = ?
         ORDER BY hit_count DESC, created_at DESC
-      `);
+      `, [safeKey, safeType]);
 
       for (const row of existing) {
         if (row.rule_text.trim() === ruleText.trim()) {
@@ -120,20 +115,20 @@ class ContextRuleService {
       }
 
       const id = generateId();
-      await this.db.execute(`
-        INSERT INTO context_rules (id, context_type, context_key, rule_text, category, source, hit_count, created_at, updated_at)
-        VALUES (
-          '${id}',
-          '${safeType}',
-          '${safeKey}',
-          '${safeRule}',
-          '${safeCategory}',
-          '${safeSource}',
-          0,
-          now(),
-          now()
-        )
-      `);
+      await this.db.insert('context_rules', {
+        id,
+        context_type: safeType,
+        context_key: safeKey,
+        rule_text: String(ruleText),
+        category: category || 'general',
+        source: source || 'thinkdrop_ai',
+        hit_count: 0,
+        created_at: raw('now()'),
+        updated_at: raw('now()')
+      });
+      await this.changes.record('context_rules', 'insert', id, {
+        data: { contextType: safeType, contextKey: safeKey, ruleText: String(ruleText), category: category || 'general' }
+      });
       logger.info(`[ContextRuleService] Inserted rule ${id} for ${safeType}:${contextKey} category="${category}"`);
       return { id, created: true };
     } catch (error) {
@@ -148,19 +143,18 @@ class ContextRuleService {
   async list(options = {}) {
     const { contextKey, contextType, limit = 100 } = options;
     try {
-      const filters = [];
-      if (contextKey) filters.push(`context_key = '${contextKey.replace(/'/g, '\'\'')}'`);
-      if (contextType) filters.push(`context_type = '${contextType}'`);
-      const where = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+      const where = new Conditions();
+      if (contextKey) where.add('context_key = ?', contextKey);
+      if (contextType) where.add('context_type = ?', contextType);
 
       const rows = await this.db.query(`
         SELECT id, context_type, context_key, rule_text, category, source, hit_count, created_at, updated_at,
                status, priority, verified_count, failed_count, last_verified_at, user_note
         FROM context_rules
-        ${where}
+        ${where.toWhere()}
         ORDER BY context_key, priority DESC, verified_count DESC, hit_count DESC, created_at DESC
-        LIMIT ${limit}
-      `);
+        LIMIT ${int(limit, 100)}
+      `, where.params);
       return {
         results: rows.map(r => ({
           id: r.id,
@@ -192,7 +186,8 @@ class ContextRuleService {
    */
   async delete(id) {
     try {
-      await this.db.execute(`DELETE FROM context_rules WHERE id = '${id.replace(/'/g, '\'\'')}'`);
+      await this.db.execute('DELETE FROM context_rules WHERE id = ?', [id]);
+      await this.changes.record('context_rules', 'delete', id);
       return { deleted: true };
     } catch (error) {
       logger.error('[ContextRuleService] delete failed:', error.message);
@@ -205,8 +200,12 @@ class ContextRuleService {
    */
   async deleteByKey(contextKey) {
     try {
-      const safeKey = contextKey.replace(/'/g, SQ + SQ).toLowerCase().trim();
-      await this.db.execute(`DELETE FROM context_rules WHERE context_key = '${safeKey}'`);
+      const safeKey = String(contextKey).toLowerCase().trim();
+      const rows = await this.db.query('SELECT id FROM context_rules WHERE context_key = ?', [safeKey]);
+      await this.db.execute('DELETE FROM context_rules WHERE context_key = ?', [safeKey]);
+      for (const { id } of rows) {
+        await this.changes.record('context_rules', 'delete', id, { data: { contextKey: safeKey } });
+      }
       logger.info(`[ContextRuleService] deleteByKey: removed all rules for context_key='${safeKey}'`);
       return { deleted: true };
     } catch (error) {
@@ -265,32 +264,30 @@ class ContextRuleService {
    */
   async update(id, updates) {
     const allowed = ['rule_text', 'category', 'priority', 'user_note', 'status'];
-    const setPairs = [];
+    const changes = {};
 
     for (const [key, value] of Object.entries(updates)) {
       if (!allowed.includes(key)) continue;
       if (value === undefined) continue;
 
       if (key === 'priority') {
-        setPairs.push(`${key} = ${Number(value)}`);
-      } else if (key === 'rule_text' || key === 'category' || key === 'user_note' || key === 'status') {
-        setPairs.push(`${key} = '${String(value).replace(/'/g, SQ + SQ)}'`);
+        changes[key] = Number(value) || 0;
+      } else {
+        changes[key] = String(value);
       }
     }
 
-    if (setPairs.length === 0) {
+    if (Object.keys(changes).length === 0) {
       throw new Error('No valid fields to update');
     }
 
-    setPairs.push(`updated_at = now()`);
+    changes.updated_at = raw('now()');
 
     try {
-      const safeId = String(id).replace(/'/g, SQ + SQ);
-      await this.db.execute(`
-        UPDATE context_rules
-        SET ${setPairs.join(', ')}
-        WHERE id = '${safeId}'
-      `);
+      await this.db.update('context_rules', changes, new Conditions().add('id = ?', String(id)));
+      const data = { ...changes };
+      delete data.updated_at;
+      await this.changes.record('context_rules', 'update', String(id), { data });
       logger.info(`[ContextRuleService] Updated rule ${id}`);
       return { updated: true, id };
     } catch (error) {
@@ -312,15 +309,15 @@ class ContextRuleService {
    */
   async cleanupDomain(contextKey) {
     try {
-      const safeKey = String(contextKey).replace(/'/g, SQ + SQ).toLowerCase().trim();
+      const safeKey = String(contextKey).toLowerCase().trim();
       const rows = await this.db.query(`
         SELECT id, context_type, context_key, rule_text, category, source, hit_count, created_at, updated_at,
                status, priority, verified_count, failed_count, last_verified_at, user_note
         FROM context_rules
-        WHERE context_key = '${safeKey}'
+        WHERE context_key = ?
           AND (status IS NULL OR status = 'active')
         ORDER BY priority DESC, verified_count DESC, hit_count DESC, updated_at DESC
-      `);
+      `, [safeKey]);
 
       const rules = rows.map(r => ({
         id: r.id,
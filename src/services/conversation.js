@@ -0,0 +1,379 @@
+import { getDatabaseService } from './database.js';
+import { getEmbeddingService } from './embeddings.js';
+import { getQueryClassifierService } from './queryClassifier.js';
+import logger from '../utils/logger.js';
+import { parseMetadata, extractUserId } from '../utils/helpers.js';
+import { raw, vectorLiteral, int, escapeLike, LIKE_ESCAPE } from '../utils/sql.js';
+import { extractEntities } from '../utils/entityExtractor.js';
+import { queryTerms } from '../utils/chunking.js';
+
+// ---------------------------------------------------------------------------
+// ConversationService — the turns of each chat session.
+//
+// memory.classify-conversational-query tells the client a query refers back
+// to the conversation; conversation.resolve classifies it the same way
+// (QueryClassifierService) and answers it from the stored turns:
+//
+//   POSITIONAL — the first or last N turns ("what did I say first?"),
+//                narrowed to one speaker when the query names one
+//   TOPICAL    — the turns most similar to the topic ("what did we discuss
+//                about the budget?"), in conversation order; when none is
+//                similar enough, the turns sharing the most topic words
+//   OVERVIEW   — a digest of the whole session: turn counts per role, the
+//                most mentioned entities and an excerpt of every turn
+//   GENERAL    — nothing to resolve; no turns are returned
+//
+// Turns are embedded on conversation.append with the active embedding model.
+//
+// Schema: conversation_turns (migration 019)
+// ---------------------------------------------------------------------------
+
+export const CONVERSATION_ROLES = ['user', 'assistant', 'system'];
+
+const MAX_TURN_LENGTH = 10000;
+const MAX_APPEND_TURNS = 100;
+const MAX_SESSION_ID_LENGTH = 200;
+const DEFAULT_POSITIONAL_LIMIT = 3;
+const DEFAULT_TOPICAL_LIMIT = 5;
+const MAX_RESOLVE_LIMIT = 50;
+const DEFAULT_TOPIC_MIN_SIMILARITY = 0.3;
+const DIGEST_MAX_TURNS = 200;
+const DIGEST_EXCERPT_LENGTH = 200;
+const DIGEST_TOP_ENTITIES = 10;
+
+const FIRST_PATTERN = /\b(first|initial|initially|originally|beginning|start|started|earliest)\b/i;
+const USER_SPEAKER = /\b(i (said|say|asked|ask|mentioned|mention|told|wrote)|did i|i was saying)\b/i;
+const ASSISTANT_SPEAKER = /\b(you (said|say|mentioned|mention|told|explained|suggested|recommended)|did you|you were saying)\b/i;
+const TOPIC_PATTERN = /\b(?:about|regarding|concerning)\s+(.+?)[\s?.!]*$/i;
+
+function generateId() {
+  return `turn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function requireSessionId(sessionId) {
+  const value = sessionId === undefined || sessionId === null ? '' : String(sessionId).trim();
+  if (!value) {
+    throw new Error('Invalid sessionId: required');
+  }
+  if (value.length > MAX_SESSION_ID_LENGTH) {
+    throw new Error(`Invalid sessionId: exceeds maximum length of ${MAX_SESSION_ID_LENGTH} characters`);
+  }
+  return value;
+}
+
+function normalizeTurn(turn, index) {
+  const role = String(turn?.role || '').toLowerCase();
+  if (!CONVERSATION_ROLES.includes(role)) {
+    throw new Error(`Invalid role at turn ${index}: ${turn?.role}. Valid: ${CONVERSATION_ROLES.join(', ')}`);
+  }
+  if (!turn.text || typeof turn.text !== 'string' || !turn.text.trim()) {
+    throw new Error(`Invalid text at turn ${index}: must be a non-empty string`);
+  }
+  if (turn.text.length > MAX_TURN_LENGTH) {
+    throw new Error(`Invalid text at turn ${index}: exceeds maximum length of ${MAX_TURN_LENGTH} characters`);
+  }
+  return { role, text: turn.text, metadata: parseMetadata(turn.metadata) };
+}
+
+/**
+ * Clamp a positive integer option to [1, MAX_RESOLVE_LIMIT].
+ */
+function resolveLimit(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  const n = int(value, -1);
+  if (n < 1) {
+    throw new Error('Invalid limit: must be a positive integer');
+  }
+  return Math.min(n, MAX_RESOLVE_LIMIT);
+}
+
+/**
+ * Which speaker a positional query asks about: 'user' ("what did I say"),
+ * 'assistant' ("what did you suggest") or null (either, e.g. "we").
+ */
+export function speakerOf(query) {
+  const user = USER_SPEAKER.test(query);
+  const assistant = ASSISTANT_SPEAKER.test(query);
+  if (user === assistant) return null;
+  return user ? 'user' : 'assistant';
+}
+
+/**
+ * The subject of a topical query ("what did we say about the Q3 budget?"
+ * → "the Q3 budget"), or the whole query when it names none.
+ */
+export function topicOf(query) {
+  const m = TOPIC_PATTERN.exec(query);
+  return m && m[1].trim() ? m[1].trim() : query.trim();
+}
+
+function formatTurn(row) {
+  return {
+    id: row.id,
+    turnIndex: Number(row.turn_index),
+    role: row.role,
+    text: row.source_text,
+    metadata: parseMetadata(row.metadata),
+    createdAt: row.created_at
+  };
+}
+
+function excerpt(text) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > DIGEST_EXCERPT_LENGTH ? `${clean.slice(0, DIGEST_EXCERPT_LENGTH - 1)}…` : clean;
+}
+
+class ConversationService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.embeddings = getEmbeddingService();
+    this.classifier = getQueryClassifierService();
+  }
+
+  /**
+   * Append turns to a session, after the ones already stored. `data` is
+   * { sessionId, role, text, metadata? } or { sessionId, turns: [...] }.
+   */
+  async append(data, context = {}) {
+    const userId = extractUserId(context);
+    const sessionId = requireSessionId(data.sessionId ?? context.sessionId);
+    const input = Array.isArray(data.turns) ? data.turns : [data];
+    if (input.length === 0 || input.length > MAX_APPEND_TURNS) {
+      throw new Error(`Invalid turns: expected 1 to ${MAX_APPEND_TURNS} turns`);
+    }
+    const turns = input.map(normalizeTurn);
+
+    if (!this.embeddings.isInitialized()) {
+      throw new Error('Embedding service not initialized');
+    }
+    const embeddings = await this.embeddings.generateEmbeddings(turns.map(turn => turn.text));
+    const modelId = this.embeddings.getModelId();
+
+    const [{ next }] = await this.db.query(
+      'SELECT COALESCE(MAX(turn_index) + 1, 0) AS next FROM conversation_turns WHERE user_id = ? AND session_id = ?',
+      [userId, sessionId]
+    );
+    const first = Number(next);
+
+    const stored = [];
+    for (const [i, turn] of turns.entries()) {
+      const id = generateId();
+      await this.db.insert('conversation_turns', {
+        id,
+        user_id: userId,
+        session_id: sessionId,
+        turn_index: first + i,
+        role: turn.role,
+        source_text: turn.text,
+        embedding: raw(vectorLiteral(embeddings[i])),
+        embedding_model: modelId,
+        metadata: JSON.stringify(turn.metadata)
+      });
+      stored.push({ id, turnIndex: first + i, role: turn.role });
+    }
+
+    logger.info('Conversation turns appended', { userId, sessionId, count: stored.length });
+    return { sessionId, turns: stored, turnCount: first + stored.length };
+  }
+
+  /**
+   * A session's turns in order, paged by turn index.
+   */
+  async get(sessionId, context = {}, { limit = 100, offset = 0 } = {}) {
+    const userId = extractUserId(context);
+    sessionId = requireSessionId(sessionId);
+    const rows = await this.db.query(`
+      SELECT id, turn_index, role, source_text, metadata, created_at
+      FROM conversation_turns
+      WHERE user_id = ? AND session_id = ?
+      ORDER BY turn_index
+      LIMIT ${int(limit, 100)} OFFSET ${int(offset)}
+    `, [userId, sessionId]);
+    const total = await this._count(userId, sessionId);
+    if (total === 0) {
+      throw new Error(`Conversation not found: ${sessionId}`);
+    }
+    return { sessionId, turns: rows.map(formatTurn), total };
+  }
+
+  /**
+   * Classify `query` against the session and return the turns that answer
+   * it. `options.classification` skips the classifier (e.g. to force
+   * 'OVERVIEW'); `topic` overrides the topic taken from the query.
+   */
+  async resolve(query, context = {}, options = {}) {
+    const startTime = Date.now();
+    const userId = extractUserId(context);
+    const sessionId = requireSessionId(options.sessionId ?? context.sessionId);
+    const total = await this._count(userId, sessionId);
+    if (total === 0) {
+      throw new Error(`Conversation not found: ${sessionId}`);
+    }
+
+    const classification = options.classification
+      ? { classification: String(options.classification).toUpperCase(), confidence: 1, reasoning: 'Requested by caller' }
+      : await this.classifier.classify(query, {
+        sessionId,
+        context: { ...context, sessionId, messageCount: total }
+      });
+
+    let result;
+    switch (classification.classification) {
+    case 'POSITIONAL':
+      result = await this._positional(userId, sessionId, query, resolveLimit(options.limit, DEFAULT_POSITIONAL_LIMIT));
+      break;
+    case 'TOPICAL':
+      result = await this._topical(userId, sessionId, options.topic || topicOf(query), {
+        limit: resolveLimit(options.limit, DEFAULT_TOPICAL_LIMIT),
+        minSimilarity: options.minSimilarity ?? DEFAULT_TOPIC_MIN_SIMILARITY
+      });
+      break;
+    case 'OVERVIEW':
+      result = await this._digest(userId, sessionId);
+      break;
+    case 'GENERAL':
+      result = { strategy: 'none', turns: [] };
+      break;
+    default:
+      throw new Error(`Invalid classification: ${classification.classification}. Valid: POSITIONAL, TOPICAL, OVERVIEW, GENERAL`);
+    }
+
+    return {
+      sessionId,
+      query,
+      classification: classification.classification,
+      confidence: classification.confidence,
+      reasoning: classification.reasoning,
+      turnCount: total,
+      ...result,
+      elapsedMs: Date.now() - startTime
+    };
+  }
+
+  async _count(userId, sessionId) {
+    const [{ count }] = await this.db.query(
+      'SELECT COUNT(*) AS count FROM conversation_turns WHERE user_id = ? AND session_id = ?',
+      [userId, sessionId]
+    );
+    return Number(count);
+  }
+
+  /**
+   * First or last `limit` turns, of one speaker when the query names one.
+   */
+  async _positional(userId, sessionId, query, limit) {
+    const position = FIRST_PATTERN.test(query) ? 'first' : 'last';
+    const role = speakerOf(query);
+    const rows = await this.db.query(`
+      SELECT id, turn_index, role, source_text, metadata, created_at
+      FROM conversation_turns
+      WHERE user_id = ? AND session_id = ?${role ? ' AND role = ?' : ''}
+      ORDER BY turn_index ${position === 'first' ? 'ASC' : 'DESC'}
+      LIMIT ${limit}
+    `, role ? [userId, sessionId, role] : [userId, sessionId]);
+    const turns = rows.map(formatTurn).sort((a, b) => a.turnIndex - b.turnIndex);
+    return { strategy: position, role, turns };
+  }
+
+  /**
+   * The `limit` turns most similar to the topic, in conversation order.
+   */
+  async _topical(userId, sessionId, topic, { limit, minSimilarity }) {
+    if (!this.embeddings.isInitialized()) {
+      throw new Error('Embedding service not initialized');
+    }
+    const embedding = await this.embeddings.generateEmbedding(topic);
+    const rows = await this.db.query(`
+      SELECT id, turn_index, role, source_text, metadata, created_at, similarity FROM (
+        SELECT *, array_cosine_similarity(embedding, ${vectorLiteral(embedding)}) AS similarity
+        FROM conversation_turns
+        WHERE user_id = ? AND session_id = ? AND embedding IS NOT NULL AND embedding_model = ?
+      )
+      WHERE similarity >= ?
+      ORDER BY similarity DESC, turn_index
+      LIMIT ${limit}
+    `, [userId, sessionId, this.embeddings.getModelId(), Number(minSimilarity)]);
+    if (rows.length === 0) {
+      return { strategy: 'topic', topic, match: 'keyword', turns: await this._keywordTurns(userId, sessionId, topic, limit) };
+    }
+    const turns = rows
+      .map(row => ({ ...formatTurn(row), similarity: Number(row.similarity) }))
+      .sort((a, b) => a.turnIndex - b.turnIndex);
+    return { strategy: 'topic', topic, match: 'similarity', turns };
+  }
+
+  /**
+   * Fallback for _topical when no turn reaches minSimilarity (short topics
+   * such as "the hotel" embed far from whole sentences): the `limit` turns
+   * containing the most topic words, in conversation order.
+   */
+  async _keywordTurns(userId, sessionId, topic, limit) {
+    const terms = queryTerms(topic);
+    if (terms.length === 0) return [];
+    const matched = terms.map(() => `CAST(source_text ILIKE ? ${LIKE_ESCAPE} AS INTEGER)`).join(' + ');
+    const rows = await this.db.query(`
+      SELECT id, turn_index, role, source_text, metadata, created_at, matched FROM (
+        SELECT *, ${matched} AS matched
+        FROM conversation_turns
+        WHERE user_id = ? AND session_id = ?
+      )
+      WHERE matched > 0
+      ORDER BY matched DESC, turn_index
+      LIMIT ${limit}
+    `, [...terms.map(term => `%${escapeLike(term)}%`), userId, sessionId]);
+    return rows
+      .map(row => ({ ...formatTurn(row), matchedTerms: Number(row.matched) }))
+      .sort((a, b) => a.turnIndex - b.turnIndex);
+  }
+
+  /**
+   * Whole-session digest: span, turns per role, top entities and an excerpt
+   * of each turn (the first DIGEST_MAX_TURNS).
+   */
+  async _digest(userId, sessionId) {
+    const rows = await this.db.query(
+      'SELECT id, turn_index, role, source_text, metadata, created_at FROM conversation_turns WHERE user_id = ? AND session_id = ? ORDER BY turn_index',
+      [userId, sessionId]
+    );
+
+    const byRole = {};
+    const mentions = new Map();
+    for (const row of rows) {
+      byRole[row.role] = (byRole[row.role] || 0) + 1;
+      for (const entity of extractEntities(row.source_text)) {
+        const key = `${entity.type}:${entity.normalized.toLowerCase()}`;
+        const entry = mentions.get(key) || { type: entity.type, value: entity.value, mentions: 0 };
+        entry.mentions++;
+        mentions.set(key, entry);
+      }
+    }
+    const entities = [...mentions.values()]
+      .sort((a, b) => b.mentions - a.mentions || a.value.localeCompare(b.value))
+      .slice(0, DIGEST_TOP_ENTITIES);
+
+    return {
+      strategy: 'digest',
+      digest: {
+        startedAt: rows[0].created_at,
+        endedAt: rows[rows.length - 1].created_at,
+        byRole,
+        entities,
+        truncated: rows.length > DIGEST_MAX_TURNS
+      },
+      turns: rows.slice(0, DIGEST_MAX_TURNS).map(row => ({
+        id: row.id,
+        turnIndex: Number(row.turn_index),
+        role: row.role,
+        excerpt: excerpt(row.source_text)
+      }))
+    };
+  }
+}
+
+let _instance = null;
+export function getConversationService() {
+  if (!_instance) _instance = new ConversationService();
+  return _instance;
+}
+
+export default ConversationService;
@@ -1,9 +1,12 @@
 import duckdb from 'duckdb';
 import { promisify } from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import logger from '../utils/logger.js';
+import { identifier, isRaw, toParam, toParams, countPlaceholders } from '../utils/sql.js';
+import Migrator from './migrator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,6 +22,8 @@ class DatabaseService {
     // promisified calls on the same connection corrupt internal C++ state and
     // produce the "unique_ptr that is NULL" crash.
     this._dbQueue = Promise.resolve();
+    // The open transaction() of the current async call chain, if any.
+    this._transactions = new AsyncLocalStorage();
     // VSS is NOT loaded at startup — see ensureVssLoaded() for the reason.
     this._vssLoaded = false;
   }
@@ -28,6 +33,15 @@ class DatabaseService {
    * All calls to _run/_all go through here.
    */
   _enqueue(fn) {
+    // Inside transaction() the queue is already held for the whole unit, so
+    // its own statements queue on the transaction instead of behind it.
+    const tx = this._currentTransaction();
+    if (tx) {
+      const ticket = tx.queue.then(() => fn());
+      tx.queue = ticket.catch(() => {});
+      return ticket;
+    }
+
     // Each operation is appended to the queue tail.
     // The internal chain always resolves (via the inner catch) so a failing
     // operation never permanently blocks the queue for subsequent callers.
@@ -40,10 +54,61 @@ class DatabaseService {
     return ticket;
   }
 
+  _currentTransaction() {
+    const tx = this._transactions.getStore();
+    return tx?.open ? tx : null;
+  }
+
+  /**
+   * Run `fn` as one transaction and return its result. The serial queue is
+   * held from BEGIN to COMMIT, so statements of concurrent callers wait
+   * until the unit is done, while every db call made from `fn` (directly or
+   * through other services) joins it. If `fn` throws, the transaction is
+   * rolled back and the error rethrown. A nested call joins the outer
+   * transaction.
+   */
+  async transaction(fn) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+    if (this._currentTransaction()) {
+      return fn();
+    }
+
+    return this._enqueue(() => {
+      const tx = { open: true, queue: Promise.resolve() };
+      return this._transactions.run(tx, async () => {
+        try {
+          await this._run('BEGIN TRANSACTION');
+          let result;
+          try {
+            result = await fn();
+            // Statements fn started without awaiting still belong to it
+            await tx.queue;
+          } catch (error) {
+            await tx.queue;
+            await this._run('ROLLBACK').catch(() => {});
+            throw error;
+          }
+          await this._run('COMMIT');
+          return result;
+        } finally {
+          tx.open = false;
+        }
+      });
+    });
+  }
+
   /**
-   * Initialize database connection and create tables
+   * Initialize database connection and create tables.
+   *
+   * options.migrate — when false, only open the connection: no migrations,
+   * seeds, extensions or health checks. Used by scripts/migrate-db.js so
+   * `status` and `down` can inspect/rewind the schema without first being
+   * forced up to the latest version.
    */
-  async initialize() {
+  async initialize(options = {}) {
+    this._migrateOnConnect = options.migrate !== false;
     if (this.isInitialized) {
       logger.info('Database already initialized');
       return;
@@ -113,6 +178,17 @@ class DatabaseService {
             this._run = promisify(this.connection.run.bind(this.connection));
             this._all = promisify(this.connection.all.bind(this.connection));
 
+            // TIMESTAMP columns hold UTC wall-clock times: now() and the Dates
+            // bound by toParam() must agree whatever the host time zone is.
+            await this._run('SET TimeZone = \'UTC\'');
+
+            if (this._migrateOnConnect === false) {
+              this.isInitialized = true;
+              logger.info(`Database connected without migrating: ${this.dbPath}`);
+              resolve();
+              return;
+            }
+
             // Create tables
             await this.createTables();
 
@@ -143,419 +219,19 @@ class DatabaseService {
   }
 
   /**
-   * Create database tables
+   * Bring the schema up to date through versioned migrations, then seed.
+   * Refuses to start if the on-disk schema is newer than this build.
    */
   async createTables() {
     try {
-      // Create memory table
-      logger.info('Creating memory table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS memory (
-          id TEXT PRIMARY KEY,
-          user_id TEXT,
-          type TEXT DEFAULT 'user_memory',
-          source_text TEXT,
-          metadata TEXT,
-          screenshot TEXT,
-          extracted_text TEXT,
-          embedding FLOAT[384],
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      logger.info('Memory table created');
-
-      // Create single-column indexes for memory table
-      await this.run('CREATE INDEX IF NOT EXISTS idx_memory_user_id ON memory(user_id)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_memory_type ON memory(type)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_memory_created_at ON memory(created_at)');
-      
-      // Create composite indexes for common query patterns
-      await this.run('CREATE INDEX IF NOT EXISTS idx_memory_user_created ON memory(user_id, created_at DESC)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_memory_user_type ON memory(user_id, type)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_memory_user_type_created ON memory(user_id, type, created_at DESC)');
-      
-      logger.info('Memory table indexes created (including composite indexes)');
-
-      // Create episodic_memory table for screen captures / activity log
-      // This isolates high-volume noisy captures from semantic memory search.
-      logger.info('Creating episodic_memory table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS episodic_memory (
-          id TEXT PRIMARY KEY,
-          user_id TEXT,
-          type TEXT DEFAULT 'screen_capture',
-          source_text TEXT,
-          metadata TEXT,
-          screenshot TEXT,
-          extracted_text TEXT,
-          embedding FLOAT[384],
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      await this.run('CREATE INDEX IF NOT EXISTS idx_episodic_user_id ON episodic_memory(user_id)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_episodic_type ON episodic_memory(type)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_episodic_created_at ON episodic_memory(created_at)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_episodic_user_created ON episodic_memory(user_id, created_at DESC)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_episodic_user_type_created ON episodic_memory(user_id, type, created_at DESC)');
-      logger.info('Episodic_memory table created');
-
-      // Create episodic_entities table for named entities extracted from captures
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS episodic_entities (
-          id TEXT PRIMARY KEY,
-          memory_id TEXT NOT NULL,
-          entity TEXT NOT NULL,
-          type TEXT,
-          entity_type TEXT,
-          normalized_value TEXT,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      await this.run('CREATE INDEX IF NOT EXISTS idx_episodic_entities_memory_id ON episodic_entities(memory_id)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_episodic_entities_entity ON episodic_entities(entity)');
-      logger.info('Episodic_entities table created');
-
-      // Create memory_entities table
-      logger.info('Creating memory_entities table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS memory_entities (
-          id TEXT PRIMARY KEY,
-          memory_id TEXT NOT NULL,
-          entity TEXT NOT NULL,
-          type TEXT,
-          entity_type TEXT,
-          normalized_value TEXT,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      logger.info('Memory_entities table created');
-
-      // Create indexes for memory_entities table
-      await this.run('CREATE INDEX IF NOT EXISTS idx_memory_entities_memory_id ON memory_entities(memory_id)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_memory_entities_entity ON memory_entities(entity)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_memory_entities_type ON memory_entities(type)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_memory_entities_entity_type ON memory_entities(entity_type)');
-      logger.info('Memory_entities table indexes created');
-
-      // Create skill_prompts table for RAG-based dynamic skill prompt injection
-      logger.info('Creating skill_prompts table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS skill_prompts (
-          id TEXT PRIMARY KEY,
-          tags TEXT,
-          prompt_text TEXT NOT NULL,
-          embedding FLOAT[384],
-          hit_count INTEGER DEFAULT 0,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      await this.run('CREATE INDEX IF NOT EXISTS idx_skill_prompts_tags ON skill_prompts(tags)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_skill_prompts_created_at ON skill_prompts(created_at)');
-      logger.info('Skill_prompts table created');
-
-      // Create context_rules table for per-site/app prompt injection
-      // context_type: 'site' (hostname) | 'app' (app name e.g. 'slack', 'excel')
-      // context_key:  hostname (e.g. 'en.wikipedia.org') OR app name (e.g. 'slack')
-      logger.info('Creating context_rules table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS context_rules (
-          id TEXT PRIMARY KEY,
-          context_type TEXT NOT NULL DEFAULT 'site',
-          context_key TEXT NOT NULL,
-          rule_text TEXT NOT NULL,
-          category TEXT DEFAULT 'general',
-          source TEXT DEFAULT 'thinkdrop_ai',
-          hit_count INTEGER DEFAULT 0,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      await this.run('CREATE INDEX IF NOT EXISTS idx_context_rules_key ON context_rules(context_key)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_context_rules_type ON context_rules(context_type)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_context_rules_category ON context_rules(category)');
-      logger.info('Context_rules table created');
+      const migrator = new Migrator(this);
+      await migrator.assertCompatible();
+      await migrator.up();
 
-      // Migration: Add new columns for rule management (idempotent - safe to re-run)
-      logger.info('Running context_rules migration...');
-      try {
-        await this.run('ALTER TABLE context_rules ADD COLUMN status TEXT DEFAULT \'active\'');
-        logger.info('  + Added status column');
-      } catch (e) { /* Column exists */ }
-      try {
-        await this.run('ALTER TABLE context_rules ADD COLUMN priority INTEGER DEFAULT 0');
-        logger.info('  + Added priority column');
-      } catch (e) { /* Column exists */ }
-      try {
-        await this.run('ALTER TABLE context_rules ADD COLUMN verified_count INTEGER DEFAULT 0');
-        logger.info('  + Added verified_count column');
-      } catch (e) { /* Column exists */ }
-      try {
-        await this.run('ALTER TABLE context_rules ADD COLUMN failed_count INTEGER DEFAULT 0');
-        logger.info('  + Added failed_count column');
-      } catch (e) { /* Column exists */ }
-      try {
-        await this.run('ALTER TABLE context_rules ADD COLUMN last_verified_at TIMESTAMP');
-        logger.info('  + Added last_verified_at column');
-      } catch (e) { /* Column exists */ }
-      try {
-        await this.run('ALTER TABLE context_rules ADD COLUMN user_note TEXT');
-        logger.info('  + Added user_note column');
-      } catch (e) { /* Column exists */ }
-      logger.info('Context_rules migration complete');
-
-      // Create api_rules table for per-service API contract rules used by skill generation pipeline
-      // service:   npm/API service name (e.g. 'clicksend', 'twilio', 'stripe', 'gmail')
-      // rule_type: 'auth' | 'payload' | 'secret' | 'endpoint' | 'gotcha'
-      // code_pattern: optional regex string to detect violations in generated skill code
-      // fix_hint:     exact correction to give the LLM when violation is found
-      // source:       'system' (seed rules) | 'learned' (written from runtime failures)
-      logger.info('Creating api_rules table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS api_rules (
-          id TEXT PRIMARY KEY,
-          service TEXT NOT NULL,
-          rule_type TEXT NOT NULL DEFAULT 'gotcha',
-          rule_text TEXT NOT NULL,
-          code_pattern TEXT,
-          fix_hint TEXT,
-          source TEXT DEFAULT 'system',
-          hit_count INTEGER DEFAULT 0,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      await this.run('CREATE INDEX IF NOT EXISTS idx_api_rules_service ON api_rules(service)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_api_rules_type ON api_rules(rule_type)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_api_rules_source ON api_rules(source)');
-      logger.info('Api_rules table created');
       await this.seedApiRules();
       await this.seedContextRules();
-
-      // Create intent_overrides table for user-corrected intent learning.
-      // When the user corrects a wrong classification ("no, I meant go to the webpage"),
-      // we store the original phrase + correct intent here and check it before phi4
-      // on future prompts — so the same phrasing never misclassifies again.
-      logger.info('Creating intent_overrides table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS intent_overrides (
-          id TEXT PRIMARY KEY,
-          example_prompt TEXT NOT NULL,
-          correct_intent TEXT NOT NULL,
-          wrong_intent TEXT,
-          embedding FLOAT[384],
-          source TEXT DEFAULT 'user_correction',
-          hit_count INTEGER DEFAULT 0,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      await this.run('CREATE INDEX IF NOT EXISTS idx_intent_overrides_intent ON intent_overrides(correct_intent)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_intent_overrides_created ON intent_overrides(created_at)');
-      logger.info('Intent_overrides table created');
-
-      // Create phrase_preferences table — user-taught phrase→delivery mappings.
-      // When the user says something ambiguous like "shoot me a text" or "drop me a message",
-      // ThinkDrop asks once, stores the answer here, and never asks again for semantically
-      // similar phrases. The embedding enables fuzzy matching so variants of the same phrase
-      // ("ping me", "shoot me a text", "drop me a line") map to the same stored preference.
-      // delivery:  'sms' | 'email' | 'slack' | 'discord' | 'push' | 'webhook'
-      // service:   'twilio' | 'sendgrid' | 'mailgun' | 'slack' | etc.
-      // metadata:  JSON string for extra context (channel, address, etc.)
-      // source:    'user_answer' (first time) | 'user_correction' (explicit override)
-      logger.info('Creating phrase_preferences table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS phrase_preferences (
-          id TEXT PRIMARY KEY,
-          example_phrase TEXT NOT NULL,
-          delivery TEXT NOT NULL,
-          service TEXT,
-          metadata TEXT,
-          embedding FLOAT[384],
-          source TEXT DEFAULT 'user_answer',
-          hit_count INTEGER DEFAULT 0,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      await this.run('CREATE INDEX IF NOT EXISTS idx_phrase_prefs_delivery ON phrase_preferences(delivery)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_phrase_prefs_service ON phrase_preferences(service)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_phrase_prefs_created ON phrase_preferences(created_at)');
-      logger.info('Phrase_preferences table created');
-
-      // Create installed_skills table for the skill extension system
-      logger.info('Creating installed_skills table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS installed_skills (
-          id TEXT PRIMARY KEY,
-          name TEXT NOT NULL UNIQUE,
-          description TEXT NOT NULL,
-          contract_md TEXT NOT NULL,
-          exec_path TEXT NOT NULL,
-          exec_type TEXT NOT NULL DEFAULT 'node',
-          enabled BOOLEAN DEFAULT true,
-          installed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      await this.run('CREATE INDEX IF NOT EXISTS idx_installed_skills_name ON installed_skills(name)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_installed_skills_enabled ON installed_skills(enabled)');
-      // Migration: add source_domain and source_action columns if they don't exist yet
-      await this.run('ALTER TABLE installed_skills ADD COLUMN IF NOT EXISTS source_domain TEXT').catch(() => {});
-      await this.run('ALTER TABLE installed_skills ADD COLUMN IF NOT EXISTS source_action TEXT').catch(() => {});
-      logger.info('Installed_skills table created');
-
-      // Create skill_health table — tracks structural validation state per skill.
-      // Updated by skill.review agent on startup scan and on-demand validate/repair.
-      // status: 'ok' | 'invalid' | 'repaired' | 'unvalidated'
-      // Note: Drop and recreate on every startup to prevent stale FK constraints from
-      // blocking installed_skills updates. Health records are repopulated by startup scan.
-      logger.info('Creating skill_health table...');
-      await this.run('DROP TABLE IF EXISTS skill_health');
-      await this.run(`
-        CREATE TABLE skill_health (
-          skill_name TEXT PRIMARY KEY,
-          status TEXT NOT NULL DEFAULT 'unvalidated',
-          errors TEXT,
-          last_checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          auto_repaired BOOLEAN DEFAULT false
-        )
-      `);
-
-      // Create personality_state table — singleton row tracking ThinkDrop's live emotional state.
-      // Uses a fixed id='singleton' so updates are always upserts, no time-series complexity.
-      // Persists across app restarts — ThinkDrop's mood survives service bounces.
-      logger.info('Creating personality_state table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS personality_state (
-          id           TEXT PRIMARY KEY DEFAULT 'singleton',
-          valence      FLOAT  DEFAULT 0.0,
-          arousal      FLOAT  DEFAULT 0.0,
-          dominance    FLOAT  DEFAULT 0.3,
-          mood_label   TEXT   DEFAULT 'content',
-          mood_reason  TEXT,
-          hurt_count   INTEGER DEFAULT 0,
-          joy_count    INTEGER DEFAULT 0,
-          reset_at     TIMESTAMP,
-          updated_at   TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
       await this.seedPersonalityState();
-      logger.info('Personality_state table created');
-
-      // Create personality_traits table — persisted key/value traits that shape the live
-      // personality overlay injected into all LLM prompts. Grown over time by the synthesis
-      // agent. Core worldview row is immutable and seeded at boot.
-      logger.info('Creating personality_traits table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS personality_traits (
-          id           TEXT PRIMARY KEY,
-          trait_key    TEXT NOT NULL UNIQUE,
-          trait_value  TEXT NOT NULL,
-          source       TEXT DEFAULT 'system',
-          weight       FLOAT DEFAULT 1.0,
-          updated_at   TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      await this.run('CREATE INDEX IF NOT EXISTS idx_personality_traits_key ON personality_traits(trait_key)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_personality_traits_source ON personality_traits(source)');
       await this.seedPersonalityTraits();
-      logger.info('Personality_traits table created');
-
-      // voice_fingerprint: speaker identification via spectral feature vectors.
-      // Each row is one known speaker. features_json stores a running average of
-      // [zcr_median, spectral_centroid, rms_mean, rms_variance, f0_estimate] computed
-      // from multiple enrollment utterances. Matching uses cosine similarity.
-      logger.info('Creating voice_fingerprint table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS voice_fingerprint (
-          id            TEXT PRIMARY KEY,
-          speaker_id    TEXT NOT NULL UNIQUE,
-          speaker_name  TEXT DEFAULT 'Primary User',
-          features_json TEXT NOT NULL,
-          sample_count  INTEGER DEFAULT 1,
-          gender        TEXT DEFAULT 'unknown',
-          age_group     TEXT DEFAULT 'adult',
-          angry_count   INTEGER DEFAULT 0,
-          loud_count    INTEGER DEFAULT 0,
-          whisper_count INTEGER DEFAULT 0,
-          created_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      await this.run('CREATE INDEX IF NOT EXISTS idx_voice_fingerprint_speaker ON voice_fingerprint(speaker_id)');
-      logger.info('voice_fingerprint table created');
-
-      // user_profile: positive identity & per-service account pointers.
-      // Sensitive rows store a KEYTAR:<key> reference — the actual secret lives
-      // in the OS keychain and is never written to DuckDB.
-      logger.info('Creating user_profile table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS user_profile (
-          id          TEXT PRIMARY KEY,
-          key         TEXT NOT NULL UNIQUE,
-          value_ref   TEXT NOT NULL,
-          sensitive   INTEGER DEFAULT 0,
-          service     TEXT DEFAULT NULL,
-          label       TEXT DEFAULT NULL,
-          created_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      logger.info('user_profile table created');
-
-      // user_constraints: hard/soft rules that restrict ThinkDrop's autonomous actions.
-      // blocks: JSON array of action glob patterns that this constraint blocks.
-      // severity: 'hard' = abort + ASK_USER | 'soft' = warn before proceeding.
-      logger.info('Creating user_constraints table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS user_constraints (
-          id           TEXT PRIMARY KEY,
-          scope        TEXT NOT NULL DEFAULT 'global',
-          rule         TEXT NOT NULL,
-          blocks       TEXT DEFAULT NULL,
-          severity     TEXT DEFAULT 'hard',
-          override_pin TEXT DEFAULT NULL,
-          created_at   TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at   TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      logger.info('user_constraints table created');
-
-      // Migration: add override_pin for existing databases (idempotent — throws if already present)
-      try {
-        await this.run('ALTER TABLE user_constraints ADD COLUMN override_pin TEXT DEFAULT NULL');
-        logger.info('[DB Migration] user_constraints: added override_pin column');
-      } catch (_) {
-        // Column already exists on re-start — expected, skip silently
-      }
-
-      // Pending long-running tasks (Phase 3: async completion via playwright waitForContent)
-      logger.info('Creating pending_tasks table...');
-      await this.run(`
-        CREATE TABLE IF NOT EXISTS pending_tasks (
-          id TEXT PRIMARY KEY,
-          original_prompt TEXT NOT NULL,
-          sub_prompt TEXT NOT NULL,
-          intent TEXT NOT NULL,
-          step_order INTEGER NOT NULL,
-          plan_context TEXT,
-          status TEXT DEFAULT 'running',
-          completion_signal TEXT,
-          completion_arg TEXT,
-          started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          completed_at TIMESTAMP,
-          result TEXT,
-          error_text TEXT,
-          session_id TEXT,
-          user_id TEXT DEFAULT 'default'
-        )
-      `);
-      await this.run('CREATE INDEX IF NOT EXISTS idx_pending_tasks_status ON pending_tasks(status)');
-      await this.run('CREATE INDEX IF NOT EXISTS idx_pending_tasks_started ON pending_tasks(started_at)');
-      logger.info('pending_tasks table created');
 
       logger.info('Database tables created successfully');
     } catch (error) {
@@ -569,7 +245,6 @@ class DatabaseService {
    * Only inserts rules that don't already exist for a given service+rule_type+text combo.
    */
   async seedApiRules() {
-    const SQ = '\'';
     const rules = [
       // ── ClickSend ────────────────────────────────────────────────────────────
       { service: 'clicksend', rule_type: 'auth',
@@ -777,21 +452,17 @@ class DatabaseService {
     let seeded = 0;
     for (const rule of rules) {
       try {
-        const safeService  = rule.service.replace(/'/g, SQ + SQ);
-        const safeType     = rule.rule_type.replace(/'/g, SQ + SQ);
-        const safeText     = rule.rule_text.replace(/'/g, SQ + SQ);
-        const existing     = await this.all(
-          `SELECT id FROM api_rules WHERE service = '${safeService}' AND rule_type = '${safeType}' AND rule_text = '${safeText}'`
+        const existing = await this.all(
+          'SELECT id FROM api_rules WHERE service = ? AND rule_type = ? AND rule_text = ?',
+          rule.service, rule.rule_type, rule.rule_text
         );
         if (existing && existing.length > 0) continue;
 
-        const id          = `ar_seed_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
-        const patternVal  = rule.code_pattern ? `'${rule.code_pattern.replace(/'/g, SQ + SQ)}'` : 'NULL';
-        const fixHintVal  = rule.fix_hint     ? `'${rule.fix_hint.replace(/'/g, SQ + SQ)}'`     : 'NULL';
+        const id = `ar_seed_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
         await this.run(`
           INSERT INTO api_rules (id, service, rule_type, rule_text, code_pattern, fix_hint, source, hit_count, created_at, updated_at)
-          VALUES ('${id}','${safeService}','${safeType}','${safeText}',${patternVal},${fixHintVal},'system',0,now(),now())
-        `);
+          VALUES (?, ?, ?, ?, ?, ?, 'system', 0, now(), now())
+        `, id, rule.service, rule.rule_type, rule.rule_text, rule.code_pattern || null, rule.fix_hint || null);
         seeded++;
       } catch (e) {
         logger.warn(`[seedApiRules] Failed to seed ${rule.service}:${rule.rule_type}`, { error: e.message });
@@ -805,7 +476,6 @@ class DatabaseService {
    * Idempotent — skips any rule whose rule_text already exists.
    */
   async seedContextRules() {
-    const SQ = '\'';
     const rules = [
       {
         context_type: 'global',
@@ -838,19 +508,16 @@ class DatabaseService {
     let seeded = 0;
     for (const rule of rules) {
       try {
-        const safeKey  = rule.context_key.replace(/'/g, SQ + SQ);
-        const safeText = rule.rule_text.replace(/'/g, SQ + SQ);
         const existing = await this.all(
-          `SELECT id FROM context_rules WHERE context_key = '${safeKey}' AND rule_text = '${safeText}'`
+          'SELECT id FROM context_rules WHERE context_key = ? AND rule_text = ?',
+          rule.context_key, rule.rule_text
         );
         if (existing && existing.length > 0) continue;
         const id = `cr_seed_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
-        const safeType     = (rule.context_type || 'global').replace(/'/g, SQ + SQ);
-        const safeCategory = (rule.category || 'general').replace(/'/g, SQ + SQ);
         await this.run(`
           INSERT INTO context_rules (id, context_type, context_key, rule_text, category, source, hit_count, created_at, updated_at)
-          VALUES ('${id}','${safeType}','${safeKey}','${safeText}','${safeCategory}','system',0,now(),now())
-        `);
+          VALUES (?, ?, ?, ?, ?, 'system', 0, now(), now())
+        `, id, rule.context_type || 'global', rule.context_key, rule.rule_text, rule.category || 'general');
         seeded++;
       } catch (e) {
         logger.warn(`[seedContextRules] Failed to seed ${rule.context_key}`, { error: e.message });
@@ -885,7 +552,6 @@ class DatabaseService {
    * Only inserts rows that are missing — never overwrites learned/user_set traits.
    */
   async seedPersonalityTraits() {
-    const SQ = '\'';
     const traits = [
       {
         trait_key: 'core_worldview',
@@ -918,18 +584,15 @@ class DatabaseService {
     for (const trait of traits) {
       try {
         const existing = await this.all(
-          `SELECT id FROM personality_traits WHERE trait_key = '${trait.trait_key.replace(/'/g, SQ + SQ)}'`
+          'SELECT id FROM personality_traits WHERE trait_key = ?', trait.trait_key
         );
         if (existing && existing.length > 0) continue;
 
         const id = `pt_${trait.trait_key}_${Date.now()}`;
-        const safeKey = trait.trait_key.replace(/'/g, SQ + SQ);
-        const safeVal = trait.trait_value.replace(/'/g, SQ + SQ);
-        const safeSrc = trait.source.replace(/'/g, SQ + SQ);
         await this.run(`
           INSERT INTO personality_traits (id, trait_key, trait_value, source, weight, updated_at)
-          VALUES ('${id}', '${safeKey}', '${safeVal}', '${safeSrc}', 1.0, now())
-        `);
+          VALUES (?, ?, ?, ?, 1.0, now())
+        `, id, trait.trait_key, trait.trait_value, trait.source);
         seeded++;
       } catch (e) {
         logger.warn(`[seedPersonalityTraits] Failed to seed trait ${trait.trait_key}`, { error: e.message });
@@ -1093,7 +756,7 @@ class DatabaseService {
       for (const table of ftsTables) {
         const schemaName = `fts_main_${table}`;
         const schemaExists = await this.all(
-          `SELECT COUNT(*) as count FROM information_schema.schemata WHERE schema_name = '${schemaName}'`
+          'SELECT COUNT(*) as count FROM information_schema.schemata WHERE schema_name = ?', schemaName
         );
         if (Number(schemaExists[0]?.count || 0) === 0) {
           await this.run(`PRAGMA create_fts_index('${table}', 'id', 'source_text')`);
@@ -1150,12 +813,15 @@ class DatabaseService {
   }
 
   /**
-   * Execute a query and return all results
+   * Execute a query and return all results.
+   * Values must be passed through `params` and referenced with positional `?`
+   * placeholders — never interpolated into `sql`.
    */
   async query(sql, params = []) {
     if (!this.isInitialized) {
       await this.initialize();
     }
+    params = toParams(params);
 
     try {
       const results = await this.all(sql, ...params);
@@ -1163,11 +829,12 @@ class DatabaseService {
     } catch (error) {
       const errorMessage = error.message || '';
       
-      // Detect DuckDB corruption errors and attempt recovery
-      if (errorMessage.includes('unique_ptr that is NULL') || 
+      // Detect DuckDB corruption errors and attempt recovery. Not inside a
+      // transaction: reconnecting would drop its earlier statements.
+      if (!this._currentTransaction() && (errorMessage.includes('unique_ptr that is NULL') || 
           errorMessage.includes('InternalException') ||
           errorMessage.includes('database is locked') ||
-          errorMessage.includes('IO Error')) {
+          errorMessage.includes('IO Error'))) {
         logger.error('Database corruption detected, attempting recovery', { sql, error: error.message });
         
         try {
@@ -1192,12 +859,13 @@ class DatabaseService {
   }
 
   /**
-   * Execute a statement (INSERT, UPDATE, DELETE)
+   * Execute a statement (INSERT, UPDATE, DELETE) with positional `?` params.
    */
   async execute(sql, params = []) {
     if (!this.isInitialized) {
       await this.initialize();
     }
+    params = toParams(params);
 
     try {
       await this.run(sql, ...params);
@@ -1205,11 +873,12 @@ class DatabaseService {
     } catch (error) {
       const errorMessage = error.message || '';
       
-      // Detect DuckDB corruption errors and attempt recovery
-      if (errorMessage.includes('unique_ptr that is NULL') || 
+      // Detect DuckDB corruption errors and attempt recovery. Not inside a
+      // transaction: reconnecting would drop its earlier statements.
+      if (!this._currentTransaction() && (errorMessage.includes('unique_ptr that is NULL') || 
           errorMessage.includes('InternalException') ||
           errorMessage.includes('database is locked') ||
-          errorMessage.includes('IO Error')) {
+          errorMessage.includes('IO Error'))) {
         logger.error('Database corruption detected in execute, attempting recovery', { sql, error: error.message });
         
         try {
@@ -1233,6 +902,75 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Prepared-statement handle. The placeholder count is fixed up front so a
+   * caller binding the wrong number of values fails loudly instead of
+   * silently shifting columns.
+   *
+   *   const stmt = db.prepare('SELECT * FROM memory WHERE id = ? AND user_id = ?');
+   *   const rows = await stmt.all(memoryId, userId);
+   */
+  prepare(sql) {
+    const paramCount = countPlaceholders(sql);
+    const bind = (params) => {
+      if (params.length !== paramCount) {
+        throw new Error(`Invalid SQL parameters: statement expects ${paramCount}, got ${params.length}`);
+      }
+      return params;
+    };
+    return {
+      sql,
+      paramCount,
+      all: (...params) => this.query(sql, bind(params)),
+      run: (...params) => this.execute(sql, bind(params))
+    };
+  }
+
+  /**
+   * INSERT a row from a { column: value } map. Values are bound as params
+   * unless wrapped in raw() (for trusted fragments like now() or a vector
+   * literal built by vectorLiteral()).
+   */
+  async insert(table, row) {
+    const { columns, values, params } = this._splitRow(row);
+    return this.execute(
+      `INSERT INTO ${identifier(table)} (${columns.join(', ')}) VALUES (${values.join(', ')})`,
+      params
+    );
+  }
+
+  /**
+   * UPDATE rows matching a Conditions instance (see utils/sql.js).
+   * Refuses to run without a WHERE clause.
+   */
+  async update(table, changes, where) {
+    if (!where || !where.length) {
+      throw new Error(`Refusing to UPDATE ${table} without a WHERE clause`);
+    }
+    const { columns, values, params } = this._splitRow(changes);
+    const assignments = columns.map((col, i) => `${col} = ${values[i]}`);
+    return this.execute(
+      `UPDATE ${identifier(table)} SET ${assignments.join(', ')} WHERE ${where.toSql()}`,
+      [...params, ...where.params]
+    );
+  }
+
+  _splitRow(row) {
+    const columns = [];
+    const values = [];
+    const params = [];
+    for (const [column, value] of Object.entries(row)) {
+      columns.push(identifier(column));
+      if (isRaw(value)) {
+        values.push(value.sql);
+      } else {
+        values.push('?');
+        params.push(toParam(value));
+      }
+    }
+    return { columns, values, params };
+  }
+
   /**
    * Get database statistics
    */
@@ -0,0 +1,253 @@
+import { getDatabaseService } from './database.js';
+import { getMemoryService } from './memory.js';
+import logger from '../utils/logger.js';
+import { parseMetadata, extractUserId } from '../utils/helpers.js';
+import { Conditions, int } from '../utils/sql.js';
+import { chunkText } from '../utils/chunking.js';
+
+// ---------------------------------------------------------------------------
+// DocumentService — long text (transcripts, articles) as chunked memories.
+//
+// document.ingest keeps the full text in `documents` and stores overlapping
+// chunks through MemoryService.storeBatch as type 'document_chunk' memories
+// whose metadata carries { documentId, chunkIndex, start, end }. Chunks are
+// embedded, indexed for BM25 and get extracted entities like any memory;
+// memory.search collapses chunk hits back to their document (see
+// MemoryService._collapseDocumentChunks).
+//
+// Deleting a document permanently deletes its chunks.
+//
+// Schema: documents (migration 017)
+// ---------------------------------------------------------------------------
+
+const MAX_DOCUMENT_LENGTH = parseInt(process.env.DOCUMENT_MAX_LENGTH || '500000', 10);
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.DOCUMENT_CHUNK_SIZE || '1000', 10);
+const DEFAULT_CHUNK_OVERLAP = parseInt(process.env.DOCUMENT_CHUNK_OVERLAP || '150', 10);
+// A chunk is a memory row, so it can't exceed validateMemoryText's limit
+const MAX_CHUNK_SIZE = 10000;
+// Chunks per storeBatch call (BATCH_MAX_ITEMS default)
+const CHUNK_BATCH = 500;
+const MAX_TITLE_LENGTH = 200;
+
+function generateId() {
+  return `doc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Metadata fragment matching a document's chunks, encoded the way
+ * JSON.stringify(metadata) stored it (see sessionIdFragment in memory.js).
+ */
+export function documentIdFragment(documentId) {
+  return `"documentId":${JSON.stringify(String(documentId))}`;
+}
+
+/**
+ * Title from the payload, or the first line of the text.
+ */
+function resolveTitle(title, text) {
+  const value = title ? String(title) : text.split('\n').find(line => line.trim()) || '';
+  const clean = value.replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_TITLE_LENGTH ? `${clean.slice(0, MAX_TITLE_LENGTH - 1)}…` : clean;
+}
+
+function formatDocument(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    metadata: parseMetadata(row.metadata),
+    charCount: Number(row.char_count),
+    chunkCount: Number(row.chunk_count),
+    chunkSize: Number(row.chunk_size),
+    chunkOverlap: Number(row.chunk_overlap),
+    createdAt: row.created_at,
+  };
+}
+
+class DocumentService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.memory = getMemoryService();
+  }
+
+  /**
+   * Split a long text into chunks and store them as memories linked to a new
+   * document. If any chunk fails to store, the chunks already stored and the
+   * document are removed again and the error is thrown.
+   */
+  async ingest(data, context = {}) {
+    const startTime = Date.now();
+    const userId = extractUserId(context);
+    if (!data.text || typeof data.text !== 'string' || !data.text.trim()) {
+      throw new Error('Invalid text: document text must be a non-empty string');
+    }
+    if (data.text.length > MAX_DOCUMENT_LENGTH) {
+      throw new Error(`Invalid text: document exceeds maximum length of ${MAX_DOCUMENT_LENGTH} characters`);
+    }
+    const chunkSize = data.chunkSize === undefined ? DEFAULT_CHUNK_SIZE : Number(data.chunkSize);
+    const chunkOverlap = data.chunkOverlap === undefined ? DEFAULT_CHUNK_OVERLAP : Number(data.chunkOverlap);
+    if (chunkSize > MAX_CHUNK_SIZE) {
+      throw new Error(`Invalid chunkSize: at most ${MAX_CHUNK_SIZE} characters`);
+    }
+
+    const text = data.text;
+    const chunks = chunkText(text, { size: chunkSize, overlap: chunkOverlap });
+    const metadata = parseMetadata(data.metadata);
+    const documentId = generateId();
+    const title = resolveTitle(data.title, text);
+
+    await this.db.insert('documents', {
+      id: documentId,
+      user_id: userId,
+      title,
+      source_text: text,
+      metadata: JSON.stringify(metadata),
+      char_count: text.length,
+      chunk_count: chunks.length,
+      chunk_size: chunkSize,
+      chunk_overlap: chunkOverlap,
+    });
+
+    const items = chunks.map(chunk => ({
+      text: chunk.text,
+      type: 'document_chunk',
+      metadata: { ...metadata, documentId, chunkIndex: chunk.index, start: chunk.start, end: chunk.end },
+      extractEntities: data.extractEntities,
+      detectSupersession: false,
+    }));
+
+    const chunkIds = [];
+    try {
+      for (let i = 0; i < items.length; i += CHUNK_BATCH) {
+        const summary = await this.memory.storeBatch(items.slice(i, i + CHUNK_BATCH), context);
+        chunkIds.push(...summary.results.filter(r => r.ok).map(r => r.memoryId));
+        const failed = summary.results.find(r => !r.ok);
+        if (failed) {
+          throw new Error(`Failed to store chunk ${i + failed.index}: ${failed.error}`);
+        }
+      }
+    } catch (error) {
+      logger.error('Document ingest failed, rolling back', { documentId, error: error.message });
+      if (chunkIds.length > 0) {
+        await this.memory.deleteBatch(chunkIds, context, { permanent: true });
+      }
+      await this.db.execute('DELETE FROM documents WHERE id = ?', [documentId]);
+      throw error;
+    }
+
+    logger.info('Document ingested', {
+      documentId,
+      userId,
+      chars: text.length,
+      chunks: chunks.length,
+      elapsedMs: Date.now() - startTime
+    });
+    return {
+      documentId,
+      title,
+      charCount: text.length,
+      chunkCount: chunks.length,
+      chunkIds,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * A document with its chunk list; includeText adds the full text.
+   */
+  async get(documentId, context = {}, { includeText = false } = {}) {
+    const userId = extractUserId(context);
+    const rows = await this.db.query(
+      'SELECT * FROM documents WHERE id = ? AND user_id = ?',
+      [documentId, userId]
+    );
+    if (rows.length === 0) {
+      throw new Error(`Document not found: ${documentId}`);
+    }
+
+    const chunks = (await this._chunks(userId, documentId))
+      .filter(chunk => chunk.deleted_at === null)
+      .map(chunk => {
+        const metadata = parseMetadata(chunk.metadata);
+        return {
+          memoryId: chunk.id,
+          chunkIndex: metadata.chunkIndex,
+          start: metadata.start,
+          end: metadata.end,
+          text: chunk.source_text
+        };
+      })
+      .sort((a, b) => a.chunkIndex - b.chunkIndex);
+
+    return {
+      ...formatDocument(rows[0]),
+      ...(includeText ? { text: rows[0].source_text } : {}),
+      chunks
+    };
+  }
+
+  /**
+   * The user's documents, newest first.
+   */
+  async list(context = {}, { limit = 25, offset = 0 } = {}) {
+    const userId = extractUserId(context);
+    const rows = await this.db.query(`
+      SELECT id, title, metadata, char_count, chunk_count, chunk_size, chunk_overlap, created_at
+      FROM documents
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id
+      LIMIT ${int(limit, 25)} OFFSET ${int(offset)}
+    `, [userId]);
+    const [{ count }] = await this.db.query(
+      'SELECT COUNT(*) AS count FROM documents WHERE user_id = ?',
+      [userId]
+    );
+    return { documents: rows.map(formatDocument), total: Number(count) };
+  }
+
+  /**
+   * Delete a document and permanently delete its chunks (trashed ones too).
+   */
+  async delete(documentId, context = {}) {
+    const userId = extractUserId(context);
+    const rows = await this.db.query(
+      'SELECT id FROM documents WHERE id = ? AND user_id = ?',
+      [documentId, userId]
+    );
+    if (rows.length === 0) {
+      throw new Error(`Document not found: ${documentId}`);
+    }
+
+    const chunkIds = (await this._chunks(userId, documentId)).map(chunk => chunk.id);
+    let chunksDeleted = 0;
+    for (let i = 0; i < chunkIds.length; i += CHUNK_BATCH) {
+      const summary = await this.memory.deleteBatch(chunkIds.slice(i, i + CHUNK_BATCH), context, { permanent: true });
+      chunksDeleted += summary.succeeded;
+    }
+    await this.db.execute('DELETE FROM documents WHERE id = ?', [documentId]);
+
+    logger.info('Document deleted', { documentId, userId, chunksDeleted });
+    return { documentId, deleted: true, chunksDeleted };
+  }
+
+  /**
+   * Chunk rows of a document, trashed ones included.
+   */
+  async _chunks(userId, documentId) {
+    const where = new Conditions()
+      .add('user_id = ?', userId)
+      .add('type = \'document_chunk\'')
+      .contains('metadata', documentIdFragment(documentId));
+    return this.db.query(
+      `SELECT id, source_text, metadata, deleted_at FROM memory ${where.toWhere()}`,
+      where.params
+    );
+  }
+}
+
+let _instance = null;
+export function getDocumentService() {
+  if (!_instance) _instance = new DocumentService();
+  return _instance;
+}
+
+export default DocumentService;
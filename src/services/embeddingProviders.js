@@ -0,0 +1,270 @@
+import logger from '../utils/logger.js';
+
+// ---------------------------------------------------------------------------
+// Embedding providers.
+//
+// A provider turns text into a vector. EmbeddingService wraps whichever one is
+// configured with caching and validation. Every vector row records the
+// provider's `modelId` in its embedding_model column, so vectors from
+// different models are never compared.
+//
+//   local         — @xenova/transformers running in-process (default)
+//   deterministic — hash-based vectors; no model download, stable across runs.
+//                   Useful for tests and CI.
+//   openai        — any OpenAI-compatible POST {baseUrl}/embeddings endpoint
+//                   (OpenAI, Ollama, LM Studio, a local stand-in, ...)
+//
+// Configuration (env):
+//   EMBEDDING_PROVIDER   local | deterministic | openai   (default: local)
+//   EMBEDDING_MODEL      model name, provider-specific default
+//   EMBEDDING_API_URL    base URL for the openai provider
+//   EMBEDDING_API_KEY    bearer token for the openai provider (optional)
+//
+// Every table stores FLOAT[384], so every provider must produce 384 dims.
+// ---------------------------------------------------------------------------
+
+export const EMBEDDING_DIMENSIONS = 384;
+
+export const DEFAULT_LOCAL_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+/**
+ * Deterministic pseudo-embedding built from word hashes, positions and
+ * frequencies. Related texts (shared words) land close together, which is
+ * enough for tests and for the local provider's tensor-error fallback.
+ */
+export function deterministicEmbedding(text, dimension = EMBEDDING_DIMENSIONS) {
+  const embedding = new Array(dimension).fill(0);
+
+  const words = text.toLowerCase().replace(/[^a-z0-9\s]/g, '').split(/\s+/).filter(w => w.length > 0);
+  const wordSet = new Set(words);
+
+  for (const word of wordSet) {
+    let wordHash = 0;
+    for (let i = 0; i < word.length; i++) {
+      const char = word.charCodeAt(i);
+      wordHash = ((wordHash << 5) - wordHash) + char;
+      wordHash = wordHash & wordHash;
+    }
+
+    // Map each word to several dimensions to increase similarity for related texts
+    const wordDimensions = Math.abs(wordHash) % (dimension / 4);
+    for (let i = 0; i < 4; i++) {
+      const dimIndex = (wordDimensions + i * (dimension / 4)) % dimension;
+      const freq = words.filter(w => w === word).length / words.length;
+      const position = words.indexOf(word) / words.length;
+      const value = Math.sin(wordHash + i) * freq + Math.cos(wordHash + i) * position;
+      embedding[dimIndex] += value;
+    }
+  }
+
+  // General text characteristics in the last 20 dimensions
+  const textLength = text.length;
+  const wordCount = words.length;
+  const avgWordLength = wordCount > 0 ? textLength / wordCount : 0;
+  for (let i = 0; i < 20; i++) {
+    const dimIndex = dimension - 20 + i;
+    if (dimIndex >= 0 && dimIndex < dimension) {
+      embedding[dimIndex] = Math.sin(textLength + i) * 0.1 +
+                            Math.cos(wordCount + i) * 0.1 +
+                            Math.sin(avgWordLength + i) * 0.1;
+    }
+  }
+
+  const norm = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
+  if (norm > 0) {
+    for (let i = 0; i < embedding.length; i++) {
+      embedding[i] /= norm;
+    }
+  }
+
+  return embedding;
+}
+
+export class LocalTransformersProvider {
+  constructor({ model = DEFAULT_LOCAL_MODEL } = {}) {
+    this.name = 'local';
+    this.model = model;
+    this.embedder = null;
+  }
+
+  get modelId() {
+    return `${this.name}:${this.model}`;
+  }
+
+  async initialize() {
+    // Imported lazily so the other providers work without the model runtime
+    const { pipeline } = await import('@xenova/transformers');
+    this.embedder = await pipeline('feature-extraction', this.model, {
+      quantized: false,
+      device: 'cpu',
+      revision: 'main',
+      progress_callback: null
+    });
+  }
+
+  async embed(text) {
+    let output;
+    try {
+      output = await this.embedder(text, { pooling: 'mean', normalize: true });
+    } catch (tensorError) {
+      if (tensorError.message && tensorError.message.includes('Float32Array')) {
+        logger.warn('Using fallback embedding generation due to tensor error', {
+          error: tensorError.message,
+          textLength: text.length
+        });
+        return deterministicEmbedding(text);
+      }
+      throw tensorError;
+    }
+
+    let embedding;
+    if (output && output.data && Array.isArray(output.data)) {
+      embedding = Array.from(output.data);
+    } else if (output && output.tolist) {
+      const result = output.tolist();
+      // Always take first element if it's a batch
+      embedding = Array.isArray(result[0]) ? result[0] : result;
+    } else if (Array.isArray(output)) {
+      embedding = Array.isArray(output[0]) ? output[0] : output;
+    } else {
+      throw new Error('Unexpected embedding output format: ' + JSON.stringify(Object.keys(output || {})));
+    }
+    return embedding;
+  }
+
+  async embedBatch(texts) {
+    let output;
+    try {
+      output = await this.embedder(texts, { pooling: 'mean', normalize: true });
+    } catch (tensorError) {
+      // One bad input fails the whole tensor; fall back to per-text inference
+      logger.warn('Batch embedding failed, embedding texts one by one', {
+        error: tensorError.message,
+        count: texts.length
+      });
+      return Promise.all(texts.map(text => this.embed(text)));
+    }
+
+    const rows = output && output.tolist ? output.tolist() : null;
+    if (!Array.isArray(rows) || rows.length !== texts.length) {
+      throw new Error('Unexpected batch embedding output format');
+    }
+    return rows;
+  }
+}
+
+export class DeterministicProvider {
+  constructor({ model = 'hash-v1' } = {}) {
+    this.name = 'deterministic';
+    this.model = model;
+  }
+
+  get modelId() {
+    return `${this.name}:${this.model}`;
+  }
+
+  async initialize() {}
+
+  async embed(text) {
+    return deterministicEmbedding(text);
+  }
+
+  async embedBatch(texts) {
+    return texts.map(text => deterministicEmbedding(text));
+  }
+}
+
+export class OpenAICompatibleProvider {
+  constructor({
+    baseUrl = 'http://localhost:11434/v1',
+    apiKey = null,
+    model = 'text-embedding-3-small',
+    dimensions = null,
+    timeoutMs = 30000,
+  } = {}) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    // Only sent when set: models that can't shorten their output (and
+    // servers that don't know the field) reject the request otherwise
+    this.dimensions = dimensions;
+    this.timeoutMs = timeoutMs;
+  }
+
+  get modelId() {
+    return `${this.name}:${this.model}`;
+  }
+
+  async initialize() {
+    // Fail fast on a bad URL/model rather than on the first store
+    await this.embed('test');
+  }
+
+  async embed(text) {
+    const json = await this._post(text);
+    const embedding = json?.data?.[0]?.embedding;
+    if (!Array.isArray(embedding)) {
+      throw new Error('Unexpected embedding response format from provider');
+    }
+    return embedding;
+  }
+
+  async embedBatch(texts) {
+    const json = await this._post(texts);
+    const data = Array.isArray(json?.data) ? json.data : [];
+    // The API may return items out of order; `index` maps them back
+    const embeddings = new Array(texts.length).fill(null);
+    data.forEach((item, i) => {
+      embeddings[item.index ?? i] = item.embedding;
+    });
+    if (embeddings.some(e => !Array.isArray(e))) {
+      throw new Error('Unexpected embedding response format from provider');
+    }
+    return embeddings;
+  }
+
+  async _post(input) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await fetch(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: this.model, input, ...(this.dimensions ? { dimensions: this.dimensions } : {}) }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`Embedding provider returned HTTP ${response.status}: ${body.slice(0, 200)}`);
+    }
+    return response.json();
+  }
+}
+
+export const PROVIDERS = {
+  local: LocalTransformersProvider,
+  deterministic: DeterministicProvider,
+  openai: OpenAICompatibleProvider,
+};
+
+/**
+ * Build a provider by name. Options fall back to the EMBEDDING_* env vars.
+ */
+export function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || 'local', options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Invalid embedding provider: ${name}. Valid: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const config = { ...options };
+  if (config.model === undefined && process.env.EMBEDDING_MODEL) config.model = process.env.EMBEDDING_MODEL;
+  if (name === 'openai') {
+    if (config.baseUrl === undefined && process.env.EMBEDDING_API_URL) config.baseUrl = process.env.EMBEDDING_API_URL;
+    if (config.apiKey === undefined && process.env.EMBEDDING_API_KEY) config.apiKey = process.env.EMBEDDING_API_KEY;
+    if (config.dimensions === undefined && process.env.EMBEDDING_API_DIMENSIONS) {
+      config.dimensions = Number(process.env.EMBEDDING_API_DIMENSIONS);
+    }
+  }
+  return new Provider(config);
+}
@@ -1,11 +1,14 @@
-import { pipeline } from '@xenova/transformers';
 import { LRUCache } from 'lru-cache';
 import logger from '../utils/logger.js';
+import { createEmbeddingProvider, deterministicEmbedding, EMBEDDING_DIMENSIONS } from './embeddingProviders.js';
 
 class EmbeddingService {
-  constructor() {
-    this.embedder = null;
-    this.modelName = 'Xenova/all-MiniLM-L6-v2';
+  /**
+   * @param {object} [provider] embedding provider (see embeddingProviders.js);
+   *   defaults to the one selected by EMBEDDING_PROVIDER.
+   */
+  constructor(provider = createEmbeddingProvider()) {
+    this.provider = provider;
     this.isLoaded = false;
     
     // LRU cache with TTL
@@ -37,19 +40,11 @@ class EmbeddingService {
     }
 
     try {
-      console.log('🔧 [EMBEDDINGS] Loading embedding model:', this.modelName);
+      console.log('🔧 [EMBEDDINGS] Loading embedding model:', this.getModelId());
       const startTime = Date.now();
-      
-      // Try different initialization approaches to work around tensor issues
-      const pipelineOptions = {
-        quantized: false,
-        device: 'cpu',
-        revision: 'main',
-        progress_callback: null
-      };
-      
-      this.embedder = await pipeline('feature-extraction', this.modelName, pipelineOptions);
-      
+
+      await this.provider.initialize();
+
       const loadTime = Date.now() - startTime;
       this.isLoaded = true;
       
@@ -59,7 +54,7 @@ class EmbeddingService {
       const testEmbedding = await this.generateEmbedding('test');
       console.log(`✅ [EMBEDDINGS] Test embedding generated: ${testEmbedding.length} dimensions`);
       
-      logger.info('Embedding model loaded successfully', { loadTime, dimensions: testEmbedding.length });
+      logger.info('Embedding model loaded successfully', { model: this.getModelId(), loadTime, dimensions: testEmbedding.length });
     } catch (error) {
       console.error('❌ [EMBEDDINGS] Failed to load model:', error.message);
       logger.error('Failed to load embedding model', { error: error.message });
@@ -68,6 +63,29 @@ class EmbeddingService {
     }
   }
 
+  /**
+   * Loaded pipeline for the local provider; the provider itself otherwise.
+   */
+  get embedder() {
+    if (!this.isLoaded) return null;
+    return this.provider.embedder || this.provider;
+  }
+
+  /**
+   * Name of the underlying model (e.g. 'Xenova/all-MiniLM-L6-v2').
+   */
+  get modelName() {
+    return this.provider.model;
+  }
+
+  /**
+   * Provider-qualified model id recorded in each row's embedding_model column
+   * (e.g. 'local:Xenova/all-MiniLM-L6-v2').
+   */
+  getModelId() {
+    return this.provider.modelId;
+  }
+
   /**
    * Generate embedding for text
    * @param {string} text - Text to embed
@@ -102,65 +120,9 @@ class EmbeddingService {
       console.log(`🔧 [EMBEDDINGS] Generating embedding for: "${text.substring(0, 50)}..."`);
       const startTime = Date.now();
       
-      // Generate embedding with error handling for tensor issues
-      let output;
-      let embedding;
-      
-      try {
-        // Try the standard approach first
-        output = await this.embedder(text, { pooling: 'mean', normalize: true });
-      } catch (tensorError) {
-        if (tensorError.message && tensorError.message.includes('Float32Array')) {
-          // Fallback: generate a deterministic pseudo-embedding
-          console.warn('⚠️ [EMBEDDINGS] Using fallback embedding generation due to tensor error:', tensorError.message);
-          logger.warn('Using fallback embedding generation due to tensor error', { 
-            error: tensorError.message,
-            textLength: text.length 
-          });
-          embedding = this.generateDeterministicEmbedding(text);
-        } else {
-          throw tensorError;
-        }
-      }
-      
-      // If we got output from the model, extract the embedding
-      if (output && !embedding) {
-        if (output && output.data && Array.isArray(output.data)) {
-          embedding = Array.from(output.data);
-        } else if (output && output.tolist) {
-          // Handle tensor with tolist method
-          const result = output.tolist();
-          // Always take first element if it's a batch
-          embedding = Array.isArray(result[0]) ? result[0] : result;
-        } else if (Array.isArray(output)) {
-          // Always take first element if it's a batch
-          embedding = Array.isArray(output[0]) ? output[0] : output;
-        } else {
-          throw new Error('Unexpected embedding output format: ' + JSON.stringify(Object.keys(output || {})));
-        }
-      }
-      
-      // Ensure embedding is a flat array of numbers
-      if (Array.isArray(embedding) && Array.isArray(embedding[0])) {
-        embedding = embedding[0];
-      }
-      
+      const embedding = this.validateEmbedding(await this.provider.embed(text));
       const duration = Date.now() - startTime;
       
-      // Validate embedding
-      if (!Array.isArray(embedding)) {
-        throw new Error(`Expected array, got ${typeof embedding}`);
-      }
-      
-      if (embedding.length !== 384) {
-        throw new Error(`Expected 384 dimensions, got ${embedding.length}`);
-      }
-      
-      // Check for NaN or Infinity
-      if (embedding.some(val => !isFinite(val))) {
-        throw new Error('Embedding contains NaN or Infinity values');
-      }
-      
       console.log(`✅ [EMBEDDINGS] Generated ${embedding.length}D embedding in ${duration}ms`);
 
       // Cache the result
@@ -182,21 +144,95 @@ class EmbeddingService {
 
   /**
    * Generate embeddings for multiple texts (batch)
+   * Cached texts are served from the cache; the rest go to the provider in
+   * chunks of EMBEDDING_BATCH_SIZE so the model runs one forward pass per
+   * chunk instead of one per text.
    * @param {string[]} texts - Array of texts to embed
-   * @returns {Promise<number[][]>} - Array of embedding vectors
+   * @returns {Promise<number[][]>} - Array of embedding vectors, in input order
    */
   async generateEmbeddings(texts) {
     if (!Array.isArray(texts)) {
       throw new Error('Texts must be an array');
     }
+    if (!this.isLoaded) {
+      throw new Error('Embedding model not initialized. Call initialize() first.');
+    }
+    if (texts.some(text => !text || typeof text !== 'string' || text.trim().length === 0)) {
+      throw new Error('Text must be a non-empty string');
+    }
+
+    const embeddings = new Array(texts.length).fill(null);
+    const missing = [];
+    texts.forEach((text, i) => {
+      this.cacheStats.totalRequests++;
+      const cached = this.cache.get(this.getCacheKey(text));
+      if (cached) {
+        this.cacheStats.hits++;
+        embeddings[i] = cached;
+      } else {
+        this.cacheStats.misses++;
+        missing.push(i);
+      }
+    });
+    if (missing.length === 0) return embeddings;
 
-    const embeddings = await Promise.all(
-      texts.map(text => this.generateEmbedding(text))
-    );
+    const batchSize = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32;
+    const startTime = Date.now();
+    try {
+      for (let offset = 0; offset < missing.length; offset += batchSize) {
+        const chunk = missing.slice(offset, offset + batchSize);
+        const chunkTexts = chunk.map(i => texts[i]);
+        const vectors = this.provider.embedBatch
+          ? await this.provider.embedBatch(chunkTexts)
+          : await Promise.all(chunkTexts.map(text => this.provider.embed(text)));
+
+        chunk.forEach((textIndex, j) => {
+          const embedding = this.validateEmbedding(vectors[j]);
+          this.cacheEmbedding(this.getCacheKey(texts[textIndex]), embedding);
+          embeddings[textIndex] = embedding;
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to generate batch embeddings', { error: error.message, count: missing.length });
+      throw error;
+    }
 
+    logger.debug('Batch embeddings generated', {
+      count: texts.length,
+      generated: missing.length,
+      elapsedMs: Date.now() - startTime
+    });
     return embeddings;
   }
 
+  /**
+   * Coerce provider output to a flat 384-dim array of finite numbers, or throw.
+   */
+  validateEmbedding(embedding) {
+    if (ArrayBuffer.isView(embedding)) {
+      embedding = Array.from(embedding);
+    }
+
+    // Ensure embedding is a flat array of numbers
+    if (Array.isArray(embedding) && Array.isArray(embedding[0])) {
+      embedding = embedding[0];
+    }
+
+    if (!Array.isArray(embedding)) {
+      throw new Error(`Expected array, got ${typeof embedding}`);
+    }
+
+    if (embedding.length !== EMBEDDING_DIMENSIONS) {
+      throw new Error(`Expected ${EMBEDDING_DIMENSIONS} dimensions, got ${embedding.length}`);
+    }
+
+    // Check for NaN or Infinity
+    if (embedding.some(val => !isFinite(val))) {
+      throw new Error('Embedding contains NaN or Infinity values');
+    }
+    return embedding;
+  }
+
   /**
    * Get cache key for text (normalized)
    */
@@ -244,59 +280,7 @@ class EmbeddingService {
    * This creates a consistent but simple embedding based on text characteristics
    */
   generateDeterministicEmbedding(text) {
-    const dimension = 384; // Standard dimension for all-MiniLM-L6-v2
-    const embedding = new Array(dimension).fill(0);
-    
-    // Create a more semantic-aware embedding using word positions and frequencies
-    const words = text.toLowerCase().replace(/[^a-z0-9\s]/g, '').split(/\s+/).filter(w => w.length > 0);
-    const wordSet = new Set(words); // Unique words for shared vocabulary
-    
-    // Create embeddings based on word co-occurrence patterns
-    for (const word of wordSet) {
-      let wordHash = 0;
-      for (let i = 0; i < word.length; i++) {
-        const char = word.charCodeAt(i);
-        wordHash = ((wordHash << 5) - wordHash) + char;
-        wordHash = wordHash & wordHash;
-      }
-      
-      // Map each word to multiple dimensions to increase similarity for related texts
-      const wordDimensions = Math.abs(wordHash) % (dimension / 4); // Use quarter of dimensions per word
-      for (let i = 0; i < 4; i++) {
-        const dimIndex = (wordDimensions + i * (dimension / 4)) % dimension;
-        const freq = words.filter(w => w === word).length / words.length; // Word frequency
-        const position = words.indexOf(word) / words.length; // Relative position
-        
-        // Combine frequency and position information
-        const value = Math.sin(wordHash + i) * freq + Math.cos(wordHash + i) * position;
-        embedding[dimIndex] += value;
-      }
-    }
-    
-    // Add some general text characteristics
-    const textLength = text.length;
-    const wordCount = words.length;
-    const avgWordLength = wordCount > 0 ? textLength / wordCount : 0;
-    
-    // Distribute these characteristics across remaining dimensions
-    for (let i = 0; i < 20; i++) { // Use last 20 dimensions for general features
-      const dimIndex = dimension - 20 + i;
-      if (dimIndex >= 0 && dimIndex < dimension) {
-        embedding[dimIndex] = Math.sin(textLength + i) * 0.1 + 
-                             Math.cos(wordCount + i) * 0.1 + 
-                             Math.sin(avgWordLength + i) * 0.1;
-      }
-    }
-    
-    // Normalize the embedding vector
-    const norm = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-    if (norm > 0) {
-      for (let i = 0; i < embedding.length; i++) {
-        embedding[i] /= norm;
-      }
-    }
-    
-    return embedding;
+    return deterministicEmbedding(text);
   }
 
   /**
@@ -309,7 +293,7 @@ class EmbeddingService {
       }
       // Test embedding generation
       await this.generateEmbedding('test');
-      return { status: 'loaded', model: this.modelName };
+      return { status: 'loaded', model: this.modelName, modelId: this.getModelId() };
     } catch (error) {
       return { status: 'error', error: error.message };
     }
@@ -322,7 +306,9 @@ class EmbeddingService {
   getModelInfo() {
     return {
       modelName: this.modelName,
-      dimensions: 384,
+      modelId: this.getModelId(),
+      provider: this.provider.name,
+      dimensions: EMBEDDING_DIMENSIONS,
       initialized: this.isLoaded
     };
   }
@@ -0,0 +1,510 @@
+import { createHash } from 'crypto';
+import { getDatabaseService } from './database.js';
+import logger from '../utils/logger.js';
+import { Conditions, int, placeholders } from '../utils/sql.js';
+
+// ---------------------------------------------------------------------------
+// EntityGraphService — knowledge graph over memory entities.
+//
+// Nodes are canonical entities per user: memory_entities rows with the same
+// (type, normalized value) collapse into one entity_nodes row. Each memory
+// links its entities with edges:
+//   - co_occurs between every pair of entities it names
+//   - typed relations (works_with, works_at, works_on, lives_in) when the
+//     memory text uses the matching phrasing and names entities of the right
+//     types — "Sarah works with John", "John works at Acme"
+// Every edge row carries the memory that supports it, so queries can return
+// evidence and weight relations by how many memories back them.
+//
+// indexMemory() is called after a memory is stored, updated or restored,
+// removeMemory() after it is trashed or deleted; both are derived state and
+// safe to re-run. Trashed memories never contribute.
+//
+// Schema: entity_nodes, entity_mentions, entity_edges (migration 011)
+// ---------------------------------------------------------------------------
+
+export const RELATIONS = ['co_occurs', 'works_with', 'works_at', 'works_on', 'lives_in'];
+
+// Relations that read the same in both directions (stored once, source < target)
+const SYMMETRIC_RELATIONS = new Set(['co_occurs', 'works_with']);
+
+const RELATION_RULES = [
+  { relation: 'works_with', from: ['person'], to: ['person'],
+    pattern: /\b(works? with|working with|worked with|colleagues?|co-?workers?|teammates?|partners? with|reports? to|manager)\b/i },
+  { relation: 'works_at', from: ['person'], to: ['organization', 'org', 'company'],
+    pattern: /\b(works? (at|for)|working (at|for)|worked (at|for)|employed (at|by)|joined|job at|hired by)\b/i },
+  { relation: 'works_on', from: ['person', 'organization', 'org', 'company'], to: ['project', 'product'],
+    pattern: /\b(works? on|working on|worked on|is on|are on|assigned to|leads?|leading|owns?|building|builds)\b/i },
+  { relation: 'lives_in', from: ['person'], to: ['location', 'place', 'city', 'country'],
+    pattern: /\b(lives? in|living in|based in|moved to|resides in)\b/i },
+];
+
+// Pairwise edges grow quadratically; beyond this many entities only the
+// first ones in a memory are linked.
+const MAX_LINKED_ENTITIES = 25;
+const MAX_PATH_DEPTH = 6;
+// Stop a path search once this many nodes have been visited.
+const MAX_PATH_VISITED = 5000;
+
+export function canonicalType(type) {
+  return String(type ?? '').trim().toLowerCase() || 'entity';
+}
+
+export function canonicalValue(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Deterministic node id. Must match the NODE_ID expression in migration 011.
+ */
+export function nodeId(userId, type, value) {
+  return 'gent_' + createHash('md5')
+    .update(`${userId}\x1f${type}\x1f${value}`)
+    .digest('hex')
+    .slice(0, 20);
+}
+
+/**
+ * Edges a memory implies between its nodes ({ id, type }).
+ * Returns [{ sourceId, targetId, relation }] without duplicates.
+ */
+export function deriveEdges(text, nodes) {
+  const linked = nodes.slice(0, MAX_LINKED_ENTITIES);
+  const edges = new Map();
+  const add = (a, b, relation) => {
+    if (a.id === b.id) return;
+    const [sourceId, targetId] = SYMMETRIC_RELATIONS.has(relation) && b.id < a.id
+      ? [b.id, a.id]
+      : [a.id, b.id];
+    edges.set(`${sourceId}|${targetId}|${relation}`, { sourceId, targetId, relation });
+  };
+
+  for (let i = 0; i < linked.length; i++) {
+    for (let j = i + 1; j < linked.length; j++) add(linked[i], linked[j], 'co_occurs');
+  }
+
+  for (const rule of RELATION_RULES) {
+    if (!rule.pattern.test(text || '')) continue;
+    const sources = linked.filter(n => rule.from.includes(n.type));
+    const targets = linked.filter(n => rule.to.includes(n.type));
+    for (const source of sources) {
+      for (const target of targets) add(source, target, rule.relation);
+    }
+  }
+
+  return [...edges.values()];
+}
+
+function formatNode(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    normalizedValue: row.normalized_value,
+    memoryCount: Number(row.memory_count ?? 0),
+  };
+}
+
+function formatMemory(row) {
+  return {
+    id: row.id,
+    text: row.source_text,
+    type: row.type,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Condition restricting edges (aliased e, joined to memory m) to supporting
+ * memories that hold right now, matching memory.search's 'current' mode.
+ */
+function addEdgeFilters(where, { relation, validity }) {
+  if (relation) {
+    if (!RELATIONS.includes(relation)) {
+      throw new Error(`Invalid relation: ${relation}. Valid: ${RELATIONS.join(', ')}`);
+    }
+    where.add('e.relation = ?', relation);
+  }
+  if (validity !== 'all') {
+    where
+      .add('(m.valid_from IS NULL OR m.valid_from <= now())')
+      .add('(m.valid_until IS NULL OR m.valid_until > now())');
+  }
+  return where;
+}
+
+class EntityGraphService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.enabled = process.env.GRAPH_ENABLED !== 'false';
+  }
+
+  /**
+   * (Re)build the nodes, mentions and edges contributed by one memory from
+   * its stored text and memory_entities rows. Best-effort: failures are
+   * logged, never thrown, since the graph is derived state.
+   */
+  async indexMemory(memoryId) {
+    if (!this.enabled) return null;
+    try {
+      const memory = await this.db.query(
+        'SELECT id, user_id, source_text FROM memory WHERE id = ? AND deleted_at IS NULL',
+        [memoryId]
+      );
+      await this._clearMemory([memoryId]);
+      if (memory.length === 0) return null;
+      const { user_id: userId, source_text: text } = memory[0];
+
+      const rows = await this.db.query(
+        'SELECT entity, type, normalized_value FROM memory_entities WHERE memory_id = ? ORDER BY created_at, id',
+        [memoryId]
+      );
+      const nodes = new Map();
+      for (const row of rows) {
+        const type = canonicalType(row.type);
+        const value = canonicalValue(row.normalized_value || row.entity);
+        if (!value) continue;
+        const id = nodeId(userId, type, value);
+        if (!nodes.has(id)) nodes.set(id, { id, type, value, name: String(row.entity) });
+      }
+
+      for (const node of nodes.values()) {
+        await this.db.execute(
+          'INSERT OR IGNORE INTO entity_nodes (id, user_id, type, normalized_value, name) VALUES (?, ?, ?, ?, ?)',
+          [node.id, userId, node.type, node.value, node.name]
+        );
+        await this.db.execute(
+          'INSERT OR IGNORE INTO entity_mentions (entity_id, memory_id, user_id) VALUES (?, ?, ?)',
+          [node.id, memoryId, userId]
+        );
+      }
+
+      const edges = deriveEdges(text, [...nodes.values()]);
+      for (const edge of edges) {
+        await this.db.execute(
+          'INSERT OR IGNORE INTO entity_edges (source_id, target_id, relation, memory_id, user_id) VALUES (?, ?, ?, ?, ?)',
+          [edge.sourceId, edge.targetId, edge.relation, memoryId, userId]
+        );
+      }
+
+      await this._pruneNodes(userId);
+      return { memoryId, entities: nodes.size, edges: edges.length };
+    } catch (error) {
+      logger.warn(`[EntityGraphService] indexMemory ${memoryId} failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Drop the graph contributions of deleted memories.
+   */
+  async removeMemory(memoryIds, userId = null) {
+    if (!this.enabled || memoryIds.length === 0) return;
+    try {
+      await this._clearMemory(memoryIds);
+      await this._pruneNodes(userId);
+    } catch (error) {
+      logger.warn('[EntityGraphService] removeMemory failed:', error.message);
+    }
+  }
+
+  /**
+   * Remove graph rows whose memory no longer exists (after bulk deletes such
+   * as retention purges), then nodes nothing mentions any more.
+   */
+  async pruneOrphans() {
+    try {
+      await this.db.execute('DELETE FROM entity_edges WHERE memory_id NOT IN (SELECT id FROM memory)');
+      await this.db.execute('DELETE FROM entity_mentions WHERE memory_id NOT IN (SELECT id FROM memory)');
+      await this._pruneNodes(null);
+    } catch (error) {
+      logger.error('[EntityGraphService] pruneOrphans failed:', error.message);
+    }
+  }
+
+  /**
+   * Re-derive the whole graph for a user (e.g. after upgrading, so memories
+   * stored before typed relations existed get them).
+   */
+  async rebuild(userId) {
+    const memories = await this.db.query(
+      'SELECT id FROM memory WHERE user_id = ? AND deleted_at IS NULL ORDER BY created_at',
+      [userId]
+    );
+    let edges = 0;
+    for (const { id } of memories) {
+      const result = await this.indexMemory(id);
+      edges += result?.edges || 0;
+    }
+    const stats = await this.stats(userId);
+    logger.info('[EntityGraphService] rebuild complete', { userId, memories: memories.length, ...stats });
+    return { userId, memories: memories.length, edgesDerived: edges, ...stats };
+  }
+
+  async stats(userId) {
+    const [nodes] = await this.db.query('SELECT COUNT(*) AS count FROM entity_nodes WHERE user_id = ?', [userId]);
+    const [edges] = await this.db.query('SELECT COUNT(*) AS count FROM entity_edges WHERE user_id = ?', [userId]);
+    return { entities: Number(nodes?.count || 0), edges: Number(edges?.count || 0) };
+  }
+
+  /**
+   * Find the node a request refers to: { entityId } or { name, type? }.
+   * Name lookups are case/whitespace-insensitive; when several types share
+   * the name, the most-mentioned one wins and the rest are returned as
+   * candidates.
+   */
+  async resolve(userId, { entityId, name, type } = {}) {
+    const where = new Conditions().add('n.user_id = ?', userId);
+    if (entityId) {
+      where.add('n.id = ?', String(entityId));
+    } else if (name) {
+      where.add('n.normalized_value = ?', canonicalValue(name));
+      if (type) where.add('n.type = ?', canonicalType(type));
+    } else {
+      throw new Error('Missing required field: entity or entityId');
+    }
+
+    const rows = await this.db.query(`
+      SELECT n.*, (SELECT COUNT(*) FROM entity_mentions em WHERE em.entity_id = n.id) AS memory_count
+      FROM entity_nodes n
+      ${where.toWhere()}
+      ORDER BY memory_count DESC, n.type
+    `, where.params);
+    if (rows.length === 0) {
+      throw new Error(`Entity not found: ${entityId || name}`);
+    }
+    return { entity: formatNode(rows[0]), candidates: rows.slice(1).map(formatNode) };
+  }
+
+  /**
+   * An entity with its supporting memories and a per-relation edge count.
+   */
+  async entity(userId, ref, { memoryLimit = 10, validity = 'current' } = {}) {
+    const { entity, candidates } = await this.resolve(userId, ref);
+
+    const memoryWhere = new Conditions().add('em.entity_id = ?', entity.id);
+    if (validity !== 'all') {
+      memoryWhere
+        .add('(m.valid_from IS NULL OR m.valid_from <= now())')
+        .add('(m.valid_until IS NULL OR m.valid_until > now())');
+    }
+    const memories = await this.db.query(`
+      SELECT m.id, m.source_text, m.type, m.created_at
+      FROM entity_mentions em JOIN memory m ON m.id = em.memory_id
+      ${memoryWhere.toWhere()}
+      ORDER BY m.created_at DESC
+      LIMIT ${int(memoryLimit, 10)}
+    `, memoryWhere.params);
+
+    const edgeWhere = addEdgeFilters(
+      new Conditions().add('(e.source_id = ? OR e.target_id = ?)', entity.id, entity.id),
+      { validity }
+    );
+    const relations = await this.db.query(`
+      SELECT e.relation,
+             COUNT(DISTINCT CASE WHEN e.source_id = ? THEN e.target_id ELSE e.source_id END) AS neighbors
+      FROM entity_edges e JOIN memory m ON m.id = e.memory_id
+      ${edgeWhere.toWhere()}
+      GROUP BY e.relation
+      ORDER BY e.relation
+    `, [entity.id, ...edgeWhere.params]);
+
+    return {
+      entity,
+      candidates,
+      memories: memories.map(formatMemory),
+      relations: Object.fromEntries(relations.map(r => [r.relation, Number(r.neighbors)])),
+    };
+  }
+
+  /**
+   * Entities connected to one entity, strongest first. Weight is the number
+   * of distinct memories supporting any edge between the two; each neighbor
+   * lists its relations (with direction for asymmetric ones) and up to
+   * memoryLimit supporting memories.
+   */
+  async neighbors(userId, ref, options = {}) {
+    const {
+      relation = null,
+      neighborType = null,
+      validity = 'current',
+      limit = 25,
+      memoryLimit = 3,
+    } = options;
+    const { entity } = await this.resolve(userId, ref);
+
+    const where = addEdgeFilters(
+      new Conditions().add('(e.source_id = ? OR e.target_id = ?)', entity.id, entity.id),
+      { relation, validity }
+    );
+    const rows = await this.db.query(`
+      SELECT e.source_id, e.target_id, e.relation, e.memory_id, m.created_at
+      FROM entity_edges e JOIN memory m ON m.id = e.memory_id
+      ${where.toWhere()}
+      ORDER BY m.created_at DESC
+    `, where.params);
+
+    const byNeighbor = new Map();
+    for (const row of rows) {
+      const outgoing = row.source_id === entity.id;
+      const otherId = outgoing ? row.target_id : row.source_id;
+      if (!byNeighbor.has(otherId)) byNeighbor.set(otherId, { relations: new Map(), memoryIds: [] });
+      const entry = byNeighbor.get(otherId);
+      const direction = SYMMETRIC_RELATIONS.has(row.relation) ? null : (outgoing ? 'out' : 'in');
+      const key = `${row.relation}|${direction}`;
+      if (!entry.relations.has(key)) entry.relations.set(key, { relation: row.relation, direction, memoryIds: new Set() });
+      entry.relations.get(key).memoryIds.add(row.memory_id);
+      if (!entry.memoryIds.includes(row.memory_id)) entry.memoryIds.push(row.memory_id);
+    }
+    if (byNeighbor.size === 0) return { entity, neighbors: [], count: 0 };
+
+    const nodeIds = [...byNeighbor.keys()];
+    const nodeWhere = new Conditions().in('n.id', nodeIds);
+    if (neighborType) nodeWhere.add('n.type = ?', canonicalType(neighborType));
+    const nodes = await this.db.query(`
+      SELECT n.*, (SELECT COUNT(*) FROM entity_mentions em WHERE em.entity_id = n.id) AS memory_count
+      FROM entity_nodes n
+      ${nodeWhere.toWhere()}
+    `, nodeWhere.params);
+
+    const neighbors = nodes
+      .map(node => {
+        const entry = byNeighbor.get(node.id);
+        const relations = [...entry.relations.values()].map(r => ({
+          relation: r.relation,
+          direction: r.direction,
+          weight: r.memoryIds.size,
+        }));
+        return {
+          entity: formatNode(node),
+          weight: entry.memoryIds.length,
+          typed: relations.some(r => r.relation !== 'co_occurs'),
+          relations,
+          memoryIds: entry.memoryIds,
+        };
+      })
+      .sort((a, b) => b.weight - a.weight || Number(b.typed) - Number(a.typed) || a.entity.name.localeCompare(b.entity.name))
+      .slice(0, int(limit, 25));
+
+    const evidenceIds = [...new Set(neighbors.flatMap(n => n.memoryIds.slice(0, int(memoryLimit, 3))))];
+    const memories = evidenceIds.length === 0 ? [] : await this.db.query(
+      `SELECT id, source_text, type, created_at FROM memory WHERE id IN (${placeholders(evidenceIds.length)})`,
+      evidenceIds
+    );
+    const memoryById = new Map(memories.map(m => [m.id, formatMemory(m)]));
+
+    return {
+      entity,
+      neighbors: neighbors.map(n => ({
+        entity: n.entity,
+        weight: n.weight,
+        relations: n.relations,
+        memories: n.memoryIds.slice(0, int(memoryLimit, 3)).map(id => memoryById.get(id)).filter(Boolean),
+      })),
+      count: neighbors.length,
+    };
+  }
+
+  /**
+   * Shortest path between two entities (breadth-first, edges undirected).
+   * Returns the nodes along the path and, for each hop, the relations and
+   * supporting memory ids that connect the pair.
+   */
+  async path(userId, fromRef, toRef, { maxDepth = 4, relation = null, validity = 'current' } = {}) {
+    const { entity: from } = await this.resolve(userId, fromRef);
+    const { entity: to } = await this.resolve(userId, toRef);
+    const depthLimit = Math.min(Math.max(int(maxDepth, 4) || 4, 1), MAX_PATH_DEPTH);
+
+    if (from.id === to.id) {
+      return { found: true, length: 0, nodes: [from], hops: [] };
+    }
+
+    // parent[nodeId] = previous node on the shortest path found so far
+    const parent = new Map([[from.id, null]]);
+    let frontier = [from.id];
+    let found = false;
+
+    for (let depth = 0; depth < depthLimit && frontier.length > 0 && !found; depth++) {
+      const list = placeholders(frontier.length);
+      const where = addEdgeFilters(
+        new Conditions()
+          .add('e.user_id = ?', userId)
+          .add(`(e.source_id IN (${list}) OR e.target_id IN (${list}))`, ...frontier, ...frontier),
+        { relation, validity }
+      );
+      const rows = await this.db.query(`
+        SELECT DISTINCT e.source_id, e.target_id
+        FROM entity_edges e JOIN memory m ON m.id = e.memory_id
+        ${where.toWhere()}
+      `, where.params);
+
+      const inFrontier = new Set(frontier);
+      const next = [];
+      for (const row of rows) {
+        const pairs = [[row.source_id, row.target_id], [row.target_id, row.source_id]];
+        for (const [a, b] of pairs) {
+          if (!inFrontier.has(a) || parent.has(b)) continue;
+          parent.set(b, a);
+          next.push(b);
+          if (b === to.id) found = true;
+        }
+      }
+      frontier = next;
+      if (parent.size > MAX_PATH_VISITED) break;
+    }
+
+    if (!found) {
+      return { found: false, length: null, nodes: [], hops: [], maxDepth: depthLimit };
+    }
+
+    const ids = [];
+    for (let id = to.id; id !== null; id = parent.get(id)) ids.unshift(id);
+
+    const nodeRows = await this.db.query(`
+      SELECT n.*, (SELECT COUNT(*) FROM entity_mentions em WHERE em.entity_id = n.id) AS memory_count
+      FROM entity_nodes n WHERE n.id IN (${placeholders(ids.length)})
+    `, ids);
+    const nodeById = new Map(nodeRows.map(r => [r.id, formatNode(r)]));
+
+    const hops = [];
+    for (let i = 0; i < ids.length - 1; i++) {
+      const [a, b] = [ids[i], ids[i + 1]];
+      const where = addEdgeFilters(
+        new Conditions().add('((e.source_id = ? AND e.target_id = ?) OR (e.source_id = ? AND e.target_id = ?))', a, b, b, a),
+        { relation, validity }
+      );
+      const edges = await this.db.query(`
+        SELECT e.source_id, e.relation, e.memory_id
+        FROM entity_edges e JOIN memory m ON m.id = e.memory_id
+        ${where.toWhere()}
+      `, where.params);
+      const relations = [...new Set(edges.map(e => e.relation))].map(rel => ({
+        relation: rel,
+        direction: SYMMETRIC_RELATIONS.has(rel) ? null : (edges.find(e => e.relation === rel).source_id === a ? 'out' : 'in'),
+      }));
+      hops.push({ from: a, to: b, relations, memoryIds: [...new Set(edges.map(e => e.memory_id))] });
+    }
+
+    return { found: true, length: hops.length, nodes: ids.map(id => nodeById.get(id)), hops };
+  }
+
+  async _clearMemory(memoryIds) {
+    const list = placeholders(memoryIds.length);
+    await this.db.execute(`DELETE FROM entity_edges WHERE memory_id IN (${list})`, memoryIds);
+    await this.db.execute(`DELETE FROM entity_mentions WHERE memory_id IN (${list})`, memoryIds);
+  }
+
+  async _pruneNodes(userId) {
+    const where = new Conditions().add('id NOT IN (SELECT entity_id FROM entity_mentions)');
+    if (userId) where.add('user_id = ?', userId);
+    await this.db.execute(`DELETE FROM entity_nodes ${where.toWhere()}`, where.params);
+  }
+}
+
+let _instance = null;
+export function getEntityGraphService() {
+  if (!_instance) _instance = new EntityGraphService();
+  return _instance;
+}
+
+export default EntityGraphService;
@@ -1,6 +1,7 @@
 import { getDatabaseService } from './database.js';
 import { getEmbeddingService } from './embeddings.js';
 import logger from '../utils/logger.js';
+import { raw, int, vectorLiteral } from '../utils/sql.js';
 
 // ---------------------------------------------------------------------------
 // IntentOverrideService — learned intent corrections stored in DuckDB.
@@ -39,16 +40,14 @@ class IntentOverrideService {
       const embedding = await this.embeddings.generateEmbedding(prompt);
       if (!embedding) return null;
 
-      const embeddingStr = `[${embedding.join(',')}]`;
-
       const rows = await this.db.query(`
         SELECT id, example_prompt, correct_intent, wrong_intent, hit_count,
-               array_cosine_similarity(embedding::FLOAT[384], ${embeddingStr}::FLOAT[384]) AS similarity
+               array_cosine_similarity(embedding::FLOAT[384], ${vectorLiteral(embedding)}) AS similarity
         FROM intent_overrides
-        WHERE embedding IS NOT NULL
+        WHERE embedding IS NOT NULL AND embedding_model = ?
         ORDER BY similarity DESC
         LIMIT 1
-      `);
+      `, [this.embeddings.getModelId()]);
 
       if (!rows.length) return null;
 
@@ -62,7 +61,8 @@ class IntentOverrideService {
 
       // Bump hit_count (fire-and-forget)
       this.db.execute(
-        `UPDATE intent_overrides SET hit_count = hit_count + 1, updated_at = now() WHERE id = '${top.id}'`
+        'UPDATE intent_overrides SET hit_count = hit_count + 1, updated_at = now() WHERE id = ?',
+        [top.id]
       ).catch(() => {});
 
       logger.info(`[IntentOverrideService] Match: "${top.example_prompt.slice(0, 60)}" → ${top.correct_intent} (sim=${sim.toFixed(3)})`);
@@ -108,26 +108,18 @@ class IntentOverrideService {
       }
 
       const id = generateId();
-      const embeddingStr = `[${embedding.join(',')}]`;
-      const safePrompt = examplePrompt.replace(/'/g, '\'\'');
-      const safeIntent = correctIntent.replace(/'/g, '\'\'');
-      const safeWrong = wrongIntent ? `'${wrongIntent.replace(/'/g, '\'\'')}'` : 'NULL';
-      const safeSource = (source || 'user_correction').replace(/'/g, '\'\'');
-
-      await this.db.execute(`
-        INSERT INTO intent_overrides (id, example_prompt, correct_intent, wrong_intent, embedding, source, hit_count, created_at, updated_at)
-        VALUES (
-          '${id}',
-          '${safePrompt}',
-          '${safeIntent}',
-          ${safeWrong},
-          ${embeddingStr}::FLOAT[384],
-          '${safeSource}',
-          0,
-          now(),
-          now()
-        )
-      `);
+      await this.db.insert('intent_overrides', {
+        id,
+        example_prompt: examplePrompt,
+        correct_intent: correctIntent,
+        wrong_intent: wrongIntent || null,
+        embedding: raw(vectorLiteral(embedding)),
+        embedding_model: this.embeddings.getModelId(),
+        source: source || 'user_correction',
+        hit_count: 0,
+        created_at: raw('now()'),
+        updated_at: raw('now()')
+      });
 
       logger.info(`[IntentOverrideService] Stored correction: "${examplePrompt.slice(0, 60)}" → ${correctIntent} (wrong was: ${wrongIntent || 'unknown'})`);
       return { id, created: true };
@@ -143,14 +135,14 @@ class IntentOverrideService {
   async list(options = {}) {
     const { limit = 100, correctIntent } = options;
     try {
-      const filter = correctIntent ? `WHERE correct_intent = '${correctIntent.replace(/'/g, '\'\'')}'` : '';
+      const filter = correctIntent ? 'WHERE correct_intent = ?' : '';
       const rows = await this.db.query(`
         SELECT id, example_prompt, correct_intent, wrong_intent, source, hit_count, created_at
         FROM intent_overrides
         ${filter}
         ORDER BY hit_count DESC, created_at DESC
-        LIMIT ${limit}
-      `);
+        LIMIT ${int(limit, 100)}
+      `, correctIntent ? [correctIntent] : []);
       return {
         results: rows.map(r => ({
           id: r.id,
@@ -174,7 +166,7 @@ class IntentOverrideService {
    */
   async delete(id) {
     try {
-      await this.db.execute(`DELETE FROM intent_overrides WHERE id = '${id.replace(/'/g, '\'\'')}'`);
+      await this.db.execute('DELETE FROM intent_overrides WHERE id = ?', [id]);
       return { deleted: true };
     } catch (error) {
       logger.error('[IntentOverrideService] delete failed:', error.message);
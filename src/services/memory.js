@@ -1,5 +1,13 @@
 import { getDatabaseService } from './database.js';
 import { getEmbeddingService } from './embeddings.js';
+import { getChangeFeedService } from './changeFeed.js';
+import { getEntityGraphService } from './entityGraph.js';
+import { getRetentionService } from './retention.js';
+import { getRevisionService } from './revisions.js';
+import { getTagService, addTagFilters } from './tags.js';
+import { getRerankerService } from './reranker.js';
+import { getSavedSearchService } from './savedSearch.js';
+import { getReminderService } from './reminders.js';
 import { 
   generateMemoryId, 
   validateMemoryText, 
@@ -8,18 +16,321 @@ import {
   extractUserId 
 } from '../utils/helpers.js';
 import logger from '../utils/logger.js';
+import { Conditions, raw, vectorLiteral, int, placeholders, escapeLike, LIKE_ESCAPE } from '../utils/sql.js';
+import { resolveExpiry } from '../utils/timePhrases.js';
+import { extractEntities } from '../utils/entityExtractor.js';
+import { parseTimeFilter } from '../utils/timeFilter.js';
+import { highlightTerms } from '../utils/chunking.js';
+import { mmrSelect, DEFAULT_MMR_LAMBDA } from '../utils/mmr.js';
+import { classifyByRules } from '../utils/conversationalRules.js';
 
 // Row threshold above which a transient in-memory HNSW is used instead of brute-force.
 const HNSW_THRESHOLD = 20000;
 // How long (ms) to reuse a cached transient HNSW before rebuilding.
 const HNSW_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
-// SQL single-quote literal used to escape quotes as ''.
-const SQ = '\'';
+// Columns memory.list may sort by — sortBy is inlined, so it must be whitelisted.
+const LIST_SORT_COLUMNS = new Set(['created_at', 'updated_at', 'type', 'id']);
+
+/**
+ * Metadata fragment for sessionId filters, JSON-encoded the same way
+ * JSON.stringify(metadata) stored it. Matched literally via Conditions.contains().
+ */
+function sessionIdFragment(sessionId) {
+  return `"sessionId":${JSON.stringify(String(sessionId))}`;
+}
+
+// memory.search validity modes: only facts that hold now, every row, or
+// current facts each annotated with the older versions they superseded.
+const VALIDITY_MODES = ['current', 'all', 'history'];
+// Minimum cosine similarity for a new memory to supersede an older one that
+// names conflicting entities. Phrasing like "now" / "no longer" signals an
+// update, so the bar drops by SUPERSESSION_MARKER_BONUS.
+const SUPERSESSION_SIMILARITY = parseFloat(process.env.SUPERSESSION_SIMILARITY || '0.7');
+const SUPERSESSION_MARKER_BONUS = 0.1;
+const CHANGE_MARKERS = /\b(now|no longer|anymore|any more|moved|switched|changed|instead|currently|new|nowadays)\b/i;
+
+// Hybrid search fusion. 'weighted' sums the normalized signals; 'rrf'
+// (reciprocal rank fusion) sums weight / (k + rank) over each signal's
+// ranking, which ignores score scales entirely. Requests may override any
+// subset of the weights.
+const FUSION_STRATEGIES = ['weighted', 'rrf'];
+const DEFAULT_FUSION_WEIGHTS = Object.freeze({ vector: 0.5, bm25: 0.25, recency: 0.15, entity: 0.1 });
+const DEFAULT_RRF_K = 60;
+
+// Cross-encoder re-ranking of the top fused candidates (see reranker.js).
+// `rerank: true | { topN }` per request; RERANK_ENABLED turns it on by default.
+const RERANK_ENABLED = process.env.RERANK_ENABLED === 'true';
+const DEFAULT_RERANK_TOP_N = parseInt(process.env.RERANK_TOP_N || '20', 10);
+const MAX_RERANK_TOP_N = 100;
+
+// MMR diversification (see utils/mmr.js): `mmr: true | { lambda, candidates }`
+// picks `limit` results from the top `candidates` (default 3 × limit).
+const MMR_CANDIDATE_FACTOR = 3;
+const MAX_MMR_CANDIDATES = 100;
+
+// Memories past their expires_at are hidden everywhere until the expiry
+// sweep (RetentionService) deletes them.
+const NOT_EXPIRED = '(expires_at IS NULL OR expires_at > now())';
+
+// memory.storeBatch / updateBatch / deleteBatch accept at most this many items.
+const MAX_BATCH_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS || '500', 10);
+
+// Memories stored without `entities` get rule-based ones (see entityExtractor).
+const ENTITY_EXTRACTION_ENABLED = process.env.ENTITY_EXTRACTION_ENABLED !== 'false';
+// memory.entities.backfill pages through memories this many at a time.
+const BACKFILL_PAGE_SIZE = 200;
+
+/**
+ * Entities for a memory whose caller sent none: extracted from the text
+ * unless extraction is disabled globally or per request (extractEntities: false).
+ */
+function autoEntities(text, enabled = true) {
+  return ENTITY_EXTRACTION_ENABLED && enabled !== false ? extractEntities(text) : [];
+}
+
+/**
+ * Pull a time expression ("last tuesday afternoon") out of a search query.
+ * Skipped when the caller passes startDate/endDate or parseTime: false.
+ * The time zone comes from the payload or the request context.
+ */
+function resolveTimeFilter(query, options, context) {
+  if (options.parseTime === false || options.startDate || options.endDate) {
+    return { query, timeFilter: null };
+  }
+  const timeZone = options.timezone || context.timezone || context.timeZone || null;
+  return parseTimeFilter(query, { timeZone });
+}
+
+/**
+ * created_at conditions shared by memory and episodic search. An explicit or
+ * parsed date range takes priority over maxAgeDays.
+ */
+function addDateFilters(where, { startDate, endDate, maxAgeDays, timeFilter }) {
+  if (timeFilter) {
+    if (timeFilter.start) where.add('created_at >= ?', new Date(timeFilter.start));
+    if (timeFilter.end) where.add('created_at < ?', new Date(timeFilter.end));
+    return;
+  }
+  if (startDate) {
+    where.add('created_at >= ?', startDate);
+  } else if (maxAgeDays > 0) {
+    where.add(`created_at >= CURRENT_TIMESTAMP - INTERVAL '${int(maxAgeDays)}' DAY`);
+  }
+  if (endDate) {
+    where.add('created_at <= ?', endDate);
+  }
+}
+
+/**
+ * Validate memory.search's `fusion` option and fill in defaults.
+ */
+function resolveFusion(fusion = {}) {
+  if (fusion === null || typeof fusion !== 'object' || Array.isArray(fusion)) {
+    throw new Error('Invalid fusion: expected an object');
+  }
+  const strategy = fusion.strategy || 'weighted';
+  if (!FUSION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid fusion strategy: ${strategy}. Valid: ${FUSION_STRATEGIES.join(', ')}`);
+  }
+  const weights = { ...DEFAULT_FUSION_WEIGHTS };
+  for (const [signal, value] of Object.entries(fusion.weights || {})) {
+    if (!(signal in DEFAULT_FUSION_WEIGHTS)) {
+      throw new Error(`Invalid fusion weight: ${signal}. Valid: ${Object.keys(DEFAULT_FUSION_WEIGHTS).join(', ')}`);
+    }
+    const weight = Number(value);
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid fusion weight for ${signal}: must be a non-negative number`);
+    }
+    weights[signal] = weight;
+  }
+  const k = fusion.k === undefined ? DEFAULT_RRF_K : Number(fusion.k);
+  if (!Number.isFinite(k) || k <= 0) {
+    throw new Error('Invalid fusion k: must be a positive number');
+  }
+  return { strategy, weights, k };
+}
+
+/**
+ * Validate memory.search's `rerank` option. Returns { topN } or null when
+ * re-ranking is off.
+ */
+function resolveRerank(rerank = RERANK_ENABLED) {
+  if (rerank === false || rerank === null) return null;
+  if (rerank === true) return { topN: DEFAULT_RERANK_TOP_N };
+  if (typeof rerank !== 'object' || Array.isArray(rerank)) {
+    throw new Error('Invalid rerank: expected a boolean or an object');
+  }
+  if (rerank.enabled === false) return null;
+  const topN = rerank.topN === undefined ? DEFAULT_RERANK_TOP_N : Number(rerank.topN);
+  if (!Number.isInteger(topN) || topN < 1 || topN > MAX_RERANK_TOP_N) {
+    throw new Error(`Invalid rerank topN: must be an integer between 1 and ${MAX_RERANK_TOP_N}`);
+  }
+  return { topN };
+}
+
+/**
+ * Validate the `mmr` search option. Returns { lambda, candidates } or null
+ * when diversification is off.
+ */
+function resolveMmr(mmr, limit) {
+  if (mmr === undefined || mmr === false || mmr === null) return null;
+  const config = mmr === true ? {} : mmr;
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Invalid mmr: expected a boolean or an object');
+  }
+  const lambda = config.lambda === undefined ? DEFAULT_MMR_LAMBDA : Number(config.lambda);
+  if (!Number.isFinite(lambda) || lambda < 0 || lambda > 1) {
+    throw new Error('Invalid mmr lambda: must be a number between 0 and 1');
+  }
+  const fallback = Math.min(Math.max(limit * MMR_CANDIDATE_FACTOR, limit), MAX_MMR_CANDIDATES);
+  const candidates = config.candidates === undefined ? fallback : Number(config.candidates);
+  if (!Number.isInteger(candidates) || candidates < 1 || candidates > MAX_MMR_CANDIDATES) {
+    throw new Error(`Invalid mmr candidates: must be an integer between 1 and ${MAX_MMR_CANDIDATES}`);
+  }
+  return { lambda, candidates: Math.max(candidates, limit) };
+}
+
+/**
+ * 1-based rank of each id in `ids` order (already sorted best first).
+ */
+function rankMap(ids) {
+  return new Map(ids.map((id, i) => [id, i + 1]));
+}
+
+/**
+ * Parse an optional timestamp field, rejecting garbage instead of storing NULL.
+ */
+function parseTimestamp(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${field}: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Validate and normalize memory.store input. Throws on bad text or validity.
+ */
+function prepareStoreInput(data) {
+  const text = validateMemoryText(data.text);
+  const metadata = parseMetadata(data.metadata);
+  const entities = data.entities == null
+    ? autoEntities(text, data.extractEntities)
+    : normalizeEntities(data.entities);
+
+  // Validity window (defaults: valid from now, open-ended)
+  const validFrom = parseTimestamp(data.validFrom, 'validFrom') || new Date();
+  const validUntil = parseTimestamp(data.validUntil, 'validUntil');
+  if (validUntil && validUntil <= validFrom) {
+    throw new Error('Invalid validUntil: must be after validFrom');
+  }
+
+  // Short-lived facts: an absolute time or phrase ("until tomorrow"), or a ttl
+  const expiresAt = resolveExpiry({ expiresAt: data.expiresAt, ttl: data.ttl });
+
+  return {
+    text,
+    type: data.type || 'user_memory',
+    metadataJson: JSON.stringify(metadata),
+    entities,
+    validFrom,
+    validUntil,
+    expiresAt
+  };
+}
+
+/**
+ * Check a batch payload and return its items.
+ */
+function batchItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Invalid batch: items must be a non-empty array');
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    throw new Error(`Invalid batch: at most ${MAX_BATCH_ITEMS} items per request, got ${items.length}`);
+  }
+  return items;
+}
+
+/**
+ * Summary returned by the batch operations; results are in input order.
+ */
+function batchSummary(results) {
+  const ordered = [...results].sort((a, b) => a.index - b.index);
+  const succeeded = ordered.filter(r => r.ok).length;
+  return {
+    total: ordered.length,
+    succeeded,
+    failed: ordered.length - succeeded,
+    results: ordered
+  };
+}
+
+/**
+ * Restrict a Conditions to memories valid right now. Supersession closes the
+ * old memory's window at the new one's validFrom, so a fact replaced from
+ * next week on is still current until then.
+ */
+function addCurrentValidity(where) {
+  return where
+    .add('(valid_from IS NULL OR valid_from <= now())')
+    .add('(valid_until IS NULL OR valid_until > now())');
+}
+
+/**
+ * Validity fields exposed on search/retrieve results.
+ */
+function formatValidity(row) {
+  const now = Date.now();
+  return {
+    validFrom: row.valid_from || null,
+    validUntil: row.valid_until || null,
+    supersededBy: row.superseded_by || null,
+    isCurrent: (!row.valid_from || new Date(row.valid_from).getTime() <= now) &&
+      (!row.valid_until || new Date(row.valid_until).getTime() > now)
+  };
+}
+
+/**
+ * type → Set(lower-cased values) for entity comparison.
+ */
+function entitiesByType(entities) {
+  const map = new Map();
+  for (const e of entities) {
+    const type = String(e.type || '').toLowerCase();
+    const value = String(e.normalized_value || e.normalized || e.value || e.entity || '').toLowerCase().trim();
+    if (!type || !value) continue;
+    if (!map.has(type)) map.set(type, new Set());
+    map.get(type).add(value);
+  }
+  return map;
+}
+
+/**
+ * Two entity sets contradict when some entity type appears in both with no
+ * value in common — "works at Acme" vs "works at Globex".
+ */
+function entitiesConflict(a, b) {
+  for (const [type, values] of a) {
+    const other = b.get(type);
+    if (!other) continue;
+    if (![...values].some(v => other.has(v))) return true;
+  }
+  return false;
+}
 
 class MemoryService {
   constructor() {
     this.db = getDatabaseService();
     this.embeddings = getEmbeddingService();
+    this.changes = getChangeFeedService();
+    this.graph = getEntityGraphService();
+    this.revisions = getRevisionService();
+    this.tags = getTagService();
+    this.reranker = getRerankerService();
+    this.savedSearches = getSavedSearchService();
+    this.reminders = getReminderService();
     // Transient in-memory HNSW cache (only used when row count >= HNSW_THRESHOLD)
     this._hnswCache = null; // { db, connection, builtAt, rowCount }
   }
@@ -33,17 +344,10 @@ class MemoryService {
     
     try {
       // Validate input
-      const text = validateMemoryText(data.text);
+      const { text, metadataJson, entities, validFrom, validUntil, expiresAt } = prepareStoreInput(data);
       const userId = extractUserId(context) || data.userId || 'default_user';
       const memoryId = generateMemoryId();
 
-      // Parse metadata
-      const metadata = parseMetadata(data.metadata);
-      const metadataJson = JSON.stringify(metadata);
-
-      // Normalize entities
-      const entities = normalizeEntities(data.entities || []);
-
       console.log(`💾 [MEMORY-STORE] Storing memory for user: ${userId}`);
       console.log(`📝 [MEMORY-STORE] Text: "${text.substring(0, 100)}..."`);
       
@@ -71,45 +375,29 @@ class MemoryService {
         throw new Error(`Cannot store memory without embedding: ${embeddingError.message}`);
       }
 
-      // Prepare SQL with embedding (always present now)
-      const embeddingValues = embedding.map(v => v.toString()).join(',');
-      const sql = `
-        INSERT INTO memory (
-          id, user_id, type, source_text, metadata, screenshot, 
-          extracted_text, embedding, created_at, updated_at
-        ) VALUES (
-          '${memoryId}', '${userId}', '${data.type || 'user_memory'}',
-          '${text.replace(/'/g, '\'\'')}',
-          '${metadataJson.replace(/'/g, '\'\'')}',
-          ${data.screenshot ? `'${data.screenshot}'` : 'NULL'},
-          ${data.extractedText ? `'${data.extractedText.replace(/'/g, '\'\'')}'` : 'NULL'},
-          list_value(${embeddingValues}),
-          now(),
-          now()
-        )
-      `;
-
       const dbStart = Date.now();
-      await this.db.execute(sql);
+      await this.db.insert('memory', {
+        id: memoryId,
+        user_id: userId,
+        type: data.type || 'user_memory',
+        source_text: text,
+        metadata: metadataJson,
+        screenshot: data.screenshot || null,
+        extracted_text: data.extractedText || null,
+        embedding: raw(vectorLiteral(embedding)),
+        embedding_model: this.embeddings.getModelId(),
+        valid_from: validFrom,
+        valid_until: validUntil,
+        expires_at: expiresAt,
+        created_at: raw('now()'),
+        updated_at: raw('now()')
+      });
       timings.dbInsert = Date.now() - dbStart;
 
       // Store entities
       for (const entity of entities) {
         try {
-          const entityId = `ent_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-          const normalizedValue = entity.normalized || entity.value;
-          const entitySql = `
-            INSERT INTO memory_entities (id, memory_id, entity, type, entity_type, normalized_value)
-            VALUES (
-              '${entityId}',
-              '${memoryId}',
-              '${entity.value.replace(/'/g, '\'\'')}',
-              '${entity.type}',
-              '${entity.entity_type || entity.type}',
-              '${normalizedValue.replace(/'/g, '\'\'')}'
-            )
-          `;
-          await this.db.execute(entitySql);
+          await this._insertEntity(memoryId, entity);
         } catch (error) {
           logger.error('Failed to store entity', { 
             memoryId,
@@ -120,6 +408,36 @@ class MemoryService {
         }
       }
 
+      // Link the entities into the knowledge graph (best-effort)
+      if (entities.length > 0) {
+        await this.graph.indexMemory(memoryId);
+      }
+
+      await this.changes.record('memory', 'insert', memoryId, {
+        userId,
+        data: { type: data.type || 'user_memory', text, validFrom }
+      });
+      await this.savedSearches.evaluate('memory', { id: memoryId, userId, embedding, entities });
+
+      // Prospective memory: "renew my passport on March 3rd" → a reminder
+      const reminder = data.createReminder === true
+        ? await this.reminders.fromMemory({ id: memoryId, userId, text, entities })
+        : null;
+
+      // Supersede older facts: explicitly named ones, or detected contradictions
+      let superseded = [];
+      try {
+        if (Array.isArray(data.supersedes) && data.supersedes.length > 0) {
+          superseded = await this._supersede(data.supersedes.map(String), memoryId, userId, validFrom);
+        } else if (data.detectSupersession !== false && process.env.SUPERSESSION_ENABLED !== 'false') {
+          superseded = await this._detectSupersession({
+            memoryId, userId, type: data.type || 'user_memory', text, embedding, entities, validFrom
+          });
+        }
+      } catch (error) {
+        logger.warn('Supersession check failed (memory kept)', { memoryId, error: error.message });
+      }
+
       timings.total = Date.now() - startTime;
 
       console.log(`✅ [MEMORY-STORE] Memory stored successfully in ${timings.total}ms`);
@@ -140,6 +458,11 @@ class MemoryService {
         embedding: embedding.slice(0, 5), // Return first 5 values for verification
         embeddingDimensions: embedding.length,
         entities: entities.length,
+        validFrom: validFrom.toISOString(),
+        validUntil: validUntil ? validUntil.toISOString() : null,
+        expiresAt: expiresAt ? expiresAt.toISOString() : null,
+        superseded,
+        ...(data.createReminder === true ? { reminder } : {}),
         timestamp: new Date().toISOString(),
         timings
       };
@@ -164,9 +487,23 @@ class MemoryService {
       const maxAgeDays = options.maxAgeDays != null ? options.maxAgeDays : (parseInt(process.env.MAX_AGE_DAYS) || 365);
       const startDate = options.startDate || null;
       const endDate = options.endDate || null;
+      const validity = options.validity || 'current';
+      if (!VALIDITY_MODES.includes(validity)) {
+        throw new Error(`Invalid validity: ${validity}. Valid: ${VALIDITY_MODES.join(', ')}`);
+      }
+      const fusion = resolveFusion(options.fusion);
+      const rerank = resolveRerank(options.rerank);
+      const mmr = resolveMmr(options.mmr, limit);
+      // Re-ranking and MMR may promote candidates from below `limit`
+      const candidateLimit = Math.max(limit, rerank?.topN || 0, mmr?.candidates || 0);
+      const explain = options.explain === true;
+      // The time expression becomes a filter; the rest is what gets matched
+      const parsed = resolveTimeFilter(query, options, context);
+      const timeFilter = parsed.timeFilter;
+      const semanticQuery = parsed.query || query;
 
       console.log('🔍 [MEMORY-SEARCH] Starting search...');
-      console.log(`📝 [MEMORY-SEARCH] Query: "${query}"`);
+      console.log(`📝 [MEMORY-SEARCH] Query: "${semanticQuery}"`);
       console.log(`🎯 [MEMORY-SEARCH] Min similarity: ${minSimilarity}`);
       console.log(`👤 [MEMORY-SEARCH] User ID: ${userId}`);
 
@@ -178,7 +515,7 @@ class MemoryService {
         }
         
         const embeddingStart = Date.now();
-        queryEmbedding = await this.embeddings.generateEmbedding(query);
+        queryEmbedding = await this.embeddings.generateEmbedding(semanticQuery);
         timings.embedding = Date.now() - embeddingStart;
         console.log(`✅ [MEMORY-SEARCH] Query embedding generated: ${queryEmbedding.length} dimensions`);
       } catch (embeddingError) {
@@ -186,37 +523,30 @@ class MemoryService {
         throw new Error(`Cannot search without query embedding: ${embeddingError.message}`);
       }
       
-      // Build WHERE clause with date filters
-      let whereConditions = [`user_id = '${userId}'`];
-      
-      // Explicit date range takes priority over maxAgeDays
-      if (startDate) {
-        whereConditions.push(`created_at >= '${startDate}'`);
-      } else if (maxAgeDays > 0) {
-        whereConditions.push(`created_at >= CURRENT_TIMESTAMP - INTERVAL '${maxAgeDays}' DAY`);
-      }
-      if (endDate) {
-        whereConditions.push(`created_at <= '${endDate}'`);
-      }
+      // Build WHERE clause with date filters (trashed memories never match)
+      const where = new Conditions()
+        .add('user_id = ?', userId)
+        .add('deleted_at IS NULL')
+        .add(NOT_EXPIRED);
+      addDateFilters(where, { startDate, endDate, maxAgeDays, timeFilter });
       
       if (options.filters) {
         if (options.filters.type) {
           const types = Array.isArray(options.filters.type)
             ? options.filters.type
             : [options.filters.type];
-          whereConditions.push(`type IN (${types.map(t => `'${t}'`).join(', ')})`);
+          where.in('type', types);
         }
         if (options.filters.excludeTypes) {
           const excludeTypes = Array.isArray(options.filters.excludeTypes)
             ? options.filters.excludeTypes
             : [options.filters.excludeTypes];
-          for (const excludeType of excludeTypes) {
-            whereConditions.push(`type != '${excludeType}'`);
-          }
+          where.notIn('type', excludeTypes);
         }
         if (options.filters.sessionId) {
-          whereConditions.push(`metadata LIKE '%"sessionId":"${options.filters.sessionId}"%'`);
+          where.contains('metadata', sessionIdFragment(options.filters.sessionId));
         }
+        addTagFilters(where, userId, options.filters);
       }
 
       // ── Episodic memory split ──────────────────────────────────────────────
@@ -227,23 +557,27 @@ class MemoryService {
         (Array.isArray(options.filters?.type) && options.filters.type.includes('screen_capture'))
       );
       if (excludeScreenCapture) {
-        whereConditions.push('type != \'screen_capture\'');
+        where.add('type != \'screen_capture\'');
       }
 
       if (options.sessionId) {
-        whereConditions.push(`metadata LIKE '%"sessionId":"${options.sessionId}"%'`);
+        where.contains('metadata', sessionIdFragment(options.sessionId));
+      }
+
+      if (validity !== 'all') {
+        addCurrentValidity(where);
       }
 
-      const whereClause = whereConditions.length > 0 
-        ? `WHERE ${whereConditions.join(' AND ')} AND embedding IS NOT NULL` 
-        : 'WHERE embedding IS NOT NULL';
+      // Only compare against vectors produced by the active embedding model
+      const modelId = this.embeddings.getModelId();
+      const whereClause = `WHERE ${where.toSql()} AND embedding IS NOT NULL AND embedding_model = ?`;
+      const vectorParams = [...where.params, modelId];
 
       // Legacy date-range screen capture dedup path — kept for backwards compat
       // but screen_capture results should now come from episodic.search.
-      const isScreenCaptureDateRange = (startDate || endDate) && !excludeScreenCapture;
+      const isScreenCaptureDateRange = (startDate || endDate || timeFilter) && !excludeScreenCapture;
 
-      const embeddingValues = queryEmbedding.map(v => v.toString()).join(',');
-      const queryVector = `list_value(${embeddingValues})::FLOAT[384]`;
+      const queryVector = vectorLiteral(queryEmbedding);
 
       let results;
       const dbStart = Date.now();
@@ -269,10 +603,10 @@ class MemoryService {
             json_extract_string(metadata, '$.windowTitle'),
             date_trunc('hour', created_at)
           ORDER BY MIN(created_at) DESC
-          LIMIT ${limit}
-          OFFSET ${offset}
+          LIMIT ${int(limit, 25)}
+          OFFSET ${int(offset)}
         `;
-        results = await this.db.query(dedupSql);
+        results = await this.db.query(dedupSql, vectorParams);
       } else {
         // Ensure VSS is loaded before issuing any array_cosine_distance() query.
         // VSS is intentionally NOT loaded at startup (see database.js initVectorSearch).
@@ -287,7 +621,8 @@ class MemoryService {
 
         // Count rows eligible for this search (whereClause already includes embedding IS NOT NULL)
         const eligibleCountResult = await this.db.query(
-          `SELECT COUNT(*) as count FROM memory ${whereClause}`
+          `SELECT COUNT(*) as count FROM memory ${whereClause}`,
+          vectorParams
         );
         const eligibleCount = Number(eligibleCountResult[0]?.count || 0);
 
@@ -305,6 +640,9 @@ class MemoryService {
               screenshot,
               extracted_text,
               created_at,
+              valid_from,
+              valid_until,
+              superseded_by,
               (1 - array_cosine_distance(embedding, ${queryVector})) as similarity,
               (
                 0.7 * (1 - array_cosine_distance(embedding, ${queryVector})) +
@@ -316,10 +654,10 @@ class MemoryService {
             FROM memory
             ${whereClause}
             ORDER BY final_score DESC
-            LIMIT ${limit}
-            OFFSET ${offset}
+            LIMIT ${int(candidateLimit, 25)}
+            OFFSET ${int(offset)}
           `;
-          results = await this.db.query(sql);
+          results = await this.db.query(sql, vectorParams);
         } else {
           // ── Transient in-memory HNSW path ─────────────────────────────────────
           // Build (or reuse) a cached in-memory DuckDB instance with HNSW index.
@@ -327,7 +665,7 @@ class MemoryService {
           // the main DB never touches the HNSW graph.
           console.log('🔍 [MEMORY-SEARCH] Using transient in-memory HNSW');
           results = await this._searchWithTransientHnsw(
-            queryVector, whereClause, limit, offset
+            queryVector, candidateLimit, offset, modelId, where
           );
         }
       }
@@ -339,13 +677,33 @@ class MemoryService {
       // named entities, and pull in high-scoring keyword matches that vector search
       // might have missed (e.g. rare names, exact file paths).
       if (!isScreenCaptureDateRange) {
-        results = await this._fuseWithBm25AndEntities(results, query, userId, whereClause, limit, minSimilarity);
+        results = await this._fuseWithBm25AndEntities(results, semanticQuery, userId, where, candidateLimit, fusion);
       }
 
       // Filter by minimum similarity and fetch entities for each result
-      const filteredResults = isScreenCaptureDateRange
+      let filteredResults = isScreenCaptureDateRange
         ? results
         : results.filter(r => r.similarity >= minSimilarity);
+
+      // ── Cross-encoder re-rank ────────────────────────────────────────────────
+      let rerankInfo = null;
+      if (rerank && !isScreenCaptureDateRange) {
+        const rerankStart = Date.now();
+        rerankInfo = await this._rerank(filteredResults, semanticQuery, rerank.topN);
+        timings.rerank = Date.now() - rerankStart;
+      }
+
+      // ── MMR diversification ──────────────────────────────────────────────────
+      if (mmr && !isScreenCaptureDateRange) {
+        const mmrStart = Date.now();
+        // Re-rank scores replace fused ones; candidates past topN rank last
+        const relevance = rerankInfo?.applied
+          ? r => r.rerank_score ?? 0
+          : r => r.final_score ?? r.similarity;
+        filteredResults = await this._diversify('memory', filteredResults, mmr, limit, relevance);
+        timings.mmr = Date.now() - mmrStart;
+      }
+      filteredResults = filteredResults.slice(0, limit);
       
       const duration = Date.now() - startTime;
       
@@ -364,8 +722,8 @@ class MemoryService {
         console.warn('⚠️ [MEMORY-SEARCH] No results found. Checking database...');
         
         // Debug: Check if any memories exist
-        const totalMemories = await this.db.query(`SELECT COUNT(*) as count FROM memory WHERE user_id = '${userId}'`);
-        const withEmbeddings = await this.db.query(`SELECT COUNT(*) as count FROM memory WHERE user_id = '${userId}' AND embedding IS NOT NULL`);
+        const totalMemories = await this.db.query('SELECT COUNT(*) as count FROM memory WHERE user_id = ?', [userId]);
+        const withEmbeddings = await this.db.query('SELECT COUNT(*) as count FROM memory WHERE user_id = ? AND embedding IS NOT NULL', [userId]);
         
         console.log('📊 [MEMORY-SEARCH] Debug info:');
         console.log(`  Total memories for user: ${totalMemories[0].count}`);
@@ -377,10 +735,10 @@ class MemoryService {
           const bestMatch = await this.db.query(`
             SELECT source_text, (1 - array_cosine_distance(embedding, ${queryVector})) as similarity
             FROM memory
-            WHERE user_id = '${userId}' AND embedding IS NOT NULL
+            WHERE user_id = ? AND embedding IS NOT NULL
             ORDER BY array_cosine_distance(embedding, ${queryVector})
             LIMIT 1
-          `);
+          `, [userId]);
           
           if (bestMatch.length > 0) {
             console.log(`  Best match similarity: ${bestMatch[0].similarity.toFixed(3)}`);
@@ -395,47 +753,62 @@ class MemoryService {
       }
       
       const enrichStart = Date.now();
+      const labels = await this.tags.labelsFor(filteredResults.map(r => r.id));
       const enrichedResults = await Promise.all(
         filteredResults.map(async (result) => {
-          const entitiesSql = `
-            SELECT entity, type, entity_type
-            FROM memory_entities
-            WHERE memory_id = '${result.id}'
-          `;
-          const entities = await this.db.query(entitiesSql);
+          const entities = await this._getEntities(result.id);
 
           return {
             id: result.id,
             type: result.type || 'user_memory',
             text: result.source_text,
             similarity: result.similarity,
+            score: result.final_score ?? null,
+            ...(result.rerank_score != null ? { rerankScore: result.rerank_score } : {}),
+            ...(result.mmr_score != null ? { mmrScore: result.mmr_score, redundancy: result.redundancy } : {}),
+            ...(explain && result.explain ? { explain: result.explain } : {}),
             entities: entities.map(e => ({
               type: e.type,
               value: e.entity,
               entity_type: e.entity_type
             })),
+            ...labels.get(result.id),
             metadata: parseMetadata(result.metadata),
             screenshot: result.screenshot,
             extractedText: result.extracted_text,
+            ...formatValidity(result),
             created_at: result.created_at
           };
         })
       );
+      if (validity === 'history') {
+        await this._attachHistory(enrichedResults, userId);
+      }
+      const searchResults = options.collapseDocuments === false
+        ? enrichedResults
+        : await this._collapseDocumentChunks(enrichedResults, userId, semanticQuery, options.passagesPerDocument);
       timings.enrichment = Date.now() - enrichStart;
 
       timings.total = Date.now() - startTime;
 
       logger.info('⏱️  Memory search completed', {
         query,
-        resultsCount: enrichedResults.length,
+        resultsCount: searchResults.length,
         maxAgeDays,
+        validity,
         timings
       });
 
       return {
-        results: enrichedResults,
-        total: enrichedResults.length,
+        results: searchResults,
+        total: searchResults.length,
         query,
+        semanticQuery,
+        timeFilter,
+        validity,
+        fusion,
+        rerank: rerankInfo,
+        mmr,
         timings
       };
     } catch (error) {
@@ -445,58 +818,203 @@ class MemoryService {
   }
 
   /**
-   * Fuse vector search results with BM25 keyword matches and entity matches.
-   * Returns a re-ranked list of up to `limit` results.
-   * If the FTS extension is unavailable, returns the original vector results.
+   * Replace document chunk hits with one result per parent document, ranked
+   * by its best chunk. The document's best `perDocument` chunks are kept as
+   * `passages` with [start, end) highlight ranges for the query terms;
+   * passages that contain more of the query's terms come first, ties keep
+   * the search order.
    */
-  async _fuseWithBm25AndEntities(vectorResults, query, userId, whereClause, limit, _minSimilarity) {
-    if (!vectorResults || vectorResults.length === 0) return vectorResults;
+  async _collapseDocumentChunks(results, userId, query, perDocument = 3) {
+    const documentIds = [...new Set(results
+      .filter(r => r.type === 'document_chunk' && r.metadata?.documentId)
+      .map(r => String(r.metadata.documentId)))];
+    if (documentIds.length === 0) return results;
+
+    const rows = await this.db.query(`
+      SELECT id, title, metadata, char_count, chunk_count, created_at
+      FROM documents
+      WHERE user_id = ? AND id IN (${placeholders(documentIds.length)})
+    `, [userId, ...documentIds]);
+    const documents = new Map(rows.map(row => [row.id, row]));
+    const limit = Math.max(int(perDocument, 3), 1);
+
+    const collapsed = [];
+    const groups = new Map();
+    for (const result of results) {
+      const document = result.type === 'document_chunk' ? documents.get(String(result.metadata?.documentId)) : null;
+      if (!document) {
+        collapsed.push(result);
+        continue;
+      }
+
+      let group = groups.get(document.id);
+      if (!group) {
+        // Results arrive best first, so the first chunk sets the rank and score
+        group = {
+          id: document.id,
+          type: 'document',
+          title: document.title,
+          text: result.text,
+          similarity: result.similarity,
+          score: result.score,
+          metadata: parseMetadata(document.metadata),
+          charCount: Number(document.char_count),
+          chunkCount: Number(document.chunk_count),
+          matchedChunks: 0,
+          passages: [],
+          created_at: document.created_at
+        };
+        groups.set(document.id, group);
+        collapsed.push(group);
+      }
+      group.matchedChunks++;
+      group.passages.push({
+        memoryId: result.id,
+        chunkIndex: result.metadata.chunkIndex,
+        start: result.metadata.start,
+        end: result.metadata.end,
+        text: result.text,
+        similarity: result.similarity,
+        score: result.score,
+        highlights: highlightTerms(result.text, query)
+      });
+    }
 
+    for (const group of groups.values()) {
+      const termCount = (passage) => new Set(
+        passage.highlights.map(([start, end]) => passage.text.slice(start, end).toLowerCase())
+      ).size;
+      group.passages = group.passages
+        .map((passage, rank) => ({ passage, rank, terms: termCount(passage) }))
+        .sort((a, b) => b.terms - a.terms || a.rank - b.rank)
+        .slice(0, limit)
+        .map(({ passage }) => passage);
+      group.text = group.passages[0].text;
+    }
+    return collapsed;
+  }
+
+  /**
+   * Re-order the first `topN` results (in place) by cross-encoder score; the
+   * rest keep their fused order behind them. Each re-ranked result gets
+   * `rerank_score`, and its `explain` (if any) the rank it had before.
+   * Re-ranking is best-effort: if the model can't load or score, the fused
+   * order stands and the error is reported.
+   */
+  async _rerank(results, query, topN) {
+    const info = { model: this.reranker.getModelId(), topN, candidates: 0, applied: false };
+    const candidates = results.slice(0, topN);
+    if (candidates.length < 2 || !query.trim()) return info;
+
+    info.candidates = candidates.length;
     try {
-      await this.db.ensureFtsLoaded();
-    } catch (e) {
-      console.warn('🔍 [MEMORY-SEARCH] BM25 fusion disabled: FTS not available');
-      return vectorResults;
+      const scores = await this.reranker.score(query, candidates.map(r => r.source_text || ''));
+      const order = candidates
+        .map((result, i) => ({ result, score: scores[i], fusedRank: i + 1 }))
+        .sort((a, b) => b.score - a.score || a.fusedRank - b.fusedRank);
+      order.forEach(({ result, score, fusedRank }, i) => {
+        result.rerank_score = score;
+        if (result.explain) result.explain.rerank = { score, fusedRank };
+        results[i] = result;
+      });
+      info.applied = true;
+    } catch (error) {
+      logger.warn('Re-ranking failed, keeping fused order', { model: info.model, error: error.message });
+      info.error = error.message;
     }
+    return info;
+  }
 
-    // Remove embedding IS NOT NULL constraint from BM25 query — text is enough.
-    const bm25Where = whereClause.replace(/AND embedding IS NOT NULL/g, '').trim();
-    const escapedQuery = query.replace(/\\/g, '\\\\').replace(/'/g, SQ + SQ);
+  /**
+   * Pick `limit` of `results` by maximal marginal relevance, comparing the
+   * rows' stored embeddings (active model only; rows without one are never
+   * redundant). Each returned row gets `mmr_score` and `redundancy`, its
+   * highest similarity to a row ranked above it.
+   */
+  async _diversify(table, results, { lambda }, limit, relevance) {
+    if (results.length === 0) return results;
+
+    const ids = results.map(r => r.id);
+    const modelId = this.embeddings.getModelId();
+    const pairs = ids.length < 2 ? [] : await this.db.query(`
+      SELECT a.id AS a, b.id AS b,
+             array_cosine_similarity(a.embedding::FLOAT[384], b.embedding::FLOAT[384]) AS similarity
+      FROM ${table} a
+      JOIN ${table} b ON a.id < b.id
+      WHERE a.id IN (${placeholders(ids.length)}) AND b.id IN (${placeholders(ids.length)})
+        AND a.embedding IS NOT NULL AND b.embedding IS NOT NULL
+        AND a.embedding_model = ? AND b.embedding_model = ?
+    `, [...ids, ...ids, modelId, modelId]);
+    const similarities = new Map(pairs.map(p => [`${p.a}\x1f${p.b}`, Number(p.similarity)]));
+
+    const indexes = new Map(results.map((r, i) => [r, i]));
+    return mmrSelect(results, {
+      lambda,
+      limit,
+      relevance: r => relevance(r, indexes.get(r)),
+      similarity: (x, y) => similarities.get(x.id < y.id ? `${x.id}\x1f${y.id}` : `${y.id}\x1f${x.id}`) ?? null
+    }).map(({ item, mmrScore, redundancy }) => {
+      item.mmr_score = mmrScore;
+      item.redundancy = redundancy;
+      return item;
+    });
+  }
+
+  /**
+   * Fuse vector search results with BM25 keyword matches and entity matches.
+   * Returns a re-ranked list of up to `limit` results, each carrying an
+   * `explain` breakdown of the signals behind its final_score.
+   * If the FTS extension is unavailable, the BM25 signal is simply empty.
+   */
+  async _fuseWithBm25AndEntities(vectorResults, query, userId, where, limit, fusion = resolveFusion()) {
+    if (!vectorResults || vectorResults.length === 0) return vectorResults;
+
+    // No embedding IS NOT NULL constraint on the BM25 query — text is enough.
 
     let bm25Results = [];
     try {
+      await this.db.ensureFtsLoaded();
       const bm25Sql = `
         SELECT m.id, m.type, m.source_text, m.metadata, m.screenshot, m.extracted_text, m.created_at,
+               m.valid_from, m.valid_until, m.superseded_by,
                score_bm25.score as bm25_score
         FROM memory m
         INNER JOIN (
-          SELECT id, COALESCE(fts_main_memory.match_bm25(id, '${escapedQuery}'), 0) as score
+          SELECT id AS fts_id, COALESCE(fts_main_memory.match_bm25(id, ?), 0) as score
           FROM memory
-        ) score_bm25 ON m.id = score_bm25.id AND score_bm25.score > 0
-        ${bm25Where}
+        ) score_bm25 ON m.id = score_bm25.fts_id AND score_bm25.score > 0
+        ${where.toWhere()}
         ORDER BY score_bm25.score DESC
-        LIMIT ${limit * 3}
+        LIMIT ${int(limit, 25) * 3}
       `;
-      bm25Results = await this.db.query(bm25Sql);
+      bm25Results = await this.db.query(bm25Sql, [query, ...where.params]);
     } catch (e) {
-      console.warn('🔍 [MEMORY-SEARCH] BM25 query failed:', e.message);
+      console.warn('🔍 [MEMORY-SEARCH] BM25 signal unavailable:', e.message);
     }
 
-    // Entity match: memory IDs whose stored entities match any query term
+    const vectorMap = new Map(vectorResults.map(r => [r.id, r]));
+    const bm25Map = new Map(bm25Results.map(r => [r.id, r]));
+    const allIds = [...new Set([...vectorMap.keys(), ...bm25Map.keys()])];
+
+    // Entity match: which stored entities of each candidate match a query term
     const terms = query
       .split(/\s+/)
       .map(t => t.replace(/[^a-zA-Z0-9]/g, ''))
       .filter(t => t.length > 2);
-    let entityIds = new Set();
+    const matchedEntities = new Map();
     if (terms.length > 0) {
       try {
         const entitySql = `
-          SELECT DISTINCT me.memory_id as id
+          SELECT DISTINCT me.memory_id as id, me.entity
           FROM memory_entities me
-          WHERE ${terms.map(t => `me.entity ILIKE '%${t.replace(/'/g, SQ + SQ)}%'`).join(' OR ')}
+          WHERE me.memory_id IN (${placeholders(allIds.length)})
+            AND (${terms.map(() => `me.entity ILIKE ? ${LIKE_ESCAPE}`).join(' OR ')})
         `;
-        const entityResults = await this.db.query(entitySql);
-        entityIds = new Set(entityResults.map(r => r.id));
+        const entityResults = await this.db.query(entitySql, [...allIds, ...terms.map(t => `%${escapeLike(t)}%`)]);
+        for (const r of entityResults) {
+          if (!matchedEntities.has(r.id)) matchedEntities.set(r.id, []);
+          matchedEntities.get(r.id).push(r.entity);
+        }
       } catch (e) {
         console.warn('🔍 [MEMORY-SEARCH] Entity query failed:', e.message);
       }
@@ -507,21 +1025,11 @@ class MemoryService {
     const maxBm25 = bm25Scores.length > 0 ? Math.max(...bm25Scores) : 0;
     const minBm25 = bm25Scores.length > 0 ? Math.min(...bm25Scores) : 0;
 
-    const vectorMap = new Map(vectorResults.map(r => [r.id, r]));
-    const bm25Map = new Map(bm25Results.map(r => [r.id, r]));
-    const allIds = new Set([...vectorMap.keys(), ...bm25Map.keys()]);
-
     const nowMs = Date.now();
-    const scored = [];
-    for (const id of allIds) {
+    const signals = allIds.map(id => {
       const vec = vectorMap.get(id);
       const bm25 = bm25Map.get(id);
-      const vectorScore = vec?.similarity || 0;
       const bm25Raw = bm25?.bm25_score || 0;
-      const bm25Norm = bm25Raw > 0 && maxBm25 > minBm25
-        ? (bm25Raw - minBm25) / (maxBm25 - minBm25)
-        : 0;
-      const entityBoost = entityIds.has(id) ? 0.1 : 0;
 
       // Recency boost (already baked into brute-force final_score, but re-apply
       // here for HNSW and BM25-only rows so final ranking is consistent).
@@ -531,10 +1039,66 @@ class MemoryService {
         ? 1.0
         : 1.0 / (1 + Math.log(1 + ageDays));
 
-      const finalScore = 0.5 * vectorScore + 0.25 * bm25Norm + 0.15 * recency + entityBoost;
-      const row = vec || bm25;
-      scored.push({ ...row, similarity: vectorScore, final_score: finalScore, bm25_score: bm25Raw });
-    }
+      return {
+        id,
+        row: vec || bm25,
+        vectorScore: vec?.similarity || 0,
+        bm25Raw,
+        bm25Norm: bm25Raw > 0 && maxBm25 > minBm25 ? (bm25Raw - minBm25) / (maxBm25 - minBm25) : 0,
+        entities: matchedEntities.get(id) || [],
+        ageDays,
+        recency,
+      };
+    });
+
+    // Per-signal rankings (only candidates the signal actually found)
+    const byDesc = (key, keep) => signals.filter(keep).sort((a, b) => b[key] - a[key]).map(s => s.id);
+    const ranks = {
+      vector: rankMap(byDesc('vectorScore', s => vectorMap.has(s.id))),
+      bm25: rankMap(byDesc('bm25Raw', s => s.bm25Raw > 0)),
+      recency: rankMap(byDesc('recency', () => true)),
+      entity: rankMap(byDesc('vectorScore', s => s.entities.length > 0)),
+    };
+
+    const { strategy, weights, k } = fusion;
+    const scored = signals.map(s => {
+      const rank = {
+        vector: ranks.vector.get(s.id) ?? null,
+        bm25: ranks.bm25.get(s.id) ?? null,
+        recency: ranks.recency.get(s.id) ?? null,
+        entity: ranks.entity.get(s.id) ?? null,
+      };
+      const contributions = strategy === 'rrf'
+        ? Object.fromEntries(Object.keys(weights).map(signal => [
+          signal, rank[signal] ? weights[signal] / (k + rank[signal]) : 0
+        ]))
+        : {
+          vector: weights.vector * s.vectorScore,
+          bm25: weights.bm25 * s.bm25Norm,
+          recency: weights.recency * s.recency,
+          entity: s.entities.length > 0 ? weights.entity : 0,
+        };
+      const finalScore = Object.values(contributions).reduce((sum, v) => sum + v, 0);
+
+      return {
+        ...s.row,
+        similarity: s.vectorScore,
+        final_score: finalScore,
+        bm25_score: s.bm25Raw,
+        explain: {
+          strategy,
+          vectorDistance: vectorMap.has(s.id) ? 1 - s.vectorScore : null,
+          bm25Score: s.bm25Raw,
+          bm25Normalized: s.bm25Norm,
+          matchedEntities: s.entities,
+          recencyBoost: s.recency,
+          ageDays: s.ageDays,
+          ranks: rank,
+          contributions,
+          finalScore,
+        },
+      };
+    });
 
     scored.sort((a, b) => b.final_score - a.final_score);
     return scored.slice(0, limit);
@@ -555,46 +1119,37 @@ class MemoryService {
       const maxAgeDays = options.maxAgeDays != null ? options.maxAgeDays : (parseInt(process.env.MAX_AGE_DAYS) || 365);
       const startDate = options.startDate || null;
       const endDate = options.endDate || null;
+      const { query: semanticQuery, timeFilter } = resolveTimeFilter(query || '', options, context);
+      const mmr = resolveMmr(options.mmr, limit);
+      const candidateLimit = mmr ? mmr.candidates : limit;
 
       // Build WHERE clause for episodic_memory
-      let whereConditions = [`user_id = '${userId}'`];
-      if (startDate) {
-        whereConditions.push(`created_at >= '${startDate}'`);
-      } else if (maxAgeDays > 0) {
-        whereConditions.push(`created_at >= CURRENT_TIMESTAMP - INTERVAL '${maxAgeDays}' DAY`);
-      }
-      if (endDate) {
-        whereConditions.push(`created_at <= '${endDate}'`);
-      }
+      const where = new Conditions().add('user_id = ?', userId);
+      addDateFilters(where, { startDate, endDate, maxAgeDays, timeFilter });
       if (options.filters?.type) {
         const types = Array.isArray(options.filters.type) ? options.filters.type : [options.filters.type];
-        whereConditions.push(`type IN (${types.map(t => `'${t}'`).join(', ')})`);
+        where.in('type', types);
       }
       if (options.filters?.excludeTypes) {
         const excludeTypes = Array.isArray(options.filters.excludeTypes)
           ? options.filters.excludeTypes
           : [options.filters.excludeTypes];
-        for (const excludeType of excludeTypes) {
-          whereConditions.push(`type != '${excludeType}'`);
-        }
+        where.notIn('type', excludeTypes);
       }
       if (options.filters?.appName) {
-        const escapedAppName = options.filters.appName.replace(/'/g, SQ + SQ);
-        whereConditions.push(`json_extract_string(metadata, '$.appName') = '${escapedAppName}'`);
+        where.add('json_extract_string(metadata, \'$.appName\') = ?', options.filters.appName);
       }
       if (options.filters?.excludeOverlay) {
-        whereConditions.push('json_extract_string(metadata, \'$.overlayTainted\') IS NULL');
+        where.add('json_extract_string(metadata, \'$.overlayTainted\') IS NULL');
       }
       if (options.filters?.sessionId) {
-        whereConditions.push(`metadata LIKE '%"sessionId":"${options.filters.sessionId}"%'`);
+        where.contains('metadata', sessionIdFragment(options.filters.sessionId));
       }
       if (options.sessionId) {
-        whereConditions.push(`metadata LIKE '%"sessionId":"${options.sessionId}"%'`);
+        where.contains('metadata', sessionIdFragment(options.sessionId));
       }
 
-      const whereClause = whereConditions.length > 0
-        ? `WHERE ${whereConditions.join(' AND ')}`
-        : '';
+      const whereClause = where.toWhere();
 
       const dedup = options.dedup !== false;
       const dbStart = Date.now();
@@ -604,7 +1159,8 @@ class MemoryService {
       // no-op after the first call. If FTS is unavailable, keyword ranking
       // is skipped but the date/app filter still works.
       let bm25Enabled = false;
-      const trimmedQuery = (query || '').trim();
+      // A query that was only a time expression ("yesterday") is a pure date filter
+      const trimmedQuery = semanticQuery.trim();
       if (trimmedQuery) {
         try {
           await this.db.ensureFtsLoaded();
@@ -613,13 +1169,17 @@ class MemoryService {
           console.warn('🔍 [EPISODIC-SEARCH] FTS not available for keyword ranking:', e.message);
         }
       }
-      const escapedQuery = trimmedQuery.replace(/\\/g, '\\\\').replace(/'/g, SQ + SQ);
-      const bm25Join = bm25Enabled && trimmedQuery
+      const useBm25 = bm25Enabled && !!trimmedQuery;
+      const bm25Join = useBm25
         ? `LEFT JOIN (
-          SELECT id, COALESCE(fts_main_episodic_memory.match_bm25(id, '${escapedQuery}'), 0) as score
+          SELECT id, COALESCE(fts_main_episodic_memory.match_bm25(id, ?), 0) as score
           FROM episodic_memory
         ) score_bm25 ON episodic_memory.id = score_bm25.id`
         : '';
+      // The join's ? comes before the WHERE clause's in statement order.
+      const params = useBm25 ? [trimmedQuery, ...where.params] : where.params;
+      // Without the join there is no score_bm25 to reference: newest first
+      const bm25Score = useBm25 ? 'COALESCE(score_bm25.score, 0)' : null;
 
       if (dedup) {
         const sql = `
@@ -633,7 +1193,7 @@ class MemoryService {
             MIN(episodic_memory.created_at) as created_at,
             NULL as similarity,
             NULL as final_score,
-            MAX(COALESCE(score_bm25.score, 0)) as bm25_score
+            ${bm25Score ? `MAX(${bm25Score})` : '0'} as bm25_score
           FROM episodic_memory
           ${bm25Join}
           ${whereClause}
@@ -642,11 +1202,11 @@ class MemoryService {
             json_extract_string(episodic_memory.metadata, '$.appName'),
             json_extract_string(episodic_memory.metadata, '$.windowTitle'),
             date_trunc('hour', episodic_memory.created_at)
-          ORDER BY MAX(COALESCE(score_bm25.score, 0)) DESC, MIN(episodic_memory.created_at) DESC
-          LIMIT ${limit}
-          OFFSET ${offset}
+          ORDER BY ${bm25Score ? `MAX(${bm25Score}) DESC, ` : ''}MIN(episodic_memory.created_at) DESC
+          LIMIT ${int(candidateLimit, 25)}
+          OFFSET ${int(offset)}
         `;
-        results = await this.db.query(sql);
+        results = await this.db.query(sql, params);
       } else {
         const sql = `
           SELECT 
@@ -659,32 +1219,42 @@ class MemoryService {
             episodic_memory.created_at,
             NULL as similarity,
             NULL as final_score,
-            COALESCE(score_bm25.score, 0) as bm25_score
+            ${bm25Score || '0'} as bm25_score
           FROM episodic_memory
           ${bm25Join}
           ${whereClause}
-          ORDER BY COALESCE(score_bm25.score, 0) DESC, episodic_memory.created_at DESC
-          LIMIT ${limit}
-          OFFSET ${offset}
+          ORDER BY ${bm25Score ? `${bm25Score} DESC, ` : ''}episodic_memory.created_at DESC
+          LIMIT ${int(candidateLimit, 25)}
+          OFFSET ${int(offset)}
         `;
-        results = await this.db.query(sql);
+        results = await this.db.query(sql, params);
       }
       timings.dbQuery = Date.now() - dbStart;
 
+      if (mmr) {
+        // Keyword score is the relevance; without a query, recency order is
+        const mmrStart = Date.now();
+        const count = results.length;
+        results = await this._diversify(
+          'episodic_memory', results, mmr, limit,
+          useBm25 ? r => Number(r.bm25_score) : (_r, i) => count - i
+        );
+        timings.mmr = Date.now() - mmrStart;
+      }
+
       const enrichStart = Date.now();
       const enrichedResults = await Promise.all(
         results.map(async (result) => {
-          const entitiesSql = `
-            SELECT entity, type, entity_type
-            FROM episodic_entities
-            WHERE memory_id = '${result.id}'
-          `;
-          const entities = await this.db.query(entitiesSql);
+          const entities = await this.db.query(
+            'SELECT entity, type, entity_type FROM episodic_entities WHERE memory_id = ?',
+            [result.id]
+          );
           return {
             id: result.id,
             type: result.type || 'screen_capture',
             text: result.source_text,
             similarity: result.similarity,
+            ...(result.mmr_score != null ? { mmrScore: result.mmr_score, redundancy: result.redundancy } : {}),
             entities: entities.map(e => ({
               type: e.type,
               value: e.entity,
@@ -710,6 +1280,9 @@ class MemoryService {
         results: enrichedResults,
         total: enrichedResults.length,
         query,
+        semanticQuery,
+        timeFilter,
+        mmr,
         timings
       };
     } catch (error) {
@@ -724,19 +1297,21 @@ class MemoryService {
    * The in-memory DB is entirely separate from the persistent DB so CHECKPOINT
    * on the main DB never touches the HNSW graph — eliminating the crash path.
    */
-  async _searchWithTransientHnsw(queryVector, whereClause, limit, offset) {
+  async _searchWithTransientHnsw(queryVector, limit, offset, modelId, where = new Conditions()) {
     const duckdbModule = await import('duckdb');
     const duckdb = duckdbModule.default;
 
     const now = Date.now();
     const totalCountResult = await this.db.query(
-      'SELECT COUNT(*) as count FROM memory WHERE embedding IS NOT NULL'
+      'SELECT COUNT(*) as count FROM memory WHERE embedding IS NOT NULL AND embedding_model = ?',
+      [modelId]
     );
     const rowCount = Number(totalCountResult[0]?.count || 0);
 
     const cacheValid = this._hnswCache &&
       (now - this._hnswCache.builtAt) < HNSW_CACHE_TTL_MS &&
-      this._hnswCache.rowCount === rowCount;
+      this._hnswCache.rowCount === rowCount &&
+      this._hnswCache.modelId === modelId;
 
     if (!cacheValid) {
       if (this._hnswCache) {
@@ -750,8 +1325,8 @@ class MemoryService {
 
       const memDb = new duckdb.Database(':memory:');
       const memConn = memDb.connect();
-      const memRun = (sql) => new Promise((res, rej) =>
-        memConn.run(sql, (e) => (e ? rej(e) : res()))
+      const memRun = (sql, ...params) => new Promise((res, rej) =>
+        memConn.run(sql, ...params, (e) => (e ? rej(e) : res()))
       );
       const memAll = (sql) => new Promise((res, rej) =>
         memConn.all(sql, (e, r) => (e ? rej(e) : res(r)))
@@ -761,7 +1336,8 @@ class MemoryService {
       await memRun('CREATE TABLE mem_search (row_id TEXT, embedding FLOAT[384])');
 
       const rows = await this.db.query(
-        'SELECT id, embedding FROM memory WHERE embedding IS NOT NULL'
+        'SELECT id, embedding FROM memory WHERE embedding IS NOT NULL AND embedding_model = ?',
+        [modelId]
       );
 
       if (rows.length > 0) {
@@ -772,10 +1348,9 @@ class MemoryService {
             const floats = Array.isArray(r.embedding)
               ? r.embedding
               : Object.values(r.embedding);
-            const safeId = r.id.replace(/'/g, '\'\'');
-            return `('${safeId}', list_value(${floats.join(',')}))`;
+            return `(?, ${vectorLiteral(floats)})`;
           }).join(',\n');
-          await memRun(`INSERT INTO mem_search VALUES ${vals}`);
+          await memRun(`INSERT INTO mem_search VALUES ${vals}`, ...batch.map((r) => r.id));
         }
         await memRun(
           'CREATE INDEX mem_hnsw ON mem_search USING HNSW (embedding) WITH (metric=\'cosine\')'
@@ -787,7 +1362,8 @@ class MemoryService {
         connection: memConn,
         all: memAll,
         builtAt: now,
-        rowCount
+        rowCount,
+        modelId
       };
       logger.info('Transient HNSW built', {
         rowCount,
@@ -801,20 +1377,24 @@ class MemoryService {
       SELECT row_id as id, (1 - array_cosine_distance(embedding, ${queryVector})) as similarity
       FROM mem_search
       ORDER BY array_cosine_distance(embedding, ${queryVector})
-      LIMIT ${limit + offset + 100}
+      LIMIT ${int(limit, 25) + int(offset) + 100}
     `;
     const hnswResults = await memAll(hnswSql);
     const simMap = Object.fromEntries(hnswResults.map((r) => [r.id, r.similarity]));
 
     if (hnswResults.length === 0) return [];
 
+    // The index spans every user; apply the caller's filters to the candidates
     const candidateIds = hnswResults.map((r) => r.id);
-    const idList = candidateIds.map((id) => `'${id.replace(/'/g, '\'\'')}'`).join(',');
+    const candidateWhere = new Conditions()
+      .add(`id IN (${placeholders(candidateIds.length)})`, ...candidateIds);
+    if (where.length) candidateWhere.add(where.toSql(), ...where.params);
     const fullRows = await this.db.query(`
-      SELECT id, type, source_text, metadata, screenshot, extracted_text, created_at
+      SELECT id, type, source_text, metadata, screenshot, extracted_text, created_at,
+             valid_from, valid_until, superseded_by
       FROM memory
-      WHERE id IN (${idList})
-    `);
+      ${candidateWhere.toWhere()}
+    `, candidateWhere.params);
 
     const nowMs = Date.now();
     const scored = fullRows.map((r) => {
@@ -838,12 +1418,10 @@ class MemoryService {
     try {
       const userId = extractUserId(context);
 
-      const sql = `
-        SELECT * FROM memory
-        WHERE id = '${memoryId}' AND user_id = '${userId}'
-      `;
-
-      const results = await this.db.query(sql);
+      const results = await this.db.query(
+        `SELECT * FROM memory WHERE id = ? AND user_id = ? AND deleted_at IS NULL AND ${NOT_EXPIRED}`,
+        [memoryId, userId]
+      );
 
       if (results.length === 0) {
         throw new Error('Memory not found');
@@ -851,25 +1429,26 @@ class MemoryService {
 
       const memory = results[0];
 
-      // Fetch entities
-      const entitiesSql = `
-        SELECT entity, type, entity_type
-        FROM memory_entities
-        WHERE memory_id = '${memoryId}'
-      `;
-      const entities = await this.db.query(entitiesSql);
+      // Fetch entities, tags and collections
+      const entities = await this._getEntities(memoryId);
+      const labels = await this.tags.labelsFor([memoryId]);
 
       return {
         id: memory.id,
+        type: memory.type,
         text: memory.source_text,
         entities: entities.map(e => ({
           type: e.type,
           value: e.entity,
           entity_type: e.entity_type
         })),
+        ...labels.get(memoryId),
         metadata: parseMetadata(memory.metadata),
         screenshot: memory.screenshot,
         extractedText: memory.extracted_text,
+        mergedFrom: memory.merged_from ? JSON.parse(memory.merged_from) : [],
+        ...formatValidity(memory),
+        expiresAt: memory.expires_at || null,
         created_at: memory.created_at,
         updated_at: memory.updated_at
       };
@@ -880,17 +1459,22 @@ class MemoryService {
   }
 
   /**
-   * Update memory
+   * Update memory. The previous version is kept in memory_revisions;
+   * options.audit ({ action, requestId, source, actor }) records who made
+   * the change, options.embedding ({ vector, model }) reuses a known vector
+   * for updates.text instead of re-embedding it.
    */
-  async updateMemory(memoryId, updates, context = {}) {
+  async updateMemory(memoryId, updates, context = {}, options = {}) {
     const startTime = Date.now();
 
     try {
       const userId = extractUserId(context);
 
       // Get current memory data (verifies it exists and we need it for the update)
-      const currentMemorySQL = `SELECT * FROM memory WHERE id = '${memoryId}' AND user_id = '${userId}'`;
-      const currentMemoryResult = await this.db.query(currentMemorySQL);
+      const currentMemoryResult = await this.db.query(
+        'SELECT * FROM memory WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+        [memoryId, userId]
+      );
       
       if (!currentMemoryResult || currentMemoryResult.length === 0) {
         throw new Error(`Memory not found: ${memoryId}`);
@@ -905,76 +1489,106 @@ class MemoryService {
         regenerateEmbedding = true;
       }
 
+      const validFrom = updates.validFrom !== undefined
+        ? parseTimestamp(updates.validFrom, 'validFrom')
+        : (currentMemory.valid_from ? new Date(currentMemory.valid_from) : null);
+      const validUntil = updates.validUntil !== undefined
+        ? parseTimestamp(updates.validUntil, 'validUntil')
+        : (currentMemory.valid_until ? new Date(currentMemory.valid_until) : null);
+      if (validFrom && validUntil && validUntil <= validFrom) {
+        throw new Error('Invalid validUntil: must be after validFrom');
+      }
+
+      // expiresAt: null clears the expiry; a new expiresAt/ttl replaces it
+      const expiresAt = updates.expiresAt === null
+        ? null
+        : (updates.expiresAt !== undefined || updates.ttl !== undefined)
+          ? resolveExpiry({ expiresAt: updates.expiresAt, ttl: updates.ttl })
+          : (currentMemory.expires_at ? new Date(currentMemory.expires_at) : null);
+
       // Generate embedding first if needed
       let embedding = null;
       if (regenerateEmbedding) {
-        embedding = await this.embeddings.generateEmbedding(updates.text);
+        const known = options.embedding;
+        embedding = known?.vector && known.model === this.embeddings.getModelId()
+          ? known.vector
+          : await this.embeddings.generateEmbedding(updates.text);
       }
 
-      // Use a different approach - delete and insert to avoid DuckDB UPDATE constraint bug
-      const deleteSQL = `DELETE FROM memory WHERE id = '${memoryId}' AND user_id = '${userId}'`;
-      
-      // Delete old record
-      await this.db.execute(deleteSQL);
-      
-      // Prepare embedding value using list_value
-      let embeddingValue;
-      if (embedding) {
-        const embeddingValues = embedding.map(v => v.toString()).join(',');
-        embeddingValue = `list_value(${embeddingValues})`;
-      } else if (currentMemory.embedding) {
-        const embeddingValues = currentMemory.embedding.map(v => v.toString()).join(',');
-        embeddingValue = `list_value(${embeddingValues})`;
-      } else {
-        embeddingValue = 'NULL';
-      }
+      // Revision, replacement row and entities are written as one unit, so a
+      // failure part way never leaves the memory missing or half updated
+      const revision = await this.db.transaction(async () => {
+        // Keep the outgoing version before the row is replaced
+        const currentEntities = await this.db.query(
+          'SELECT entity, type, entity_type, normalized_value FROM memory_entities WHERE memory_id = ?',
+          [memoryId]
+        );
+        const captured = await this.revisions.capture(currentMemory, currentEntities, {
+          action: 'memory.update',
+          ...options.audit
+        });
+
+        // Use a different approach - delete and insert to avoid DuckDB UPDATE constraint bug
+        await this.db.execute('DELETE FROM memory WHERE id = ? AND user_id = ?', [memoryId, userId]);
       
-      // Insert updated record
-      const insertSQL = `
-        INSERT INTO memory (
-          id, user_id, source_text, embedding, metadata, screenshot, 
-          extracted_text, type, created_at, updated_at
-        ) VALUES (
-          '${memoryId}',
-          '${userId}',
-          '${updates.text ? validateMemoryText(updates.text).replace(/'/g, '\'\'') : currentMemory.source_text.replace(/'/g, '\'\'')}',
-          ${embeddingValue},
-          '${updates.metadata ? JSON.stringify(updates.metadata).replace(/'/g, '\'\'') : (currentMemory.metadata || '{}').replace(/'/g, '\'\'')}',
-          ${updates.screenshot !== undefined ? (updates.screenshot ? `'${updates.screenshot}'` : 'NULL') : (currentMemory.screenshot ? `'${currentMemory.screenshot}'` : 'NULL')},
-          ${updates.extractedText !== undefined ? (updates.extractedText ? `'${updates.extractedText.replace(/'/g, '\'\'')}'` : 'NULL') : (currentMemory.extracted_text ? `'${currentMemory.extracted_text.replace(/'/g, '\'\'')}'` : 'NULL')},
-          '${currentMemory.type || 'user_memory'}',
-          '${new Date(currentMemory.created_at).toISOString().slice(0, 19).replace('T', ' ')}',
-          now()
-        )
-      `;
+        // Carry the old embedding over when the text didn't change
+        const embeddingSource = embedding || currentMemory.embedding;
+        const embeddingValue = embeddingSource
+          ? raw(vectorLiteral(Array.isArray(embeddingSource) ? embeddingSource : Object.values(embeddingSource)))
+          : null;
       
-      await this.db.execute(insertSQL);
-
-      // Update entities if provided
-      if (updates.entities) {
-        // Delete old entities
-        await this.db.execute(`DELETE FROM memory_entities WHERE memory_id = '${memoryId}'`);
-
-        // Insert new entities
-        const entities = normalizeEntities(updates.entities);
-        for (const entity of entities) {
-          const entityId = `ent_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-          const normalizedValue = entity.normalized || entity.value;
-          const entitySql = `
-            INSERT INTO memory_entities (id, memory_id, entity, type, entity_type, normalized_value)
-            VALUES (
-              '${entityId}',
-              '${memoryId}',
-              '${entity.value.replace(/'/g, '\'\'')}',
-              '${entity.type}',
-              '${entity.entity_type || entity.type}',
-              '${normalizedValue.replace(/'/g, '\'\'')}'
-            )
-          `;
-          await this.db.execute(entitySql);
+        // Insert updated record
+        await this.db.insert('memory', {
+          id: memoryId,
+          user_id: userId,
+          source_text: updates.text ? validateMemoryText(updates.text) : currentMemory.source_text,
+          embedding: embeddingValue,
+          embedding_model: embedding ? this.embeddings.getModelId() : (embeddingValue ? currentMemory.embedding_model : null),
+          metadata: updates.metadata ? JSON.stringify(updates.metadata) : (currentMemory.metadata || '{}'),
+          screenshot: updates.screenshot !== undefined ? (updates.screenshot || null) : currentMemory.screenshot,
+          extracted_text: updates.extractedText !== undefined ? (updates.extractedText || null) : currentMemory.extracted_text,
+          type: currentMemory.type || 'user_memory',
+          merged_from: currentMemory.merged_from || null,
+          valid_from: validFrom,
+          valid_until: validUntil,
+          expires_at: expiresAt,
+          superseded_by: currentMemory.superseded_by || null,
+          created_at: new Date(currentMemory.created_at),
+          updated_at: raw('now()')
+        });
+
+        // Update entities if provided
+        if (updates.entities) {
+          // Delete old entities
+          await this.db.execute('DELETE FROM memory_entities WHERE memory_id = ?', [memoryId]);
+
+          // Insert new entities
+          const entities = normalizeEntities(updates.entities);
+          for (const entity of entities) {
+            await this._insertEntity(memoryId, entity);
+          }
+        } else if (updates.text) {
+          // New text, no entities: refresh extracted ones (caller-provided rows stay)
+          await this._replaceExtractedEntities(memoryId, validateMemoryText(updates.text), updates.extractEntities);
         }
+
+        return captured;
+      });
+
+      if (updates.entities || updates.text) {
+        await this.graph.indexMemory(memoryId);
       }
 
+      await this.changes.record('memory', 'update', memoryId, {
+        userId,
+        data: {
+          type: currentMemory.type || 'user_memory',
+          text: updates.text ? validateMemoryText(updates.text) : currentMemory.source_text,
+          validFrom,
+          validUntil
+        }
+      });
+
       const elapsedMs = Date.now() - startTime;
 
       logger.info('Memory updated successfully', {
@@ -987,6 +1601,7 @@ class MemoryService {
         memoryId,
         updated: true,
         embedding: regenerateEmbedding,
+        revision: revision + 1,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -996,28 +1611,39 @@ class MemoryService {
   }
 
   /**
-   * Delete memory
+   * Delete memory. By default the memory is moved to the trash (deleted_at
+   * is set) and can be brought back with restoreMemory() until the retention
+   * check purges it; permanent: true removes it immediately.
    */
-  async deleteMemory(memoryId, context = {}) {
+  async deleteMemory(memoryId, context = {}, options = {}) {
     try {
       const userId = extractUserId(context);
 
-      // Delete entities first
-      await this.db.execute(`DELETE FROM memory_entities WHERE memory_id = '${memoryId}'`);
-
-      // Delete memory
-      const sql = `
-        DELETE FROM memory
-        WHERE id = '${memoryId}' AND user_id = '${userId}'
-      `;
+      if (options.permanent === true) {
+        return this._purgeMemory(memoryId, userId);
+      }
 
-      await this.db.execute(sql);
+      const existing = await this.db.query(
+        'SELECT id FROM memory WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+        [memoryId, userId]
+      );
+      if (existing.length > 0) {
+        await this.db.execute(
+          'UPDATE memory SET deleted_at = now() WHERE id = ? AND user_id = ?',
+          [memoryId, userId]
+        );
+        await this.graph.removeMemory([memoryId], userId);
+        await this.changes.record('memory', 'delete', memoryId, { userId, data: { trashed: true } });
+      }
 
-      logger.info('Memory deleted successfully', { memoryId });
+      logger.info('Memory moved to trash', { memoryId });
 
+      const trashDays = getRetentionService().trashDays;
       return {
         memoryId,
-        deleted: true
+        deleted: true,
+        trashed: true,
+        purgeAfterDays: trashDays
       };
     } catch (error) {
       logger.error('Failed to delete memory', { memoryId, error: error.message });
@@ -1025,6 +1651,541 @@ class MemoryService {
     }
   }
 
+  /**
+   * Bring a trashed memory back.
+   */
+  async restoreMemory(memoryId, context = {}) {
+    try {
+      const userId = extractUserId(context);
+
+      const trashed = await this.db.query(
+        'SELECT id, type, source_text FROM memory WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL',
+        [memoryId, userId]
+      );
+      if (trashed.length === 0) {
+        throw new Error(`Memory not found in trash: ${memoryId}`);
+      }
+
+      await this.db.execute(
+        'UPDATE memory SET deleted_at = NULL WHERE id = ? AND user_id = ?',
+        [memoryId, userId]
+      );
+      await this.graph.indexMemory(memoryId);
+      await this.changes.record('memory', 'insert', memoryId, {
+        userId,
+        data: { type: trashed[0].type || 'user_memory', text: trashed[0].source_text, restored: true }
+      });
+
+      logger.info('Memory restored from trash', { memoryId });
+
+      return { memoryId, restored: true };
+    } catch (error) {
+      logger.error('Failed to restore memory', { memoryId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Version chain of a memory, oldest first, ending with the live version.
+   * Trashed memories keep their history until they are purged.
+   */
+  async getHistory(memoryId, context = {}) {
+    try {
+      const userId = extractUserId(context);
+
+      const rows = await this.db.query(
+        'SELECT * FROM memory WHERE id = ? AND user_id = ?',
+        [memoryId, userId]
+      );
+      if (rows.length === 0) {
+        throw new Error(`Memory not found: ${memoryId}`);
+      }
+
+      const entities = await this._getEntities(memoryId);
+      const versions = await this.revisions.history(rows[0], entities);
+
+      return {
+        memoryId,
+        currentRevision: versions.length,
+        trashed: !!rows[0].deleted_at,
+        versions
+      };
+    } catch (error) {
+      logger.error('Failed to get memory history', { memoryId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Roll a memory back to an earlier revision. The revert is itself an
+   * update, so the version it replaces lands in the history too.
+   */
+  async revertMemory(memoryId, revision, context = {}, audit = {}) {
+    try {
+      const target = await this.revisions.get(memoryId, int(revision));
+
+      // Ownership and trash state are checked by updateMemory
+      const result = await this.updateMemory(memoryId, {
+        text: target.text,
+        metadata: target.metadata,
+        entities: target.entities,
+        screenshot: target.screenshot,
+        extractedText: target.extractedText,
+        validFrom: target.validFrom,
+        validUntil: target.validUntil
+      }, context, {
+        audit: { action: 'memory.revert', ...audit },
+        embedding: { vector: target.embedding, model: target.embeddingModel }
+      });
+
+      logger.info('Memory reverted', { memoryId, revertedTo: target.revision });
+
+      return {
+        memoryId,
+        reverted: true,
+        revertedTo: target.revision,
+        revision: result.revision
+      };
+    } catch (error) {
+      logger.error('Failed to revert memory', { memoryId, revision, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List trashed memories, most recently deleted first, with the time each
+   * one will be purged.
+   */
+  async listTrash(options = {}, context = {}) {
+    try {
+      const userId = extractUserId(context);
+      const limit = options.limit || 25;
+      const offset = options.offset || 0;
+      const trashDays = getRetentionService().trashDays;
+
+      const countResult = await this.db.query(
+        'SELECT COUNT(*) as total FROM memory WHERE user_id = ? AND deleted_at IS NOT NULL',
+        [userId]
+      );
+      const total = Number(countResult[0]?.total) || 0;
+
+      const results = await this.db.query(`
+        SELECT id, type, source_text, metadata, created_at, deleted_at
+        FROM memory
+        WHERE user_id = ? AND deleted_at IS NOT NULL
+        ORDER BY deleted_at DESC
+        LIMIT ${int(limit, 25)}
+        OFFSET ${int(offset)}
+      `, [userId]);
+
+      const memories = results.map(row => {
+        const purgeAt = new Date(new Date(row.deleted_at).getTime() + trashDays * 86400000);
+        return {
+          id: row.id,
+          type: row.type || 'user_memory',
+          text: row.source_text,
+          metadata: parseMetadata(row.metadata),
+          created_at: row.created_at,
+          deletedAt: row.deleted_at,
+          purgeAt: purgeAt.toISOString()
+        };
+      });
+
+      return {
+        memories,
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total,
+        retentionDays: trashDays
+      };
+    } catch (error) {
+      logger.error('Failed to list trash', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a memory (trashed or not) and its entities for good.
+   */
+  async _purgeMemory(memoryId, userId) {
+    const existing = await this.db.query(
+      'SELECT id FROM memory WHERE id = ? AND user_id = ?',
+      [memoryId, userId]
+    );
+
+    if (existing.length > 0) {
+      // Delete entities first
+      await this.db.execute('DELETE FROM memory_entities WHERE memory_id = ?', [memoryId]);
+
+      // Delete memory
+      await this.db.execute('DELETE FROM memory WHERE id = ? AND user_id = ?', [memoryId, userId]);
+
+      await this.revisions.deleteFor([memoryId]);
+      await this.tags.deleteFor([memoryId]);
+      await this.savedSearches.deleteFor([memoryId]);
+      await this.reminders.deleteFor([memoryId]);
+      await this.graph.removeMemory([memoryId], userId);
+      await this.changes.record('memory', 'delete', memoryId, { userId, data: { permanent: true } });
+    }
+
+    logger.info('Memory deleted permanently', { memoryId });
+
+    return {
+      memoryId,
+      deleted: true,
+      trashed: false
+    };
+  }
+
+  /**
+   * Store many memories at once. Each item is a memory.store payload. Items
+   * are validated individually, embedded with one batched inference pass and
+   * inserted in a single transaction; an item that fails validation or
+   * embedding is reported in its result instead of failing the batch.
+   */
+  async storeBatch(items, context = {}) {
+    const startTime = Date.now();
+    const results = [];
+    const prepared = [];
+
+    batchItems(items).forEach((data, index) => {
+      try {
+        prepared.push({
+          index,
+          data,
+          memoryId: generateMemoryId(),
+          userId: extractUserId(context) || data?.userId || 'default_user',
+          ...prepareStoreInput(data || {})
+        });
+      } catch (error) {
+        results.push({ index, ok: false, error: error.message });
+      }
+    });
+
+    const vectors = await this._embedBatch(prepared.map(item => item.text));
+    const embedded = [];
+    prepared.forEach((item, i) => {
+      if (vectors[i].error) {
+        results.push({ index: item.index, ok: false, error: `Cannot store memory without embedding: ${vectors[i].error}` });
+      } else {
+        embedded.push({ ...item, embedding: vectors[i].vector });
+      }
+    });
+
+    const modelId = this.embeddings.getModelId();
+    const written = await this._writeBatch(embedded, async (item) => {
+      await this.db.insert('memory', {
+        id: item.memoryId,
+        user_id: item.userId,
+        type: item.type,
+        source_text: item.text,
+        metadata: item.metadataJson,
+        screenshot: item.data.screenshot || null,
+        extracted_text: item.data.extractedText || null,
+        embedding: raw(vectorLiteral(item.embedding)),
+        embedding_model: modelId,
+        valid_from: item.validFrom,
+        valid_until: item.validUntil,
+        expires_at: item.expiresAt,
+        created_at: raw('now()'),
+        updated_at: raw('now()')
+      });
+      for (const entity of item.entities) {
+        try {
+          await this._insertEntity(item.memoryId, entity);
+        } catch (error) {
+          logger.error('Failed to store entity', { memoryId: item.memoryId, entity, error: error.message });
+        }
+      }
+      return { index: item.index, ok: true, memoryId: item.memoryId, entities: item.entities.length };
+    });
+
+    // Graph, change feed and supersession run once the rows are committed.
+    // Items later in the batch are excluded from an earlier item's
+    // supersession check so a batch replays in order.
+    const stored = embedded.filter(item => written.get(item.index).ok);
+    for (let i = 0; i < stored.length; i++) {
+      const item = stored[i];
+      const result = written.get(item.index);
+      if (item.entities.length > 0) {
+        await this.graph.indexMemory(item.memoryId);
+      }
+      await this.changes.record('memory', 'insert', item.memoryId, {
+        userId: item.userId,
+        data: { type: item.type, text: item.text, validFrom: item.validFrom }
+      });
+      await this.savedSearches.evaluate('memory', {
+        id: item.memoryId,
+        userId: item.userId,
+        embedding: item.embedding,
+        entities: item.entities
+      });
+      if (item.data.createReminder === true) {
+        result.reminder = await this.reminders.fromMemory({
+          id: item.memoryId,
+          userId: item.userId,
+          text: item.text,
+          entities: item.entities
+        });
+      }
+
+      result.superseded = [];
+      try {
+        if (Array.isArray(item.data.supersedes) && item.data.supersedes.length > 0) {
+          result.superseded = await this._supersede(item.data.supersedes.map(String), item.memoryId, item.userId, item.validFrom);
+        } else if (item.data.detectSupersession !== false && process.env.SUPERSESSION_ENABLED !== 'false') {
+          result.superseded = await this._detectSupersession({
+            memoryId: item.memoryId,
+            userId: item.userId,
+            type: item.type,
+            text: item.text,
+            embedding: item.embedding,
+            entities: item.entities,
+            validFrom: item.validFrom,
+            excludeIds: stored.slice(i + 1).map(later => later.memoryId)
+          });
+        }
+      } catch (error) {
+        logger.warn('Supersession check failed (memory kept)', { memoryId: item.memoryId, error: error.message });
+      }
+    }
+
+    const summary = batchSummary([...results, ...written.values()]);
+    logger.info('Memory batch stored', {
+      total: summary.total,
+      succeeded: summary.succeeded,
+      failed: summary.failed,
+      elapsedMs: Date.now() - startTime
+    });
+    return summary;
+  }
+
+  /**
+   * Update many memories at once. Each item is a memory.update payload
+   * ({ memoryId, updates }). New texts are embedded in one batched pass,
+   * then all items are applied in one transaction. If it fails, it is
+   * rolled back and the items are applied one at a time, so a bad item only
+   * fails itself.
+   */
+  async updateBatch(items, context = {}, options = {}) {
+    const startTime = Date.now();
+    const results = [];
+    const prepared = [];
+
+    batchItems(items).forEach((item, index) => {
+      try {
+        if (!item?.memoryId) {
+          throw new Error('Missing required field: memoryId');
+        }
+        if (!item.updates || typeof item.updates !== 'object') {
+          throw new Error('Missing required field: updates');
+        }
+        if (item.updates.text !== undefined) {
+          validateMemoryText(item.updates.text);
+        }
+        prepared.push({ index, memoryId: String(item.memoryId), updates: item.updates });
+      } catch (error) {
+        results.push({ index, ok: false, memoryId: item?.memoryId ?? null, error: error.message });
+      }
+    });
+
+    const withText = prepared.filter(item => item.updates.text);
+    const vectors = await this._embedBatch(withText.map(item => item.updates.text));
+    const embeddings = new Map(withText.map((item, i) => [item.index, vectors[i]]));
+    const modelId = this.embeddings.getModelId();
+
+    const ready = [];
+    for (const item of prepared) {
+      const embedded = embeddings.get(item.index);
+      if (embedded?.error) {
+        results.push({ index: item.index, ok: false, memoryId: item.memoryId, error: `Embedding failed: ${embedded.error}` });
+      } else {
+        ready.push({ ...item, embedding: embedded ? { vector: embedded.vector, model: modelId } : undefined });
+      }
+    }
+
+    const written = await this._writeBatch(ready, async (item) => {
+      const updated = await this.updateMemory(item.memoryId, item.updates, context, {
+        audit: { action: 'memory.updateBatch', ...options.audit },
+        embedding: item.embedding
+      });
+      return { index: item.index, ok: true, memoryId: item.memoryId, revision: updated.revision };
+    });
+
+    const summary = batchSummary([...results, ...written.values()]);
+    logger.info('Memory batch updated', {
+      total: summary.total,
+      succeeded: summary.succeeded,
+      failed: summary.failed,
+      elapsedMs: Date.now() - startTime
+    });
+    return summary;
+  }
+
+  /**
+   * Delete many memories at once, in one transaction. Like deleteMemory the
+   * memories go to the trash unless permanent: true. Ids that do not exist
+   * (or are already trashed) are reported as failed items.
+   */
+  async deleteBatch(memoryIds, context = {}, options = {}) {
+    const userId = extractUserId(context);
+    const permanent = options.permanent === true;
+    const results = [];
+    const candidates = [];
+
+    batchItems(memoryIds).forEach((memoryId, index) => {
+      if (typeof memoryId !== 'string' || memoryId.length === 0) {
+        results.push({ index, ok: false, memoryId: memoryId ?? null, error: 'Invalid memoryId: expected a non-empty string' });
+      } else {
+        candidates.push({ index, memoryId });
+      }
+    });
+
+    const existing = new Set();
+    if (candidates.length > 0) {
+      const where = new Conditions()
+        .add('user_id = ?', userId)
+        .in('id', [...new Set(candidates.map(c => c.memoryId))]);
+      if (!permanent) where.add('deleted_at IS NULL');
+      const rows = await this.db.query(`SELECT id FROM memory ${where.toWhere()}`, where.params);
+      for (const row of rows) existing.add(row.id);
+    }
+
+    const found = [];
+    for (const candidate of candidates) {
+      if (existing.has(candidate.memoryId)) {
+        existing.delete(candidate.memoryId); // a repeated id only counts once
+        found.push(candidate);
+      } else {
+        results.push({ ...candidate, ok: false, error: `Memory not found: ${candidate.memoryId}` });
+      }
+    }
+
+    const written = await this._writeBatch(found, async ({ index, memoryId }) => {
+      const deleted = permanent
+        ? await this._purgeMemory(memoryId, userId)
+        : await this.deleteMemory(memoryId, context);
+      return { index, ok: true, memoryId, trashed: deleted.trashed };
+    });
+
+    const summary = batchSummary([...results, ...written.values()]);
+    logger.info('Memory batch deleted', { total: summary.total, succeeded: summary.succeeded, permanent });
+    return {
+      ...summary,
+      purgeAfterDays: permanent ? null : getRetentionService().trashDays
+    };
+  }
+
+  /**
+   * Re-run rule-based entity extraction over the user's existing memories.
+   * Memories with caller-provided entities are skipped; for the rest the
+   * extracted rows are replaced and the entity graph re-indexed.
+   * dryRun reports what would change without writing.
+   */
+  async backfillEntities(context = {}, options = {}) {
+    const userId = extractUserId(context);
+    const dryRun = options.dryRun === true;
+    const limit = options.limit === undefined ? Infinity : int(options.limit);
+    if (limit < 1) {
+      throw new Error('Invalid limit: must be a positive integer');
+    }
+    const startTime = Date.now();
+    const stats = { scanned: 0, updated: 0, entitiesAdded: 0, entitiesRemoved: 0, dryRun };
+
+    let after = '';
+    while (stats.scanned < limit) {
+      const pageSize = Math.min(BACKFILL_PAGE_SIZE, limit - stats.scanned);
+      const rows = await this.db.query(`
+        SELECT m.id, m.source_text,
+               (SELECT COUNT(*) FROM memory_entities e
+                WHERE e.memory_id = m.id AND e.source = 'extracted') AS extracted
+        FROM memory m
+        WHERE m.user_id = ? AND m.deleted_at IS NULL AND m.id > ?
+          AND NOT EXISTS (
+            SELECT 1 FROM memory_entities e WHERE e.memory_id = m.id AND e.source IS NULL
+          )
+        ORDER BY m.id
+        LIMIT ${pageSize}
+      `, [userId, after]);
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        stats.scanned++;
+        const removed = Number(row.extracted);
+        const added = dryRun
+          ? autoEntities(row.source_text).length
+          : await this._replaceExtractedEntities(row.id, row.source_text);
+        if (added === 0 && removed === 0) continue;
+        if (!dryRun) await this.graph.indexMemory(row.id);
+        stats.updated++;
+        stats.entitiesAdded += added;
+        stats.entitiesRemoved += removed;
+      }
+      after = rows[rows.length - 1].id;
+    }
+
+    logger.info('Entity backfill finished', { userId, ...stats, elapsedMs: Date.now() - startTime });
+    return stats;
+  }
+
+  /**
+   * Embed texts in one batched call. If the batch fails, fall back to one
+   * call per text so a single bad text only fails its own item.
+   * Returns [{ vector } | { error }] aligned with `texts`.
+   */
+  async _embedBatch(texts) {
+    if (texts.length === 0) return [];
+    try {
+      const vectors = await this.embeddings.generateEmbeddings(texts);
+      return vectors.map(vector => ({ vector }));
+    } catch (error) {
+      logger.warn('Batch embedding failed, embedding items one by one', { count: texts.length, error: error.message });
+    }
+
+    const out = [];
+    for (const text of texts) {
+      try {
+        out.push({ vector: await this.embeddings.generateEmbedding(text) });
+      } catch (error) {
+        out.push({ error: error.message });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Run `write(entry)` for every entry inside one transaction. If the
+   * transaction fails it is rolled back and the entries are written one at a
+   * time, so a single bad row only fails its own item.
+   * Returns Map(entry.index → result).
+   */
+  async _writeBatch(entries, write) {
+    const written = new Map();
+    if (entries.length === 0) return written;
+
+    try {
+      await this.db.transaction(async () => {
+        for (const entry of entries) {
+          written.set(entry.index, await write(entry));
+        }
+      });
+      return written;
+    } catch (error) {
+      logger.warn('Batch transaction failed, writing items one by one', { count: entries.length, error: error.message });
+    }
+
+    written.clear();
+    for (const entry of entries) {
+      try {
+        written.set(entry.index, await write(entry));
+      } catch (error) {
+        written.set(entry.index, { index: entry.index, ok: false, memoryId: entry.memoryId, error: error.message });
+      }
+    }
+    return written;
+  }
+
   /**
    * List memories with pagination
    */
@@ -1033,51 +2194,55 @@ class MemoryService {
       const userId = extractUserId(context);
       const limit = options.limit || 25;
       const offset = options.offset || 0;
-      const sortBy = options.sortBy || 'created_at';
-      const sortOrder = options.sortOrder || 'DESC';
+      const sortBy = LIST_SORT_COLUMNS.has(options.sortBy) ? options.sortBy : 'created_at';
+      const sortOrder = String(options.sortOrder || 'DESC').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
       // Build WHERE clause
-      let whereConditions = [`user_id = '${userId}'`];
+      const where = new Conditions()
+        .add('user_id = ?', userId)
+        .add('deleted_at IS NULL')
+        .add(NOT_EXPIRED);
 
       if (options.filters) {
         if (options.filters.type) {
-          whereConditions.push(`type = '${options.filters.type}'`);
+          where.add('type = ?', options.filters.type);
+        }
+        if (options.filters.excludeTypes) {
+          const excludeTypes = Array.isArray(options.filters.excludeTypes)
+            ? options.filters.excludeTypes
+            : [options.filters.excludeTypes];
+          where.notIn('type', excludeTypes);
         }
         if (options.filters.sessionId) {
-          whereConditions.push(`metadata LIKE '%"sessionId":"${options.filters.sessionId}"%'`);
+          where.contains('metadata', sessionIdFragment(options.filters.sessionId));
         }
+        addTagFilters(where, userId, options.filters);
       }
 
-      const whereClause = whereConditions.length > 0 
-        ? `WHERE ${whereConditions.join(' AND ')}` 
-        : '';
+      const whereClause = where.toWhere();
 
       // Get total count
       const countSql = `SELECT COUNT(*) as total FROM memory ${whereClause}`;
-      const countResult = await this.db.query(countSql);
+      const countResult = await this.db.query(countSql, where.params);
       const total = Number(countResult[0]?.total) || 0;
 
       // Get memories
       const sql = `
-        SELECT id, source_text, metadata, created_at, updated_at
+        SELECT id, source_text, metadata, expires_at, created_at, updated_at
         FROM memory
         ${whereClause}
         ORDER BY ${sortBy} ${sortOrder}
-        LIMIT ${limit}
-        OFFSET ${offset}
+        LIMIT ${int(limit, 25)}
+        OFFSET ${int(offset)}
       `;
 
-      const results = await this.db.query(sql);
+      const results = await this.db.query(sql, where.params);
 
-      // Fetch entities for each result
+      // Fetch entities, tags and collections for each result
+      const labels = await this.tags.labelsFor(results.map(r => r.id));
       const memories = await Promise.all(
         results.map(async (result) => {
-          const entitiesSql = `
-            SELECT entity, type, entity_type
-            FROM memory_entities
-            WHERE memory_id = '${result.id}'
-          `;
-          const entities = await this.db.query(entitiesSql);
+          const entities = await this._getEntities(result.id);
 
           return {
             id: result.id,
@@ -1086,7 +2251,9 @@ class MemoryService {
               type: e.type,
               value: e.entity
             })),
+            ...labels.get(result.id),
             metadata: parseMetadata(result.metadata),
+            expiresAt: result.expires_at || null,
             created_at: result.created_at,
             updated_at: result.updated_at
           };
@@ -1128,13 +2295,16 @@ class MemoryService {
 
       // When appName is provided, filter by it so we never return a different app's
       // stale capture (e.g. Devin capture while Chrome is active).
+      const params = [userId];
       const appNameClause = appName
-        ? `AND json_extract_string(metadata, '$.appName') = '${appName.replace(/'/g, '\'\'')}'`
+        ? 'AND json_extract_string(metadata, \'$.appName\') = ?'
         : '';
+      if (appName) params.push(appName);
 
       const preferClause = preferAppName
-        ? `CASE WHEN json_extract_string(metadata, '$.appName') = '${preferAppName.replace(/'/g, '\'\'')}' THEN 0 ELSE 1 END,`
+        ? 'CASE WHEN json_extract_string(metadata, \'$.appName\') = ? THEN 0 ELSE 1 END,'
         : '';
+      if (preferAppName) params.push(preferAppName);
 
       const sql = `
         SELECT 
@@ -1145,15 +2315,15 @@ class MemoryService {
           created_at
         FROM episodic_memory
         WHERE type = 'screen_capture'
-          AND user_id = '${userId}'
-          AND created_at >= CURRENT_TIMESTAMP - INTERVAL '${maxAgeSeconds}' SECOND
+          AND user_id = ?
+          AND created_at >= CURRENT_TIMESTAMP - INTERVAL '${int(maxAgeSeconds, 3)}' SECOND
           AND json_extract_string(metadata, '$.overlayTainted') IS NULL
           ${appNameClause}
         ORDER BY ${preferClause} created_at DESC
         LIMIT 1
       `;
 
-      const results = await this.db.query(sql);
+      const results = await this.db.query(sql, params);
 
       if (!results || results.length === 0) {
         return null;
@@ -1183,125 +2353,162 @@ class MemoryService {
   }
 
   /**
-   * Classify if query is conversational (context-aware)
+   * Find current memories the new one contradicts: same user and type,
+   * semantically close, and naming a different value for a shared entity
+   * type. Those are closed off (valid_until = validFrom) and pointed at the
+   * new memory. `excludeIds` are never candidates (storeBatch passes the
+   * items stored after this one). Returns the superseded ids.
    */
-  classifyConversationalQuery(query, options = {}) {
-    const queryLower = query.toLowerCase();
-    const context = options.context || {};
-    
-    // Check if conversation context exists
-    const hasSessionContext = !!(context.sessionId || options.sessionId);
-    const hasMessageHistory = context.messageCount > 0 || context.hasHistory;
-    const hasConversationContext = hasSessionContext && hasMessageHistory;
+  async _detectSupersession({ memoryId, userId, type, text, embedding, entities, validFrom, excludeIds = [] }) {
+    // Extracted entities are too noisy to retire facts on; only caller-provided ones count
+    const provided = entities.filter(entity => entity.source !== 'extracted');
+    if (provided.length === 0) return [];
+
+    const threshold = CHANGE_MARKERS.test(text)
+      ? SUPERSESSION_SIMILARITY - SUPERSESSION_MARKER_BONUS
+      : SUPERSESSION_SIMILARITY;
+    const queryVector = vectorLiteral(embedding);
+
+    const candidates = await this.db.query(`
+      SELECT id, array_cosine_similarity(embedding::FLOAT[384], ${queryVector}) AS similarity
+      FROM memory
+      WHERE user_id = ? AND type = ? AND id NOT IN (${placeholders(excludeIds.length + 1)})
+        AND superseded_by IS NULL AND deleted_at IS NULL AND ${NOT_EXPIRED}
+        AND (valid_from IS NULL OR valid_from <= ?)
+        AND embedding IS NOT NULL AND embedding_model = ?
+        AND array_cosine_similarity(embedding::FLOAT[384], ${queryVector}) >= ?
+      ORDER BY similarity DESC
+      LIMIT 20
+    `, [userId, type, memoryId, ...excludeIds, validFrom, this.embeddings.getModelId(), threshold]);
+    if (candidates.length === 0) return [];
+
+    const ids = candidates.map(c => c.id);
+    const rows = await this.db.query(
+      `SELECT memory_id, entity, type, normalized_value FROM memory_entities
+       WHERE memory_id IN (${placeholders(ids.length)}) AND source IS NULL`,
+      ids
+    );
+    const incoming = entitiesByType(provided);
+    const contradicted = ids.filter(id =>
+      entitiesConflict(incoming, entitiesByType(rows.filter(r => r.memory_id === id)))
+    );
+    if (contradicted.length === 0) return [];
 
-    // Conversational pronouns that reference shared context
-    const conversationalPronouns = /\b(we|our|you said|i said|you mentioned|you told|i asked|we discussed|we talked|we covered)\b/i;
-    
-    // Anaphoric references (pointing back to previous discourse)
-    const anaphoricReferences = /\b(that|this|it|those|these)\b.*\b(we|you|i)\b/i;
-    const demonstratives = /\b(that thing|this topic|those points|these ideas)\b/i;
-    
-    // Temporal references WITH conversational context
-    const temporalConversational = /\b(earlier|before|previously|just now|a moment ago|you just)\b.*\b(said|mentioned|told|discussed|explained)\b/i;
-    const temporalConversationalReverse = /\b(said|mentioned|told|discussed|explained)\b.*\b(earlier|before|previously|just now|a moment ago)\b/i;
-    
-    // Positional patterns - ONLY with conversational pronouns
-    const positionalWithContext = [
-      /\b(first|last|initial|latest)\b.*\b(we|you|i)\b.*\b(said|mentioned|discussed|talked)\b/i,
-      /\b(what did (i|we|you))\b.*\b(say|ask|discuss|mention|talk about)\b/i,
-      /\b(beginning|start|end)\b.*\b(of (our|the) (conversation|discussion|chat))\b/i,
-      /\b(go back to|return to|back to)\b.*\b(what (we|you|i))\b/i
-    ];
-
-    // Topical patterns - ONLY about OUR conversation
-    const topicalWithContext = [
-      /\b(what (did|have) (we|i|you))\b.*\b(discuss|talk about|cover|chat about)\b/i,
-      /\b(topics|things|points|issues)\b.*\b((we|i|you) (discussed|covered|mentioned|talked about))\b/i,
-      /\b(our (conversation|discussion|chat))\b.*\b(about|regarding|concerning)\b/i
-    ];
-
-    // Overview patterns - ONLY about THIS conversation
-    const overviewWithContext = [
-      /\b(summarize|recap|sum up|overview of)\b.*\b(our|this|the)\b.*\b(conversation|discussion|chat)\b/i,
-      /\b(what (did|have) (we|i|you))\b.*\b(chat|talk)\b.*\babout\b/i,
-      /\b(give me (a|an))\b.*\b(summary|recap|overview)\b.*\b(of (our|this|the) (conversation|discussion))\b/i
-    ];
-
-    // Discourse markers indicating reference to previous statements
-    const discourseMarkers = /\b(like (you|i) (said|mentioned)|as (you|i) (mentioned|said|explained)|you were saying|i was saying)\b/i;
-
-    let classification = 'GENERAL';
-    let confidence = 0.5;
-    let reasoning = 'No conversational context or patterns detected';
-
-    // If no conversation context exists, be very strict
-    if (!hasConversationContext) {
-      // Only classify as conversational if there are VERY strong signals
-      if (discourseMarkers.test(queryLower) || 
-          conversationalPronouns.test(queryLower) && (temporalConversational.test(queryLower) || temporalConversationalReverse.test(queryLower))) {
-        classification = 'POSITIONAL';
-        confidence = 0.70;
-        reasoning = 'Strong conversational markers present, but no session context available';
-      } else {
-        confidence = 0.95;
-        reasoning = 'No conversation context exists - treating as general query';
-      }
-    } else {
-      // We have conversation context - check patterns
-      
-      // Check for discourse markers first (strongest signal)
-      if (discourseMarkers.test(queryLower)) {
-        classification = 'POSITIONAL';
-        confidence = 0.98;
-        reasoning = 'Explicit discourse marker referencing previous conversation';
-      }
-      // Positional with context
-      else if (positionalWithContext.some(p => p.test(queryLower)) || 
-               (temporalConversational.test(queryLower) || temporalConversationalReverse.test(queryLower))) {
-        classification = 'POSITIONAL';
-        confidence = 0.95;
-        reasoning = 'Positional reference to conversation history with context';
-      }
-      // Topical with context
-      else if (topicalWithContext.some(p => p.test(queryLower))) {
-        classification = 'TOPICAL';
-        confidence = 0.92;
-        reasoning = 'Query asks about topics discussed in our conversation';
-      }
-      // Overview with context
-      else if (overviewWithContext.some(p => p.test(queryLower))) {
-        classification = 'OVERVIEW';
-        confidence = 0.90;
-        reasoning = 'Query requests summary of our conversation';
-      }
-      // Anaphoric references with conversational pronouns
-      else if ((anaphoricReferences.test(queryLower) || demonstratives.test(queryLower)) && 
-               conversationalPronouns.test(queryLower)) {
-        classification = 'POSITIONAL';
-        confidence = 0.85;
-        reasoning = 'Anaphoric reference to previous conversation content';
-      }
-      // Has conversation context but no strong patterns
-      else if (conversationalPronouns.test(queryLower)) {
-        classification = 'GENERAL';
-        confidence = 0.60;
-        reasoning = 'Conversational pronouns present but no clear reference to conversation history';
+    logger.info('Memory supersedes older facts', { memoryId, superseded: contradicted });
+    return this._supersede(contradicted, memoryId, userId, validFrom);
+  }
+
+  /**
+   * Mark memories as replaced by `newId` from `validFrom` on.
+   */
+  async _supersede(ids, newId, userId, validFrom) {
+    const targets = ids.filter(id => id !== newId);
+    if (targets.length === 0) return [];
+
+    const where = new Conditions()
+      .add('user_id = ?', userId)
+      .in('id', targets)
+      .add('superseded_by IS NULL');
+    const existing = await this.db.query(`SELECT id FROM memory ${where.toWhere()}`, where.params);
+    if (existing.length === 0) return [];
+
+    await this.db.execute(`
+      UPDATE memory
+      SET superseded_by = ?,
+          valid_until = CASE WHEN valid_until IS NULL OR valid_until > ? THEN ? ELSE valid_until END,
+          updated_at = now()
+      ${where.toWhere()}
+    `, [newId, validFrom, validFrom, ...where.params]);
+    for (const { id } of existing) {
+      await this.changes.record('memory', 'update', id, {
+        userId,
+        data: { supersededBy: newId, validUntil: validFrom }
+      });
+    }
+    return existing.map(r => r.id);
+  }
+
+  /**
+   * Attach each result's supersession chain (newest first) as `history`.
+   */
+  async _attachHistory(results, userId) {
+    for (const result of results) {
+      const history = [];
+      const seen = new Set([result.id]);
+      let frontier = [result.id];
+      while (frontier.length > 0 && history.length < 50) {
+        const rows = await this.db.query(`
+          SELECT id, source_text, created_at, valid_from, valid_until, superseded_by
+          FROM memory
+          WHERE user_id = ? AND deleted_at IS NULL AND superseded_by IN (${placeholders(frontier.length)})
+          ORDER BY valid_from DESC
+        `, [userId, ...frontier]);
+        frontier = [];
+        for (const row of rows) {
+          if (seen.has(row.id)) continue;
+          seen.add(row.id);
+          frontier.push(row.id);
+          history.push({ id: row.id, text: row.source_text, ...formatValidity(row), created_at: row.created_at });
+        }
       }
+      result.history = history;
     }
+  }
 
-    const isConversational = classification !== 'GENERAL';
+  /**
+   * Insert one normalized entity row for a memory.
+   */
+  async _insertEntity(memoryId, entity) {
+    await this.db.insert('memory_entities', {
+      id: `ent_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      memory_id: memoryId,
+      entity: entity.value,
+      type: entity.type,
+      entity_type: entity.entity_type || entity.type,
+      normalized_value: entity.normalized || entity.value,
+      source: entity.source === 'extracted' ? 'extracted' : null
+    });
+  }
 
-    return {
-      isConversational,
-      confidence,
-      classification,
-      reasoning,
-      contextInfo: {
-        hasSessionContext,
-        hasMessageHistory,
-        hasConversationContext
-      }
-    };
+  /**
+   * Re-run extraction for a memory: drops its extracted entity rows and,
+   * unless the caller supplied entities of their own, inserts fresh ones.
+   * Returns the number of entities inserted.
+   */
+  async _replaceExtractedEntities(memoryId, text, enabled = true) {
+    await this.db.execute(
+      'DELETE FROM memory_entities WHERE memory_id = ? AND source = \'extracted\'',
+      [memoryId]
+    );
+    const provided = await this.db.query(
+      'SELECT 1 FROM memory_entities WHERE memory_id = ? LIMIT 1',
+      [memoryId]
+    );
+    if (provided.length > 0) return 0;
+
+    const entities = autoEntities(text, enabled);
+    for (const entity of entities) {
+      await this._insertEntity(memoryId, entity);
+    }
+    return entities.length;
+  }
+
+  /**
+   * Fetch the entity rows attached to a memory.
+   */
+  async _getEntities(memoryId) {
+    return this.db.query(
+      'SELECT entity, type, entity_type FROM memory_entities WHERE memory_id = ?',
+      [memoryId]
+    );
+  }
+
+  /**
+   * Classify if query is conversational (context-aware), by the regex rules
+   * alone. QueryClassifierService.classify adds the learned prototypes.
+   */
+  classifyConversationalQuery(query, options = {}) {
+    return classifyByRules(query, options);
   }
 }
 
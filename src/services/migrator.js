@@ -0,0 +1,177 @@
+import { createHash } from 'crypto';
+import logger from '../utils/logger.js';
+import defaultMigrations from '../migrations/index.js';
+
+// ---------------------------------------------------------------------------
+// Migrator — versioned, checksummed schema migrations.
+//
+// Each migration is { version, name, up: string[], down: string[] } (see
+// src/migrations/). Applied migrations are recorded in schema_migrations with
+// a sha256 of their SQL, so an edited-after-shipping migration is caught
+// instead of silently diverging across users' local DuckDB files.
+//
+// Startup (DatabaseService.createTables) calls assertCompatible() then up().
+// assertCompatible() refuses to run against a database whose schema is newer
+// than this build knows about — e.g. after downgrading the app — rather than
+// letting older code write into columns/tables it doesn't understand.
+// ---------------------------------------------------------------------------
+
+export function checksum(migration) {
+  return createHash('sha256')
+    .update(JSON.stringify({ up: migration.up, down: migration.down }))
+    .digest('hex');
+}
+
+class Migrator {
+  /**
+   * @param {DatabaseService} db  connected DatabaseService (uses run/all)
+   * @param {Array} migrations    ordered migration definitions
+   */
+  constructor(db, migrations = defaultMigrations) {
+    this.db = db;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+    this.latestVersion = this.migrations.length
+      ? this.migrations[this.migrations.length - 1].version
+      : 0;
+  }
+
+  async ensureTable() {
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version    INTEGER PRIMARY KEY,
+        name       TEXT NOT NULL,
+        checksum   TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async applied() {
+    await this.ensureTable();
+    const rows = await this.db.all('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return rows.map(r => ({ ...r, version: Number(r.version) }));
+  }
+
+  async currentVersion() {
+    const rows = await this.applied();
+    return rows.length ? rows[rows.length - 1].version : 0;
+  }
+
+  /**
+   * Throw if the on-disk schema is newer than this build, or if an applied
+   * migration no longer matches the code that shipped it.
+   */
+  async assertCompatible() {
+    const rows = await this.applied();
+    const known = new Map(this.migrations.map(m => [m.version, m]));
+
+    for (const row of rows) {
+      const migration = known.get(row.version);
+      if (!migration) {
+        throw new Error(
+          `Database schema version ${rows[rows.length - 1].version} is newer than this build supports ` +
+          `(${this.latestVersion}). Upgrade the service, or roll the schema back with the newer build ` +
+          '(npm run db:migrate -- down).'
+        );
+      }
+      if (row.checksum !== checksum(migration)) {
+        throw new Error(
+          `Migration ${row.version} (${row.name}) checksum mismatch: it was modified after being applied. ` +
+          'Add a new migration instead of editing a shipped one.'
+        );
+      }
+    }
+  }
+
+  /**
+   * Report every known migration and whether it has been applied.
+   */
+  async status() {
+    const rows = await this.applied();
+    const appliedByVersion = new Map(rows.map(r => [r.version, r]));
+    const known = new Set(this.migrations.map(m => m.version));
+
+    const migrations = this.migrations.map(m => {
+      const row = appliedByVersion.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        applied: Boolean(row),
+        appliedAt: row ? row.applied_at : null,
+        checksumOk: row ? row.checksum === checksum(m) : null,
+      };
+    });
+    // Rows written by a newer build that this code has never heard of
+    const unknown = rows
+      .filter(r => !known.has(r.version))
+      .map(r => ({ version: r.version, name: r.name, applied: true, appliedAt: r.applied_at, checksumOk: null }));
+
+    return {
+      currentVersion: rows.length ? rows[rows.length - 1].version : 0,
+      latestVersion: this.latestVersion,
+      pending: migrations.filter(m => !m.applied).length,
+      migrations: [...migrations, ...unknown],
+    };
+  }
+
+  /**
+   * Apply pending migrations up to (and including) `target`.
+   * Returns the list of versions applied.
+   */
+  async up(target = this.latestVersion) {
+    await this.assertCompatible();
+    const done = new Set((await this.applied()).map(r => r.version));
+    const pending = this.migrations.filter(m => !done.has(m.version) && m.version <= target);
+
+    for (const migration of pending) {
+      await this._apply(migration, 'up');
+    }
+    if (pending.length) {
+      logger.info(`[Migrator] Schema at version ${pending[pending.length - 1].version} (applied ${pending.length})`);
+    }
+    return pending.map(m => m.version);
+  }
+
+  /**
+   * Roll back the most recent `steps` applied migrations.
+   * Returns the list of versions reverted.
+   */
+  async down(steps = 1) {
+    await this.assertCompatible();
+    const rows = await this.applied();
+    const known = new Map(this.migrations.map(m => [m.version, m]));
+    const toRevert = rows.slice(-Math.max(0, steps)).reverse();
+
+    for (const row of toRevert) {
+      await this._apply(known.get(row.version), 'down');
+    }
+    return toRevert.map(r => r.version);
+  }
+
+  async _apply(migration, direction) {
+    const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+    logger.info(`[Migrator] ${direction} ${label}`);
+
+    await this.db.run('BEGIN TRANSACTION');
+    try {
+      for (const sql of migration[direction]) {
+        await this.db.run(sql);
+      }
+      if (direction === 'up') {
+        await this.db.run(
+          'INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES (?, ?, ?, now())',
+          migration.version, migration.name, checksum(migration)
+        );
+      } else {
+        await this.db.run('DELETE FROM schema_migrations WHERE version = ?', migration.version);
+      }
+      await this.db.run('COMMIT');
+    } catch (error) {
+      await this.db.run('ROLLBACK').catch(() => {});
+      logger.error(`[Migrator] ${direction} ${label} failed:`, error.message);
+      throw new Error(`Migration ${label} (${direction}) failed: ${error.message}`);
+    }
+  }
+}
+
+export default Migrator;
@@ -1,6 +1,7 @@
 import { getDatabaseService } from './database.js';
 import { getEmbeddingService } from './embeddings.js';
 import logger from '../utils/logger.js';
+import { Conditions, raw, int, vectorLiteral } from '../utils/sql.js';
 
 // ---------------------------------------------------------------------------
 // PhrasePreferenceService — user-taught phrase→delivery mappings stored in DuckDB.
@@ -22,8 +23,6 @@ import logger from '../utils/logger.js';
 
 const SIMILARITY_THRESHOLD = 0.80; // slightly lower than intent_overrides — phrase variants are looser
 
-const SQ = '\'';
-
 function generateId() {
   return `pp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
@@ -46,16 +45,14 @@ class PhrasePreferenceService {
       const embedding = await this.embeddings.generateEmbedding(phrase);
       if (!embedding) return null;
 
-      const embeddingStr = `[${embedding.join(',')}]`;
-
       const rows = await this.db.query(`
         SELECT id, example_phrase, delivery, service, metadata, hit_count,
-               array_cosine_similarity(embedding::FLOAT[384], ${embeddingStr}::FLOAT[384]) AS similarity
+               array_cosine_similarity(embedding::FLOAT[384], ${vectorLiteral(embedding)}) AS similarity
         FROM phrase_preferences
-        WHERE embedding IS NOT NULL
+        WHERE embedding IS NOT NULL AND embedding_model = ?
         ORDER BY similarity DESC
         LIMIT 1
-      `);
+      `, [this.embeddings.getModelId()]);
 
       if (!rows.length) return null;
 
@@ -69,7 +66,8 @@ class PhrasePreferenceService {
 
       // Bump hit_count (fire-and-forget)
       this.db.execute(
-        `UPDATE phrase_preferences SET hit_count = hit_count + 1, updated_at = now() WHERE id = '${top.id}'`
+        'UPDATE phrase_preferences SET hit_count = hit_count + 1, updated_at = now() WHERE id = ?',
+        [top.id]
       ).catch(() => {});
 
       let metadata = null;
@@ -111,7 +109,7 @@ class PhrasePreferenceService {
         if (source === 'user_correction' || existing.delivery !== delivery || existing.service !== service) {
           // Remove old entry so the new preference fully replaces it
           await this.db.execute(
-            `DELETE FROM phrase_preferences WHERE example_phrase = '${examplePhrase.replace(/'/g, SQ + SQ)}'`
+            'DELETE FROM phrase_preferences WHERE example_phrase = ?', [examplePhrase]
           ).catch(() => {});
           logger.info(`[PhrasePreferenceService] Overwriting existing preference for "${examplePhrase.slice(0, 60)}"`);
         } else {
@@ -121,28 +119,19 @@ class PhrasePreferenceService {
       }
 
       const id = generateId();
-      const embeddingStr = `[${embedding.join(',')}]`;
-      const safePhrase    = examplePhrase.replace(/'/g, SQ + SQ);
-      const safeDelivery  = delivery.replace(/'/g, SQ + SQ);
-      const safeService   = service ? `'${service.replace(/'/g, SQ + SQ)}'` : 'NULL';
-      const safeMeta      = metadata ? `'${JSON.stringify(metadata).replace(/'/g, SQ + SQ)}'` : 'NULL';
-      const safeSource    = (source || 'user_answer').replace(/'/g, SQ + SQ);
-
-      await this.db.execute(`
-        INSERT INTO phrase_preferences (id, example_phrase, delivery, service, metadata, embedding, source, hit_count, created_at, updated_at)
-        VALUES (
-          '${id}',
-          '${safePhrase}',
-          '${safeDelivery}',
-          ${safeService},
-          ${safeMeta},
-          ${embeddingStr}::FLOAT[384],
-          '${safeSource}',
-          0,
-          now(),
-          now()
-        )
-      `);
+      await this.db.insert('phrase_preferences', {
+        id,
+        example_phrase: examplePhrase,
+        delivery,
+        service: service || null,
+        metadata: metadata ? JSON.stringify(metadata) : null,
+        embedding: raw(vectorLiteral(embedding)),
+        embedding_model: this.embeddings.getModelId(),
+        source: source || 'user_answer',
+        hit_count: 0,
+        created_at: raw('now()'),
+        updated_at: raw('now()')
+      });
 
       logger.info(`[PhrasePreferenceService] Stored: "${examplePhrase.slice(0, 60)}" → ${delivery}/${service || 'unspecified'} (source: ${source})`);
       return { id, created: true };
@@ -158,18 +147,17 @@ class PhrasePreferenceService {
   async list(options = {}) {
     const { limit = 100, delivery, service } = options;
     try {
-      const filters = [];
-      if (delivery) filters.push(`delivery = '${delivery.replace(/'/g, SQ + SQ)}'`);
-      if (service)  filters.push(`service = '${service.replace(/'/g, SQ + SQ)}'`);
-      const where = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
+      const where = new Conditions();
+      if (delivery) where.add('delivery = ?', delivery);
+      if (service)  where.add('service = ?', service);
 
       const rows = await this.db.query(`
         SELECT id, example_phrase, delivery, service, metadata, source, hit_count, created_at
         FROM phrase_preferences
-        ${where}
+        ${where.toWhere()}
         ORDER BY hit_count DESC, created_at DESC
-        LIMIT ${limit}
-      `);
+        LIMIT ${int(limit, 100)}
+      `, where.params);
       return {
         results: rows.map(r => ({
           id: r.id,
@@ -194,7 +182,7 @@ class PhrasePreferenceService {
    */
   async delete(id) {
     try {
-      await this.db.execute(`DELETE FROM phrase_preferences WHERE id = '${id.replace(/'/g, SQ + SQ)}'`);
+      await this.db.execute('DELETE FROM phrase_preferences WHERE id = ?', [id]);
       return { deleted: true };
     } catch (error) {
       logger.error('[PhrasePreferenceService] delete failed:', error.message);
@@ -0,0 +1,302 @@
+import { getDatabaseService } from './database.js';
+import { getEmbeddingService } from './embeddings.js';
+import logger from '../utils/logger.js';
+import { extractUserId } from '../utils/helpers.js';
+import { raw, vectorLiteral } from '../utils/sql.js';
+import { classifyByRules, QUERY_CLASSES } from '../utils/conversationalRules.js';
+import { buildPrototypes, scorePrototypes, softmax } from '../utils/prototypes.js';
+
+// ---------------------------------------------------------------------------
+// QueryClassifierService — learned conversational query classification.
+//
+// Labels a query POSITIONAL, TOPICAL, OVERVIEW or GENERAL by the nearest
+// prototype: the mean embedding of each label's examples, built-in seeds
+// (a few languages) plus the user's own corrections from
+// memory.classify.feedback, which weigh FEEDBACK_WEIGHT times as much as a
+// seed. The regex rules (utils/conversationalRules.js) stay as features:
+//
+//   score(label) = similarity(query, prototype)
+//                + RULE_WEIGHT × rule confidence     if the rules pick label
+//                − NO_CONTEXT_PENALTY                if label is conversational
+//                                                    and the session has no
+//                                                    message history
+//
+// and the confidence is the softmax of the scores — except that when the
+// rules matched with at least RULE_TRUST_CONFIDENCE and the prototypes agree,
+// the rules' confidence is kept if higher: the softmax spreads probability
+// over near-miss labels even for a textbook example. Without embeddings
+// (model not loaded, or fewer than two labels with examples for the active
+// model) the rules answer alone, as they did before.
+//
+// Schema: query_classifier_examples (migration 020)
+// ---------------------------------------------------------------------------
+
+const RULE_WEIGHT = 0.1;
+const RULE_TRUST_CONFIDENCE = 0.9;
+const NO_CONTEXT_PENALTY = 0.1;
+const FEEDBACK_WEIGHT = 3;
+const SOFTMAX_TEMPERATURE = 0.05;
+// Feedback this similar to an existing example with the same label adds nothing
+const DUPLICATE_SIMILARITY = 0.95;
+const MAX_FEEDBACK_EXAMPLES = 1000;
+const MAX_QUERY_LENGTH = 1000;
+const PROTOTYPE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const SEED_EXAMPLES = [
+  ['POSITIONAL', 'what did I say first?'],
+  ['POSITIONAL', 'what was the last thing you told me?'],
+  ['POSITIONAL', 'go back to what you said at the start'],
+  ['POSITIONAL', 'repeat what you just said'],
+  ['POSITIONAL', 'what was my first question?'],
+  ['POSITIONAL', 'like you mentioned earlier'],
+  ['POSITIONAL', '¿qué fue lo primero que dije?'],
+  ['POSITIONAL', 'was hast du gerade gesagt?'],
+  ['TOPICAL', 'what did we discuss about the budget?'],
+  ['TOPICAL', 'what have we talked about regarding the trip?'],
+  ['TOPICAL', 'remind me of our conversation about the hotel'],
+  ['TOPICAL', 'which points did we cover about hiring?'],
+  ['TOPICAL', 'what did you say about the deadline?'],
+  ['TOPICAL', '¿qué hablamos sobre el presupuesto?'],
+  ['TOPICAL', 'qu\'avons-nous dit à propos du projet ?'],
+  ['OVERVIEW', 'summarize our conversation'],
+  ['OVERVIEW', 'give me a recap of this chat'],
+  ['OVERVIEW', 'what have we talked about so far?'],
+  ['OVERVIEW', 'sum up everything we discussed'],
+  ['OVERVIEW', 'overview of this discussion please'],
+  ['OVERVIEW', 'resume nuestra conversación'],
+  ['OVERVIEW', 'fasse unser Gespräch zusammen'],
+  ['GENERAL', 'what is the weather today?'],
+  ['GENERAL', 'when is my dentist appointment?'],
+  ['GENERAL', 'find my notes about the Q3 budget'],
+  ['GENERAL', 'what is the capital of France?'],
+  ['GENERAL', 'who is Priya?'],
+  ['GENERAL', 'set a timer for ten minutes'],
+  ['GENERAL', '¿qué tiempo hace mañana?'],
+  ['GENERAL', 'wie spät ist es?'],
+];
+
+function generateId() {
+  return `qce_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function validLabel(label, name) {
+  const value = String(label || '').toUpperCase();
+  if (!QUERY_CLASSES.includes(value)) {
+    throw new Error(`Invalid ${name}: ${label}. Valid: ${QUERY_CLASSES.join(', ')}`);
+  }
+  return value;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+class QueryClassifierService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.embeddings = getEmbeddingService();
+    this._cache = new Map();
+    this._seeding = null;
+  }
+
+  /**
+   * Classify `query` for the user in `options.context`. Returns the rule
+   * classifier's shape ({ isConversational, confidence, classification,
+   * reasoning, contextInfo }) plus `method` ('prototype' | 'rules'), the
+   * per-label `scores` and the `rules` verdict.
+   */
+  async classify(query, options = {}) {
+    const rules = classifyByRules(query, options);
+    const rulesOnly = { ...rules, method: 'rules', rules: { classification: rules.classification, confidence: rules.confidence } };
+    if (!this.embeddings.isInitialized()) return rulesOnly;
+
+    let prototypes;
+    let embedding;
+    try {
+      prototypes = await this._prototypes(extractUserId(options.context));
+      if (prototypes.size < 2) return rulesOnly;
+      embedding = await this.embeddings.generateEmbedding(query);
+    } catch (error) {
+      logger.warn('Prototype classification failed, using rules', { error: error.message });
+      return rulesOnly;
+    }
+
+    const similarities = scorePrototypes(embedding, prototypes);
+    const scores = {};
+    for (const [label, similarity] of Object.entries(similarities)) {
+      let score = similarity;
+      if (rules.classification === label) score += RULE_WEIGHT * rules.confidence;
+      if (label !== 'GENERAL' && !rules.contextInfo.hasConversationContext) score -= NO_CONTEXT_PENALTY;
+      scores[label] = score;
+    }
+    const probabilities = softmax(scores, SOFTMAX_TEMPERATURE);
+    const classification = Object.keys(probabilities)
+      .reduce((best, label) => (probabilities[label] > probabilities[best] ? label : best));
+
+    const agrees = rules.classification === classification;
+    const confidence = agrees && rules.confidence >= RULE_TRUST_CONFIDENCE
+      ? Math.max(probabilities[classification], rules.confidence)
+      : probabilities[classification];
+
+    const agreement = agrees ? 'regex rules agree' : `regex rules said ${rules.classification}`;
+    return {
+      isConversational: classification !== 'GENERAL',
+      confidence: round(confidence),
+      classification,
+      reasoning: `Closest to the ${classification} examples (similarity ${similarities[classification].toFixed(3)}); ${agreement}`,
+      contextInfo: rules.contextInfo,
+      method: 'prototype',
+      scores: Object.fromEntries(Object.entries(probabilities).map(([label, p]) => [label, round(p)])),
+      rules: { classification: rules.classification, confidence: rules.confidence }
+    };
+  }
+
+  /**
+   * Record the correct label for a query. A correction of a query the user
+   * already labeled replaces that label; a near-duplicate of an example with
+   * the same label is skipped.
+   */
+  async feedback(query, label, options = {}) {
+    const userId = extractUserId(options.context);
+    const text = String(query || '').trim();
+    if (!text) {
+      throw new Error('Invalid query: must be a non-empty string');
+    }
+    if (text.length > MAX_QUERY_LENGTH) {
+      throw new Error(`Invalid query: exceeds maximum length of ${MAX_QUERY_LENGTH} characters`);
+    }
+    const correct = validLabel(label, 'label');
+    const wrong = options.wrongLabel ? validLabel(options.wrongLabel, 'wrongLabel') : null;
+    if (!this.embeddings.isInitialized()) {
+      throw new Error('Embedding service not initialized');
+    }
+
+    const embedding = await this.embeddings.generateEmbedding(text);
+    const modelId = this.embeddings.getModelId();
+
+    const same = await this.db.query(
+      'SELECT id FROM query_classifier_examples WHERE user_id = ? AND lower(query) = lower(?)',
+      [userId, text]
+    );
+    if (same.length > 0) {
+      await this.db.execute(
+        'UPDATE query_classifier_examples SET label = ?, wrong_label = ? WHERE id = ?',
+        [correct, wrong, same[0].id]
+      );
+      this._cache.delete(userId);
+      logger.info('Query classifier example relabeled', { id: same[0].id, userId, label: correct });
+      return { id: same[0].id, created: false, updated: true, label: correct };
+    }
+
+    const duplicate = await this.db.query(`
+      SELECT id FROM query_classifier_examples
+      WHERE (user_id IS NULL OR user_id = ?) AND label = ? AND embedding_model = ?
+        AND array_cosine_similarity(embedding, ${vectorLiteral(embedding)}) >= ?
+      LIMIT 1
+    `, [userId, correct, modelId, DUPLICATE_SIMILARITY]);
+    if (duplicate.length > 0) {
+      return { id: duplicate[0].id, created: false, reason: 'near_duplicate', label: correct };
+    }
+
+    const id = generateId();
+    await this.db.insert('query_classifier_examples', {
+      id,
+      user_id: userId,
+      query: text,
+      label: correct,
+      wrong_label: wrong,
+      embedding: raw(vectorLiteral(embedding)),
+      embedding_model: modelId,
+      source: 'feedback'
+    });
+    await this._trimFeedback(userId);
+    this._cache.delete(userId);
+
+    logger.info('Query classifier feedback stored', { id, userId, label: correct, wrongLabel: wrong });
+    return { id, created: true, label: correct };
+  }
+
+  /**
+   * Label → prototype for the user: seeds plus their feedback, from the
+   * active model's vectors. Cached per user for PROTOTYPE_CACHE_TTL_MS.
+   */
+  async _prototypes(userId) {
+    await this._ensureSeeds();
+    const modelId = this.embeddings.getModelId();
+    const cached = this._cache.get(userId);
+    if (cached && cached.modelId === modelId && Date.now() - cached.builtAt < PROTOTYPE_CACHE_TTL_MS) {
+      return cached.prototypes;
+    }
+
+    const rows = await this.db.query(`
+      SELECT label, source, embedding FROM query_classifier_examples
+      WHERE (user_id IS NULL OR user_id = ?) AND embedding IS NOT NULL AND embedding_model = ?
+    `, [userId, modelId]);
+    const prototypes = buildPrototypes(rows.map(row => ({
+      label: row.label,
+      vector: Array.isArray(row.embedding) ? row.embedding : Object.values(row.embedding),
+      weight: row.source === 'feedback' ? FEEDBACK_WEIGHT : 1
+    })));
+
+    this._cache.set(userId, { modelId, prototypes, builtAt: Date.now() });
+    return prototypes;
+  }
+
+  /**
+   * Insert the built-in examples once. After a model switch the old seeds
+   * are left for embedding.reembed to convert.
+   */
+  async _ensureSeeds() {
+    if (!this._seeding) {
+      this._seeding = (async () => {
+        const [{ count }] = await this.db.query(
+          'SELECT COUNT(*) AS count FROM query_classifier_examples WHERE source = \'seed\''
+        );
+        if (Number(count) > 0) return;
+
+        const embeddings = await this.embeddings.generateEmbeddings(SEED_EXAMPLES.map(([, query]) => query));
+        const modelId = this.embeddings.getModelId();
+        for (const [i, [label, query]] of SEED_EXAMPLES.entries()) {
+          await this.db.insert('query_classifier_examples', {
+            id: `qce_seed_${i}`,
+            user_id: null,
+            query,
+            label,
+            embedding: raw(vectorLiteral(embeddings[i])),
+            embedding_model: modelId,
+            source: 'seed'
+          });
+        }
+        this._cache.clear();
+        logger.info('Query classifier seeded', { examples: SEED_EXAMPLES.length, model: modelId });
+      })().catch(error => {
+        this._seeding = null;
+        throw error;
+      });
+    }
+    await this._seeding;
+  }
+
+  /**
+   * Keep the user's newest MAX_FEEDBACK_EXAMPLES corrections.
+   */
+  async _trimFeedback(userId) {
+    await this.db.execute(`
+      DELETE FROM query_classifier_examples
+      WHERE id IN (
+        SELECT id FROM query_classifier_examples
+        WHERE user_id = ? AND source = 'feedback'
+        ORDER BY created_at DESC, id DESC
+        OFFSET ${MAX_FEEDBACK_EXAMPLES}
+      )
+    `, [userId]);
+  }
+}
+
+let _instance = null;
+export function getQueryClassifierService() {
+  if (!_instance) _instance = new QueryClassifierService();
+  return _instance;
+}
+
+export default QueryClassifierService;
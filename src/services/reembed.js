@@ -0,0 +1,209 @@
+import { getDatabaseService } from './database.js';
+import { getEmbeddingService } from './embeddings.js';
+import logger from '../utils/logger.js';
+import { Conditions, identifier, raw, vectorLiteral, int } from '../utils/sql.js';
+
+// ---------------------------------------------------------------------------
+// ReembedService — background job that migrates every vector table to the
+// active embedding model.
+//
+// Switching EMBEDDING_PROVIDER / EMBEDDING_MODEL doesn't touch stored rows;
+// searches simply ignore vectors whose embedding_model differs from the
+// active one. This job walks each table (keyset-paginated by id), re-embeds
+// every stale row from its text column and stamps the new model id, so rows
+// become searchable again as it progresses.
+//
+// One job runs at a time. Progress is kept in memory and exposed through the
+// embedding.reembed.* MCP actions; a restarted service simply starts a new
+// job, which picks up wherever the last one left off.
+// ---------------------------------------------------------------------------
+
+export const VECTOR_TABLES = [
+  { table: 'memory', textColumn: 'source_text' },
+  { table: 'episodic_memory', textColumn: 'source_text' },
+  { table: 'skill_prompts', textColumn: 'prompt_text' },
+  { table: 'intent_overrides', textColumn: 'example_prompt' },
+  { table: 'phrase_preferences', textColumn: 'example_phrase' },
+  { table: 'saved_search', textColumn: 'query' },
+  { table: 'conversation_turns', textColumn: 'source_text' },
+  { table: 'query_classifier_examples', textColumn: 'query' },
+];
+
+const DEFAULT_BATCH_SIZE = 50;
+
+function generateId() {
+  return `rj_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function staleWhere(spec, modelId) {
+  return new Conditions()
+    .add('embedding_model IS DISTINCT FROM ?', modelId)
+    .add(`${identifier(spec.textColumn)} IS NOT NULL`)
+    .add(`length(trim(${identifier(spec.textColumn)})) > 0`);
+}
+
+class ReembedService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.embeddings = getEmbeddingService();
+    this.job = null;
+  }
+
+  /**
+   * Count rows per table whose vector was not produced by the active model.
+   */
+  async pendingCounts() {
+    const modelId = this.embeddings.getModelId();
+    const counts = {};
+    for (const spec of VECTOR_TABLES) {
+      const where = staleWhere(spec, modelId);
+      const rows = await this.db.query(
+        `SELECT COUNT(*) AS count FROM ${identifier(spec.table)} ${where.toWhere()}`,
+        where.params
+      );
+      counts[spec.table] = Number(rows[0]?.count || 0);
+    }
+    return counts;
+  }
+
+  /**
+   * Start a job (or return the one already running).
+   */
+  async start(options = {}) {
+    if (this.job?.status === 'running') {
+      return { ...this.snapshot(), alreadyRunning: true };
+    }
+    if (!this.embeddings.isInitialized()) {
+      throw new Error('Embedding service not initialized');
+    }
+
+    const pending = await this.pendingCounts();
+    const job = {
+      id: generateId(),
+      status: 'running',
+      targetModel: this.embeddings.getModelId(),
+      batchSize: int(options.batchSize, DEFAULT_BATCH_SIZE) || DEFAULT_BATCH_SIZE,
+      tables: Object.fromEntries(
+        Object.entries(pending).map(([table, total]) => [table, { total, done: 0, failed: 0 }])
+      ),
+      total: Object.values(pending).reduce((a, b) => a + b, 0),
+      processed: 0,
+      failed: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+      cancelRequested: false,
+    };
+    this.job = job;
+
+    logger.info(`[ReembedService] Job ${job.id} started → ${job.targetModel} (${job.total} rows)`);
+    this._run(job).catch(error => {
+      job.status = 'failed';
+      job.error = error.message;
+      job.finishedAt = new Date().toISOString();
+      logger.error('[ReembedService] job failed:', error.message);
+    });
+
+    return this.snapshot();
+  }
+
+  /**
+   * Ask the running job to stop after the current row.
+   */
+  cancel() {
+    if (this.job?.status === 'running') {
+      this.job.cancelRequested = true;
+    }
+    return this.snapshot();
+  }
+
+  /**
+   * Progress of the current (or most recent) job.
+   */
+  snapshot() {
+    if (!this.job) {
+      return { status: 'idle', activeModel: this.embeddings.getModelId() };
+    }
+    const job = { ...this.job };
+    delete job.cancelRequested;
+    return {
+      ...job,
+      tables: Object.fromEntries(Object.entries(job.tables).map(([t, s]) => [t, { ...s }])),
+      percent: job.total > 0 ? Math.round((job.processed / job.total) * 1000) / 10 : 100,
+      activeModel: this.embeddings.getModelId(),
+    };
+  }
+
+  async status() {
+    return { ...this.snapshot(), pending: await this.pendingCounts() };
+  }
+
+  async _run(job) {
+    for (const spec of VECTOR_TABLES) {
+      const progress = job.tables[spec.table];
+      let lastId = '';
+
+      while (!job.cancelRequested) {
+        const where = staleWhere(spec, job.targetModel).add('id > ?', lastId);
+        const rows = await this.db.query(`
+          SELECT id, ${identifier(spec.textColumn)} AS text
+          FROM ${identifier(spec.table)}
+          ${where.toWhere()}
+          ORDER BY id
+          LIMIT ${job.batchSize}
+        `, where.params);
+        if (rows.length === 0) break;
+
+        const embeddings = await this._embed(rows.map(row => String(row.text)));
+        for (const [i, row] of rows.entries()) {
+          if (job.cancelRequested) break;
+          lastId = row.id;
+          try {
+            const embedding = embeddings[i];
+            if (embedding instanceof Error) throw embedding;
+            await this.db.update(spec.table, {
+              embedding: raw(vectorLiteral(embedding)),
+              embedding_model: job.targetModel,
+            }, new Conditions().add('id = ?', row.id));
+            progress.done++;
+          } catch (error) {
+            progress.failed++;
+            job.failed++;
+            logger.warn(`[ReembedService] ${spec.table}/${row.id} failed:`, error.message);
+          }
+          job.processed++;
+        }
+      }
+    }
+
+    job.status = job.cancelRequested ? 'cancelled' : 'completed';
+    job.finishedAt = new Date().toISOString();
+    logger.info(`[ReembedService] Job ${job.id} ${job.status}: ${job.processed}/${job.total} rows, ${job.failed} failed`);
+  }
+
+  /**
+   * Vectors for a page of texts in one batch call. One bad text fails the
+   * whole batch, so on failure the texts are embedded one by one and each
+   * failed one yields its Error instead of a vector.
+   */
+  async _embed(texts) {
+    try {
+      return await this.embeddings.generateEmbeddings(texts);
+    } catch (error) {
+      logger.warn('[ReembedService] batch failed, embedding rows one by one:', error.message);
+      const embeddings = [];
+      for (const text of texts) {
+        embeddings.push(await this.embeddings.generateEmbedding(text).catch(e => e));
+      }
+      return embeddings;
+    }
+  }
+}
+
+let _instance = null;
+export function getReembedService() {
+  if (!_instance) _instance = new ReembedService();
+  return _instance;
+}
+
+export default ReembedService;
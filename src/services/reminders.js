@@ -0,0 +1,332 @@
+import { getDatabaseService } from './database.js';
+import logger from '../utils/logger.js';
+import { parseMetadata, extractUserId } from '../utils/helpers.js';
+import { Conditions, int, placeholders } from '../utils/sql.js';
+import { resolveTimePhrase, parseDuration } from '../utils/timePhrases.js';
+import { parseRRule, nextOccurrence } from '../utils/rrule.js';
+
+// ---------------------------------------------------------------------------
+// ReminderService — prospective memory.
+//
+// "Remind me to renew my passport on March 3rd" is a memory about the
+// future: it matters at a time, not when searched for. A reminder has a due
+// time, an optional recurrence (utils/rrule.js) and a status:
+//
+//   pending  — waiting for due_at
+//   snoozed  — due again at snoozed_until
+//   done     — completed (recurring reminders only when the rule has ended)
+//
+// reminder.due returns what is due now (or within a look-ahead window) for
+// the client to surface; reminder.complete and reminder.snooze act on it.
+// memory.store { createReminder: true } creates one from the memory's first
+// future date entity (see fromMemory).
+//
+// Schema: reminders (migration 021)
+// ---------------------------------------------------------------------------
+
+export const REMINDER_STATUSES = ['pending', 'snoozed', 'done'];
+
+const MAX_TEXT_LENGTH = 1000;
+const DEFAULT_SNOOZE = process.env.REMINDER_SNOOZE_DEFAULT || '10m';
+// Time of day for reminders created from a date without a time
+const DEFAULT_TIME = process.env.REMINDER_DEFAULT_TIME || '09:00';
+const DEFAULT_DUE_LIMIT = 50;
+const MAX_DUE_LIMIT = 500;
+
+function generateId() {
+  return `rem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * A point in time from a timestamp, epoch ms or phrase ('tomorrow',
+ * 'in 2 hours'), or null if unparseable.
+ */
+function parseWhen(value, now) {
+  if (value instanceof Date || typeof value === 'number') return new Date(value);
+  const date = resolveTimePhrase(value, now) ?? new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Earliest future moment named by a memory's entities: a date (YYYY-MM-DD)
+ * at the first time entity, or DEFAULT_TIME; or a datetime entity. Local
+ * time, like the entity extractor. Null when none lies ahead.
+ */
+export function dueFromEntities(entities, now = new Date()) {
+  const kind = e => String(e.type || e.entity_type || '').toLowerCase();
+  const valueOf = e => String(e.normalized ?? e.value ?? '');
+
+  const time = (entities.find(e => kind(e) === 'time' && /^\d{2}:\d{2}$/.test(valueOf(e))) || null);
+  const [hour, minute] = valueOf(time || { value: DEFAULT_TIME }).split(':').map(Number);
+
+  const candidates = [];
+  for (const entity of entities) {
+    const value = valueOf(entity);
+    if (kind(entity) === 'date') {
+      const m = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      if (m) candidates.push(new Date(+m[1], +m[2] - 1, +m[3], hour, minute));
+    } else if (kind(entity) === 'datetime') {
+      const date = new Date(value);
+      if (!Number.isNaN(date.getTime())) candidates.push(date);
+    }
+  }
+  const future = candidates.filter(date => date > now).sort((a, b) => a - b);
+  return future[0] || null;
+}
+
+function formatReminder(row) {
+  return {
+    id: row.id,
+    text: row.source_text,
+    memoryId: row.memory_id,
+    dueAt: toIso(row.due_at),
+    rrule: row.rrule,
+    status: row.status,
+    snoozedUntil: toIso(row.snoozed_until),
+    occurrences: Number(row.occurrence_count),
+    completedAt: toIso(row.completed_at),
+    metadata: parseMetadata(row.metadata),
+    createdAt: toIso(row.created_at)
+  };
+}
+
+class ReminderService {
+  constructor() {
+    this.db = getDatabaseService();
+  }
+
+  /**
+   * Create a reminder. `dueAt` is a timestamp, epoch ms or phrase and must
+   * lie ahead; `rrule` makes it recur from there.
+   */
+  async create(data, context = {}) {
+    const userId = extractUserId(context);
+    const now = new Date();
+    const text = String(data.text ?? '').trim();
+    if (!text) {
+      throw new Error('Invalid text: reminder text must be a non-empty string');
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      throw new Error(`Invalid text: exceeds maximum length of ${MAX_TEXT_LENGTH} characters`);
+    }
+    const dueAt = parseWhen(data.dueAt, now);
+    if (!dueAt) {
+      throw new Error(`Invalid dueAt: ${data.dueAt}`);
+    }
+    if (dueAt <= now) {
+      throw new Error('Invalid dueAt: must be in the future');
+    }
+    const rrule = data.rrule ? String(data.rrule).trim().replace(/^RRULE:/i, '').toUpperCase() : null;
+    if (rrule) parseRRule(rrule);
+
+    const id = generateId();
+    await this.db.insert('reminders', {
+      id,
+      user_id: userId,
+      memory_id: data.memoryId || null,
+      source_text: text,
+      due_at: dueAt,
+      rrule,
+      status: 'pending',
+      metadata: JSON.stringify(parseMetadata(data.metadata))
+    });
+
+    logger.info('Reminder created', { id, userId, dueAt: dueAt.toISOString(), rrule });
+    return this._get(id, userId);
+  }
+
+  /**
+   * Create a reminder for a just-stored memory from its first future date
+   * entity. Best-effort: returns the reminder, or null when the memory names
+   * no future date or creation fails (the memory is kept either way).
+   */
+  async fromMemory({ id, userId, text, entities }) {
+    try {
+      const dueAt = dueFromEntities(entities || []);
+      if (!dueAt) return null;
+      return await this.create({ text, dueAt, memoryId: id }, { userId });
+    } catch (error) {
+      logger.warn('Reminder from memory failed (memory kept)', { memoryId: id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * The user's reminders by due time; `status` filters to one state.
+   */
+  async list(context = {}, { status = null, limit = 25, offset = 0 } = {}) {
+    const userId = extractUserId(context);
+    const where = new Conditions().add('user_id = ?', userId);
+    if (status) {
+      if (!REMINDER_STATUSES.includes(status)) {
+        throw new Error(`Invalid status: ${status}. Valid: ${REMINDER_STATUSES.join(', ')}`);
+      }
+      where.add('status = ?', status);
+    }
+
+    const rows = await this.db.query(`
+      SELECT * FROM reminders
+      ${where.toWhere()}
+      ORDER BY COALESCE(snoozed_until, due_at), id
+      LIMIT ${int(limit, 25)} OFFSET ${int(offset)}
+    `, where.params);
+    const [{ count }] = await this.db.query(
+      `SELECT COUNT(*) AS count FROM reminders ${where.toWhere()}`,
+      where.params
+    );
+    return { reminders: rows.map(formatReminder), total: Number(count) };
+  }
+
+  /**
+   * Reminders due by now plus `within` (a duration such as '15m'), earliest
+   * first. Snoozed reminders count from snoozed_until.
+   */
+  async due(context = {}, { within = null, limit = DEFAULT_DUE_LIMIT } = {}) {
+    const userId = extractUserId(context);
+    const now = new Date();
+    let until = now;
+    if (within !== null && within !== undefined && within !== '') {
+      const duration = parseDuration(within);
+      if (!duration) {
+        throw new Error(`Invalid within: ${within}`);
+      }
+      until = new Date(now.getTime() + duration);
+    }
+
+    const rows = await this.db.query(`
+      SELECT * FROM reminders
+      WHERE user_id = ? AND status <> 'done' AND COALESCE(snoozed_until, due_at) <= ?
+      ORDER BY COALESCE(snoozed_until, due_at), id
+      LIMIT ${Math.min(int(limit, DEFAULT_DUE_LIMIT) || DEFAULT_DUE_LIMIT, MAX_DUE_LIMIT)}
+    `, [userId, until]);
+    return { reminders: rows.map(formatReminder), now: now.toISOString(), until: until.toISOString() };
+  }
+
+  /**
+   * Mark a reminder done. A recurring one moves to its next occurrence after
+   * now (missed ones are skipped) and stays pending until its rule ends.
+   */
+  async complete(reminderId, context = {}) {
+    const userId = extractUserId(context);
+    const row = await this._row(reminderId, userId);
+    if (row.status === 'done') {
+      throw new Error(`Invalid reminder: ${reminderId} is already done`);
+    }
+
+    const now = new Date();
+    const dueAt = new Date(row.due_at);
+    const next = row.rrule
+      ? nextOccurrence(parseRRule(row.rrule), dueAt, now > dueAt ? now : dueAt, {
+        startIndex: Number(row.occurrence_count)
+      })
+      : null;
+
+    if (next) {
+      await this.db.execute(`
+        UPDATE reminders
+        SET due_at = ?, status = 'pending', snoozed_until = NULL, occurrence_count = ?, updated_at = now()
+        WHERE id = ?
+      `, [next.date, next.index, reminderId]);
+    } else {
+      await this.db.execute(`
+        UPDATE reminders
+        SET status = 'done', snoozed_until = NULL, completed_at = now(), updated_at = now()
+        WHERE id = ?
+      `, [reminderId]);
+    }
+
+    logger.info('Reminder completed', { id: reminderId, userId, nextDueAt: next ? next.date.toISOString() : null });
+    return { ...(await this._get(reminderId, userId)), completedDueAt: dueAt.toISOString() };
+  }
+
+  /**
+   * Snooze a reminder until a time, or for a duration (default
+   * REMINDER_SNOOZE_DEFAULT, 10 minutes).
+   */
+  async snooze(reminderId, context = {}, { until = null, duration = null } = {}) {
+    const userId = extractUserId(context);
+    const row = await this._row(reminderId, userId);
+    if (row.status === 'done') {
+      throw new Error(`Invalid reminder: ${reminderId} is already done`);
+    }
+    if (until && duration) {
+      throw new Error('Invalid snooze: pass until or duration, not both');
+    }
+
+    const now = new Date();
+    let snoozedUntil;
+    if (until) {
+      snoozedUntil = parseWhen(until, now);
+      if (!snoozedUntil) {
+        throw new Error(`Invalid until: ${until}`);
+      }
+    } else {
+      const ms = parseDuration(duration ?? DEFAULT_SNOOZE);
+      if (!ms) {
+        throw new Error(`Invalid duration: ${duration}`);
+      }
+      snoozedUntil = new Date(now.getTime() + ms);
+    }
+    if (snoozedUntil <= now) {
+      throw new Error('Invalid snooze: must end in the future');
+    }
+
+    await this.db.execute(
+      'UPDATE reminders SET status = \'snoozed\', snoozed_until = ?, updated_at = now() WHERE id = ?',
+      [snoozedUntil, reminderId]
+    );
+    logger.info('Reminder snoozed', { id: reminderId, userId, until: snoozedUntil.toISOString() });
+    return this._get(reminderId, userId);
+  }
+
+  /**
+   * Drop the reminders of permanently deleted memories.
+   */
+  async deleteFor(memoryIds) {
+    if (memoryIds.length === 0) return;
+    await this.db.execute(
+      `DELETE FROM reminders WHERE memory_id IN (${placeholders(memoryIds.length)})`,
+      memoryIds
+    );
+  }
+
+  /**
+   * Drop reminders whose memory no longer exists (after bulk purges).
+   */
+  async pruneOrphans() {
+    try {
+      await this.db.execute(
+        'DELETE FROM reminders WHERE memory_id IS NOT NULL AND memory_id NOT IN (SELECT id FROM memory)'
+      );
+    } catch (error) {
+      logger.error('[ReminderService] pruneOrphans failed:', error.message);
+    }
+  }
+
+  async _row(reminderId, userId) {
+    const rows = await this.db.query(
+      'SELECT * FROM reminders WHERE id = ? AND user_id = ?',
+      [reminderId, userId]
+    );
+    if (rows.length === 0) {
+      throw new Error(`Reminder not found: ${reminderId}`);
+    }
+    return rows[0];
+  }
+
+  async _get(reminderId, userId) {
+    return formatReminder(await this._row(reminderId, userId));
+  }
+}
+
+let _instance = null;
+export function getReminderService() {
+  if (!_instance) _instance = new ReminderService();
+  return _instance;
+}
+
+export default ReminderService;
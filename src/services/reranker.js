@@ -0,0 +1,187 @@
+import logger from '../utils/logger.js';
+
+// ---------------------------------------------------------------------------
+// RerankerService — optional cross-encoder stage for memory.search.
+//
+// The bi-encoder behind search embeds query and memory separately, so close
+// candidates (and short questions against long memories) are often in the
+// wrong order. A cross-encoder reads query and memory together and scores
+// the pair directly: slower, but much better at ordering a short list.
+// searchMemories runs it over the top-N fused candidates when the request
+// sets `rerank` (or RERANK_ENABLED=true).
+//
+//   local         — @xenova/transformers cross-encoder, loaded on first use
+//                   through the same pipeline() mechanism as the embeddings
+//   deterministic — query-term overlap; no model download. For tests and CI.
+//
+// Configuration (env):
+//   RERANK_PROVIDER   local | deterministic           (default: local)
+//   RERANK_MODEL      cross-encoder for the local provider
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_RERANK_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
+
+// Pairs per forward pass
+const RERANK_BATCH_SIZE = 16;
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function terms(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Share of the query's distinct terms found in `text`, nudged up for
+ * consecutive query terms appearing together. Always in [0, 1].
+ */
+export function lexicalScore(query, text) {
+  const queryTerms = [...new Set(terms(query))];
+  if (queryTerms.length === 0) return 0;
+  const textTerms = terms(text);
+  const present = new Set(textTerms);
+  const matched = queryTerms.filter(term => present.has(term)).length;
+
+  const bigrams = new Set(textTerms.slice(1).map((term, i) => `${textTerms[i]} ${term}`));
+  const queryBigrams = queryTerms.slice(1).map((term, i) => `${queryTerms[i]} ${term}`);
+  const phrase = queryBigrams.length > 0
+    ? queryBigrams.filter(bigram => bigrams.has(bigram)).length / queryBigrams.length
+    : 0;
+  return 0.8 * (matched / queryTerms.length) + 0.2 * phrase;
+}
+
+export class LocalCrossEncoderProvider {
+  constructor({ model = DEFAULT_RERANK_MODEL } = {}) {
+    this.name = 'local';
+    this.model = model;
+    this.classifier = null;
+  }
+
+  get modelId() {
+    return `${this.name}:${this.model}`;
+  }
+
+  async initialize() {
+    // Imported lazily so the deterministic provider works without the runtime
+    const { pipeline } = await import('@xenova/transformers');
+    this.classifier = await pipeline('text-classification', this.model, {
+      quantized: false,
+      revision: 'main',
+      progress_callback: null
+    });
+  }
+
+  /**
+   * Relevance of each text to the query in [0, 1] (sigmoid of the logit).
+   * The pipeline itself only classifies single texts, so the (query, text)
+   * pairs go through its tokenizer and model directly.
+   */
+  async score(query, texts) {
+    const { tokenizer, model } = this.classifier;
+    const inputs = tokenizer(new Array(texts.length).fill(query), {
+      text_pair: texts,
+      padding: true,
+      truncation: true
+    });
+    const { logits } = await model(inputs);
+    const labels = logits.dims[1] || 1;
+    // Single-logit models score relevance directly; otherwise the last label
+    // is the "relevant" one
+    return texts.map((_, i) => sigmoid(logits.data[i * labels + labels - 1]));
+  }
+}
+
+export class DeterministicRerankProvider {
+  constructor({ model = 'lexical-v1' } = {}) {
+    this.name = 'deterministic';
+    this.model = model;
+  }
+
+  get modelId() {
+    return `${this.name}:${this.model}`;
+  }
+
+  async initialize() {}
+
+  async score(query, texts) {
+    return texts.map(text => lexicalScore(query, text));
+  }
+}
+
+export const RERANK_PROVIDERS = {
+  local: LocalCrossEncoderProvider,
+  deterministic: DeterministicRerankProvider,
+};
+
+/**
+ * Build a re-rank provider by name. The model falls back to RERANK_MODEL.
+ */
+export function createRerankProvider(name = process.env.RERANK_PROVIDER || 'local', options = {}) {
+  const Provider = RERANK_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Invalid rerank provider: ${name}. Valid: ${Object.keys(RERANK_PROVIDERS).join(', ')}`);
+  }
+  const config = { ...options };
+  if (config.model === undefined && process.env.RERANK_MODEL) config.model = process.env.RERANK_MODEL;
+  return new Provider(config);
+}
+
+class RerankerService {
+  /**
+   * @param {object} [provider] re-rank provider; defaults to the one
+   *   selected by RERANK_PROVIDER.
+   */
+  constructor(provider = createRerankProvider()) {
+    this.provider = provider;
+    this.isLoaded = false;
+    this._loading = null;
+  }
+
+  getModelId() {
+    return this.provider.modelId;
+  }
+
+  isInitialized() {
+    return this.isLoaded;
+  }
+
+  /**
+   * Load the model. Concurrent callers share one load; a failed load is
+   * retried by the next call.
+   */
+  async initialize() {
+    if (this.isLoaded) return;
+    if (!this._loading) {
+      this._loading = (async () => {
+        const startTime = Date.now();
+        await this.provider.initialize();
+        this.isLoaded = true;
+        logger.info('Re-rank model loaded', { model: this.getModelId(), loadTime: Date.now() - startTime });
+      })().finally(() => {
+        this._loading = null;
+      });
+    }
+    await this._loading;
+  }
+
+  /**
+   * Score each text against the query; higher is more relevant.
+   */
+  async score(query, texts) {
+    await this.initialize();
+    const scores = [];
+    for (let i = 0; i < texts.length; i += RERANK_BATCH_SIZE) {
+      scores.push(...await this.provider.score(query, texts.slice(i, i + RERANK_BATCH_SIZE)));
+    }
+    return scores;
+  }
+}
+
+let _instance = null;
+export function getRerankerService() {
+  if (!_instance) _instance = new RerankerService();
+  return _instance;
+}
+
+export default RerankerService;
@@ -1,5 +1,12 @@
 import logger from '../utils/logger.js';
 import { getDatabaseService } from './database.js';
+import { getChangeFeedService } from './changeFeed.js';
+import { getEntityGraphService } from './entityGraph.js';
+import { getRevisionService } from './revisions.js';
+import { getTagService } from './tags.js';
+import { getSavedSearchService } from './savedSearch.js';
+import { getReminderService } from './reminders.js';
+import { int, placeholders } from '../utils/sql.js';
 
 /**
  * Data Retention Service
@@ -12,6 +19,9 @@ import { getDatabaseService } from './database.js';
  *   - RETENTION_PURGE_DAYS: How many days of oldest data to purge when limit is hit (default: 365 = 1 year)
  *   - RETENTION_CHECK_INTERVAL_HOURS: How often to check (default: 24 = daily)
  *   - RETENTION_ENABLED: Feature flag (default: true)
+ *   - CHANGE_LOG_RETENTION_DAYS: change_log entries are pruned on every check (default: 7)
+ *   - TRASH_RETENTION_DAYS: trashed memories (memory.delete) are purged this long after deletion (default: 30)
+ *   - EXPIRY_SWEEP_INTERVAL_MINUTES: how often memories past their expires_at are deleted (default: 15)
  * 
  * Example with defaults:
  *   Data grows for 5 years → purge oldest 1 year → left with 4 years → grows again → repeat
@@ -24,11 +34,17 @@ class RetentionService {
     this.maxDays = parseInt(process.env.RETENTION_MAX_DAYS || '1825', 10);       // 5 years
     this.purgeDays = parseInt(process.env.RETENTION_PURGE_DAYS || '365', 10);    // 1 year
     this.checkIntervalHours = parseInt(process.env.RETENTION_CHECK_INTERVAL_HOURS || '24', 10);
+    this.trashDays = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+    this.expirySweepMinutes = parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MINUTES || '15', 10);
     this.enabled = process.env.RETENTION_ENABLED !== 'false'; // enabled by default
     this.timer = null;
+    this.expiryTimer = null;
     this.db = null;
     this.lastPurge = null;
     this.totalPurged = 0;
+    this.totalTrashPurged = 0;
+    this.totalExpiredPurged = 0;
+    this.lastExpirySweep = null;
   }
 
   /**
@@ -56,6 +72,12 @@ class RetentionService {
     const intervalMs = this.checkIntervalHours * 60 * 60 * 1000;
     this.timer = setInterval(() => this.check(), intervalMs);
 
+    // Expired memories are already hidden from reads; the sweep reclaims them
+    // far more often than the daily check so short-lived facts don't linger.
+    if (this.expirySweepMinutes > 0) {
+      this.expiryTimer = setInterval(() => this.purgeExpired(), this.expirySweepMinutes * 60 * 1000);
+    }
+
     logger.info('Data retention service started', {
       nextCheckIn: `${this.checkIntervalHours}h`
     });
@@ -70,6 +92,10 @@ class RetentionService {
       clearInterval(this.timer);
       this.timer = null;
     }
+    if (this.expiryTimer) {
+      clearInterval(this.expiryTimer);
+      this.expiryTimer = null;
+    }
 
     // Run a final check on shutdown — critical for apps that don't run 24h
     if (this.enabled && this.db) {
@@ -87,6 +113,11 @@ class RetentionService {
    * Check if data exceeds retention period and purge if needed.
    */
   async check() {
+    // The change log has its own, much shorter window
+    await getChangeFeedService().prune();
+    await this.purgeTrash();
+    await this.purgeExpired();
+
     try {
       // Find the oldest record
       const oldestResult = await this.db.query(
@@ -141,9 +172,11 @@ class RetentionService {
     });
 
     try {
+      const cutoff = [cutoffDate];
+
       // Count records to be purged
       const countResult = await this.db.query(
-        `SELECT COUNT(*) as count FROM memory WHERE created_at < '${cutoffDate.toISOString()}'` // eslint-disable-line quotes
+        'SELECT COUNT(*) as count FROM memory WHERE created_at < ?', cutoff
       );
       const purgeCount = Number(countResult[0]?.count || 0);
 
@@ -156,26 +189,36 @@ class RetentionService {
       await this.db.execute(`
         DELETE FROM memory_entities 
         WHERE memory_id IN (
-          SELECT id FROM memory WHERE created_at < '${cutoffDate.toISOString()}'
+          SELECT id FROM memory WHERE created_at < ?
         )
-      `);
+      `, cutoff);
 
       // Delete the memory records
       await this.db.execute(
-        `DELETE FROM memory WHERE created_at < '${cutoffDate.toISOString()}'`
+        'DELETE FROM memory WHERE created_at < ?', cutoff
       );
 
       // Delete episodic memory entities and records
       await this.db.execute(`
         DELETE FROM episodic_entities
         WHERE memory_id IN (
-          SELECT id FROM episodic_memory WHERE created_at < '${cutoffDate.toISOString()}'
+          SELECT id FROM episodic_memory WHERE created_at < ?
         )
-      `);
+      `, cutoff);
+      await this.db.execute(
+        'DELETE FROM episodic_memory WHERE created_at < ?', cutoff
+      );
       await this.db.execute(
-        `DELETE FROM episodic_memory WHERE created_at < '${cutoffDate.toISOString()}'`
+        'DELETE FROM conversation_turns WHERE created_at < ?', cutoff
       );
 
+      // Drop knowledge-graph rows, revision history and tags of the purged memories
+      await getEntityGraphService().pruneOrphans();
+      await getRevisionService().pruneOrphans();
+      await getTagService().pruneOrphans();
+      await getSavedSearchService().pruneOrphans();
+      await getReminderService().pruneOrphans();
+
       // Compact HNSW index to prune deleted entries
       await this.db.compactHnswIndex();
 
@@ -197,6 +240,91 @@ class RetentionService {
     }
   }
 
+  /**
+   * Permanently remove memories that have been in the trash longer than
+   * TRASH_RETENTION_DAYS, along with their entities and graph links.
+   */
+  async purgeTrash() {
+    try {
+      const window = `CURRENT_TIMESTAMP - INTERVAL '${int(this.trashDays)}' DAY`;
+      const countResult = await this.db.query(
+        `SELECT COUNT(*) as count FROM memory WHERE deleted_at IS NOT NULL AND deleted_at < ${window}`
+      );
+      const purgeCount = Number(countResult[0]?.count || 0);
+      if (purgeCount === 0) return 0;
+
+      await this.db.execute(`
+        DELETE FROM memory_entities
+        WHERE memory_id IN (
+          SELECT id FROM memory WHERE deleted_at IS NOT NULL AND deleted_at < ${window}
+        )
+      `);
+      await this.db.execute(
+        `DELETE FROM memory WHERE deleted_at IS NOT NULL AND deleted_at < ${window}`
+      );
+      await getEntityGraphService().pruneOrphans();
+      await getRevisionService().pruneOrphans();
+      await getTagService().pruneOrphans();
+      await getSavedSearchService().pruneOrphans();
+      await getReminderService().pruneOrphans();
+
+      this.totalTrashPurged += purgeCount;
+      logger.info('Trash purge completed', {
+        recordsPurged: purgeCount,
+        trashDays: this.trashDays,
+        totalTrashPurgedLifetime: this.totalTrashPurged
+      });
+      return purgeCount;
+    } catch (error) {
+      logger.error('Trash purge failed', { error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Delete memories whose expires_at has passed, with their entities, and
+   * record each deletion in the change feed.
+   */
+  async purgeExpired() {
+    try {
+      const expired = await this.db.query(
+        'SELECT id, user_id FROM memory WHERE expires_at IS NOT NULL AND expires_at <= now()'
+      );
+      this.lastExpirySweep = new Date().toISOString();
+      if (expired.length === 0) return 0;
+
+      const ids = expired.map(r => r.id);
+      for (let i = 0; i < ids.length; i += 500) {
+        const chunk = ids.slice(i, i + 500);
+        await this.db.execute(
+          `DELETE FROM memory_entities WHERE memory_id IN (${placeholders(chunk.length)})`,
+          chunk
+        );
+        await this.db.execute(`DELETE FROM memory WHERE id IN (${placeholders(chunk.length)})`, chunk);
+      }
+      await getEntityGraphService().pruneOrphans();
+      await getRevisionService().pruneOrphans();
+      await getTagService().pruneOrphans();
+      await getSavedSearchService().pruneOrphans();
+      await getReminderService().pruneOrphans();
+
+      const changes = getChangeFeedService();
+      for (const { id, user_id: userId } of expired) {
+        await changes.record('memory', 'delete', id, { userId, data: { expired: true } });
+      }
+
+      this.totalExpiredPurged += expired.length;
+      logger.info('Expired memories purged', {
+        recordsPurged: expired.length,
+        totalExpiredPurgedLifetime: this.totalExpiredPurged
+      });
+      return expired.length;
+    } catch (error) {
+      logger.error('Expiry sweep failed', { error: error.message });
+      return 0;
+    }
+  }
+
   /**
    * Get retention service status for health checks.
    */
@@ -207,7 +335,12 @@ class RetentionService {
       purgeDays: this.purgeDays,
       checkIntervalHours: this.checkIntervalHours,
       lastPurge: this.lastPurge,
-      totalPurged: this.totalPurged
+      totalPurged: this.totalPurged,
+      trashDays: this.trashDays,
+      totalTrashPurged: this.totalTrashPurged,
+      expirySweepMinutes: this.expirySweepMinutes,
+      lastExpirySweep: this.lastExpirySweep,
+      totalExpiredPurged: this.totalExpiredPurged
     };
   }
 
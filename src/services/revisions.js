@@ -0,0 +1,226 @@
+import { getDatabaseService } from './database.js';
+import logger from '../utils/logger.js';
+import { parseMetadata } from '../utils/helpers.js';
+import { raw, vectorLiteral, placeholders } from '../utils/sql.js';
+
+// ---------------------------------------------------------------------------
+// RevisionService — audit trail of memory versions.
+//
+// capture() snapshots the live memory row (plus its entities) into
+// memory_revisions just before updateMemory replaces it. history() turns
+// the snapshots and the live row into a version chain where each version
+// carries the diff to the next one and the change that produced it.
+//
+// Schema: memory_revisions (migration 013)
+// ---------------------------------------------------------------------------
+
+function generateId() {
+  return `rev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function entityKey(e) {
+  return `${String(e.type || '').toLowerCase()}:${e.value}`;
+}
+
+/**
+ * Comparable view of one version.
+ */
+function versionFields(v) {
+  return {
+    text: v.text,
+    metadata: v.metadata,
+    entities: v.entities,
+    screenshot: v.screenshot || null,
+    extractedText: v.extractedText || null,
+    validFrom: v.validFrom,
+    validUntil: v.validUntil,
+  };
+}
+
+/**
+ * Fields that differ between two consecutive versions. Entities are
+ * reported as added/removed sets, everything else as { from, to }.
+ */
+export function diffVersions(before, after) {
+  const a = versionFields(before);
+  const b = versionFields(after);
+  const diff = {};
+  for (const field of Object.keys(a)) {
+    if (field === 'entities') {
+      const was = new Set(a.entities.map(entityKey));
+      const now = new Set(b.entities.map(entityKey));
+      const added = b.entities.filter(e => !was.has(entityKey(e)));
+      const removed = a.entities.filter(e => !now.has(entityKey(e)));
+      if (added.length > 0 || removed.length > 0) diff.entities = { added, removed };
+    } else if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) {
+      diff[field] = { from: a[field], to: b[field] };
+    }
+  }
+  return diff;
+}
+
+function parseEntities(json) {
+  try {
+    const list = JSON.parse(json || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+class RevisionService {
+  constructor() {
+    this.db = getDatabaseService();
+  }
+
+  /**
+   * Snapshot a memory row before it changes. `audit` describes the change
+   * about to be applied: { action, requestId, source, actor }.
+   * Returns the revision number assigned to the snapshot.
+   */
+  async capture(memory, entities, audit = {}) {
+    const [{ next }] = await this.db.query(
+      'SELECT COALESCE(MAX(revision), 0) + 1 AS next FROM memory_revisions WHERE memory_id = ?',
+      [memory.id]
+    );
+    const revision = Number(next);
+    const embedding = memory.embedding
+      ? (Array.isArray(memory.embedding) ? memory.embedding : Object.values(memory.embedding))
+      : null;
+
+    await this.db.insert('memory_revisions', {
+      id: generateId(),
+      memory_id: memory.id,
+      user_id: memory.user_id,
+      revision,
+      source_text: memory.source_text,
+      metadata: memory.metadata || '{}',
+      screenshot: memory.screenshot || null,
+      extracted_text: memory.extracted_text || null,
+      embedding: embedding ? raw(vectorLiteral(embedding)) : null,
+      embedding_model: embedding ? memory.embedding_model : null,
+      entities: JSON.stringify(entities.map(e => ({
+        type: e.type,
+        value: e.entity,
+        entity_type: e.entity_type,
+        normalized: e.normalized_value
+      }))),
+      valid_from: memory.valid_from ? new Date(memory.valid_from) : null,
+      valid_until: memory.valid_until ? new Date(memory.valid_until) : null,
+      active_from: new Date(memory.updated_at || memory.created_at),
+      action: audit.action || null,
+      request_id: audit.requestId || null,
+      source: audit.source || null,
+      actor: audit.actor || null,
+      created_at: raw('now()')
+    });
+    return revision;
+  }
+
+  /**
+   * One stored revision (with its embedding), or throws.
+   */
+  async get(memoryId, revision) {
+    const rows = await this.db.query(
+      'SELECT * FROM memory_revisions WHERE memory_id = ? AND revision = ?',
+      [memoryId, revision]
+    );
+    if (rows.length === 0) {
+      throw new Error(`Revision not found: ${memoryId}@${revision}`);
+    }
+    const row = rows[0];
+    return {
+      ...this._format(row),
+      embedding: row.embedding
+        ? (Array.isArray(row.embedding) ? row.embedding : Object.values(row.embedding))
+        : null,
+      embeddingModel: row.embedding_model
+    };
+  }
+
+  /**
+   * Version chain for a memory, oldest first, ending with the live row
+   * (`current`: { row, entities } as read by MemoryService). Each version
+   * but the last carries `replacedBy` (the change) and `diff` (what it did).
+   */
+  async history(current, currentEntities) {
+    const rows = await this.db.query(
+      'SELECT * FROM memory_revisions WHERE memory_id = ? ORDER BY revision',
+      [current.id]
+    );
+    const versions = rows.map(row => this._format(row));
+    versions.push({
+      revision: versions.length + 1,
+      current: true,
+      text: current.source_text,
+      metadata: parseMetadata(current.metadata),
+      entities: currentEntities.map(e => ({ type: e.type, value: e.entity, entity_type: e.entity_type })),
+      screenshot: current.screenshot || null,
+      extractedText: current.extracted_text || null,
+      validFrom: toIso(current.valid_from),
+      validUntil: toIso(current.valid_until),
+      activeFrom: toIso(current.updated_at || current.created_at),
+    });
+
+    for (let i = 0; i < versions.length - 1; i++) {
+      versions[i].diff = diffVersions(versions[i], versions[i + 1]);
+    }
+    return versions;
+  }
+
+  /**
+   * Drop the history of memories that were permanently deleted.
+   */
+  async deleteFor(memoryIds) {
+    if (memoryIds.length === 0) return;
+    await this.db.execute(
+      `DELETE FROM memory_revisions WHERE memory_id IN (${placeholders(memoryIds.length)})`,
+      memoryIds
+    );
+  }
+
+  /**
+   * Drop history whose memory no longer exists (after bulk purges).
+   */
+  async pruneOrphans() {
+    try {
+      await this.db.execute('DELETE FROM memory_revisions WHERE memory_id NOT IN (SELECT id FROM memory)');
+    } catch (error) {
+      logger.error('[RevisionService] pruneOrphans failed:', error.message);
+    }
+  }
+
+  _format(row) {
+    return {
+      revision: Number(row.revision),
+      current: false,
+      text: row.source_text,
+      metadata: parseMetadata(row.metadata),
+      entities: parseEntities(row.entities),
+      screenshot: row.screenshot || null,
+      extractedText: row.extracted_text || null,
+      validFrom: toIso(row.valid_from),
+      validUntil: toIso(row.valid_until),
+      activeFrom: toIso(row.active_from),
+      replacedAt: toIso(row.created_at),
+      replacedBy: {
+        action: row.action,
+        requestId: row.request_id,
+        source: row.source,
+        actor: row.actor
+      }
+    };
+  }
+}
+
+let _instance = null;
+export function getRevisionService() {
+  if (!_instance) _instance = new RevisionService();
+  return _instance;
+}
+
+export default RevisionService;
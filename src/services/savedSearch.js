@@ -0,0 +1,366 @@
+import { createHash } from 'crypto';
+import { getDatabaseService } from './database.js';
+import { getEmbeddingService } from './embeddings.js';
+import logger from '../utils/logger.js';
+import { extractUserId } from '../utils/helpers.js';
+import { Conditions, raw, vectorLiteral, int, placeholders } from '../utils/sql.js';
+
+// ---------------------------------------------------------------------------
+// SavedSearchService — standing queries checked against new rows.
+//
+// saved_search.create stores a query's embedding, a similarity threshold and
+// an optional entity filter ("anything mentioning the Q3 budget", or "every
+// capture that names project-x.md"). storeMemory, storeBatch and
+// MonitorService.storeCapture call evaluate() for each new row; a row
+// matches when it is at least `minSimilarity` similar to the query (if there
+// is one) and mentions every filter entity. Matches are recorded in
+// saved_search_match and handed out once by saved_search.poll.
+//
+// Evaluation is best-effort: a failure is logged and never fails the store.
+// A saved search whose embedding came from another model is skipped until
+// embedding.reembed converts it.
+//
+// Schema: saved_search, saved_search_match (migration 018)
+// ---------------------------------------------------------------------------
+
+export const SAVED_SEARCH_SOURCES = ['memory', 'episodic'];
+
+const DEFAULT_MIN_SIMILARITY = parseFloat(process.env.SAVED_SEARCH_MIN_SIMILARITY || '0.5');
+const MAX_SAVED_SEARCHES = 100;
+const MAX_QUERY_LENGTH = 1000;
+const MAX_FILTER_ENTITIES = 20;
+const MAX_NAME_LENGTH = 200;
+const DEFAULT_POLL_LIMIT = 50;
+const MAX_POLL_LIMIT = 500;
+
+function generateId() {
+  return `ss_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Deterministic id of a saved search → row match, so a row is recorded once.
+ */
+function matchId(savedSearchId, memoryId) {
+  return 'ssm_' + createHash('md5')
+    .update(`${savedSearchId}\x1f${memoryId}`)
+    .digest('hex')
+    .slice(0, 20);
+}
+
+/**
+ * Entity filter from the payload: strings or { type?, value } →
+ * [{ type, value }] with lower-cased values (type null = any type).
+ */
+function normalizeEntityFilter(entities) {
+  if (entities === undefined || entities === null) return [];
+  if (!Array.isArray(entities)) {
+    throw new Error('Invalid entities: expected an array');
+  }
+  if (entities.length > MAX_FILTER_ENTITIES) {
+    throw new Error(`Invalid entities: at most ${MAX_FILTER_ENTITIES}`);
+  }
+  return entities.map(entity => {
+    const { type = null, value } = typeof entity === 'string' ? { value: entity } : (entity || {});
+    const clean = String(value ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!clean) {
+      throw new Error('Invalid entities: each entity needs a value');
+    }
+    return { type: type ? String(type).toLowerCase() : null, value: clean };
+  });
+}
+
+function normalizeSources(sources) {
+  if (sources === undefined || sources === null) return [...SAVED_SEARCH_SOURCES];
+  const list = Array.isArray(sources) ? sources : [sources];
+  const invalid = list.find(source => !SAVED_SEARCH_SOURCES.includes(source));
+  if (invalid !== undefined || list.length === 0) {
+    throw new Error(`Invalid sources: ${invalid ?? '[]'}. Valid: ${SAVED_SEARCH_SOURCES.join(', ')}`);
+  }
+  return [...new Set(list)];
+}
+
+function parseList(value) {
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Filter entities found among a row's entities ({ type, value, entity_type,
+ * normalized }); null when some filter entity is missing.
+ */
+function matchEntities(filter, entities) {
+  const mentioned = (entities || []).map(e => ({
+    types: [e.type, e.entity_type].filter(Boolean).map(t => String(t).toLowerCase()),
+    values: [e.value, e.normalized].filter(Boolean).map(v => String(v).toLowerCase())
+  }));
+  const matched = [];
+  for (const wanted of filter) {
+    const found = mentioned.some(e =>
+      e.values.includes(wanted.value) && (!wanted.type || e.types.includes(wanted.type))
+    );
+    if (!found) return null;
+    matched.push(wanted.value);
+  }
+  return matched;
+}
+
+class SavedSearchService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.embeddings = getEmbeddingService();
+  }
+
+  /**
+   * Register a standing query. Needs a query, an entity filter, or both.
+   */
+  async create(data, context = {}) {
+    const userId = extractUserId(context);
+    const query = data.query === undefined || data.query === null ? '' : String(data.query).trim();
+    if (query.length > MAX_QUERY_LENGTH) {
+      throw new Error(`Invalid query: exceeds maximum length of ${MAX_QUERY_LENGTH} characters`);
+    }
+    const entities = normalizeEntityFilter(data.entities);
+    if (!query && entities.length === 0) {
+      throw new Error('Invalid saved search: a query or entities is required');
+    }
+    const minSimilarity = data.minSimilarity === undefined ? DEFAULT_MIN_SIMILARITY : Number(data.minSimilarity);
+    if (!Number.isFinite(minSimilarity) || minSimilarity < 0 || minSimilarity > 1) {
+      throw new Error('Invalid minSimilarity: must be a number between 0 and 1');
+    }
+    const sources = normalizeSources(data.sources);
+
+    const [{ count }] = await this.db.query(
+      'SELECT COUNT(*) AS count FROM saved_search WHERE user_id = ?',
+      [userId]
+    );
+    if (Number(count) >= MAX_SAVED_SEARCHES) {
+      throw new Error(`Invalid saved search: at most ${MAX_SAVED_SEARCHES} per user`);
+    }
+
+    let embedding = null;
+    if (query) {
+      if (!this.embeddings.isInitialized()) {
+        throw new Error('Embedding service not initialized');
+      }
+      embedding = await this.embeddings.generateEmbedding(query);
+    }
+
+    const name = String(data.name || query || entities.map(e => e.value).join(', ')).slice(0, MAX_NAME_LENGTH);
+    const id = generateId();
+    await this.db.insert('saved_search', {
+      id,
+      user_id: userId,
+      name,
+      query: query || null,
+      embedding: embedding ? raw(vectorLiteral(embedding)) : null,
+      embedding_model: embedding ? this.embeddings.getModelId() : null,
+      min_similarity: minSimilarity,
+      entities: JSON.stringify(entities),
+      sources: JSON.stringify(sources)
+    });
+
+    logger.info('Saved search created', { id, userId, sources });
+    return { id, name, query: query || null, minSimilarity, entities, sources };
+  }
+
+  /**
+   * The user's saved searches with their unseen and total match counts.
+   */
+  async list(context = {}) {
+    const userId = extractUserId(context);
+    const modelId = this.embeddings.getModelId();
+    const rows = await this.db.query(`
+      SELECT s.id, s.name, s.query, s.min_similarity, s.entities, s.sources, s.embedding_model, s.created_at,
+             COUNT(m.id) AS total,
+             COUNT(m.id) FILTER (WHERE m.seen_at IS NULL) AS unseen
+      FROM saved_search s
+      LEFT JOIN saved_search_match m ON m.saved_search_id = s.id
+      WHERE s.user_id = ?
+      GROUP BY s.id, s.name, s.query, s.min_similarity, s.entities, s.sources, s.embedding_model, s.created_at
+      ORDER BY s.created_at, s.id
+    `, [userId]);
+    return {
+      savedSearches: rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        query: row.query,
+        minSimilarity: Number(row.min_similarity),
+        entities: parseList(row.entities),
+        sources: parseList(row.sources),
+        // Skipped until embedding.reembed converts the query vector
+        stale: row.query !== null && row.embedding_model !== modelId,
+        matches: Number(row.total),
+        unseen: Number(row.unseen),
+        createdAt: row.created_at
+      }))
+    };
+  }
+
+  /**
+   * Delete a saved search and its recorded matches.
+   */
+  async delete(savedSearchId, context = {}) {
+    const userId = extractUserId(context);
+    await this._get(savedSearchId, userId);
+    await this.db.execute('DELETE FROM saved_search_match WHERE saved_search_id = ?', [savedSearchId]);
+    await this.db.execute('DELETE FROM saved_search WHERE id = ?', [savedSearchId]);
+    logger.info('Saved search deleted', { id: savedSearchId, userId });
+    return { id: savedSearchId, deleted: true };
+  }
+
+  /**
+   * Unseen matches, oldest first, with the matched row's text. Returned
+   * matches are marked seen unless markSeen is false. Matches whose row has
+   * since been deleted or trashed are skipped.
+   */
+  async poll(context = {}, { savedSearchId = null, limit = DEFAULT_POLL_LIMIT, markSeen = true } = {}) {
+    const userId = extractUserId(context);
+    if (savedSearchId) {
+      await this._get(savedSearchId, userId);
+    }
+
+    const where = new Conditions()
+      .add('m.user_id = ?', userId)
+      .add('m.seen_at IS NULL')
+      .add('(mem.id IS NOT NULL OR ep.id IS NOT NULL)');
+    if (savedSearchId) where.add('m.saved_search_id = ?', savedSearchId);
+
+    const rows = await this.db.query(`
+      SELECT m.id, m.saved_search_id, s.name, m.source, m.memory_id, m.similarity, m.matched_entities, m.created_at,
+             COALESCE(mem.type, ep.type) AS type,
+             COALESCE(mem.source_text, ep.source_text) AS text,
+             COALESCE(mem.created_at, ep.created_at) AS stored_at
+      FROM saved_search_match m
+      JOIN saved_search s ON s.id = m.saved_search_id
+      LEFT JOIN memory mem ON m.source = 'memory' AND mem.id = m.memory_id AND mem.deleted_at IS NULL
+      LEFT JOIN episodic_memory ep ON m.source = 'episodic' AND ep.id = m.memory_id
+      ${where.toWhere()}
+      ORDER BY m.created_at, m.id
+      LIMIT ${Math.min(int(limit, DEFAULT_POLL_LIMIT) || DEFAULT_POLL_LIMIT, MAX_POLL_LIMIT)}
+    `, where.params);
+
+    if (markSeen && rows.length > 0) {
+      await this.db.execute(
+        `UPDATE saved_search_match SET seen_at = now() WHERE id IN (${placeholders(rows.length)})`,
+        rows.map(row => row.id)
+      );
+    }
+
+    return {
+      matches: rows.map(row => ({
+        id: row.id,
+        savedSearchId: row.saved_search_id,
+        savedSearchName: row.name,
+        source: row.source,
+        memoryId: row.memory_id,
+        type: row.type,
+        text: row.text,
+        similarity: row.similarity === null ? null : Number(row.similarity),
+        matchedEntities: parseList(row.matched_entities),
+        storedAt: row.stored_at,
+        matchedAt: row.created_at
+      })),
+      markedSeen: markSeen
+    };
+  }
+
+  /**
+   * Check a newly stored row against the user's saved searches for `source`
+   * and record the matches. `row` is { id, userId, embedding, entities }.
+   * Returns the ids of the saved searches it matched.
+   */
+  async evaluate(source, row) {
+    try {
+      const modelId = this.embeddings.getModelId();
+      const where = new Conditions()
+        .add('user_id = ?', row.userId)
+        .contains('sources', JSON.stringify(source));
+      const vector = Array.isArray(row.embedding) ? vectorLiteral(row.embedding) : null;
+      const similarity = vector
+        ? `CASE WHEN embedding IS NULL OR embedding_model IS DISTINCT FROM ? THEN NULL
+             ELSE array_cosine_similarity(embedding, ${vector}) END`
+        : 'NULL';
+      const searches = await this.db.query(`
+        SELECT id, query, min_similarity, entities, ${similarity} AS similarity
+        FROM saved_search
+        ${where.toWhere()}
+      `, vector ? [modelId, ...where.params] : where.params);
+
+      const matched = [];
+      for (const search of searches) {
+        const score = search.similarity === null ? null : Number(search.similarity);
+        if (search.query !== null && (score === null || score < Number(search.min_similarity))) continue;
+        const entities = matchEntities(parseList(search.entities), row.entities);
+        if (!entities) continue;
+
+        await this.db.insert('saved_search_match', {
+          id: matchId(search.id, row.id),
+          saved_search_id: search.id,
+          user_id: row.userId,
+          source,
+          memory_id: row.id,
+          similarity: search.query !== null ? score : null,
+          matched_entities: JSON.stringify(entities)
+        });
+        matched.push(search.id);
+      }
+      if (matched.length > 0) {
+        logger.info('Saved searches matched', { source, memoryId: row.id, savedSearchIds: matched });
+      }
+      return matched;
+    } catch (error) {
+      logger.warn('Saved search evaluation failed (row kept)', { source, memoryId: row.id, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Drop the matches of permanently deleted memories.
+   */
+  async deleteFor(memoryIds) {
+    if (memoryIds.length === 0) return;
+    await this.db.execute(
+      `DELETE FROM saved_search_match WHERE source = 'memory' AND memory_id IN (${placeholders(memoryIds.length)})`,
+      memoryIds
+    );
+  }
+
+  /**
+   * Drop matches whose row no longer exists (after bulk purges).
+   */
+  async pruneOrphans() {
+    try {
+      await this.db.execute(
+        'DELETE FROM saved_search_match WHERE source = \'memory\' AND memory_id NOT IN (SELECT id FROM memory)'
+      );
+      await this.db.execute(
+        'DELETE FROM saved_search_match WHERE source = \'episodic\' AND memory_id NOT IN (SELECT id FROM episodic_memory)'
+      );
+    } catch (error) {
+      logger.error('[SavedSearchService] pruneOrphans failed:', error.message);
+    }
+  }
+
+  async _get(savedSearchId, userId) {
+    const rows = await this.db.query(
+      'SELECT id FROM saved_search WHERE id = ? AND user_id = ?',
+      [savedSearchId, userId]
+    );
+    if (rows.length === 0) {
+      throw new Error(`Saved search not found: ${savedSearchId}`);
+    }
+    return rows[0];
+  }
+}
+
+let _instance = null;
+export function getSavedSearchService() {
+  if (!_instance) _instance = new SavedSearchService();
+  return _instance;
+}
+
+export default SavedSearchService;
@@ -1,10 +1,9 @@
 import { getDatabaseService } from './database.js';
 import { getEmbeddingService } from './embeddings.js';
 import logger from '../utils/logger.js';
+import { Conditions, raw, int, vectorLiteral } from '../utils/sql.js';
 
 const SIMILARITY_THRESHOLD = 0.72;
-// eslint-disable-next-line quotes
-const SQ = "'";
 
 function generateId() {
   return `sp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -31,8 +30,7 @@ class SkillPromptService {
       }
 
       const queryEmbedding = await this.embeddings.generateEmbedding(query);
-      const embeddingValues = queryEmbedding.map(v => v.toString()).join(',');
-      const queryVector = `list_value(${embeddingValues})::FLOAT[384]`;
+      const queryVector = vectorLiteral(queryEmbedding);
 
       await this.db.ensureVssLoaded();
 
@@ -45,12 +43,12 @@ class SkillPromptService {
           created_at,
           (1 - array_cosine_distance(embedding, ${queryVector})) as similarity
         FROM skill_prompts
-        WHERE embedding IS NOT NULL
+        WHERE embedding IS NOT NULL AND embedding_model = ?
         ORDER BY array_cosine_distance(embedding, ${queryVector})
-        LIMIT ${topK * 3}
+        LIMIT ${int(topK, 3) * 3}
       `;
 
-      const rows = await this.db.query(sql);
+      const rows = await this.db.query(sql, [this.embeddings.getModelId()]);
       const filtered = rows.filter(r => r.similarity >= minSimilarity).slice(0, topK);
 
       logger.debug(`[SkillPromptService] search("${query.substring(0, 60)}") → ${filtered.length}/${rows.length} results above ${minSimilarity}`);
@@ -58,7 +56,8 @@ class SkillPromptService {
       // Bump hit_count for matched rows (fire-and-forget)
       for (const row of filtered) {
         this.db.execute(
-          `UPDATE skill_prompts SET hit_count = hit_count + 1, updated_at = now() WHERE id = '${row.id}'`
+          'UPDATE skill_prompts SET hit_count = hit_count + 1, updated_at = now() WHERE id = ?',
+          [row.id]
         ).catch(() => {});
       }
 
@@ -92,8 +91,7 @@ class SkillPromptService {
 
       const tagsStr = Array.isArray(tags) ? tags.join(', ') : (tags || '');
       const embedding = await this.embeddings.generateEmbedding(promptText);
-      const embeddingValues = embedding.map(v => v.toString()).join(',');
-      const queryVector = `list_value(${embeddingValues})::FLOAT[384]`;
+      const queryVector = vectorLiteral(embedding);
 
       await this.db.ensureVssLoaded();
 
@@ -101,43 +99,36 @@ class SkillPromptService {
       const dupeCheck = await this.db.query(`
         SELECT id, (1 - array_cosine_distance(embedding, ${queryVector})) as similarity
         FROM skill_prompts
-        WHERE embedding IS NOT NULL
+        WHERE embedding IS NOT NULL AND embedding_model = ?
         ORDER BY array_cosine_distance(embedding, ${queryVector})
         LIMIT 1
-      `).catch(() => []);
+      `, [this.embeddings.getModelId()]).catch(() => []);
 
       if (dupeCheck.length > 0 && dupeCheck[0].similarity >= 0.92) {
         const existingId = dupeCheck[0].id;
-        const safeTextUpd = promptText.replace(/'/g, SQ + SQ);
-        const safeTagsUpd = tagsStr.replace(/'/g, SQ + SQ);
-        await this.db.execute(`
-          UPDATE skill_prompts
-          SET prompt_text = '${safeTextUpd}',
-              tags = '${safeTagsUpd}',
-              embedding = list_value(${embeddingValues}),
-              updated_at = now()
-          WHERE id = '${existingId}'
-        `);
+        await this.db.update('skill_prompts', {
+          prompt_text: promptText,
+          tags: tagsStr,
+          embedding: raw(queryVector),
+          embedding_model: this.embeddings.getModelId(),
+          updated_at: raw('now()')
+        }, new Conditions().add('id = ?', existingId));
         logger.debug(`[SkillPromptService] Updated existing snippet ${existingId} (similarity ${dupeCheck[0].similarity.toFixed(3)})`);
         return { id: existingId, created: false };
       }
 
       // Insert new
       const id = generateId();
-      const safeTextIns = promptText.replace(/'/g, SQ + SQ);
-      const safeTagsIns = tagsStr.replace(/'/g, SQ + SQ);
-      await this.db.execute(`
-        INSERT INTO skill_prompts (id, tags, prompt_text, embedding, hit_count, created_at, updated_at)
-        VALUES (
-          '${id}',
-          '${safeTagsIns}',
-          '${safeTextIns}',
-          list_value(${embeddingValues}),
-          0,
-          now(),
-          now()
-        )
-      `);
+      await this.db.insert('skill_prompts', {
+        id,
+        tags: tagsStr,
+        prompt_text: promptText,
+        embedding: raw(queryVector),
+        embedding_model: this.embeddings.getModelId(),
+        hit_count: 0,
+        created_at: raw('now()'),
+        updated_at: raw('now()')
+      });
       logger.info(`[SkillPromptService] Inserted new snippet ${id} tags=[${tagsStr}]`);
       return { id, created: true };
     } catch (error) {
@@ -155,7 +146,7 @@ class SkillPromptService {
         SELECT id, tags, prompt_text, hit_count, created_at, updated_at
         FROM skill_prompts
         ORDER BY hit_count DESC, created_at DESC
-        LIMIT ${limit}
+        LIMIT ${int(limit, 50)}
       `);
       return {
         results: rows.map(r => ({
@@ -179,7 +170,7 @@ class SkillPromptService {
    */
   async delete(id) {
     try {
-      await this.db.execute(`DELETE FROM skill_prompts WHERE id = '${id}'`);
+      await this.db.execute('DELETE FROM skill_prompts WHERE id = ?', [id]);
       return { deleted: true };
     } catch (error) {
       logger.error('[SkillPromptService] delete failed:', error.message);
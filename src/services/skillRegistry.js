@@ -1,10 +1,10 @@
 import { getDatabaseService } from './database.js';
 import logger from '../utils/logger.js';
+import { Conditions, raw } from '../utils/sql.js';
 import path from 'path';
 import os from 'os';
 import fs from 'fs';
 
-const SQ = '\x27';
 const SKILLS_BASE_DIR = path.join(os.homedir(), '.thinkdrop', 'skills');
 
 const VALID_EXEC_TYPES = ['node', 'shell', 'python'];
@@ -156,45 +156,38 @@ class SkillRegistryService {
     const parsed = validateContract(contractMd);
     const { name, description, exec_path, exec_type } = parsed;
 
-    const safe = (s) => s.replace(/'/g, SQ + SQ);
-
     // Check if already installed — update if so
     const existing = await this.db.query(
-      `SELECT id FROM installed_skills WHERE name = '${safe(name)}'`
+      'SELECT id FROM installed_skills WHERE name = ?', [name]
     );
 
     if (existing.length > 0) {
       const id = existing[0].id;
-      await this.db.execute(`
-        UPDATE installed_skills
-        SET description  = '${safe(description)}',
-            contract_md  = '${safe(contractMd)}',
-            exec_path    = '${safe(exec_path)}',
-            exec_type    = '${safe(exec_type)}',
-            enabled      = true,
-            updated_at   = now()
-        WHERE id = '${id}'
-      `);
+      await this.db.update('installed_skills', {
+        description,
+        contract_md: contractMd,
+        exec_path,
+        exec_type,
+        enabled: true,
+        updated_at: raw('now()')
+      }, new Conditions().add('id = ?', id));
       logger.info(`[SkillRegistry] Updated skill: ${name} (${id})`);
       await this._upsertHealth(name, 'ok', null);
       return { id, name, created: false };
     }
 
     const id = generateId();
-    await this.db.execute(`
-      INSERT INTO installed_skills (id, name, description, contract_md, exec_path, exec_type, enabled, installed_at, updated_at)
-      VALUES (
-        '${id}',
-        '${safe(name)}',
-        '${safe(description)}',
-        '${safe(contractMd)}',
-        '${safe(exec_path)}',
-        '${safe(exec_type)}',
-        true,
-        now(),
-        now()
-      )
-    `);
+    await this.db.insert('installed_skills', {
+      id,
+      name,
+      description,
+      contract_md: contractMd,
+      exec_path,
+      exec_type,
+      enabled: true,
+      installed_at: raw('now()'),
+      updated_at: raw('now()')
+    });
     logger.info(`[SkillRegistry] Installed new skill: ${name} (${id})`);
     await this._upsertHealth(name, 'ok', null);
     return { id, name, created: true };
@@ -204,16 +197,15 @@ class SkillRegistryService {
    * Remove a skill by name. Returns { deleted: bool }.
    */
   async remove(name) {
-    const safe = (s) => s.replace(/'/g, SQ + SQ);
     const existing = await this.db.query(
-      `SELECT id FROM installed_skills WHERE name = '${safe(name)}'`
+      'SELECT id FROM installed_skills WHERE name = ?', [name]
     );
     if (existing.length === 0) {
       return { deleted: false, reason: `No skill named '${name}' is installed` };
     }
     // Remove health record first (FK constraint)
-    await this.db.execute(`DELETE FROM skill_health WHERE skill_name = '${safe(name)}'`).catch(() => {});
-    await this.db.execute(`DELETE FROM installed_skills WHERE name = '${safe(name)}'`);
+    await this.db.execute('DELETE FROM skill_health WHERE skill_name = ?', [name]).catch(() => {});
+    await this.db.execute('DELETE FROM installed_skills WHERE name = ?', [name]);
     logger.info(`[SkillRegistry] Removed skill: ${name}`);
     return { deleted: true };
   }
@@ -249,9 +241,8 @@ class SkillRegistryService {
    * Get a single skill by name, including its full contract_md.
    */
   async get(name) {
-    const safe = (s) => s.replace(/'/g, SQ + SQ);
     const rows = await this.db.query(
-      `SELECT * FROM installed_skills WHERE name = '${safe(name)}' LIMIT 1`
+      'SELECT * FROM installed_skills WHERE name = ? LIMIT 1', [name]
     );
     if (rows.length === 0) return null;
     const r = rows[0];
@@ -316,47 +307,38 @@ class SkillRegistryService {
       throw new Error(`execPath ${execPath} is outside ${SKILLS_BASE_DIR}`);
     }
 
-    const safe = (s) => String(s).replace(/'/g, SQ + SQ);
-    const safeOrNull = (s) => s ? `'${safe(s)}'` : 'NULL';
+    const fields = {
+      description:   String(description || ''),
+      exec_path:     resolvedPath,
+      exec_type:     String(execType),
+      contract_md:   String(contractMd || ''),
+      enabled:       Boolean(enabled),
+      source_domain: sourceDomain || null,
+      source_action: sourceAction || null,
+    };
     const existing = await this.db.query(
-      `SELECT id FROM installed_skills WHERE name = '${safe(name)}'`
+      'SELECT id FROM installed_skills WHERE name = ?', [String(name)]
     );
 
     if (existing.length > 0) {
       const id = existing[0].id;
-      await this.db.execute(`
-        UPDATE installed_skills
-        SET description   = '${safe(description || '')}',
-            exec_path     = '${safe(resolvedPath)}',
-            exec_type     = '${safe(execType)}',
-            contract_md   = '${safe(contractMd || '')}',
-            enabled       = ${enabled ? 'true' : 'false'},
-            source_domain = ${safeOrNull(sourceDomain)},
-            source_action = ${safeOrNull(sourceAction)},
-            updated_at    = now()
-        WHERE id = '${id}'
-      `);
+      await this.db.update(
+        'installed_skills',
+        { ...fields, updated_at: raw('now()') },
+        new Conditions().add('id = ?', id)
+      );
       logger.info(`[SkillRegistry] Upserted (updated) skill: ${name}`);
       return { id, name, created: false };
     }
 
     const id = generateId();
-    await this.db.execute(`
-      INSERT INTO installed_skills (id, name, description, contract_md, exec_path, exec_type, enabled, source_domain, source_action, installed_at, updated_at)
-      VALUES (
-        '${id}',
-        '${safe(name)}',
-        '${safe(description || '')}',
-        '${safe(contractMd || '')}',
-        '${safe(resolvedPath)}',
-        '${safe(execType)}',
-        ${enabled ? 'true' : 'false'},
-        ${safeOrNull(sourceDomain)},
-        ${safeOrNull(sourceAction)},
-        now(),
-        now()
-      )
-    `);
+    await this.db.insert('installed_skills', {
+      id,
+      name: String(name),
+      ...fields,
+      installed_at: raw('now()'),
+      updated_at: raw('now()')
+    });
     logger.info(`[SkillRegistry] Upserted (inserted) skill: ${name}`);
     return { id, name, created: true };
   }
@@ -365,12 +347,10 @@ class SkillRegistryService {
    * Enable or disable a skill by name.
    */
   async setEnabled(name, enabled) {
-    const safe = (s) => s.replace(/'/g, SQ + SQ);
-    await this.db.execute(`
-      UPDATE installed_skills
-      SET enabled = ${enabled ? 'true' : 'false'}, updated_at = now()
-      WHERE name = '${safe(name)}'
-    `);
+    await this.db.execute(
+      'UPDATE installed_skills SET enabled = ?, updated_at = now() WHERE name = ?',
+      [Boolean(enabled), name]
+    );
     return { name, enabled };
   }
 
@@ -380,25 +360,25 @@ class SkillRegistryService {
    * Internal helper — upsert a health record. status is 'ok'|'invalid'|'repaired'|'unvalidated'.
    */
   async _upsertHealth(skillName, status, errors, autoRepaired = false) {
-    const safe = (s) => String(s || '').replace(/'/g, SQ + SQ);
-    const errText = errors ? safe(typeof errors === 'object' ? JSON.stringify(errors) : String(errors)) : '';
+    const errText = errors ? (typeof errors === 'object' ? JSON.stringify(errors) : String(errors)) : '';
+    const row = [String(skillName || ''), String(status || ''), errText, Boolean(autoRepaired)];
     try {
       await this.db.execute(`
         INSERT INTO skill_health (skill_name, status, errors, last_checked_at, auto_repaired)
-        VALUES ('${safe(skillName)}', '${safe(status)}', '${errText}', now(), ${autoRepaired})
+        VALUES (?, ?, ?, now(), ?)
         ON CONFLICT (skill_name) DO UPDATE SET
-          status = '${safe(status)}',
-          errors = '${errText}',
+          status = excluded.status,
+          errors = excluded.errors,
           last_checked_at = now(),
-          auto_repaired = ${autoRepaired}
-      `);
+          auto_repaired = excluded.auto_repaired
+      `, row);
     } catch (e) {
       // Graceful fallback if ON CONFLICT syntax varies
-      await this.db.execute(`DELETE FROM skill_health WHERE skill_name = '${safe(skillName)}'`).catch(() => {});
+      await this.db.execute('DELETE FROM skill_health WHERE skill_name = ?', [row[0]]).catch(() => {});
       await this.db.execute(`
         INSERT INTO skill_health (skill_name, status, errors, last_checked_at, auto_repaired)
-        VALUES ('${safe(skillName)}', '${safe(status)}', '${errText}', now(), ${autoRepaired})
-      `);
+        VALUES (?, ?, ?, now(), ?)
+      `, row);
     }
   }
 
@@ -415,9 +395,8 @@ class SkillRegistryService {
    * Get health record for a single skill.
    */
   async healthGet(skillName) {
-    const safe = (s) => String(s).replace(/'/g, SQ + SQ);
     const rows = await this.db.query(
-      `SELECT * FROM skill_health WHERE skill_name = '${safe(skillName)}' LIMIT 1`
+      'SELECT * FROM skill_health WHERE skill_name = ? LIMIT 1', [String(skillName)]
     );
     if (rows.length === 0) return null;
     const r = rows[0];
@@ -0,0 +1,293 @@
+import fs from 'fs';
+import { getDatabaseService } from './database.js';
+import { getEmbeddingService } from './embeddings.js';
+import { extractUserId } from '../utils/helpers.js';
+import { identifier, int } from '../utils/sql.js';
+
+// ---------------------------------------------------------------------------
+// StatsService — per-user facets behind memory.stats.
+//
+// DatabaseService.getStats only counts rows across every user; this answers
+// "what does the assistant remember about me": memories by type and month,
+// the most mentioned entities of each type, the apps episodic captures came
+// from, how many vectors the active embedding model can search, average text
+// length, and how much each table holds for the user.
+//
+// DuckDB has no per-row storage size, so `storage` estimates it from the
+// bytes of each row's text columns plus 4 bytes per vector dimension. The
+// database file size (whole database, every user) is reported alongside.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_MONTHS = 12;
+const MAX_MONTHS = 120;
+const DEFAULT_TOP = 10;
+const MAX_TOP = 100;
+
+const VECTOR_BYTES = 384 * 4;
+
+const STORAGE_TABLES = [
+  { table: 'memory', userScope: 'user_id = ?', textColumns: ['source_text', 'metadata', 'extracted_text', 'screenshot'], vector: true },
+  { table: 'memory_entities', userScope: 'memory_id IN (SELECT id FROM memory WHERE user_id = ?)', textColumns: ['entity', 'normalized_value'] },
+  { table: 'memory_revisions', userScope: 'user_id = ?', textColumns: ['source_text', 'metadata', 'extracted_text', 'screenshot', 'entities'], vector: true },
+  { table: 'memory_tags', userScope: 'user_id = ?', textColumns: ['tag'] },
+  { table: 'documents', userScope: 'user_id = ?', textColumns: ['title', 'source_text', 'metadata'] },
+  { table: 'episodic_memory', userScope: 'user_id = ?', textColumns: ['source_text', 'metadata', 'extracted_text', 'screenshot'], vector: true },
+  { table: 'episodic_entities', userScope: 'memory_id IN (SELECT id FROM episodic_memory WHERE user_id = ?)', textColumns: ['entity', 'normalized_value'] },
+  { table: 'conversation_turns', userScope: 'user_id = ?', textColumns: ['source_text', 'metadata'], vector: true },
+];
+
+/**
+ * Clamp a positive integer option to [1, max].
+ */
+function limitOption(value, fallback, max, name) {
+  if (value === undefined || value === null) return fallback;
+  const n = int(value, -1);
+  if (n < 1) {
+    throw new Error(`Invalid ${name}: must be a positive integer`);
+  }
+  return Math.min(n, max);
+}
+
+/**
+ * 'YYYY-MM' keys of the last `months` calendar months (UTC), oldest first.
+ */
+function monthKeys(months, now = new Date()) {
+  const keys = [];
+  for (let i = months - 1; i >= 0; i--) {
+    const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+    keys.push(`${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`);
+  }
+  return keys;
+}
+
+/**
+ * Fraction of `part` in `total`, to three decimals (0 when total is 0).
+ */
+function ratio(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 1000 : 0;
+}
+
+class StatsService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.embeddings = getEmbeddingService();
+  }
+
+  /**
+   * Facets of everything stored for the calling user.
+   * `months` sets the length of the byMonth series, `topEntities` / `topApps`
+   * how many entries each top list keeps.
+   */
+  async getUserStats(context = {}, options = {}) {
+    const userId = extractUserId(context);
+    const months = limitOption(options.months, DEFAULT_MONTHS, MAX_MONTHS, 'months');
+    const topEntities = limitOption(options.topEntities, DEFAULT_TOP, MAX_TOP, 'topEntities');
+    const topApps = limitOption(options.topApps, DEFAULT_TOP, MAX_TOP, 'topApps');
+    const keys = monthKeys(months);
+    const modelId = this.embeddings.getModelId();
+
+    return {
+      userId,
+      memory: {
+        ...(await this._memoryCounts(userId)),
+        byType: await this._byType('memory', userId, 'deleted_at IS NULL'),
+        byMonth: await this._byMonth('memory', userId, keys, 'deleted_at IS NULL'),
+        averageTextLength: await this._averageTextLength('memory', userId, 'deleted_at IS NULL'),
+        embeddings: await this._embeddingCoverage('memory', userId, modelId, 'deleted_at IS NULL')
+      },
+      entities: await this._topEntities(userId, topEntities),
+      episodic: {
+        total: await this._count('episodic_memory', userId),
+        byType: await this._byType('episodic_memory', userId),
+        byMonth: await this._byMonth('episodic_memory', userId, keys),
+        topApps: await this._topApps(userId, topApps),
+        averageTextLength: await this._averageTextLength('episodic_memory', userId),
+        embeddings: await this._embeddingCoverage('episodic_memory', userId, modelId)
+      },
+      documents: await this._count('documents', userId),
+      storage: await this._storage(userId),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  async _count(table, userId) {
+    const rows = await this.db.query(
+      `SELECT COUNT(*) AS count FROM ${identifier(table)} WHERE user_id = ?`,
+      [userId]
+    );
+    return Number(rows[0]?.count || 0);
+  }
+
+  /**
+   * Live memories split by lifecycle: current facts, superseded ones,
+   * ones with an expiry still ahead or already passed, and the trash.
+   */
+  async _memoryCounts(userId) {
+    const rows = await this.db.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE deleted_at IS NULL) AS total,
+        COUNT(*) FILTER (WHERE deleted_at IS NULL AND superseded_by IS NOT NULL) AS superseded,
+        COUNT(*) FILTER (WHERE deleted_at IS NULL AND expires_at > now()) AS expiring,
+        COUNT(*) FILTER (WHERE deleted_at IS NULL AND expires_at <= now()) AS expired,
+        COUNT(*) FILTER (WHERE deleted_at IS NOT NULL) AS trashed
+      FROM memory
+      WHERE user_id = ?
+    `, [userId]);
+    const row = rows[0] || {};
+    return {
+      total: Number(row.total || 0),
+      superseded: Number(row.superseded || 0),
+      expiring: Number(row.expiring || 0),
+      expired: Number(row.expired || 0),
+      trashed: Number(row.trashed || 0)
+    };
+  }
+
+  async _byType(table, userId, extra = null) {
+    const rows = await this.db.query(`
+      SELECT COALESCE(type, 'unknown') AS type, COUNT(*) AS count
+      FROM ${identifier(table)}
+      WHERE user_id = ?${extra ? ` AND ${extra}` : ''}
+      GROUP BY 1
+      ORDER BY count DESC, type
+    `, [userId]);
+    return rows.map(r => ({ type: r.type, count: Number(r.count) }));
+  }
+
+  /**
+   * Rows created per calendar month (UTC) over `keys`, zero-filled.
+   */
+  async _byMonth(table, userId, keys, extra = null) {
+    const since = new Date(`${keys[0]}-01T00:00:00Z`);
+    const rows = await this.db.query(`
+      SELECT strftime(created_at, '%Y-%m') AS month_key, COUNT(*) AS count
+      FROM ${identifier(table)}
+      WHERE user_id = ? AND created_at >= ?${extra ? ` AND ${extra}` : ''}
+      GROUP BY 1
+    `, [userId, since]);
+    const counts = new Map(rows.map(r => [r.month_key, Number(r.count)]));
+    return keys.map(month => ({ month, count: counts.get(month) || 0 }));
+  }
+
+  async _averageTextLength(table, userId, extra = null) {
+    const rows = await this.db.query(`
+      SELECT AVG(length(source_text)) AS avg_length
+      FROM ${identifier(table)}
+      WHERE user_id = ? AND source_text IS NOT NULL${extra ? ` AND ${extra}` : ''}
+    `, [userId]);
+    return Math.round(Number(rows[0]?.avg_length || 0));
+  }
+
+  /**
+   * Vectors the active model can search (`current`), vectors from another
+   * model awaiting embedding.reembed (`stale`) and rows without one.
+   */
+  async _embeddingCoverage(table, userId, modelId, extra = null) {
+    const rows = await this.db.query(`
+      SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE embedding IS NOT NULL AND embedding_model = ?) AS current_count,
+        COUNT(*) FILTER (WHERE embedding IS NOT NULL AND embedding_model IS DISTINCT FROM ?) AS stale_count,
+        COUNT(*) FILTER (WHERE embedding IS NULL) AS missing_count
+      FROM ${identifier(table)}
+      WHERE user_id = ?${extra ? ` AND ${extra}` : ''}
+    `, [modelId, modelId, userId]);
+    const row = rows[0] || {};
+    const total = Number(row.total || 0);
+    const current = Number(row.current_count || 0);
+    return {
+      model: modelId,
+      current,
+      stale: Number(row.stale_count || 0),
+      missing: Number(row.missing_count || 0),
+      coverage: ratio(current, total)
+    };
+  }
+
+  /**
+   * Most mentioned entities per entity type, counted by distinct live memory.
+   * → { person: [{ entity, normalized, count }], ... }
+   */
+  async _topEntities(userId, limit) {
+    const rows = await this.db.query(`
+      SELECT entity_type, entity, normalized, count FROM (
+        SELECT
+          COALESCE(me.entity_type, me.type, 'unknown') AS entity_type,
+          MIN(me.entity) AS entity,
+          lower(COALESCE(me.normalized_value, me.entity)) AS normalized,
+          COUNT(DISTINCT me.memory_id) AS count,
+          ROW_NUMBER() OVER (
+            PARTITION BY COALESCE(me.entity_type, me.type, 'unknown')
+            ORDER BY COUNT(DISTINCT me.memory_id) DESC, lower(COALESCE(me.normalized_value, me.entity))
+          ) AS entity_rank
+        FROM memory_entities me
+        JOIN memory m ON m.id = me.memory_id
+        WHERE m.user_id = ? AND m.deleted_at IS NULL
+        GROUP BY 1, 3
+      )
+      WHERE entity_rank <= ${int(limit, DEFAULT_TOP)}
+      ORDER BY entity_type, count DESC, normalized
+    `, [userId]);
+
+    const byType = {};
+    for (const row of rows) {
+      (byType[row.entity_type] ||= []).push({
+        entity: row.entity,
+        normalized: row.normalized,
+        count: Number(row.count)
+      });
+    }
+    return byType;
+  }
+
+  async _topApps(userId, limit) {
+    const rows = await this.db.query(`
+      SELECT json_extract_string(metadata, '$.appName') AS app, COUNT(*) AS count
+      FROM episodic_memory
+      WHERE user_id = ? AND json_extract_string(metadata, '$.appName') IS NOT NULL
+      GROUP BY 1
+      ORDER BY count DESC, app
+      LIMIT ${int(limit, DEFAULT_TOP)}
+    `, [userId]);
+    return rows.map(r => ({ app: r.app, count: Number(r.count) }));
+  }
+
+  /**
+   * Rows and estimated bytes per table for the user, plus the size of the
+   * database file when it lives on disk.
+   */
+  async _storage(userId) {
+    const tables = {};
+    let estimatedBytes = 0;
+    for (const spec of STORAGE_TABLES) {
+      const textBytes = spec.textColumns
+        .map(column => `COALESCE(strlen(${identifier(column)}), 0)`)
+        .join(' + ');
+      const vectorBytes = spec.vector
+        ? ` + CASE WHEN embedding IS NULL THEN 0 ELSE ${VECTOR_BYTES} END`
+        : '';
+      const rows = await this.db.query(`
+        SELECT COUNT(*) AS row_count, COALESCE(SUM(${textBytes}${vectorBytes}), 0) AS bytes
+        FROM ${identifier(spec.table)}
+        WHERE ${spec.userScope}
+      `, [userId]);
+      const bytes = Number(rows[0]?.bytes || 0);
+      tables[spec.table] = { rows: Number(rows[0]?.row_count || 0), estimatedBytes: bytes };
+      estimatedBytes += bytes;
+    }
+
+    let databaseBytes = null;
+    if (this.db.dbPath && this.db.dbPath !== ':memory:' && fs.existsSync(this.db.dbPath)) {
+      databaseBytes = fs.statSync(this.db.dbPath).size;
+    }
+    return { tables, estimatedBytes, databaseBytes };
+  }
+}
+
+let _instance = null;
+export function getStatsService() {
+  if (!_instance) _instance = new StatsService();
+  return _instance;
+}
+
+export default StatsService;
@@ -0,0 +1,363 @@
+import { createHash } from 'crypto';
+import { getDatabaseService } from './database.js';
+import { getChangeFeedService } from './changeFeed.js';
+import logger from '../utils/logger.js';
+import { Conditions, placeholders } from '../utils/sql.js';
+
+// ---------------------------------------------------------------------------
+// TagService — tags and collections for organizing memories.
+//
+// Tags are free-form labels attached with memory.tag ("work", "trip to
+// japan"); they are normalized to lower case and need no setup. Collections
+// are named groups a user creates first (collection.create) and then files
+// memories into. A memory can carry any number of both.
+//
+// searchMemories and listMemories accept filters.tags (memory must carry
+// every tag) and filters.collection (id or name, one or a list — memory must
+// be in any of them); addTagFilters() builds those conditions.
+//
+// Trashed memories keep their tags; links are removed only when the memory
+// is permanently deleted.
+//
+// Schema: collections, memory_tags, memory_collections (migration 014)
+// ---------------------------------------------------------------------------
+
+const MAX_TAG_LENGTH = 64;
+const MAX_COLLECTION_NAME_LENGTH = 128;
+
+function generateId() {
+  return `col_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Canonical form of a tag: trimmed, single-spaced, lower case.
+ */
+export function normalizeTag(tag) {
+  const value = String(tag ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+  if (!value || value.length > MAX_TAG_LENGTH) {
+    throw new Error(`Invalid tag: "${tag}" (1-${MAX_TAG_LENGTH} characters)`);
+  }
+  return value;
+}
+
+/**
+ * Deterministic id of a memory → tag / collection link.
+ */
+export function linkId(prefix, memoryId, target) {
+  return `${prefix}_` + createHash('md5')
+    .update(`${memoryId}\x1f${target}`)
+    .digest('hex')
+    .slice(0, 20);
+}
+
+/**
+ * A single value or a list → de-duplicated list without empty values.
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return [...new Set(list.filter(v => v !== undefined && v !== null && String(v).trim() !== '').map(String))];
+}
+
+function collectionKey(name) {
+  return String(name).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Restrict a memory Conditions by filters.tags / filters.collection.
+ * Columns are unqualified (id), matching the other memory filters.
+ */
+export function addTagFilters(where, userId, filters = {}) {
+  const tags = toList(filters.tags).map(normalizeTag);
+  if (tags.length > 0) {
+    where.add(
+      `id IN (SELECT memory_id FROM memory_tags WHERE user_id = ? AND tag IN (${placeholders(tags.length)})
+              GROUP BY memory_id HAVING COUNT(DISTINCT tag) = ?)`,
+      userId, ...tags, tags.length
+    );
+  }
+
+  const collections = toList(filters.collection ?? filters.collections);
+  if (collections.length > 0) {
+    where.add(
+      `id IN (SELECT mc.memory_id FROM memory_collections mc
+              JOIN collections c ON c.id = mc.collection_id
+              WHERE c.user_id = ? AND (c.id IN (${placeholders(collections.length)})
+                                       OR c.name_key IN (${placeholders(collections.length)})))`,
+      userId, ...collections, ...collections.map(collectionKey)
+    );
+  }
+  return where;
+}
+
+class TagService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.changes = getChangeFeedService();
+  }
+
+  /**
+   * Create a collection. Names are unique per user (case-insensitive).
+   */
+  async createCollection(userId, { name, description = null } = {}) {
+    const display = String(name ?? '').replace(/\s+/g, ' ').trim();
+    if (!display || display.length > MAX_COLLECTION_NAME_LENGTH) {
+      throw new Error(`Invalid collection name: 1-${MAX_COLLECTION_NAME_LENGTH} characters required`);
+    }
+    const existing = await this.db.query(
+      'SELECT id FROM collections WHERE user_id = ? AND name_key = ?',
+      [userId, collectionKey(display)]
+    );
+    if (existing.length > 0) {
+      throw new Error(`Invalid collection name: "${display}" already exists`);
+    }
+
+    const id = generateId();
+    await this.db.insert('collections', {
+      id,
+      user_id: userId,
+      name: display,
+      name_key: collectionKey(display),
+      description: description ? String(description) : null,
+    });
+    logger.info('Collection created', { userId, collectionId: id });
+    return { id, name: display, description: description ? String(description) : null, memoryCount: 0 };
+  }
+
+  /**
+   * The user's collections with the number of (non-trashed) memories in each.
+   */
+  async listCollections(userId) {
+    const rows = await this.db.query(`
+      SELECT c.id, c.name, c.description, c.created_at, COUNT(m.id) AS memory_count
+      FROM collections c
+      LEFT JOIN memory_collections mc ON mc.collection_id = c.id
+      LEFT JOIN memory m ON m.id = mc.memory_id AND m.deleted_at IS NULL
+      WHERE c.user_id = ?
+      GROUP BY c.id, c.name, c.description, c.created_at
+      ORDER BY c.name
+    `, [userId]);
+    const collections = rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      memoryCount: Number(row.memory_count),
+      createdAt: row.created_at,
+    }));
+    return { collections, total: collections.length };
+  }
+
+  /**
+   * Delete a collection ({ collectionId } or { name }). Its memories are kept.
+   */
+  async deleteCollection(userId, ref = {}) {
+    const [collection] = await this.resolveCollections(userId, [ref.collectionId ?? ref.name]);
+    const [{ count }] = await this.db.query(
+      'SELECT COUNT(*) AS count FROM memory_collections WHERE collection_id = ?',
+      [collection.id]
+    );
+    await this.db.execute('DELETE FROM memory_collections WHERE collection_id = ?', [collection.id]);
+    await this.db.execute('DELETE FROM collections WHERE id = ?', [collection.id]);
+    logger.info('Collection deleted', { userId, collectionId: collection.id });
+    return { collectionId: collection.id, name: collection.name, deleted: true, memoriesUnlinked: Number(count) };
+  }
+
+  /**
+   * Look up collections by id or name. Throws if any is missing.
+   */
+  async resolveCollections(userId, refs) {
+    const wanted = toList(refs);
+    if (wanted.length === 0) return [];
+    const rows = await this.db.query(`
+      SELECT id, name, name_key FROM collections
+      WHERE user_id = ? AND (id IN (${placeholders(wanted.length)}) OR name_key IN (${placeholders(wanted.length)}))
+    `, [userId, ...wanted, ...wanted.map(collectionKey)]);
+
+    return wanted.map(ref => {
+      const row = rows.find(r => r.id === ref || r.name_key === collectionKey(ref));
+      if (!row) throw new Error(`Collection not found: ${ref}`);
+      return { id: row.id, name: row.name };
+    });
+  }
+
+  /**
+   * Attach tags and/or collections to memories. Tagging twice is a no-op.
+   */
+  async tag(userId, memoryIds, { tags = [], collections = [] } = {}) {
+    const { ids, tagList, targets } = await this._prepare(userId, memoryIds, tags, collections);
+
+    for (const memoryId of ids) {
+      for (const tag of tagList) {
+        await this.db.execute(
+          'INSERT OR IGNORE INTO memory_tags (id, memory_id, user_id, tag) VALUES (?, ?, ?, ?)',
+          [linkId('mtag', memoryId, tag), memoryId, userId, tag]
+        );
+      }
+      for (const collection of targets) {
+        await this.db.execute(
+          'INSERT OR IGNORE INTO memory_collections (id, memory_id, collection_id, user_id) VALUES (?, ?, ?, ?)',
+          [linkId('mcol', memoryId, collection.id), memoryId, collection.id, userId]
+        );
+      }
+    }
+
+    return this._changed(userId, ids, tagList, targets);
+  }
+
+  /**
+   * Detach tags and/or collections from memories.
+   */
+  async untag(userId, memoryIds, { tags = [], collections = [] } = {}) {
+    const { ids, tagList, targets } = await this._prepare(userId, memoryIds, tags, collections);
+    const idList = placeholders(ids.length);
+
+    if (tagList.length > 0) {
+      await this.db.execute(
+        `DELETE FROM memory_tags WHERE memory_id IN (${idList}) AND tag IN (${placeholders(tagList.length)})`,
+        [...ids, ...tagList]
+      );
+    }
+    if (targets.length > 0) {
+      await this.db.execute(
+        `DELETE FROM memory_collections WHERE memory_id IN (${idList}) AND collection_id IN (${placeholders(targets.length)})`,
+        [...ids, ...targets.map(c => c.id)]
+      );
+    }
+
+    return this._changed(userId, ids, tagList, targets);
+  }
+
+  /**
+   * Map(memoryId → { tags, collections }) for result enrichment.
+   */
+  async labelsFor(memoryIds) {
+    const labels = new Map(memoryIds.map(id => [id, { tags: [], collections: [] }]));
+    if (memoryIds.length === 0) return labels;
+
+    const idList = placeholders(memoryIds.length);
+    const tagRows = await this.db.query(
+      `SELECT memory_id, tag FROM memory_tags WHERE memory_id IN (${idList}) ORDER BY tag`,
+      memoryIds
+    );
+    for (const row of tagRows) labels.get(row.memory_id)?.tags.push(row.tag);
+
+    const collectionRows = await this.db.query(`
+      SELECT mc.memory_id, c.id, c.name
+      FROM memory_collections mc JOIN collections c ON c.id = mc.collection_id
+      WHERE mc.memory_id IN (${idList})
+      ORDER BY c.name
+    `, memoryIds);
+    for (const row of collectionRows) {
+      labels.get(row.memory_id)?.collections.push({ id: row.id, name: row.name });
+    }
+    return labels;
+  }
+
+  /**
+   * Give `targetId` every tag and collection of `sourceIds` (consolidation
+   * merges). The sources keep their own links: they sit in the trash and
+   * may be restored.
+   */
+  async reassign(sourceIds, targetId, userId) {
+    if (sourceIds.length === 0) return;
+    try {
+      const idList = placeholders(sourceIds.length);
+      const tagRows = await this.db.query(
+        `SELECT DISTINCT tag FROM memory_tags WHERE memory_id IN (${idList})`,
+        sourceIds
+      );
+      for (const { tag } of tagRows) {
+        await this.db.execute(
+          'INSERT OR IGNORE INTO memory_tags (id, memory_id, user_id, tag) VALUES (?, ?, ?, ?)',
+          [linkId('mtag', targetId, tag), targetId, userId, tag]
+        );
+      }
+      const collectionRows = await this.db.query(
+        `SELECT DISTINCT collection_id FROM memory_collections WHERE memory_id IN (${idList})`,
+        sourceIds
+      );
+      for (const { collection_id: collectionId } of collectionRows) {
+        await this.db.execute(
+          'INSERT OR IGNORE INTO memory_collections (id, memory_id, collection_id, user_id) VALUES (?, ?, ?, ?)',
+          [linkId('mcol', targetId, collectionId), targetId, collectionId, userId]
+        );
+      }
+    } catch (error) {
+      logger.warn('[TagService] reassign failed:', error.message);
+    }
+  }
+
+  /**
+   * Drop the links of permanently deleted memories.
+   */
+  async deleteFor(memoryIds) {
+    if (memoryIds.length === 0) return;
+    const idList = placeholders(memoryIds.length);
+    await this.db.execute(`DELETE FROM memory_tags WHERE memory_id IN (${idList})`, memoryIds);
+    await this.db.execute(`DELETE FROM memory_collections WHERE memory_id IN (${idList})`, memoryIds);
+  }
+
+  /**
+   * Drop links whose memory no longer exists (after bulk purges).
+   */
+  async pruneOrphans() {
+    try {
+      await this.db.execute('DELETE FROM memory_tags WHERE memory_id NOT IN (SELECT id FROM memory)');
+      await this.db.execute('DELETE FROM memory_collections WHERE memory_id NOT IN (SELECT id FROM memory)');
+    } catch (error) {
+      logger.error('[TagService] pruneOrphans failed:', error.message);
+    }
+  }
+
+  /**
+   * Validate a tag/untag request: memories must exist (and not be trashed),
+   * collections must exist, and at least one tag or collection is needed.
+   */
+  async _prepare(userId, memoryIds, tags, collections) {
+    const ids = toList(memoryIds);
+    if (ids.length === 0) {
+      throw new Error('Invalid memoryIds: expected at least one memory id');
+    }
+    const tagList = [...new Set(toList(tags).map(normalizeTag))];
+    const targets = await this.resolveCollections(userId, collections);
+    if (tagList.length === 0 && targets.length === 0) {
+      throw new Error('Invalid labels: expected at least one tag or collection');
+    }
+
+    const where = new Conditions()
+      .add('user_id = ?', userId)
+      .add('deleted_at IS NULL')
+      .in('id', ids);
+    const found = new Set((await this.db.query(`SELECT id FROM memory ${where.toWhere()}`, where.params)).map(r => r.id));
+    const missing = ids.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      throw new Error(`Memory not found: ${missing.join(', ')}`);
+    }
+    return { ids, tagList, targets };
+  }
+
+  /**
+   * Record the new labels of each changed memory in the change feed and
+   * return them.
+   */
+  async _changed(userId, ids, tagList, targets) {
+    const labels = await this.labelsFor(ids);
+    for (const memoryId of ids) {
+      await this.changes.record('memory', 'update', memoryId, { userId, data: labels.get(memoryId) });
+    }
+    return {
+      memoryIds: ids,
+      tags: tagList,
+      collections: targets,
+      labels: Object.fromEntries(labels)
+    };
+  }
+}
+
+let _instance = null;
+export function getTagService() {
+  if (!_instance) _instance = new TagService();
+  return _instance;
+}
+
+export default TagService;
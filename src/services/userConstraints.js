@@ -1,6 +1,8 @@
 import { getDatabaseService } from './database.js';
 import { createHash } from 'crypto';
 import logger from '../utils/logger.js';
+import { getChangeFeedService } from './changeFeed.js';
+import { Conditions, raw } from '../utils/sql.js';
 
 function hashPin(pin) {
   return createHash('sha256').update(String(pin).toUpperCase().trim()).digest('hex');
@@ -20,8 +22,6 @@ function hashPin(pin) {
 // Schema: user_constraints(id, scope, rule, blocks, severity, ...)
 // ---------------------------------------------------------------------------
 
-const SQ = "'";
-
 function generateId() {
   return `uc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
@@ -29,6 +29,7 @@ function generateId() {
 class UserConstraintsService {
   constructor() {
     this.db = getDatabaseService();
+    this.changes = getChangeFeedService();
   }
 
   /**
@@ -41,30 +42,23 @@ class UserConstraintsService {
     const { scope = 'global', blocks = null, severity = 'hard', pin = null } = opts;
     if (!rule) throw new Error('rule is required');
 
-    const safeRule     = String(rule).replace(/'/g, SQ + SQ);
-    const safeScope    = String(scope).replace(/'/g, SQ + SQ);
     const safeSeverity = severity === 'soft' ? 'soft' : 'hard';
-    const blocksJson   = blocks
-      ? `'${JSON.stringify(blocks).replace(/'/g, SQ + SQ)}'`
-      : 'NULL';
-    const pinHash    = pin ? hashPin(pin) : null;
-    const pinHashSql = pinHash ? `'${pinHash}'` : 'NULL';
 
     try {
       const id = generateId();
-      await this.db.execute(`
-        INSERT INTO user_constraints (id, scope, rule, blocks, severity, override_pin, created_at, updated_at)
-        VALUES (
-          '${id}',
-          '${safeScope}',
-          '${safeRule}',
-          ${blocksJson},
-          '${safeSeverity}',
-          ${pinHashSql},
-          now(),
-          now()
-        )
-      `);
+      await this.db.insert('user_constraints', {
+        id,
+        scope: String(scope),
+        rule: String(rule),
+        blocks: blocks ? JSON.stringify(blocks) : null,
+        severity: safeSeverity,
+        override_pin: pin ? hashPin(pin) : null,
+        created_at: raw('now()'),
+        updated_at: raw('now()')
+      });
+      await this.changes.record('user_constraints', 'insert', id, {
+        data: { scope: String(scope), rule: String(rule), severity: safeSeverity, blocks }
+      });
       logger.debug(`[UserConstraintsService] added constraint id="${id}" scope="${scope}" severity="${safeSeverity}" pin=${pin ? 'yes' : 'no'}`);
       return { id, scope, rule, severity: safeSeverity, pinProtected: Boolean(pin) };
     } catch (error) {
@@ -89,16 +83,15 @@ class UserConstraintsService {
   async check(actionPatterns = [], opts = {}) {
     const { scope = null, message = null, pinAttempt = null } = opts;
     const pinAttemptHash = pinAttempt ? hashPin(pinAttempt) : null;
-    const scopeFilter = scope
-      ? `AND scope IN ('global', '${String(scope).replace(/'/g, SQ + SQ)}')`
-      : '';
+    const where = new Conditions();
+    if (scope) where.in('scope', ['global', String(scope)]);
 
     try {
       const rows = await this.db.query(`
         SELECT * FROM user_constraints
-        WHERE 1=1 ${scopeFilter}
+        ${where.toWhere()}
         ORDER BY severity DESC, created_at ASC
-      `);
+      `, where.params);
 
       const matched = [];
 
@@ -197,12 +190,12 @@ class UserConstraintsService {
    */
   async list(opts = {}) {
     const { scope } = opts;
-    const scopeFilter = scope
-      ? `WHERE scope = '${String(scope).replace(/'/g, SQ + SQ)}'`
-      : '';
+    const where = new Conditions();
+    if (scope) where.add('scope = ?', String(scope));
     try {
       const rows = await this.db.query(
-        `SELECT * FROM user_constraints ${scopeFilter} ORDER BY severity DESC, created_at ASC`
+        `SELECT * FROM user_constraints ${where.toWhere()} ORDER BY severity DESC, created_at ASC`,
+        where.params
       );
       return rows.map(r => ({
         id:           r.id,
@@ -223,13 +216,11 @@ class UserConstraintsService {
    */
   async remove(id) {
     if (!id) throw new Error('id is required');
-    const safeId = String(id).replace(/'/g, SQ + SQ);
     try {
-      await this.db.execute(
-        `DELETE FROM user_constraints WHERE id = '${safeId}'`
-      );
-      logger.debug(`[UserConstraintsService] removed id="${safeId}"`);
-      return { deleted: true, id: safeId };
+      await this.db.execute('DELETE FROM user_constraints WHERE id = ?', [String(id)]);
+      await this.changes.record('user_constraints', 'delete', String(id));
+      logger.debug(`[UserConstraintsService] removed id="${id}"`);
+      return { deleted: true, id: String(id) };
     } catch (error) {
       logger.error('[UserConstraintsService] remove failed:', error.message);
       throw error;
@@ -243,32 +234,30 @@ class UserConstraintsService {
   async update(id, updates) {
     if (!id) throw new Error('id is required');
     const allowed = ['rule', 'severity', 'scope', 'blocks'];
-    const setPairs = [];
+    const changes = {};
 
     for (const [key, value] of Object.entries(updates)) {
       if (!allowed.includes(key)) continue;
       if (value === undefined) continue;
 
       if (key === 'blocks') {
-        setPairs.push(`blocks = ${value ? `'${JSON.stringify(value).replace(/'/g, SQ + SQ)}'` : 'NULL'}`);
+        changes.blocks = value ? JSON.stringify(value) : null;
       } else {
-        setPairs.push(`${key} = '${String(value).replace(/'/g, SQ + SQ)}'`);
+        changes[key] = String(value);
       }
     }
 
-    if (setPairs.length === 0) {
+    if (Object.keys(changes).length === 0) {
       throw new Error('No valid fields to update');
     }
 
-    setPairs.push(`updated_at = now()`);
-    const safeId = String(id).replace(/'/g, SQ + SQ);
+    changes.updated_at = raw('now()');
 
     try {
-      await this.db.execute(`
-        UPDATE user_constraints
-        SET ${setPairs.join(', ')}
-        WHERE id = '${safeId}'
-      `);
+      await this.db.update('user_constraints', changes, new Conditions().add('id = ?', String(id)));
+      const data = { ...changes };
+      delete data.updated_at;
+      await this.changes.record('user_constraints', 'update', String(id), { data });
       logger.info(`[UserConstraintsService] updated constraint ${id}`);
       return { updated: true, id };
     } catch (error) {
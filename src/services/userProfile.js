@@ -1,6 +1,7 @@
 import { getDatabaseService } from './database.js';
 import logger from '../utils/logger.js';
 import { encryptValue, isBridgeAvailable } from './cryptoBridgeClient.js';
+import { Conditions, raw } from '../utils/sql.js';
 
 // ---------------------------------------------------------------------------
 // UserProfileService — per-user identity facts and per-service credential
@@ -13,8 +14,6 @@ import { encryptValue, isBridgeAvailable } from './cryptoBridgeClient.js';
 // Schema: user_profile(id, key, value_ref, sensitive, service, label, ...)
 // ---------------------------------------------------------------------------
 
-const SQ = '\'';
-
 function generateId() {
   return `up_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
@@ -32,48 +31,37 @@ class UserProfileService {
     const { sensitive = 0, service = null, label = null } = opts;
     if (!key || !valueRef) throw new Error('key and valueRef are required');
 
-    const safeKey   = key.replace(/'/g, SQ + SQ).toLowerCase().trim();
-    const safeValue = String(valueRef).replace(/'/g, SQ + SQ);
-    const safeService = service
-      ? `'${String(service).replace(/'/g, SQ + SQ).toLowerCase()}'`
-      : 'NULL';
-    const safeLabel = label
-      ? `'${String(label).replace(/'/g, SQ + SQ)}'`
-      : 'NULL';
+    const safeKey = String(key).toLowerCase().trim();
+    const fields = {
+      value_ref: String(valueRef),
+      sensitive: sensitive ? 1 : 0,
+      service:   service ? String(service).toLowerCase() : null,
+      label:     label ? String(label) : null,
+    };
 
     try {
       const existing = await this.db.query(
-        `SELECT id FROM user_profile WHERE key = '${safeKey}'`
+        'SELECT id FROM user_profile WHERE key = ?', [safeKey]
       );
 
       if (existing.length > 0) {
-        await this.db.execute(`
-          UPDATE user_profile
-          SET value_ref = '${safeValue}',
-              sensitive = ${sensitive ? 1 : 0},
-              service   = ${safeService},
-              label     = ${safeLabel},
-              updated_at = now()
-          WHERE key = '${safeKey}'
-        `);
+        await this.db.update(
+          'user_profile',
+          { ...fields, updated_at: raw('now()') },
+          new Conditions().add('key = ?', safeKey)
+        );
         logger.debug(`[UserProfileService] updated key="${safeKey}"`);
         return { id: existing[0].id, key: safeKey, created: false };
       }
 
       const id = generateId();
-      await this.db.execute(`
-        INSERT INTO user_profile (id, key, value_ref, sensitive, service, label, created_at, updated_at)
-        VALUES (
-          '${id}',
-          '${safeKey}',
-          '${safeValue}',
-          ${sensitive ? 1 : 0},
-          ${safeService},
-          ${safeLabel},
-          now(),
-          now()
-        )
-      `);
+      await this.db.insert('user_profile', {
+        id,
+        key: safeKey,
+        ...fields,
+        created_at: raw('now()'),
+        updated_at: raw('now()')
+      });
       logger.debug(`[UserProfileService] inserted key="${safeKey}"`);
       return { id, key: safeKey, created: true };
     } catch (error) {
@@ -90,10 +78,10 @@ class UserProfileService {
    */
   async get(key) {
     if (!key) return null;
-    const safeKey = key.replace(/'/g, SQ + SQ).toLowerCase().trim();
+    const safeKey = String(key).toLowerCase().trim();
     try {
       const rows = await this.db.query(
-        `SELECT * FROM user_profile WHERE key = '${safeKey}' LIMIT 1`
+        'SELECT * FROM user_profile WHERE key = ? LIMIT 1', [safeKey]
       );
       if (rows.length === 0) return null;
       const row = this._row(rows[0]);
@@ -124,12 +112,12 @@ class UserProfileService {
    */
   async list(opts = {}) {
     const { service } = opts;
-    const serviceFilter = service
-      ? `WHERE service = '${String(service).replace(/'/g, SQ + SQ).toLowerCase()}'`
-      : '';
+    const where = new Conditions();
+    if (service) where.add('service = ?', String(service).toLowerCase());
     try {
       const rows = await this.db.query(
-        `SELECT * FROM user_profile ${serviceFilter} ORDER BY service, key`
+        `SELECT * FROM user_profile ${where.toWhere()} ORDER BY service, key`,
+        where.params
       );
       return rows.map(r => this._row(r));
     } catch (error) {
@@ -143,10 +131,10 @@ class UserProfileService {
    */
   async delete(key) {
     if (!key) throw new Error('key is required');
-    const safeKey = key.replace(/'/g, SQ + SQ).toLowerCase().trim();
+    const safeKey = String(key).toLowerCase().trim();
     try {
       await this.db.execute(
-        `DELETE FROM user_profile WHERE key = '${safeKey}'`
+        'DELETE FROM user_profile WHERE key = ?', [safeKey]
       );
       logger.debug(`[UserProfileService] deleted key="${safeKey}"`);
       return { deleted: true, key: safeKey };
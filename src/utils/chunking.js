@@ -0,0 +1,106 @@
+// ---------------------------------------------------------------------------
+// Document chunking.
+//
+// document.ingest splits long text into overlapping chunks that each fit a
+// memory row (and, roughly, the embedding model's context). Chunks end at
+// the best boundary in the back half of the window — paragraph, then
+// sentence, then word — and the next chunk starts `overlap` characters
+// earlier so a passage cut at a boundary is still whole in one of them.
+// Offsets refer to the original text.
+// ---------------------------------------------------------------------------
+
+const BOUNDARIES = [/\n\s*\n/g, /[.!?]["')\]]?\s/g, /\s/g];
+
+// Words too common to be worth highlighting
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one', 'our',
+  'out', 'has', 'him', 'his', 'how', 'its', 'who', 'did', 'get', 'got', 'what', 'when', 'where', 'which',
+  'with', 'that', 'this', 'from', 'they', 'have', 'were', 'will', 'about', 'there', 'their', 'would',
+  'could', 'should', 'into', 'than', 'then', 'them', 'been', 'does', 'said',
+]);
+
+/**
+ * End of the last boundary match inside text[from, to), or -1.
+ */
+function lastBoundary(text, from, to, pattern) {
+  pattern.lastIndex = from;
+  let found = -1;
+  let match;
+  while ((match = pattern.exec(text)) !== null && match.index < to) {
+    found = match.index + match[0].length;
+    if (match[0].length === 0) pattern.lastIndex++;
+  }
+  return found > from ? Math.min(found, to) : -1;
+}
+
+/**
+ * Split `text` into [{ index, text, start, end }]. `size` is the maximum
+ * chunk length in characters; `overlap` must be smaller than half of it.
+ */
+export function chunkText(text, { size = 1000, overlap = 150 } = {}) {
+  if (!Number.isInteger(size) || size < 100) {
+    throw new Error('Invalid chunkSize: must be an integer of at least 100');
+  }
+  if (!Number.isInteger(overlap) || overlap < 0 || overlap * 2 >= size) {
+    throw new Error('Invalid chunkOverlap: must be a non-negative integer below half the chunk size');
+  }
+
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+    if (end < text.length) {
+      const floor = start + Math.floor(size / 2);
+      for (const pattern of BOUNDARIES) {
+        const boundary = lastBoundary(text, floor, end, pattern);
+        if (boundary > 0) {
+          end = boundary;
+          break;
+        }
+      }
+    }
+
+    // Trim whitespace but keep offsets pointing into the original text
+    let from = start;
+    let to = end;
+    while (from < to && /\s/.test(text[from])) from++;
+    while (to > from && /\s/.test(text[to - 1])) to--;
+    if (to > from) {
+      chunks.push({ index: chunks.length, text: text.slice(from, to), start: from, end: to });
+    }
+    if (end >= text.length) break;
+
+    // Step back by the overlap, then forward to the start of a word
+    let next = Math.max(end - overlap, start + 1);
+    while (next > start + 1 && next < end && !/\s/.test(text[next - 1])) next++;
+    start = next;
+  }
+  return chunks;
+}
+
+/**
+ * The distinct words of `query` worth matching: lowercased, three letters
+ * or more, stopwords skipped.
+ */
+export function queryTerms(query) {
+  return [...new Set(String(query || '').toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'-]{2,}/gu) || [])]
+    .filter(term => !STOPWORDS.has(term));
+}
+
+/**
+ * [start, end) ranges in `text` where a word of `query` appears
+ * (case-insensitive, see queryTerms).
+ */
+export function highlightTerms(text, query) {
+  const terms = queryTerms(query);
+  if (terms.length === 0) return [];
+
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  const ranges = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
@@ -0,0 +1,136 @@
+// ---------------------------------------------------------------------------
+// Rule-based conversational query classification.
+//
+// A cascade of English regexes with fixed confidences: POSITIONAL ("what did
+// I say first?"), TOPICAL ("what did we discuss about ..."), OVERVIEW
+// ("summarize our conversation") or GENERAL. Without a session that has
+// message history, only very strong markers count as conversational.
+//
+// QueryClassifierService uses this as one feature next to its learned
+// prototypes, and as the whole answer when no embeddings are available.
+// ---------------------------------------------------------------------------
+
+export const QUERY_CLASSES = ['POSITIONAL', 'TOPICAL', 'OVERVIEW', 'GENERAL'];
+
+/**
+ * Classify `query` with the regex rules. `options.context` / `sessionId`
+ * describe the conversation (sessionId, messageCount, hasHistory).
+ */
+export function classifyByRules(query, options = {}) {
+  const queryLower = query.toLowerCase();
+  const context = options.context || {};
+  
+  // Check if conversation context exists
+  const hasSessionContext = !!(context.sessionId || options.sessionId);
+  const hasMessageHistory = context.messageCount > 0 || context.hasHistory;
+  const hasConversationContext = hasSessionContext && hasMessageHistory;
+
+  // Conversational pronouns that reference shared context
+  const conversationalPronouns = /\b(we|our|you said|i said|you mentioned|you told|i asked|we discussed|we talked|we covered)\b/i;
+  
+  // Anaphoric references (pointing back to previous discourse)
+  const anaphoricReferences = /\b(that|this|it|those|these)\b.*\b(we|you|i)\b/i;
+  const demonstratives = /\b(that thing|this topic|those points|these ideas)\b/i;
+  
+  // Temporal references WITH conversational context
+  const temporalConversational = /\b(earlier|before|previously|just now|a moment ago|you just)\b.*\b(said|mentioned|told|discussed|explained)\b/i;
+  const temporalConversationalReverse = /\b(said|mentioned|told|discussed|explained)\b.*\b(earlier|before|previously|just now|a moment ago)\b/i;
+  
+  // Positional patterns - ONLY with conversational pronouns
+  const positionalWithContext = [
+    /\b(first|last|initial|latest)\b.*\b(we|you|i)\b.*\b(said|mentioned|discussed|talked)\b/i,
+    /\b(what did (i|we|you))\b.*\b(say|ask|discuss|mention|talk about)\b/i,
+    /\b(beginning|start|end)\b.*\b(of (our|the) (conversation|discussion|chat))\b/i,
+    /\b(go back to|return to|back to)\b.*\b(what (we|you|i))\b/i
+  ];
+
+  // Topical patterns - ONLY about OUR conversation
+  const topicalWithContext = [
+    /\b(what (did|have) (we|i|you))\b.*\b(discuss|talk about|cover|chat about)\b/i,
+    /\b(topics|things|points|issues)\b.*\b((we|i|you) (discussed|covered|mentioned|talked about))\b/i,
+    /\b(our (conversation|discussion|chat))\b.*\b(about|regarding|concerning)\b/i
+  ];
+
+  // Overview patterns - ONLY about THIS conversation
+  const overviewWithContext = [
+    /\b(summarize|recap|sum up|overview of)\b.*\b(our|this|the)\b.*\b(conversation|discussion|chat)\b/i,
+    /\b(what (did|have) (we|i|you))\b.*\b(chat|talk)\b.*\babout\b/i,
+    /\b(give me (a|an))\b.*\b(summary|recap|overview)\b.*\b(of (our|this|the) (conversation|discussion))\b/i
+  ];
+
+  // Discourse markers indicating reference to previous statements
+  const discourseMarkers = /\b(like (you|i) (said|mentioned)|as (you|i) (mentioned|said|explained)|you were saying|i was saying)\b/i;
+
+  let classification = 'GENERAL';
+  let confidence = 0.5;
+  let reasoning = 'No conversational context or patterns detected';
+
+  // If no conversation context exists, be very strict
+  if (!hasConversationContext) {
+    // Only classify as conversational if there are VERY strong signals
+    if (discourseMarkers.test(queryLower) || 
+        conversationalPronouns.test(queryLower) && (temporalConversational.test(queryLower) || temporalConversationalReverse.test(queryLower))) {
+      classification = 'POSITIONAL';
+      confidence = 0.70;
+      reasoning = 'Strong conversational markers present, but no session context available';
+    } else {
+      confidence = 0.95;
+      reasoning = 'No conversation context exists - treating as general query';
+    }
+  } else {
+    // We have conversation context - check patterns
+    
+    // Check for discourse markers first (strongest signal)
+    if (discourseMarkers.test(queryLower)) {
+      classification = 'POSITIONAL';
+      confidence = 0.98;
+      reasoning = 'Explicit discourse marker referencing previous conversation';
+    }
+    // Positional with context
+    else if (positionalWithContext.some(p => p.test(queryLower)) || 
+             (temporalConversational.test(queryLower) || temporalConversationalReverse.test(queryLower))) {
+      classification = 'POSITIONAL';
+      confidence = 0.95;
+      reasoning = 'Positional reference to conversation history with context';
+    }
+    // Topical with context
+    else if (topicalWithContext.some(p => p.test(queryLower))) {
+      classification = 'TOPICAL';
+      confidence = 0.92;
+      reasoning = 'Query asks about topics discussed in our conversation';
+    }
+    // Overview with context
+    else if (overviewWithContext.some(p => p.test(queryLower))) {
+      classification = 'OVERVIEW';
+      confidence = 0.90;
+      reasoning = 'Query requests summary of our conversation';
+    }
+    // Anaphoric references with conversational pronouns
+    else if ((anaphoricReferences.test(queryLower) || demonstratives.test(queryLower)) && 
+             conversationalPronouns.test(queryLower)) {
+      classification = 'POSITIONAL';
+      confidence = 0.85;
+      reasoning = 'Anaphoric reference to previous conversation content';
+    }
+    // Has conversation context but no strong patterns
+    else if (conversationalPronouns.test(queryLower)) {
+      classification = 'GENERAL';
+      confidence = 0.60;
+      reasoning = 'Conversational pronouns present but no clear reference to conversation history';
+    }
+  }
+
+  const isConversational = classification !== 'GENERAL';
+
+  return {
+    isConversational,
+    confidence,
+    classification,
+    reasoning,
+    contextInfo: {
+      hasSessionContext,
+      hasMessageHistory,
+      hasConversationContext
+    }
+  };
+}
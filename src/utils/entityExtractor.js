@@ -0,0 +1,327 @@
+import { resolveTimePhrase } from './timePhrases.js';
+
+// ---------------------------------------------------------------------------
+// Rule-based entity extraction.
+//
+// Used when memory.store is called without `entities`, so every memory can
+// still be matched by the entity signal in hybrid search and linked into the
+// entity graph. Regexes only — no model, no dependencies.
+//
+//   type          entity_type  normalized value
+//   url           URL          parsed href (lower-case host)
+//   email         EMAIL        lower case
+//   date          DATE         ISO date, YYYY-MM-DD
+//   time          TIME         24h HH:MM
+//   file          FILE         the path as written
+//   money         MONEY        '<amount> <ISO currency>', e.g. '1200 USD'
+//   phone         PHONE        E.164, e.g. +14155552671
+//   person        PERSON       name as written, single-spaced
+//   organization  ORG          name as written, single-spaced
+//
+// Extractors run in that order and a later one never claims text an
+// earlier one already matched (a date inside a URL stays part of the URL).
+// Relative dates ("tomorrow", "next friday") are resolved against `now`.
+// Numbers without a country code are read as PHONE_DEFAULT_COUNTRY_CODE
+// (default 1) when they have that plan's length (10 digits for +1).
+// ---------------------------------------------------------------------------
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+const FILE_EXTENSIONS = 'pdf|docx?|xlsx?|pptx?|txt|md|csv|tsv|json|ya?ml|xml|js|mjs|ts|jsx|tsx|py|rb|go|rs|java|kt|swift|c|cc|cpp|h|hpp|cs|php|sh|sql|html?|css|scss|png|jpe?g|gif|svg|webp|heic|zip|tar|gz|tgz|7z|mp3|wav|mp4|mov|mkv|key|pages|numbers|log|ini|cfg|conf|env|lock';
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+const CURRENCY_WORDS = {
+  usd: 'USD', dollars: 'USD', dollar: 'USD', bucks: 'USD',
+  eur: 'EUR', euros: 'EUR', euro: 'EUR',
+  gbp: 'GBP', pounds: 'GBP', pound: 'GBP',
+  jpy: 'JPY', yen: 'JPY',
+  cad: 'CAD', aud: 'AUD', chf: 'CHF', inr: 'INR', rupees: 'INR',
+};
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6, bn: 1e9, b: 1e9, billion: 1e9 };
+
+const ORG_SUFFIXES = /\b(inc|corp|corporation|llc|ltd|limited|co|company|group|labs?|technologies|technology|systems|solutions|software|holdings|partners|foundation|university|college|institute|bank|capital|ventures|studios?|agency|associates|gmbh|ag|sa|plc)\.?$/i;
+const ORG_CONTEXT = /\b(works? (at|for)|working (at|for)|worked (at|for)|employed (at|by)|joined|hired by|job at|interview(ing|ed)? (at|with)|customer of|client of)\s+$/i;
+const PERSON_CONTEXT = /\b(with|met|meet|meeting|ask|asked|tell|told|call|called|email|emailed|text|texted|from|and|by|thank|thanks|cc|remind|invite|invited|named|called|dear|hi|hey)\s+$/i;
+const PERSON_TITLES = /^(mr|mrs|ms|miss|dr|prof|sir|madam)\.?\s+/i;
+
+// Capitalized words that are not names
+const STOPWORDS = new Set([
+  'i', 'a', 'an', 'the', 'my', 'our', 'your', 'his', 'her', 'their', 'its', 'we', 'you', 'he', 'she', 'they', 'it',
+  'this', 'that', 'these', 'those', 'there', 'here', 'what', 'when', 'where', 'who', 'why', 'how', 'which',
+  'if', 'and', 'or', 'but', 'so', 'also', 'then', 'yes', 'no', 'ok', 'okay', 'please', 'thanks', 'hi', 'hey', 'hello',
+  'today', 'tomorrow', 'yesterday', 'tonight', 'next', 'last', 'this', 'every', 'on', 'at', 'in', 'for', 'to', 'from',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  ...MONTHS, 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+  'met', 'meet', 'ask', 'asked', 'tell', 'told', 'call', 'called', 'email', 'emailed', 'text', 'texted',
+  'thank', 'remind', 'invite', 'invited', 'dear',
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'don\'t', 'can\'t', 'won\'t', 'remember', 'note', 'todo', 'fyi', 'asap', 'eta',
+  'am', 'pm', 'usd', 'eur', 'gbp', 'jpy', 'id', 'pin', 'wifi', 'tv', 'ai', 'api', 'url', 'pdf', 'faq',
+]);
+
+function overlaps(start, end, taken) {
+  return taken.some(([s, e]) => start < e && end > s);
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function isoDate(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function localIso(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function monthIndex(name) {
+  const prefix = name.toLowerCase().slice(0, 3);
+  return MONTHS.findIndex(m => m.startsWith(prefix)) + 1;
+}
+
+function fullYear(year) {
+  const n = parseInt(year, 10);
+  return year.length <= 2 ? 2000 + n : n;
+}
+
+/**
+ * E.164 form of a phone number, or null when it can't be determined.
+ */
+export function normalizePhone(raw, defaultCountryCode = process.env.PHONE_DEFAULT_COUNTRY_CODE || '1') {
+  const digits = raw.replace(/\D/g, '');
+  if (raw.trim().startsWith('+') || raw.trim().startsWith('00')) {
+    const international = raw.trim().startsWith('00') ? digits.slice(2) : digits;
+    return international.length >= 8 && international.length <= 15 ? `+${international}` : null;
+  }
+  const code = String(defaultCountryCode).replace(/\D/g, '');
+  if (code === '1') {
+    if (digits.length === 10 && /^[2-9]/.test(digits)) return `+1${digits}`;
+    if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+    return null;
+  }
+  // Other plans: drop a trunk 0 and prefix the country code
+  const national = digits.replace(/^0/, '');
+  return national.length >= 7 && national.length + code.length <= 15 ? `+${code}${national}` : null;
+}
+
+/**
+ * '1,200.50' + 'k' → 1200500
+ */
+function parseAmount(number, multiplier) {
+  const value = parseFloat(number.replace(/,/g, ''));
+  if (!Number.isFinite(value)) return null;
+  const scale = multiplier ? MULTIPLIERS[multiplier.toLowerCase()] || 1 : 1;
+  return Math.round(value * scale * 100) / 100;
+}
+
+/**
+ * Each rule: regex (global) + to(match) → { type, normalized, value? } | null.
+ */
+function rules(now) {
+  return [
+    {
+      type: 'url', entityType: 'URL',
+      regex: /\b(?:https?:\/\/|www\.)[^\s<>"'()[\]{}]+/gi,
+      to(m) {
+        const value = m[0].replace(/[.,;:!?]+$/, '');
+        try {
+          const url = new URL(/^www\./i.test(value) ? `https://${value}` : value);
+          return { value, normalized: url.href };
+        } catch (_) {
+          return null;
+        }
+      },
+    },
+    {
+      type: 'email', entityType: 'EMAIL',
+      regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+      to: m => ({ normalized: m[0].toLowerCase() }),
+    },
+    {
+      type: 'date', entityType: 'DATE',
+      regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g,
+      to: m => ({ normalized: isoDate(+m[1], +m[2], +m[3]) }),
+    },
+    {
+      // US order: 6/11/2025, 6/11/25
+      type: 'date', entityType: 'DATE',
+      regex: /\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/g,
+      to: m => ({ normalized: isoDate(fullYear(m[3]), +m[1], +m[2]) }),
+    },
+    {
+      // March 3rd, March 3, 2025, Mar 3
+      type: 'date', entityType: 'DATE',
+      regex: new RegExp(`\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'gi'),
+      to: m => ({ normalized: isoDate(m[3] ? +m[3] : now.getFullYear(), monthIndex(m[1]), +m[2]) }),
+    },
+    {
+      // 3 March 2025, 3rd of March
+      type: 'date', entityType: 'DATE',
+      regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+of)?\\s+${MONTH_PATTERN}\\b(?:,?\\s+(\\d{4}))?`, 'gi'),
+      to: m => ({ normalized: isoDate(m[3] ? +m[3] : now.getFullYear(), monthIndex(m[2]), +m[1]) }),
+    },
+    {
+      type: 'date', entityType: 'DATE',
+      regex: /\b(today|tonight|tomorrow|yesterday|(?:next |this )?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday))\b/gi,
+      to(m) {
+        const phrase = m[1].toLowerCase();
+        if (phrase === 'yesterday') {
+          const day = new Date(now);
+          day.setDate(day.getDate() - 1);
+          return { normalized: localIso(day) };
+        }
+        const date = resolveTimePhrase(phrase, now);
+        return date ? { normalized: localIso(date) } : null;
+      },
+    },
+    {
+      type: 'time', entityType: 'TIME',
+      regex: /\b(\d{1,2})(?::([0-5]\d))?\s*([ap])\.?m\.?(?![a-z])/gi,
+      to(m) {
+        let hour = +m[1];
+        if (hour < 1 || hour > 12) return null;
+        if (m[3].toLowerCase() === 'p' && hour !== 12) hour += 12;
+        if (m[3].toLowerCase() === 'a' && hour === 12) hour = 0;
+        return { normalized: `${pad(hour)}:${m[2] || '00'}` };
+      },
+    },
+    {
+      type: 'time', entityType: 'TIME',
+      regex: /\b([01]?\d|2[0-3]):([0-5]\d)\b/g,
+      to: m => ({ normalized: `${pad(+m[1])}:${m[2]}` }),
+    },
+    {
+      type: 'time', entityType: 'TIME',
+      regex: /\b(noon|midday|midnight)\b/gi,
+      to: m => ({ normalized: m[1].toLowerCase() === 'midnight' ? '00:00' : '12:00' }),
+    },
+    {
+      // /usr/local/bin, ~/notes/todo.md, ./src/app.js, C:\Users\me\file.txt
+      type: 'file', entityType: 'FILE',
+      regex: /(?<![\w/\\.:])(?:[A-Za-z]:\\|~\/|\.{1,2}\/|\/)(?:[\w.@-]+[\\/])*[\w.@-]+/g,
+      to(m) {
+        const value = m[0].replace(/[.,;:!?]+$/, '');
+        // A lone '/word' is more likely prose ("and/or", "/s") than a path
+        return /[\\/].*[\\/]|\.\w+$/.test(value) ? { value, normalized: value } : null;
+      },
+    },
+    {
+      type: 'file', entityType: 'FILE',
+      regex: new RegExp(`\\b[\\w-]+(?:\\.[\\w-]+)*\\.(?:${FILE_EXTENSIONS})\\b`, 'gi'),
+      to: m => ({ normalized: m[0] }),
+    },
+    {
+      type: 'money', entityType: 'MONEY',
+      regex: /([$€£¥₹])\s?(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)(?:\s?(k|m|mm|bn|thousand|million|billion)\b)?/gi,
+      to(m) {
+        const amount = parseAmount(m[2], m[3]);
+        return amount === null ? null : { normalized: `${amount} ${CURRENCY_SYMBOLS[m[1]]}` };
+      },
+    },
+    {
+      type: 'money', entityType: 'MONEY',
+      regex: /\b(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)\s?(k|m|thousand|million|billion)?\s?(usd|dollars?|bucks|eur|euros?|gbp|pounds?|jpy|yen|cad|aud|chf|inr|rupees)\b/gi,
+      to(m) {
+        const amount = parseAmount(m[1], m[2]);
+        return amount === null ? null : { normalized: `${amount} ${CURRENCY_WORDS[m[3].toLowerCase()]}` };
+      },
+    },
+    {
+      type: 'phone', entityType: 'PHONE',
+      regex: /(?<![\w+(])(?:(?:\+|00)\d{1,4}[\s.-]?|1[\s.-])?\(?\d{2,4}\)?[\s.-]?\d{3,4}[\s.-]?\d{3,4}(?!\w)/g,
+      to(m) {
+        const normalized = normalizePhone(m[0]);
+        return normalized ? { value: m[0].trim(), normalized } : null;
+      },
+    },
+  ];
+}
+
+/**
+ * Capitalized name candidates: runs of Capitalized words (optionally with
+ * a title) that are not stopwords. A lone word only counts when the words
+ * before it suggest a person ("met Dana") or an employer ("works at Acme");
+ * runs of two or more words always count.
+ */
+function extractNames(text, taken) {
+  const found = [];
+  const regex = /\b(?:(?:Mr|Mrs|Ms|Dr|Prof)\.?\s+)?[A-Z][a-zA-Z'’-]*[a-z][a-zA-Z'’-]*(?:\s+(?:[A-Z][a-zA-Z'’-]*[a-z][a-zA-Z'’-]*|&|of|de|van|von)(?=\s|$|[^\w]))*(?:\s+[A-Z][a-zA-Z'’-]*[a-z][a-zA-Z'’-]*)?|\b[A-Z]{2,6}\b/g;
+  let m;
+  while ((m = regex.exec(text)) !== null) {
+    let value = m[0].replace(/['’]s$/, '').trim();
+    // Trailing connector words are not part of the name
+    value = value.replace(/\s+(?:&|of|de|van|von)$/, '');
+    const start = m.index;
+    const end = start + value.length;
+    if (overlaps(start, end, taken)) continue;
+
+    const title = value.match(PERSON_TITLES)?.[0] || '';
+    const words = value.slice(title.length).split(/\s+/);
+    // Drop leading stopwords ("The", "My", "Met") one by one; they still count as context
+    const dropped = [];
+    while (words.length > 0 && STOPWORDS.has(words[0].toLowerCase())) dropped.push(words.shift());
+    if (words.length === 0) continue;
+    const name = words.join(' ');
+
+    const before = text.slice(Math.max(0, start - 40), start) + title + dropped.map(word => `${word} `).join('');
+    const acronym = /^[A-Z]{2,6}$/.test(name);
+    const titled = title !== '';
+    let type = null;
+    if (ORG_SUFFIXES.test(name) || (ORG_CONTEXT.test(before) && !titled) || acronym) {
+      type = 'organization';
+    } else if (titled || words.length >= 2 || PERSON_CONTEXT.test(before)) {
+      type = 'person';
+    }
+    if (!type) continue;
+
+    // Acronyms need a context clue too; all-caps words are usually emphasis
+    if (acronym && !ORG_CONTEXT.test(before) && !/\b(at|for|with|from|joined)\s+$/i.test(before)) continue;
+
+    found.push({ type, value: name, start, end });
+  }
+  return found;
+}
+
+/**
+ * Entities in `text`, ready for MemoryService (type, value, entity_type,
+ * normalized, source: 'extracted'). De-duplicated by type + normalized value.
+ */
+export function extractEntities(text, { now = new Date() } = {}) {
+  if (!text || typeof text !== 'string') return [];
+
+  const taken = [];
+  const entities = [];
+  const seen = new Set();
+  const add = (type, entityType, value, normalized) => {
+    const key = `${type}:${normalized}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    entities.push({ type, value, entity_type: entityType, normalized, source: 'extracted' });
+  };
+
+  for (const rule of rules(now)) {
+    let m;
+    rule.regex.lastIndex = 0;
+    while ((m = rule.regex.exec(text)) !== null) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (overlaps(start, end, taken)) continue;
+      const result = rule.to(m);
+      if (!result || !result.normalized) continue;
+      taken.push([start, end]);
+      add(rule.type, rule.entityType, result.value ?? m[0].trim(), result.normalized);
+    }
+  }
+
+  for (const name of extractNames(text, taken)) {
+    taken.push([name.start, name.end]);
+    const normalized = name.value.replace(/\s+/g, ' ');
+    add(name.type, name.type === 'person' ? 'PERSON' : 'ORG', name.value, normalized);
+  }
+
+  return entities.slice(0, 100);
+}
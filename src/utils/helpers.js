@@ -59,6 +59,20 @@ export function extractUserId(context) {
   return context?.userId || process.env.MONITOR_USER_ID || 'local_user';
 }
 
+/**
+ * Who is making a mutating request, for audit trails: the MCP action and
+ * request id, the client-declared context.source and the authenticated key.
+ */
+export function auditInfo(req, action) {
+  const auth = req.auth || {};
+  return {
+    action,
+    requestId: req.body?.requestId || null,
+    source: req.body?.context?.source || null,
+    actor: auth.type === 'user' ? `api_key:${auth.keyId}` : (auth.type || null)
+  };
+}
+
 /**
  * Validate entity structure
  */
@@ -0,0 +1,53 @@
+// ---------------------------------------------------------------------------
+// Maximal marginal relevance.
+//
+// Search ranks each candidate on its own, so five paraphrases of one fact
+// can fill the first page. MMR picks results one at a time, scoring each
+// remaining candidate as
+//
+//   lambda * relevance - (1 - lambda) * redundancy
+//
+// where redundancy is its highest similarity to a result already picked.
+// lambda = 1 is plain relevance order; lower values favour variety.
+// Relevance is divided by the best candidate's so it is on the same 0–1
+// scale as cosine similarity whatever signal produced it (negative → 0).
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_MMR_LAMBDA = 0.7;
+
+/**
+ * Order `items` by MMR and return the first `limit` of them as
+ * [{ item, mmrScore, redundancy }].
+ *
+ *   relevance(item)   → number, higher is better
+ *   similarity(a, b)  → similarity of two items in [0, 1], or null if unknown
+ *                       (treated as 0, i.e. not redundant)
+ */
+export function mmrSelect(items, { lambda = DEFAULT_MMR_LAMBDA, limit = items.length, relevance, similarity }) {
+  const scores = items.map(item => Math.max(Number(relevance(item)) || 0, 0));
+  const max = Math.max(...scores);
+  const normalized = scores.map(score => (max > 0 ? score / max : 1));
+
+  const remaining = items.map((item, i) => ({ item, relevance: normalized[i], redundancy: 0 }));
+  const selected = [];
+  while (selected.length < limit && remaining.length > 0) {
+    let best = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((candidate, i) => {
+      const score = lambda * candidate.relevance - (1 - lambda) * candidate.redundancy;
+      // Ties keep the original order
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    });
+
+    const [picked] = remaining.splice(best, 1);
+    selected.push({ item: picked.item, mmrScore: bestScore, redundancy: picked.redundancy });
+    for (const candidate of remaining) {
+      const sim = Number(similarity(candidate.item, picked.item)) || 0;
+      if (sim > candidate.redundancy) candidate.redundancy = sim;
+    }
+  }
+  return selected;
+}
@@ -0,0 +1,68 @@
+// ---------------------------------------------------------------------------
+// Prototype (nearest-centroid) classification over embeddings.
+//
+// Each label's prototype is the weighted mean of its example vectors; a
+// query is scored by its cosine similarity to every prototype. Adding an
+// example moves its label's prototype towards it, so corrections take effect
+// without any training step.
+// ---------------------------------------------------------------------------
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * [{ label, vector, weight? }] → Map(label → { vector, examples }), where
+ * vector is the weighted mean of the label's example vectors (weight 1 by
+ * default) and examples counts them.
+ */
+export function buildPrototypes(examples) {
+  const sums = new Map();
+  for (const { label, vector, weight = 1 } of examples) {
+    let entry = sums.get(label);
+    if (!entry) {
+      entry = { sum: new Array(vector.length).fill(0), weight: 0, examples: 0 };
+      sums.set(label, entry);
+    }
+    for (let i = 0; i < vector.length; i++) entry.sum[i] += weight * vector[i];
+    entry.weight += weight;
+    entry.examples++;
+  }
+
+  const prototypes = new Map();
+  for (const [label, { sum, weight, examples: count }] of sums) {
+    prototypes.set(label, { vector: sum.map(v => v / weight), examples: count });
+  }
+  return prototypes;
+}
+
+/**
+ * Cosine similarity of `vector` to each prototype → { label: similarity }.
+ */
+export function scorePrototypes(vector, prototypes) {
+  const scores = {};
+  for (const [label, prototype] of prototypes) {
+    scores[label] = cosineSimilarity(vector, prototype.vector);
+  }
+  return scores;
+}
+
+/**
+ * { label: score } → { label: probability }. A low temperature sharpens the
+ * distribution; cosine scores differ by a few hundredths, so it needs one.
+ */
+export function softmax(scores, temperature = 1) {
+  const labels = Object.keys(scores);
+  const max = Math.max(...labels.map(label => scores[label]));
+  const exps = labels.map(label => Math.exp((scores[label] - max) / temperature));
+  const total = exps.reduce((a, b) => a + b, 0);
+  return Object.fromEntries(labels.map((label, i) => [label, exps[i] / total]));
+}
@@ -0,0 +1,170 @@
+// ---------------------------------------------------------------------------
+// Recurrence rules (an RFC 5545 RRULE subset).
+//
+//   FREQ        DAILY | WEEKLY | MONTHLY | YEARLY          (required)
+//   INTERVAL    every n-th day/week/month/year             (default 1)
+//   BYDAY       MO,TU,... — WEEKLY only, no ordinals
+//   BYMONTHDAY  1–31, comma-separated — MONTHLY only
+//   COUNT       total number of occurrences
+//   UNTIL       YYYYMMDD (end of that day) or YYYYMMDDTHHMMSSZ (UTC)
+//
+// e.g. 'FREQ=WEEKLY;BYDAY=MO,TH' or 'RRULE:FREQ=MONTHLY;BYMONTHDAY=1;COUNT=12'.
+// Occurrences keep the time of day of the first one and are computed in the
+// server's local time zone (like utils/timePhrases.js), so "every Monday at
+// 9" stays at 9 across daylight saving changes. Days a month or year does
+// not have (the 31st, February 29th) are skipped, as RFC 5545 does.
+// ---------------------------------------------------------------------------
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+// Monday-first offsets, to match ISO weeks
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+// Candidates considered before giving up (about 270 years of a daily rule)
+const MAX_ITERATIONS = 100000;
+
+function positiveInt(value, part) {
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new Error(`Invalid rrule: ${part} must be a positive integer`);
+  }
+  return Number(value);
+}
+
+function parseUntil(value) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) {
+    throw new Error(`Invalid rrule: UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ, got ${value}`);
+  }
+  const [, y, mo, d, h, mi, s, utc] = m;
+  if (h === undefined) return new Date(+y, +mo - 1, +d, 23, 59, 59, 999);
+  return utc
+    ? new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s))
+    : new Date(+y, +mo - 1, +d, +h, +mi, +s);
+}
+
+/**
+ * Parse an RRULE string → { freq, interval, byDay, byMonthDay, count, until }.
+ * Throws 'Invalid rrule: ...' on anything outside the supported subset.
+ */
+export function parseRRule(text) {
+  const body = String(text ?? '').trim().replace(/^RRULE:/i, '');
+  if (!body) {
+    throw new Error('Invalid rrule: empty rule');
+  }
+
+  const rule = { freq: null, interval: 1, byDay: null, byMonthDay: null, count: null, until: null };
+  for (const part of body.split(';').filter(Boolean)) {
+    const [rawKey, value = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const upper = value.trim().toUpperCase();
+    switch (key) {
+    case 'FREQ':
+      if (!FREQUENCIES.includes(upper)) {
+        throw new Error(`Invalid rrule: FREQ must be one of ${FREQUENCIES.join(', ')}`);
+      }
+      rule.freq = upper;
+      break;
+    case 'INTERVAL':
+      rule.interval = positiveInt(upper, 'INTERVAL');
+      break;
+    case 'COUNT':
+      rule.count = positiveInt(upper, 'COUNT');
+      break;
+    case 'UNTIL':
+      rule.until = parseUntil(upper);
+      break;
+    case 'BYDAY': {
+      const days = upper.split(',');
+      const unknown = days.find(day => !WEEKDAYS.includes(day));
+      if (unknown !== undefined) {
+        throw new Error(`Invalid rrule: BYDAY accepts ${WEEKDAYS.join(', ')}, got ${unknown}`);
+      }
+      rule.byDay = [...new Set(days.map(day => WEEKDAYS.indexOf(day)))].sort((a, b) => a - b);
+      break;
+    }
+    case 'BYMONTHDAY': {
+      const days = upper.split(',').map(day => positiveInt(day, 'BYMONTHDAY'));
+      if (days.some(day => day > 31)) {
+        throw new Error('Invalid rrule: BYMONTHDAY must be between 1 and 31');
+      }
+      rule.byMonthDay = [...new Set(days)].sort((a, b) => a - b);
+      break;
+    }
+    default:
+      throw new Error(`Invalid rrule: unsupported part ${key}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('Invalid rrule: FREQ is required');
+  }
+  if (rule.byDay && rule.freq !== 'WEEKLY') {
+    throw new Error('Invalid rrule: BYDAY is only supported with FREQ=WEEKLY');
+  }
+  if (rule.byMonthDay && rule.freq !== 'MONTHLY') {
+    throw new Error('Invalid rrule: BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('Invalid rrule: COUNT and UNTIL cannot both be set');
+  }
+  return rule;
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+function atDay(start, year, month, day) {
+  return new Date(year, month, day, start.getHours(), start.getMinutes(), start.getSeconds(), start.getMilliseconds());
+}
+
+/**
+ * Occurrences of `rule` from `start` (the first one), in order.
+ */
+function* occurrences(rule, start) {
+  const { freq, interval } = rule;
+  for (let k = 0; ; k++) {
+    if (freq === 'DAILY') {
+      yield addDays(start, k * interval);
+    } else if (freq === 'WEEKLY' && !rule.byDay) {
+      yield addDays(start, 7 * k * interval);
+    } else if (freq === 'WEEKLY') {
+      const monday = addDays(start, -((start.getDay() + 6) % 7));
+      const week = addDays(monday, 7 * k * interval);
+      for (const offset of rule.byDay) {
+        const date = addDays(week, offset);
+        if (date >= start) yield date;
+      }
+    } else if (freq === 'MONTHLY') {
+      const month = start.getMonth() + k * interval;
+      for (const day of rule.byMonthDay || [start.getDate()]) {
+        const date = atDay(start, start.getFullYear(), month, day);
+        // Overflowed into the next month: this month has no such day
+        if (date.getDate() !== day) continue;
+        if (date >= start) yield date;
+      }
+    } else {
+      const date = atDay(start, start.getFullYear() + k * interval, start.getMonth(), start.getDate());
+      if (date.getMonth() === start.getMonth()) yield date;
+    }
+  }
+}
+
+/**
+ * The first occurrence of `rule` after `after`, counting from `start`.
+ * `startIndex` is how many occurrences came before `start` (for COUNT).
+ * Returns { date, index } — index is the occurrence's 0-based number — or
+ * null when the rule has ended.
+ */
+export function nextOccurrence(rule, start, after, { startIndex = 0 } = {}) {
+  let index = startIndex;
+  let iterations = 0;
+  for (const date of occurrences(rule, new Date(start))) {
+    if (rule.count !== null && index >= rule.count) return null;
+    if (rule.until && date > rule.until) return null;
+    if (date > after) return { date, index };
+    index++;
+    if (++iterations > MAX_ITERATIONS) return null;
+  }
+  return null;
+}
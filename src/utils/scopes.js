@@ -0,0 +1,100 @@
+// ---------------------------------------------------------------------------
+// API key scopes.
+//
+// A scope is `<action glob>[:<level>]`, e.g.
+//   'memory.*:read'      — search/list/retrieve memories, nothing else
+//   'constraint.*:admin' — everything under constraint.*
+//   '*:write'            — every action except admin-only ones
+//   'memory.*'           — level omitted → admin
+//
+// Levels are ordered read < write < admin; a scope grants its own level and
+// everything below it. Each action requires one level: admin for key
+// management and cross-user operations, read for actions whose last segment
+// is a lookup verb (search, list, get, ...), write for everything else.
+// ---------------------------------------------------------------------------
+
+export const SCOPE_LEVELS = ['read', 'write', 'admin'];
+
+const ADMIN_ACTIONS = [
+  'api_key.*',
+  'memory.import',
+  'embedding.reembed.start',
+  'embedding.reembed.cancel',
+];
+
+const READ_VERBS = /^(search|retrieve|list|get|check|classify|debug|embed|export|health|status|analyze|stream|entity|neighbors|path|history|stats|resolve|due)/i;
+
+function globToRegExp(glob) {
+  return new RegExp('^' + glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$', 'i');
+}
+
+/**
+ * Parse 'memory.*:read' → { pattern: 'memory.*', level: 'read' }.
+ * Throws on an unknown level or an empty pattern.
+ */
+export function parseScope(scope) {
+  const text = String(scope ?? '').trim();
+  const sep = text.lastIndexOf(':');
+  const pattern = sep === -1 ? text : text.slice(0, sep);
+  const level = sep === -1 ? 'admin' : text.slice(sep + 1).toLowerCase();
+
+  if (!pattern || !/^[A-Za-z0-9_.*-]+$/.test(pattern)) {
+    throw new Error(`Invalid scope pattern: "${text}"`);
+  }
+  if (!SCOPE_LEVELS.includes(level)) {
+    throw new Error(`Invalid scope level "${level}" in "${text}". Valid: ${SCOPE_LEVELS.join(', ')}`);
+  }
+  return { pattern, level };
+}
+
+/**
+ * Normalize a scope list to canonical 'pattern:level' strings.
+ */
+export function normalizeScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error('Invalid scopes: expected a non-empty array');
+  }
+  return [...new Set(scopes.map(s => {
+    const { pattern, level } = parseScope(s);
+    return `${pattern}:${level}`;
+  }))];
+}
+
+/**
+ * Level an action requires.
+ */
+export function requiredLevel(action) {
+  if (ADMIN_ACTIONS.some(glob => globToRegExp(glob).test(action))) return 'admin';
+  const verb = String(action).split('.').pop();
+  return READ_VERBS.test(verb) ? 'read' : 'write';
+}
+
+/**
+ * Whether any of `scopes` grants `action`.
+ */
+export function isActionAllowed(scopes, action) {
+  const needed = SCOPE_LEVELS.indexOf(requiredLevel(action));
+  return (scopes || []).some(scope => {
+    let parsed;
+    try {
+      parsed = parseScope(scope);
+    } catch (_) {
+      return false;
+    }
+    return SCOPE_LEVELS.indexOf(parsed.level) >= needed && globToRegExp(parsed.pattern).test(action);
+  });
+}
+
+/**
+ * Whether `granted` scopes cover every scope in `requested` — used so a
+ * user key can only mint keys at or below its own privileges.
+ */
+export function scopesCover(granted, requested) {
+  const held = (granted || []).map(parseScope);
+  return requested.map(parseScope).every(want =>
+    held.some(have =>
+      SCOPE_LEVELS.indexOf(have.level) >= SCOPE_LEVELS.indexOf(want.level) &&
+      globToRegExp(have.pattern).test(want.pattern)
+    )
+  );
+}
@@ -0,0 +1,183 @@
+// ---------------------------------------------------------------------------
+// Parameterized SQL helpers.
+//
+// Values never get spliced into SQL text. Everything user-controlled is bound
+// through DuckDB positional `?` placeholders via DatabaseService.query() /
+// execute() (which spread params into connection.all/run, the same mechanism
+// routes/pendingTasks.js uses). The only things ever inlined are:
+//   - raw(...) fragments written by us (e.g. now(), CURRENT_TIMESTAMP)
+//   - vectors, after every element is coerced to a finite Number
+//   - integers for LIMIT/OFFSET/INTERVAL, after coercion
+//   - identifiers (optionally table-qualified), after a strict pattern match
+// ---------------------------------------------------------------------------
+
+const IDENTIFIER_RE = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)?$/;
+
+class RawSql {
+  constructor(sql) {
+    this.sql = sql;
+  }
+}
+
+/**
+ * Mark a trusted, code-authored SQL fragment (never user input) for inlining
+ * by DatabaseService.insert()/update().
+ */
+export function raw(sql) {
+  return new RawSql(sql);
+}
+
+export function isRaw(value) {
+  return value instanceof RawSql;
+}
+
+/**
+ * Validate a table/column name (or alias.column) before it is inlined into SQL.
+ */
+export function identifier(name) {
+  if (typeof name !== 'string' || !IDENTIFIER_RE.test(name)) {
+    throw new Error(`Invalid SQL identifier: ${String(name).slice(0, 64)}`);
+  }
+  return name;
+}
+
+/**
+ * Coerce a value to a bindable DuckDB parameter.
+ * undefined → NULL, Date → UTC timestamp string with milliseconds (the
+ * connection's session TimeZone is UTC, so it compares with now() — see
+ * DatabaseService), objects are rejected so a caller can't smuggle an
+ * array/object into a statement by accident.
+ */
+export function toParam(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 23).replace('T', ' ');
+  const t = typeof value;
+  if (t === 'string' || t === 'number' || t === 'boolean' || t === 'bigint') return value;
+  throw new Error(`Invalid SQL parameter of type ${Array.isArray(value) ? 'array' : t}`);
+}
+
+/**
+ * Normalize a parameter list for binding.
+ */
+export function toParams(params = []) {
+  return params.map(toParam);
+}
+
+/**
+ * Count positional `?` placeholders, ignoring any inside quoted literals.
+ */
+export function countPlaceholders(sql) {
+  let count = 0;
+  let quote = null;
+  for (const ch of sql) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '\'' || ch === '"') {
+      quote = ch;
+    } else if (ch === '?') {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Comma-separated list of n placeholders: placeholders(3) → '?, ?, ?'
+ */
+export function placeholders(n) {
+  return Array.from({ length: n }, () => '?').join(', ');
+}
+
+/**
+ * Coerce to a non-negative integer for LIMIT/OFFSET/INTERVAL inlining.
+ */
+export function int(value, fallback = 0) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Build a FLOAT[dims] literal from an embedding. Every element is forced
+ * through Number() and rejected if non-finite, so the result is safe to inline.
+ */
+export function vectorLiteral(embedding, dims = 384) {
+  if (!Array.isArray(embedding) && !ArrayBuffer.isView(embedding)) {
+    throw new Error('Invalid embedding: expected an array of numbers');
+  }
+  if (embedding.length !== dims) {
+    throw new Error(`Invalid embedding: expected ${dims}-dim array, got length ${embedding.length}`);
+  }
+  const values = Array.from(embedding, (v) => {
+    const n = Number(v);
+    if (!Number.isFinite(n)) throw new Error('Invalid embedding: non-finite value');
+    return n;
+  });
+  return `list_value(${values.join(',')})::FLOAT[${dims}]`;
+}
+
+// Escape clause paired with escapeLike(): `column LIKE ? ESCAPE '\'`
+export const LIKE_ESCAPE = 'ESCAPE \'\\\'';
+
+/**
+ * Escape LIKE wildcards so a user-supplied fragment matches literally.
+ * Use together with LIKE_ESCAPE.
+ */
+export function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+/**
+ * Accumulates AND-ed WHERE conditions and their bound parameters.
+ *
+ *   const where = new Conditions().add('user_id = ?', userId).in('type', types);
+ *   db.query(`SELECT * FROM memory ${where.toWhere()}`, where.params);
+ */
+export class Conditions {
+  constructor() {
+    this.clauses = [];
+    this.params = [];
+  }
+
+  add(clause, ...params) {
+    const expected = countPlaceholders(clause);
+    if (expected !== params.length) {
+      throw new Error(`SQL condition expects ${expected} param(s), got ${params.length}`);
+    }
+    this.clauses.push(clause);
+    this.params.push(...toParams(params));
+    return this;
+  }
+
+  in(column, values) {
+    identifier(column);
+    if (!values.length) return this.add('FALSE');
+    return this.add(`${column} IN (${placeholders(values.length)})`, ...values);
+  }
+
+  notIn(column, values) {
+    identifier(column);
+    if (!values.length) return this;
+    return this.add(`${column} NOT IN (${placeholders(values.length)})`, ...values);
+  }
+
+  /**
+   * `column LIKE '%fragment%'` with the fragment matched literally.
+   */
+  contains(column, fragment, { caseInsensitive = false } = {}) {
+    identifier(column);
+    const op = caseInsensitive ? 'ILIKE' : 'LIKE';
+    return this.add(`${column} ${op} ? ${LIKE_ESCAPE}`, `%${escapeLike(fragment)}%`);
+  }
+
+  get length() {
+    return this.clauses.length;
+  }
+
+  toSql() {
+    return this.clauses.join(' AND ');
+  }
+
+  toWhere() {
+    return this.clauses.length ? `WHERE ${this.toSql()}` : '';
+  }
+}
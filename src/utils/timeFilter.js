@@ -0,0 +1,390 @@
+// ---------------------------------------------------------------------------
+// Time filters in search queries.
+//
+// Finds the time expression in a query such as "what did I read last
+// tuesday afternoon", turns it into a created_at range and returns the
+// query without it, so the range filters and the rest is embedded:
+//   days        'today', 'yesterday', 'last tuesday', '3 days ago',
+//               'March 3rd', '2025-03-04', '6/12/2025'
+//   parts       '<day> morning | afternoon | evening | night',
+//               'this morning', 'tonight', 'last night', 'earlier today'
+//   periods     'this week', 'last month', 'last weekend', '2 weeks ago',
+//               'in March', 'March 2024', 'in 2024'
+//   rolling     'past 3 days', 'in the last 24 hours', 'past week'
+//   modifiers   'since <x>', 'before <x>', 'after <x>', 'until <x>',
+//               'the week before <x>', 'the day after <x>'
+// Only past-looking phrases are read: searches are over what was stored.
+// A weekday or month name on its own is more often a word or a plan ("my
+// sister June", "dentist on friday", "next march") than a filter, so it needs
+// 'last'/'this' or a preposition such as 'in' or 'since' (see plausibleName).
+// Day boundaries follow the caller's IANA time zone (server zone if none).
+// Weeks start on Monday. Ranges are [start, end) in UTC.
+// ---------------------------------------------------------------------------
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const WEEKDAY = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday)';
+const COUNT = '(\\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|a few|few|a couple(?: of)?|couple(?: of)?)';
+const UNIT = '(hours?|hrs?|days?|weeks?|wks?|months?|years?|yrs?)';
+const PART = '(?:\\s+(?:in the\\s+)?(morning|afternoon|evening|night))?';
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  'a few': 3, few: 3, 'a couple': 2, 'a couple of': 2, couple: 2, 'couple of': 2,
+};
+
+// Hours of the day each part covers; night runs into the next morning
+const PARTS = {
+  morning: [5, 12],
+  afternoon: [12, 17],
+  evening: [17, 21],
+  night: [21, 29],
+};
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+  const key = timeZone || '';
+  if (!formatters.has(key)) {
+    try {
+      formatters.set(key, new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || undefined,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric',
+      }));
+    } catch (_) {
+      throw new Error(`Invalid timezone: ${timeZone}`);
+    }
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Wall-clock time of `date` in `timeZone`, as a UTC timestamp with the same
+ * fields ("wall ms"). Calendar math happens on wall ms, so it ignores DST.
+ */
+function toWall(date, timeZone) {
+  const fields = {};
+  for (const part of formatter(timeZone).formatToParts(date)) fields[part.type] = Number(part.value);
+  return Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second,
+    date.getUTCMilliseconds());
+}
+
+/**
+ * The instant whose wall-clock time in `timeZone` is `wall`.
+ */
+function fromWall(wall, timeZone) {
+  let instant = wall - (toWall(new Date(wall), timeZone) - wall);
+  instant = wall - (toWall(new Date(instant), timeZone) - instant);
+  return new Date(instant);
+}
+
+function startOfDay(wall) {
+  const d = new Date(wall);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+function startOfWeek(wall) {
+  return startOfDay(wall) - ((new Date(wall).getUTCDay() + 6) % 7) * DAY;
+}
+
+function startOfMonth(wall, add = 0) {
+  const d = new Date(wall);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + add, 1);
+}
+
+function startOfYear(wall, add = 0) {
+  return Date.UTC(new Date(wall).getUTCFullYear() + add, 0, 1);
+}
+
+/**
+ * `now` moved back n hours, days, weeks, months or years.
+ */
+function rollBack(now, n, unit) {
+  const d = new Date(now);
+  if (unit === 'month') d.setUTCMonth(d.getUTCMonth() - n);
+  else if (unit === 'year') d.setUTCFullYear(d.getUTCFullYear() - n);
+  else return now - n * { hour: HOUR, day: DAY, week: 7 * DAY }[unit];
+  return d.getTime();
+}
+
+function dayRange(day) {
+  return { start: day, end: day + DAY };
+}
+
+function count(word) {
+  return /^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word.replace(/\s+/g, ' ')];
+}
+
+function unitOf(word) {
+  return word.replace(/s$/, '').replace(/^hr$/, 'hour').replace(/^wk$/, 'week').replace(/^yr$/, 'year');
+}
+
+function monthIndex(name) {
+  return MONTHS.findIndex(m => m.startsWith(name.slice(0, 3)));
+}
+
+function weekdayIndex(name) {
+  return WEEKDAYS.findIndex(d => d.startsWith(name.slice(0, 3)));
+}
+
+/**
+ * Calendar day; rejects impossible dates like Feb 30.
+ */
+function validDay(year, month, day) {
+  const wall = Date.UTC(year, month, day);
+  const d = new Date(wall);
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month && d.getUTCDate() === day ? wall : null;
+}
+
+/**
+ * Restrict a day range to part of the day.
+ */
+function withPart(range, part) {
+  if (!part || !range || range.end - range.start !== DAY) return range;
+  const [from, to] = PARTS[part];
+  return { start: range.start + from * HOUR, end: range.start + to * HOUR };
+}
+
+/**
+ * Expression rules. Each `resolve(match, now)` returns a wall-ms range or
+ * null. `now` is wall ms too.
+ */
+const RULES = [
+  {
+    regex: /\bearlier today\b/,
+    resolve: (m, now) => ({ start: startOfDay(now), end: now }),
+  },
+  {
+    regex: /\bthis (morning|afternoon|evening)\b/,
+    resolve: (m, now) => withPart(dayRange(startOfDay(now)), m[1]),
+  },
+  {
+    regex: /\btonight\b/,
+    resolve: (m, now) => withPart(dayRange(startOfDay(now)), 'night'),
+  },
+  {
+    regex: /\blast night\b/,
+    resolve: (m, now) => withPart(dayRange(startOfDay(now) - DAY), 'night'),
+  },
+  {
+    regex: new RegExp(`\\b(the day before yesterday|yesterday|today)${PART}\\b`),
+    resolve(m, now) {
+      const back = { today: 0, yesterday: 1, 'the day before yesterday': 2 }[m[1]];
+      return withPart(dayRange(startOfDay(now) - back * DAY), m[2]);
+    },
+  },
+  {
+    // 'this tuesday' is the latest Tuesday (today if it is Tuesday); 'last tuesday' is never today
+    regex: new RegExp(`\\b(?:(last|this|past|previous) )?${WEEKDAY}${PART}\\b`),
+    plausible: (text, m) => plausibleName(text, m, !!m[1]),
+    resolve(m, now) {
+      const target = weekdayIndex(m[2]);
+      let back = (new Date(now).getUTCDay() - target + 7) % 7;
+      if (m[1] && m[1] !== 'this' && back === 0) back = 7;
+      return withPart(dayRange(startOfDay(now) - back * DAY), m[3]);
+    },
+  },
+  {
+    regex: new RegExp(`\\b(?:in the |over the |during the |within the )?(?:last|past|previous) ${COUNT} ${UNIT}\\b`),
+    resolve: (m, now) => (count(m[1]) ? { start: rollBack(now, count(m[1]), unitOf(m[2])), end: now } : null),
+  },
+  {
+    regex: /\b(?:in the |over the |during the |within the )?past (day|week|month|year)\b/,
+    resolve: (m, now) => ({ start: rollBack(now, 1, m[1]), end: now }),
+  },
+  {
+    regex: new RegExp(`\\b${COUNT} ${UNIT} ago${PART}\\b`),
+    resolve(m, now) {
+      const n = count(m[1]);
+      const unit = unitOf(m[2]);
+      if (!n) return null;
+      if (unit === 'hour') return { start: now - (n + 1) * HOUR, end: now - (n - 1) * HOUR };
+      if (unit === 'day') return withPart(dayRange(startOfDay(now) - n * DAY), m[3]);
+      if (unit === 'week') {
+        const start = startOfWeek(now) - n * 7 * DAY;
+        return { start, end: start + 7 * DAY };
+      }
+      if (unit === 'month') return { start: startOfMonth(now, -n), end: startOfMonth(now, -n + 1) };
+      return { start: startOfYear(now, -n), end: startOfYear(now, -n + 1) };
+    },
+  },
+  {
+    regex: /\b(this|last|previous) (week|weekend|month|year)\b/,
+    resolve(m, now) {
+      const back = m[1] === 'this' ? 0 : 1;
+      if (m[2] === 'week') {
+        const start = startOfWeek(now) - back * 7 * DAY;
+        return { start, end: start + 7 * DAY };
+      }
+      if (m[2] === 'weekend') {
+        // 'this weekend' on a weekday means the one just past
+        const saturday = startOfWeek(now) + 5 * DAY;
+        const start = saturday > now || back ? saturday - 7 * DAY : saturday;
+        return { start, end: start + 2 * DAY };
+      }
+      if (m[2] === 'month') return { start: startOfMonth(now, -back), end: startOfMonth(now, 1 - back) };
+      return { start: startOfYear(now, -back), end: startOfYear(now, 1 - back) };
+    },
+  },
+  {
+    regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/,
+    resolve: m => {
+      const day = validDay(+m[1], +m[2] - 1, +m[3]);
+      return day === null ? null : dayRange(day);
+    },
+  },
+  {
+    // US order: 6/12/2025, 6/12/25 (without a year '1/2' is more likely a fraction)
+    regex: /\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/,
+    resolve(m) {
+      const day = validDay(m[3].length === 2 ? 2000 + +m[3] : +m[3], +m[1] - 1, +m[2]);
+      return day === null ? null : dayRange(day);
+    },
+  },
+  {
+    // March 3rd, March 3, 2025
+    regex: new RegExp(`\\b${MONTH}\\.? (\\d{1,2})(?:st|nd|rd|th)?(?:,? (\\d{4}))?${PART}\\b`),
+    resolve(m, now) {
+      const month = monthIndex(m[1]);
+      const day = validDay(m[3] ? +m[3] : latestYear(now, month, +m[2]), month, +m[2]);
+      return day === null ? null : withPart(dayRange(day), m[4]);
+    },
+  },
+  {
+    // 3 March, 3rd of March 2025
+    regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?(?: of)? ${MONTH}\\b(?:,? (\\d{4}))?`),
+    resolve(m, now) {
+      const month = monthIndex(m[2]);
+      const day = validDay(m[3] ? +m[3] : latestYear(now, month, +m[1]), month, +m[1]);
+      return day === null ? null : dayRange(day);
+    },
+  },
+  {
+    // 'march' / 'last march' is the latest March that has started; 'march 2024' is explicit
+    regex: new RegExp(`\\b(?:(last|this) )?${MONTH}(?: (\\d{4}))?\\b`),
+    plausible: (text, m) => plausibleName(text, m, !!(m[1] || m[3])),
+    resolve(m, now) {
+      const month = monthIndex(m[2]);
+      const current = new Date(now);
+      let year = m[3] ? +m[3] : current.getUTCFullYear();
+      if (!m[3] && (month > current.getUTCMonth() || (m[1] === 'last' && month === current.getUTCMonth()))) year -= 1;
+      return { start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 1) };
+    },
+  },
+  {
+    regex: /\b(?:in|during|from|of|since|before|after) ((?:19|20)\d{2})\b/,
+    resolve: m => ({ start: Date.UTC(+m[1], 0, 1), end: Date.UTC(+m[1] + 1, 0, 1) }),
+    keepsPrefix: true,
+  },
+];
+
+/**
+ * The year in which month/day last occurred on or before `now`.
+ */
+function latestYear(now, month, day) {
+  const year = new Date(now).getUTCFullYear();
+  return Date.UTC(year, month, day) > now ? year - 1 : year;
+}
+
+/**
+ * A bare weekday or month name counts only after a past-looking preposition
+ * ("since monday", "in march"); `qualified` is true when the match already
+ * carries 'last'/'this' or a year. 'on' is left out on purpose: "on friday"
+ * is as often a plan as a memory.
+ */
+function plausibleName(text, match, qualified) {
+  if (qualified) return true;
+  return /\b(in|during|of|since|before|after|from|until|till)\s+$/.test(text.slice(0, match.index));
+}
+
+/**
+ * Parse the first time expression in `query`.
+ * Returns { query, timeFilter } where query has the expression (and its
+ * preposition) removed and timeFilter is { expression, start, end, timeZone }
+ * with ISO timestamps, or null when the query has no time expression.
+ * Throws 'Invalid timezone' for an unknown IANA zone.
+ */
+export function parseTimeFilter(query, { now = new Date(), timeZone = null } = {}) {
+  const text = String(query ?? '');
+  const lower = text.toLowerCase();
+  const wallNow = toWall(now, timeZone);
+
+  // Longest match wins; ties go to the earliest
+  let best = null;
+  for (const rule of RULES) {
+    const match = rule.regex.exec(lower);
+    if (!match) continue;
+    if (rule.plausible && !rule.plausible(lower, match)) continue;
+    const range = rule.resolve(match, wallNow);
+    if (!range) continue;
+    let index = match.index;
+    let length = match[0].length;
+    if (rule.keepsPrefix) {
+      // 'in 2024': leave the preposition for the modifier scan below
+      const skip = match[0].indexOf(match[1]);
+      index += skip;
+      length -= skip;
+    }
+    if (!best || length > best.length || (length === best.length && index < best.index)) {
+      best = { index, length, range };
+    }
+  }
+  if (!best) return { query: text, timeFilter: null };
+
+  let { start, end } = best.range;
+  let from = best.index;
+  const to = best.index + best.length;
+  const before = lower.slice(0, from);
+
+  const relative = before.match(/\b(?:(?:from|in|during|of) )?(?:the )?(day|week|weekend|month) (before|after) $/);
+  const modifier = before.match(/\b(since|before|after|until|till|from|on|in|at|during|around|of|over) $/);
+  if (relative) {
+    const size = { day: DAY, week: 7 * DAY, weekend: 2 * DAY, month: 30 * DAY }[relative[1]];
+    if (relative[2] === 'before') {
+      end = start;
+      start -= size;
+    } else {
+      start = end;
+      end += size;
+    }
+    from = relative.index;
+  } else if (modifier) {
+    const word = modifier[1];
+    if (word === 'since' || word === 'after') {
+      if (word === 'after') start = end;
+      end = Math.max(wallNow, end);
+    } else if (word === 'before') {
+      end = start;
+      start = null;
+    } else if (word === 'until' || word === 'till') {
+      start = null;
+    }
+    from = modifier.index;
+  }
+  if (start !== null && end <= start) return { query: text, timeFilter: null };
+
+  const stripped = `${text.slice(0, from)} ${text.slice(to)}`
+    .replace(/\s+([?.!,;:])/g, '$1')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,;:-]+|[\s,;:-]+$/g, '')
+    .replace(/\s+(from|on|in|at|during|since|of)$/i, '')
+    .trim();
+
+  return {
+    query: stripped,
+    timeFilter: {
+      expression: text.slice(from, to).trim(),
+      start: start === null ? null : fromWall(start, timeZone).toISOString(),
+      end: end === null ? null : fromWall(end, timeZone).toISOString(),
+      timeZone: timeZone || formatter(null).resolvedOptions().timeZone,
+    },
+  };
+}
@@ -0,0 +1,141 @@
+// ---------------------------------------------------------------------------
+// Time phrases.
+//
+// Turns the way people say times into dates, server-side, so clients can
+// pass what the user said:
+//   durations   '2h', '30 minutes', 'an hour', 'for 3 days', 'in 2 weeks'
+//   day ends    'today', 'tonight', 'end of day', 'tomorrow', 'until friday',
+//               'end of week', 'next week', 'end of month', 'next month'
+// Day-based phrases resolve to the last millisecond of that day in the
+// server's local time zone: "until tomorrow" keeps a fact for all of
+// tomorrow. Leading 'until' / 'till' / 'through' / 'by' are ignored.
+// ---------------------------------------------------------------------------
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const UNITS = {
+  s: SECOND, sec: SECOND, secs: SECOND, second: SECOND, seconds: SECOND,
+  m: MINUTE, min: MINUTE, mins: MINUTE, minute: MINUTE, minutes: MINUTE,
+  h: HOUR, hr: HOUR, hrs: HOUR, hour: HOUR, hours: HOUR,
+  d: DAY, day: DAY, days: DAY,
+  w: 7 * DAY, wk: 7 * DAY, wks: 7 * DAY, week: 7 * DAY, weeks: 7 * DAY,
+  mo: 30 * DAY, month: 30 * DAY, months: 30 * DAY,
+  y: 365 * DAY, yr: 365 * DAY, yrs: 365 * DAY, year: 365 * DAY, years: 365 * DAY,
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function clean(phrase) {
+  return String(phrase ?? '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(until|till|til|through|thru|by)\s+/, '')
+    .replace(/^the\s+/, '');
+}
+
+/**
+ * Last millisecond of `date`'s day (local time).
+ */
+export function endOfDay(date) {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+/**
+ * Duration in milliseconds, or null if `value` is not a duration.
+ * Bare numbers (and numeric strings) are seconds.
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? value * SECOND : null;
+  }
+  const text = clean(value).replace(/^(for|in)\s+/, '');
+  if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text) * SECOND;
+
+  const match = text.match(/^(\d+(?:\.\d+)?|an?|one)\s*([a-z]+)$/);
+  if (!match || !UNITS[match[2]]) return null;
+  const amount = /^\d/.test(match[1]) ? parseFloat(match[1]) : 1;
+  return amount > 0 ? amount * UNITS[match[2]] : null;
+}
+
+/**
+ * Point in time named by a phrase, relative to `now`, or null if the phrase
+ * is not recognized.
+ */
+export function resolveTimePhrase(phrase, now = new Date()) {
+  const text = clean(phrase);
+  if (!text) return null;
+
+  if (text === 'now') return new Date(now);
+  if (/^(today|tonight|eod|end of (the )?day|end of today)$/.test(text)) return endOfDay(now);
+  if (/^(tomorrow|end of tomorrow|tomorrow night)$/.test(text)) return endOfDay(addDays(now, 1));
+
+  // Weeks end on Sunday
+  const daysToSunday = (7 - now.getDay()) % 7;
+  if (/^(this week|eow|end of (the |this )?week)$/.test(text)) return endOfDay(addDays(now, daysToSunday));
+  if (/^(next week|end of next week)$/.test(text)) return endOfDay(addDays(now, daysToSunday + 7));
+
+  if (/^(this month|end of (the |this )?month)$/.test(text)) {
+    return endOfDay(new Date(now.getFullYear(), now.getMonth() + 1, 0));
+  }
+  if (/^(next month|end of next month)$/.test(text)) {
+    return endOfDay(new Date(now.getFullYear(), now.getMonth() + 2, 0));
+  }
+
+  // 'friday' is the coming Friday (today if it is Friday); 'next friday' is never today
+  const weekday = text.match(/^(next |this )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/);
+  if (weekday) {
+    let ahead = (WEEKDAYS.indexOf(weekday[2]) - now.getDay() + 7) % 7;
+    if (weekday[1] === 'next ' && ahead === 0) ahead = 7;
+    return endOfDay(addDays(now, ahead));
+  }
+
+  const duration = parseDuration(text);
+  return duration ? new Date(now.getTime() + duration) : null;
+}
+
+/**
+ * Expiry date from memory.store's `expiresAt` (timestamp, epoch ms or phrase) or
+ * `ttl` (seconds, duration or phrase). Returns null when neither is given.
+ * Throws on unparseable values and on times that are not in the future.
+ */
+export function resolveExpiry({ expiresAt, ttl } = {}, now = new Date()) {
+  const hasExpiresAt = expiresAt !== undefined && expiresAt !== null && expiresAt !== '';
+  const hasTtl = ttl !== undefined && ttl !== null && ttl !== '';
+  if (!hasExpiresAt && !hasTtl) return null;
+  if (hasExpiresAt && hasTtl) {
+    throw new Error('Invalid expiry: pass expiresAt or ttl, not both');
+  }
+
+  let date;
+  let field;
+  if (hasExpiresAt) {
+    field = 'expiresAt';
+    date = expiresAt instanceof Date || typeof expiresAt === 'number'
+      ? new Date(expiresAt)
+      : resolveTimePhrase(expiresAt, now) ?? new Date(expiresAt);
+  } else {
+    field = 'ttl';
+    const duration = parseDuration(ttl);
+    date = duration ? new Date(now.getTime() + duration) : resolveTimePhrase(ttl, now);
+  }
+
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${field}: ${hasExpiresAt ? expiresAt : ttl}`);
+  }
+  if (date.getTime() <= now.getTime()) {
+    throw new Error(`Invalid ${field}: must be in the future`);
+  }
+  return date;
+}
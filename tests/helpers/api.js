@@ -0,0 +1,34 @@
+import request from 'supertest';
+import app from '../../src/server.js';
+
+// Admin key configured by tests/setup.js
+export const API_KEY = process.env.API_KEY;
+
+/**
+ * Returns call(action, payload, options) which POSTs an MCP request for
+ * `action` and resolves to the supertest response. `context` is sent with
+ * every call; per call, options may set:
+ *   userId     overrides context.userId
+ *   context    replaces the context entirely
+ *   key        API key (default: the admin key)
+ *   requestId  default `req-${action}`
+ */
+export function apiClient(context = {}) {
+  return function call(action, payload, options = {}) {
+    const { key = API_KEY, requestId = `req-${action}` } = options;
+    let sent = options.context ?? context;
+    if (options.userId !== undefined) sent = { ...sent, userId: options.userId };
+
+    return request(app)
+      .post(`/${action}`)
+      .set('Authorization', `Bearer ${key}`)
+      .send({
+        version: 'mcp.v1',
+        service: 'user-memory',
+        action,
+        requestId,
+        context: sent,
+        payload,
+      });
+  };
+}
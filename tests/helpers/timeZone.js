@@ -0,0 +1,54 @@
+import { spawn } from 'child_process';
+
+const moduleUrl = (path) => new URL(path, import.meta.url).href;
+
+/**
+ * Run `fn` in a fresh Node process with TZ=timeZone and resolve to its
+ * (JSON-serialized) return value. Jest cannot switch zones in-process: each
+ * test file sees a copy of process.env, and DuckDB fixes its zone at the
+ * first connection anyway.
+ *
+ * `fn` is an async function of { call, db } and is sent as source, so it
+ * must not close over anything; `call` is apiClient(context) from ./api.js.
+ */
+export function runInTimeZone(timeZone, fn, context = {}) {
+  const script = `
+    const { getDatabaseService } = await import(${JSON.stringify(moduleUrl('../../src/services/database.js'))});
+    const { getEmbeddingService } = await import(${JSON.stringify(moduleUrl('../../src/services/embeddings.js'))});
+    const { apiClient } = await import(${JSON.stringify(moduleUrl('./api.js'))});
+    const db = getDatabaseService();
+    await db.initialize();
+    await getEmbeddingService().initialize();
+    const result = await (${fn.toString()})({ call: apiClient(${JSON.stringify(context)}), db });
+    process.stdout.write('\\nRESULT ' + JSON.stringify(result ?? null) + '\\n');
+    await db.close();
+    process.exit(0);
+  `;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['--input-type=module', '-e', script], {
+      env: {
+        PATH: process.env.PATH,
+        TZ: timeZone,
+        NODE_ENV: 'test',
+        LOG_LEVEL: 'error',
+        DB_PATH: ':memory:',
+        API_KEY: process.env.API_KEY,
+        EMBEDDING_PROVIDER: 'deterministic',
+      },
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      const line = stdout.split('\n').find(l => l.startsWith('RESULT '));
+      if (code !== 0 || !line) {
+        reject(new Error(`TZ=${timeZone} run exited with ${code}: ${stderr.slice(-2000)}`));
+        return;
+      }
+      resolve(JSON.parse(line.slice('RESULT '.length)));
+    });
+  });
+}
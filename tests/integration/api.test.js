@@ -398,7 +398,10 @@ describe('UserMemory API Integration Tests', () => {
           service: 'user-memory',
           action: 'memory.classify-conversational-query',
           requestId: 'req-013',
-          context: { userId: 'test_user' },
+          // Without session history the classifier discounts conversational
+          // labels (and the rules say GENERAL), so a positional question is
+          // asked the way clients ask it: mid-conversation
+          context: { userId: 'test_user', sessionId: 'session_013', messageCount: 4 },
           payload: {
             query: 'what did I say first?'
           }
@@ -0,0 +1,118 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+import { runInTimeZone } from '../helpers/timeZone.js';
+
+describe('Per-user API keys', () => {
+  let db;
+
+  const call = apiClient();
+
+  async function issue(userId, scopes) {
+    const res = await call('api_key.issue', { userId, scopes, name: `${userId} key` }).expect(200);
+    return res.body.data;
+  }
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('issue returns the key once and stores only its hash', async () => {
+    const issued = await issue('alice', ['memory.*:write']);
+
+    expect(issued.key).toMatch(/^umk_/);
+    expect(issued.keyPrefix).toBe(issued.key.slice(0, issued.keyPrefix.length));
+    expect(issued.scopes).toEqual(['memory.*:write']);
+
+    const rows = await db.query('SELECT key_hash FROM api_keys WHERE id = ?', [issued.id]);
+    expect(rows[0].key_hash).not.toContain(issued.key);
+
+    const listed = await call('api_key.list', { userId: 'alice' }).expect(200);
+    expect(listed.body.data.keys[0].key).toBeUndefined();
+  });
+
+  test('key identity overrides context.userId', async () => {
+    const alice = await issue('alice', ['memory.*:write']);
+    const bob = await issue('bob', ['memory.*:write']);
+
+    await call('memory.store', { text: 'Alice keeps her passport in the desk drawer' }, { key: alice.key }).expect(200);
+
+    // Bob claims to be Alice — the key wins
+    const res = await call('memory.list', { limit: 50 }, { key: bob.key, userId: 'alice' }).expect(200);
+    const texts = JSON.stringify(res.body.data);
+    expect(texts).not.toContain('passport');
+  });
+
+  test('scopes are enforced per action and level', async () => {
+    const reader = await issue('carol', ['memory.*:read']);
+
+    await call('memory.search', { query: 'anything' }, { key: reader.key }).expect(200);
+    const store = await call('memory.store', { text: 'should not be stored' }, { key: reader.key }).expect(403);
+    expect(store.body.error.code).toBe('FORBIDDEN');
+    await call('constraint.list', {}, { key: reader.key }).expect(403);
+    await call('api_key.list', {}, { key: reader.key }).expect(403);
+  });
+
+  test('user keys cannot escalate their own scopes', async () => {
+    const manager = await issue('dave', ['api_key.*:admin', 'memory.*:read']);
+
+    await call('api_key.issue', { userId: 'dave', scopes: ['memory.*:read'] }, { key: manager.key }).expect(200);
+    await call('api_key.issue', { userId: 'dave', scopes: ['*:admin'] }, { key: manager.key }).expect(403);
+
+    // userId in the payload is rebound to the caller
+    const other = await call('api_key.issue', { userId: 'erin', scopes: ['memory.*:read'] }, { key: manager.key }).expect(200);
+    expect(other.body.data.userId).toBe('dave');
+  });
+
+  test('rotate revokes the old key and keeps scopes', async () => {
+    const original = await issue('frank', ['memory.*:read']);
+    const rotated = await call('api_key.rotate', { id: original.id }).expect(200);
+
+    expect(rotated.body.data.key).not.toBe(original.key);
+    expect(rotated.body.data.scopes).toEqual(['memory.*:read']);
+    expect(rotated.body.data.rotatedFrom).toBe(original.id);
+
+    await call('memory.search', { query: 'x' }, { key: original.key }).expect(401);
+    await call('memory.search', { query: 'x' }, { key: rotated.body.data.key }).expect(200);
+  });
+
+  test('rotate with a grace period keeps the old key working', async () => {
+    const original = await issue('grace', ['memory.*:read']);
+    await call('api_key.rotate', { id: original.id, graceSeconds: 300 }).expect(200);
+
+    await call('memory.search', { query: 'x' }, { key: original.key }).expect(200);
+  });
+
+  test('the grace period lasts as long on either side of UTC', async () => {
+    const rotate = async ({ call }) => {
+      const issued = await call('api_key.issue', { userId: 'tz_user', scopes: ['memory.*:read'] }).expect(200);
+      await call('api_key.rotate', { id: issued.body.data.id, graceSeconds: 2 }).expect(200);
+      const during = await call('memory.search', { query: 'x' }, { key: issued.body.data.key });
+      await new Promise(resolve => setTimeout(resolve, 3000));
+      const after = await call('memory.search', { query: 'x' }, { key: issued.body.data.key });
+      return [during.status, after.status];
+    };
+
+    expect(await runInTimeZone('Asia/Tokyo', rotate)).toEqual([200, 401]);
+    expect(await runInTimeZone('America/New_York', rotate)).toEqual([200, 401]);
+  });
+
+  test('revoked keys are rejected', async () => {
+    const issued = await issue('henry', ['memory.*:read']);
+    await call('api_key.revoke', { id: issued.id }).expect(200);
+
+    const res = await call('memory.search', { query: 'x' }, { key: issued.key }).expect(401);
+    expect(res.body.error.code).toBe('UNAUTHORIZED');
+  });
+
+  test('validation errors', async () => {
+    await call('api_key.issue', { userId: 'x' }).expect(400);
+    await call('api_key.issue', { userId: 'x', scopes: ['memory.*:owner'] }).expect(400);
+    await call('api_key.revoke', { id: 'ak_missing' }).expect(404);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('memory.export / memory.import', () => {
+  let db;
+  const USER = 'archive_user';
+  let memoryId;
+
+  const call = apiClient({ userId: USER });
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+
+    const stored = await call('memory.store', {
+      text: 'My passport expires in March 2027',
+      entities: [{ type: 'document', value: 'passport', entity_type: 'DOC' }],
+      metadata: { source: 'original' },
+    }).expect(200);
+    memoryId = stored.body.data.memoryId;
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('export produces a manifest followed by rows', async () => {
+    const res = await call('memory.export', { userId: USER, includeEmbeddings: false }).expect(200);
+    const lines = res.body.data.bundle.trim().split('\n').map(l => JSON.parse(l));
+
+    expect(lines[0].type).toBe('manifest');
+    expect(lines[0].format).toBe('thinkdrop-memory-bundle');
+    expect(lines[0].includeEmbeddings).toBe(false);
+    expect(lines[0].tables.memory).toBe(1);
+
+    const memoryRow = lines.find(l => l.table === 'memory');
+    expect(memoryRow.data.id).toBe(memoryId);
+    expect(memoryRow.data.embedding).toBeNull();
+    expect(lines.some(l => l.table === 'memory_entities' && l.data.memory_id === memoryId)).toBe(true);
+  });
+
+  test('import re-creates deleted rows and re-embeds them', async () => {
+    const exported = await call('memory.export', { userId: USER, includeEmbeddings: false }).expect(200);
+    await call('memory.delete', { memoryId }).expect(200);
+
+    const res = await call('memory.import', { bundle: exported.body.data.bundle }).expect(200);
+    expect(res.body.data.tables.memory.inserted).toBe(1);
+    expect(res.body.data.reembedded).toBeGreaterThanOrEqual(1);
+
+    const rows = await db.query('SELECT embedding IS NOT NULL AS has_embedding FROM memory WHERE id = ?', [memoryId]);
+    expect(rows[0].has_embedding).toBe(true);
+    const got = await call('memory.retrieve', { memoryId }).expect(200);
+    expect(got.body.data.memory.entities[0].value).toBe('passport');
+  });
+
+  test('collision strategies: skip, merge, overwrite', async () => {
+    const exported = await call('memory.export', { userId: USER, tables: ['memory'] }).expect(200);
+    const lines = exported.body.data.bundle.trim().split('\n').map(l => JSON.parse(l));
+    const row = lines.find(l => l.table === 'memory');
+    row.data.source_text = 'My passport expires in April 2027';
+    row.data.metadata = JSON.stringify({ note: 'imported' });
+    const bundle = lines.map(l => JSON.stringify(l)).join('\n');
+
+    const skipped = await call('memory.import', { bundle, strategy: 'skip' }).expect(200);
+    expect(skipped.body.data.tables.memory.skipped).toBe(1);
+
+    const merged = await call('memory.import', { bundle, strategy: 'merge' }).expect(200);
+    expect(merged.body.data.tables.memory.updated).toBe(1);
+    const afterMerge = await call('memory.retrieve', { memoryId }).expect(200);
+    expect(afterMerge.body.data.memory.text).toBe('My passport expires in April 2027');
+    expect(afterMerge.body.data.memory.metadata).toMatchObject({ source: 'original', note: 'imported' });
+
+    const overwritten = await call('memory.import', { bundle, strategy: 'overwrite' }).expect(200);
+    expect(overwritten.body.data.tables.memory.updated).toBe(1);
+    const afterOverwrite = await call('memory.retrieve', { memoryId }).expect(200);
+    expect(afterOverwrite.body.data.memory.metadata).toEqual({ note: 'imported' });
+  });
+
+  test('a user key exports only its own user\'s rows, inline', async () => {
+    await call('memory.store', { text: 'Someone else\'s bank PIN is 0000' }, { userId: 'archive_other' }).expect(200);
+    await call('context_rule.upsert', { contextKey: 'archive.example.com', ruleText: 'Shared rule' }).expect(200);
+    const issued = await call('api_key.issue', { userId: USER, scopes: ['memory.*:read'] }).expect(200);
+    const key = issued.body.data.key;
+
+    // No userId: an operator key would export every user
+    const res = await call('memory.export', { includeEmbeddings: false }, { key }).expect(200);
+    const lines = res.body.data.bundle.trim().split('\n').map(l => JSON.parse(l));
+    expect(lines[0].userId).toBe(USER);
+    expect(lines[0].tables).not.toHaveProperty('context_rules');
+    const memoryRows = lines.filter(l => l.table === 'memory');
+    expect(memoryRows.map(l => l.data.id)).toEqual([memoryId]);
+    expect(lines.some(l => l.data?.user_id === 'archive_other')).toBe(false);
+    expect(lines.some(l => l.table === 'context_rules')).toBe(false);
+
+    await call('memory.export', { file: 'leak.jsonl' }, { key }).expect(403);
+  });
+
+  test('rejects unknown strategies and malformed bundles', async () => {
+    await call('memory.import', { bundle: '{"type":"manifest","format":"thinkdrop-memory-bundle","formatVersion":1}', strategy: 'replace' })
+      .expect(400);
+    await call('memory.import', { bundle: '{"type":"row","table":"memory","data":{}}' }).expect(400);
+    await call('memory.import', { bundle: '{"type":"manifest","format":"thinkdrop-memory-bundle","formatVersion":99}' })
+      .expect(400);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('Memory batch operations', () => {
+  let db;
+  const USER = 'batch_user';
+
+  const call = apiClient({ userId: USER });
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('memory.storeBatch stores valid items and reports invalid ones', async () => {
+    const res = await call('memory.storeBatch', {
+      items: [
+        { text: 'Batch fact one: the office is on floor 3', detectSupersession: false },
+        { text: '' },
+        {
+          text: 'Batch fact two: Dana leads the mobile team',
+          entities: [{ type: 'person', value: 'Dana' }],
+          detectSupersession: false,
+        },
+        { text: 'Bad window', validFrom: '2024-02-01', validUntil: '2024-01-01' },
+      ],
+    }).expect(200);
+
+    const { total, succeeded, failed, results } = res.body.data;
+    expect(total).toBe(4);
+    expect(succeeded).toBe(2);
+    expect(failed).toBe(2);
+    expect(results.map(r => r.index)).toEqual([0, 1, 2, 3]);
+    expect(results[0].ok).toBe(true);
+    expect(results[1].ok).toBe(false);
+    expect(results[1].error).toBeDefined();
+    expect(results[2]).toMatchObject({ ok: true, entities: 1 });
+    expect(results[3].error).toMatch(/validUntil/);
+
+    const retrieved = await call('memory.retrieve', { memoryId: results[2].memoryId }).expect(200);
+    expect(retrieved.body.data.memory.text).toBe('Batch fact two: Dana leads the mobile team');
+  });
+
+  test('memory.storeBatch handles hundreds of items', async () => {
+    const items = Array.from({ length: 200 }, (_, i) => ({
+      text: `Bulk imported note number ${i}`,
+      detectSupersession: false,
+    }));
+    const res = await call('memory.storeBatch', { items }).expect(200);
+    expect(res.body.data.succeeded).toBe(200);
+
+    const ids = res.body.data.results.map(r => r.memoryId);
+    expect(new Set(ids).size).toBe(200);
+  });
+
+  test('memory.storeBatch rejects empty and oversized batches', async () => {
+    await call('memory.storeBatch', { items: [] }).expect(400);
+    const tooMany = Array.from({ length: 501 }, () => ({ text: 'x' }));
+    await call('memory.storeBatch', { items: tooMany }).expect(400);
+  });
+
+  test('memory.updateBatch applies valid updates and reports the rest', async () => {
+    const stored = await call('memory.storeBatch', {
+      items: [
+        { text: 'The coffee machine is on the left', detectSupersession: false },
+        { text: 'Standup is at 9:30', detectSupersession: false },
+      ],
+    }).expect(200);
+    const [coffee, standup] = stored.body.data.results.map(r => r.memoryId);
+
+    const res = await call('memory.updateBatch', {
+      items: [
+        { memoryId: coffee, updates: { text: 'The coffee machine moved to the kitchen' } },
+        { memoryId: 'mem_missing', updates: { text: 'nope' } },
+        { memoryId: standup },
+        { memoryId: standup, updates: { metadata: { team: 'platform' } } },
+      ],
+    }).expect(200);
+
+    const { succeeded, failed, results } = res.body.data;
+    expect(succeeded).toBe(2);
+    expect(failed).toBe(2);
+    expect(results[0]).toMatchObject({ ok: true, memoryId: coffee, revision: 2 });
+    expect(results[1].error).toMatch(/not found/);
+    expect(results[2].error).toMatch(/updates/);
+    expect(results[3].ok).toBe(true);
+
+    const retrieved = await call('memory.retrieve', { memoryId: coffee }).expect(200);
+    expect(retrieved.body.data.memory.text).toBe('The coffee machine moved to the kitchen');
+
+    const history = await call('memory.history', { memoryId: coffee }).expect(200);
+    expect(history.body.data.versions[0].replacedBy.action).toBe('memory.updateBatch');
+  });
+
+  test('memory.deleteBatch trashes existing memories and reports unknown ids', async () => {
+    const stored = await call('memory.storeBatch', {
+      items: [
+        { text: 'Temporary note A', detectSupersession: false },
+        { text: 'Temporary note B', detectSupersession: false },
+      ],
+    }).expect(200);
+    const [a, b] = stored.body.data.results.map(r => r.memoryId);
+
+    const res = await call('memory.deleteBatch', { memoryIds: [a, 'mem_missing', b] }).expect(200);
+    expect(res.body.data.succeeded).toBe(2);
+    expect(res.body.data.results[1]).toMatchObject({ ok: false, memoryId: 'mem_missing' });
+    expect(res.body.data.results[0].trashed).toBe(true);
+
+    const trash = await call('memory.trash.list', {}).expect(200);
+    expect(trash.body.data.memories.map(m => m.id)).toEqual(expect.arrayContaining([a, b]));
+
+    // Already trashed: only a permanent delete still finds them
+    const again = await call('memory.deleteBatch', { memoryIds: [a] }).expect(200);
+    expect(again.body.data.failed).toBe(1);
+    const purged = await call('memory.deleteBatch', { memoryIds: [a, b], permanent: true }).expect(200);
+    expect(purged.body.data.succeeded).toBe(2);
+    const rows = await db.query('SELECT id FROM memory WHERE id IN (?, ?)', [a, b]);
+    expect(rows).toHaveLength(0);
+  });
+});
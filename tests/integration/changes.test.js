@@ -0,0 +1,127 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import app from '../../src/server.js';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient, API_KEY } from '../helpers/api.js';
+
+describe('Change feed', () => {
+  let db;
+  let server;
+  let baseUrl;
+  const USER = 'changes_user';
+
+  const call = apiClient({ userId: USER });
+
+  // Read SSE events from a stream until `count` change events arrived.
+  async function readEvents(response, count) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const events = [];
+    let buffer = '';
+    while (events.filter(e => e.event === 'change').length < count) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let idx;
+      while ((idx = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        const event = {};
+        for (const line of block.split('\n')) {
+          const [field, ...rest] = line.split(': ');
+          if (field === 'event') event.event = rest.join(': ');
+          if (field === 'id') event.id = rest.join(': ');
+          if (field === 'data') event.data = JSON.parse(rest.join(': '));
+        }
+        if (event.event) events.push(event);
+      }
+    }
+    await reader.cancel();
+    return events;
+  }
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+  });
+
+  test('store/update/delete and rule mutations are logged in order', async () => {
+    const start = (await call('changes.list', { cursor: 0, limit: 1000 })).body.data.cursor;
+
+    const stored = await call('memory.store', { text: 'Change feed test memory' }).expect(200);
+    const memoryId = stored.body.data.memoryId;
+    await call('memory.update', { memoryId, updates: { text: 'Change feed test memory, edited' } }).expect(200);
+    await call('memory.delete', { memoryId }).expect(200);
+    const rule = await call('context_rule.upsert', { contextKey: 'changes.example.com', ruleText: 'Use the API' }).expect(200);
+
+    const res = await call('changes.list', { cursor: start }).expect(200);
+    const ops = res.body.data.changes.map(c => `${c.table}:${c.op}:${c.id}`);
+    expect(ops).toEqual([
+      `memory:insert:${memoryId}`,
+      `memory:update:${memoryId}`,
+      `memory:delete:${memoryId}`,
+      `context_rules:insert:${rule.body.data.id}`,
+    ]);
+    expect(res.body.data.cursor).toBe(res.body.data.changes[3].seq);
+    expect(res.body.data.reset).toBe(false);
+  });
+
+  test('filters by table and user', async () => {
+    const start = (await call('changes.list', { cursor: 0, limit: 1000 })).body.data.cursor;
+    await call('memory.store', { text: 'Someone else entirely' }, { userId: 'other_user' }).expect(200);
+    await call('memory.store', { text: 'Mine, for the filter test' }).expect(200);
+    await call('constraint.add', { rule: 'Never send email without asking' }).expect(200);
+
+    const memoryOnly = await call('changes.list', { cursor: start, tables: ['memory'], userId: USER }).expect(200);
+    expect(memoryOnly.body.data.changes).toHaveLength(1);
+    expect(memoryOnly.body.data.changes[0].userId).toBe(USER);
+
+    // Global rule changes are visible to every user
+    const mine = await call('changes.list', { cursor: start, userId: USER }).expect(200);
+    expect(mine.body.data.changes.map(c => c.table)).toEqual(['memory', 'user_constraints']);
+  });
+
+  test('rejects unknown tables', async () => {
+    await call('changes.list', { tables: ['secrets'] }).expect(400);
+  });
+
+  test('SSE stream delivers new changes and resumes from Last-Event-ID', async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/changes.stream?tables=memory&userId=${USER}`, {
+      headers: { Authorization: `Bearer ${API_KEY}` },
+      signal: controller.signal,
+    });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toContain('text/event-stream');
+
+    const pending = readEvents(response, 2);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await call('memory.store', { text: 'Streamed memory one' }).expect(200);
+    await call('memory.store', { text: 'Streamed memory two' }).expect(200);
+    const events = await pending;
+    controller.abort();
+
+    expect(events[0].event).toBe('ready');
+    const changes = events.filter(e => e.event === 'change');
+    expect(changes.map(e => e.data.data.text)).toEqual(['Streamed memory one', 'Streamed memory two']);
+
+    // Reconnect from the first event: the second one is replayed
+    const resumed = await fetch(`${baseUrl}/changes.stream?tables=memory&userId=${USER}`, {
+      headers: { Authorization: `Bearer ${API_KEY}`, 'Last-Event-ID': changes[0].id },
+    });
+    const replay = await readEvents(resumed, 1);
+    expect(replay.find(e => e.event === 'change').data.seq).toBe(Number(changes[1].id));
+  });
+
+  test('SSE stream requires auth', async () => {
+    const response = await fetch(`${baseUrl}/changes.stream`);
+    expect(response.status).toBe(401);
+  });
+});
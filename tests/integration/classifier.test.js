@@ -0,0 +1,66 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('Query classifier', () => {
+  let db;
+  const USER = 'classifier_user';
+  const QUERY = 'kannst du den Chat kurz zusammenfassen';
+
+  const call = apiClient({ userId: USER, sessionId: 'sess_1', messageCount: 6 });
+
+  async function classify(query, userId = USER) {
+    const res = await call('memory.classify-conversational-query', { query }, { userId }).expect(200);
+    return res.body.data;
+  }
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('classifies against the seeded prototypes', async () => {
+    const positional = await classify('what did I say first?');
+    expect(positional).toMatchObject({ method: 'prototype', classification: 'POSITIONAL', isConversational: true });
+    expect(positional.rules.classification).toBe('POSITIONAL');
+    expect(Object.keys(positional.scores).sort()).toEqual(['GENERAL', 'OVERVIEW', 'POSITIONAL', 'TOPICAL']);
+
+    expect((await classify('summarize our conversation')).classification).toBe('OVERVIEW');
+    expect((await classify('what is the weather today?')).classification).toBe('GENERAL');
+
+    const rows = await db.query('SELECT COUNT(*) AS count FROM query_classifier_examples WHERE source = \'seed\'');
+    expect(Number(rows[0].count)).toBeGreaterThan(20);
+  });
+
+  test('memory.classify.feedback corrects future classifications for the user', async () => {
+    const before = await classify(QUERY);
+    const label = before.classification === 'OVERVIEW' ? 'TOPICAL' : 'OVERVIEW';
+
+    const res = await call('memory.classify.feedback', {
+      query: QUERY,
+      label,
+      wrongLabel: before.classification,
+    }).expect(200);
+    expect(res.body.data).toMatchObject({ created: true, label });
+
+    expect((await classify(QUERY)).classification).toBe(label);
+    // Other users keep the seeded behaviour
+    expect((await classify(QUERY, 'other_user')).classification).toBe(before.classification);
+
+    // A second correction of the same query replaces the label
+    const again = await call('memory.classify.feedback', { query: QUERY, label: 'GENERAL' }).expect(200);
+    expect(again.body.data).toMatchObject({ id: res.body.data.id, updated: true, label: 'GENERAL' });
+  });
+
+  test('skips near-duplicates and validates labels', async () => {
+    const res = await call('memory.classify.feedback', { query: 'Summarize our conversation', label: 'OVERVIEW' }).expect(200);
+    expect(res.body.data).toMatchObject({ created: false, reason: 'near_duplicate' });
+
+    await call('memory.classify.feedback', { query: 'hello' }).expect(400);
+    await call('memory.classify.feedback', { query: 'hello', label: 'CHITCHAT' }).expect(400);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('memory.consolidate', () => {
+  let db;
+  const USER = 'consolidate_user';
+  const ids = {};
+
+  const call = apiClient({ userId: USER });
+
+  async function store(key, text, entities) {
+    const res = await call('memory.store', { text, entities }).expect(200);
+    ids[key] = res.body.data.memoryId;
+  }
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+
+    // Case and punctuation variants embed alike under any provider, so the
+    // cluster does not depend on how good the model is
+    const lee = [{ type: 'person', value: 'Dr. Lee' }];
+    await store('lee1', 'My dentist is Dr. Lee', lee);
+    await store('lee2', 'my dentist is Dr. Lee.', lee);
+    await store('lee3', 'My dentist is Dr Lee!', [...lee, { type: 'location', value: 'Main Street' }]);
+    await store('kim', 'My dentist is Dr. Kim', [{ type: 'person', value: 'Dr. Kim' }]);
+    await store('other', 'I parked the car on level 3 of the garage');
+    await call('memory.update', { memoryId: ids.lee3, updates: { metadata: { checked: true } } }).expect(200);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('dry run proposes clusters without changing anything', async () => {
+    const res = await call('memory.consolidate', { minEntityOverlap: 0.3 }).expect(200);
+    const data = res.body.data;
+
+    expect(data.dryRun).toBe(true);
+    expect(data.merged).toBe(0);
+    const cluster = data.clusters.find(c => c.members.some(m => m.id === ids.lee1));
+    expect(cluster).toBeDefined();
+    // The oldest member is canonical
+    expect(cluster.canonicalId).toBe(ids.lee1);
+    expect(cluster.sourceIds.sort()).toEqual([ids.lee2, ids.lee3].sort());
+
+    // Entities disagree → never merged
+    expect(data.clusters.some(c => c.members.some(m => m.id === ids.kim))).toBe(false);
+    expect(data.clusters.some(c => c.members.some(m => m.id === ids.other))).toBe(false);
+
+    const rows = await db.query('SELECT COUNT(*) AS n FROM memory WHERE user_id = ?', [USER]);
+    expect(Number(rows[0].n)).toBe(5);
+  });
+
+  test('apply merges into the canonical memory with provenance', async () => {
+    const res = await call('memory.consolidate', { dryRun: false, minEntityOverlap: 0.3 }).expect(200);
+    expect(res.body.data.merged).toBe(2);
+
+    const canonical = await call('memory.retrieve', { memoryId: ids.lee1 }).expect(200);
+    expect(canonical.body.data.memory.mergedFrom).toEqual(expect.arrayContaining([ids.lee2, ids.lee3]));
+    expect(canonical.body.data.memory.entities.filter(e => e.value === 'Dr. Lee')).toHaveLength(1);
+    // Entities only a source carried move onto the canonical
+    expect(canonical.body.data.memory.entities.some(e => e.value === 'Main Street')).toBe(true);
+
+    await call('memory.retrieve', { memoryId: ids.lee2 }).expect(404);
+    await call('memory.retrieve', { memoryId: ids.lee3 }).expect(404);
+    await call('memory.retrieve', { memoryId: ids.kim }).expect(200);
+  });
+
+  test('merged sources sit in the trash with their history and can be restored', async () => {
+    const trash = await call('memory.trash.list', {}).expect(200);
+    const trashedIds = trash.body.data.memories.map(m => m.id);
+    expect(trashedIds).toEqual(expect.arrayContaining([ids.lee2, ids.lee3]));
+
+    const history = await call('memory.history', { memoryId: ids.lee3 }).expect(200);
+    expect(history.body.data.versions).toHaveLength(2);
+
+    await call('memory.restore', { memoryId: ids.lee3 }).expect(200);
+    const restored = await call('memory.retrieve', { memoryId: ids.lee3 }).expect(200);
+    expect(restored.body.data.memory.entities.map(e => e.value).sort()).toEqual(['Dr. Lee', 'Main Street']);
+  });
+
+  test('expired memories are not merged', async () => {
+    await store('expired1', 'The boiler service is due in March', [{ type: 'thing', value: 'boiler' }]);
+    await store('expired2', 'the boiler service is due in March.', [{ type: 'thing', value: 'boiler' }]);
+    await db.execute("UPDATE memory SET expires_at = now() - INTERVAL 1 HOUR WHERE id = ?", [ids.expired2]);
+
+    const res = await call('memory.consolidate', { minEntityOverlap: 0.3 }).expect(200);
+    expect(res.body.data.clusters.some(c => c.members.some(m => m.id === ids.expired1))).toBe(false);
+  });
+
+  test('document chunks are never merged', async () => {
+    const text = Array.from({ length: 8 }, () => 'Standup notes: nothing new to report today. '.repeat(10)).join('\n\n');
+    await call('document.ingest', { text, chunkSize: 500, chunkOverlap: 0 }).expect(200);
+
+    const res = await call('memory.consolidate', { minEntityOverlap: 0.3 }).expect(200);
+    const chunks = await db.query('SELECT id FROM memory WHERE user_id = ? AND type = \'document_chunk\'', [USER]);
+    const chunkIds = new Set(chunks.map(r => r.id));
+    expect(chunkIds.size).toBeGreaterThan(1);
+    expect(res.body.data.clusters.some(c => c.members.some(m => chunkIds.has(m.id)))).toBe(false);
+  });
+
+  test('applying only selected clusters', async () => {
+    const res = await call('memory.consolidate', { dryRun: false, canonicalIds: ['mem_none'] }).expect(200);
+    expect(res.body.data.clusterCount).toBe(0);
+  });
+
+  test('rejects out-of-range thresholds', async () => {
+    await call('memory.consolidate', { similarityThreshold: 2 }).expect(400);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('Conversation turns', () => {
+  let db;
+  const USER = 'conversation_user';
+  const SESSION = 'sess_trip';
+
+  const call = apiClient({ userId: USER });
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('conversation.append stores turns in order', async () => {
+    const first = await call('conversation.append', {
+      sessionId: SESSION,
+      role: 'user',
+      text: 'I want to plan a trip to Lisbon in October',
+    }).expect(200);
+    expect(first.body.data).toMatchObject({ sessionId: SESSION, turnCount: 1, turns: [{ turnIndex: 0, role: 'user' }] });
+
+    const rest = await call('conversation.append', {
+      sessionId: SESSION,
+      turns: [
+        { role: 'assistant', text: 'October is a great time for Lisbon. Where would you like to stay?' },
+        { role: 'user', text: 'Yes, find a hotel near the river with a budget of 150 euros a night' },
+        { role: 'assistant', text: 'I found three hotels by the river in Cais do Sodré under 150 euros' },
+        { role: 'user', text: 'Also remind me to renew my passport before the trip' },
+      ],
+    }).expect(200);
+    expect(rest.body.data.turns.map(t => t.turnIndex)).toEqual([1, 2, 3, 4]);
+    expect(rest.body.data.turnCount).toBe(5);
+  });
+
+  test('validates its input', async () => {
+    await call('conversation.append', { role: 'user', text: 'hi' }).expect(400);
+    await call('conversation.append', { sessionId: SESSION, role: 'robot', text: 'hi' }).expect(400);
+    await call('conversation.resolve', { sessionId: SESSION }).expect(400);
+    await call('conversation.get', { sessionId: 'sess_missing' }).expect(404);
+  });
+
+  test('conversation.get pages through the turns', async () => {
+    const res = await call('conversation.get', { sessionId: SESSION, limit: 2, offset: 1 }).expect(200);
+    expect(res.body.data.total).toBe(5);
+    expect(res.body.data.turns.map(t => t.turnIndex)).toEqual([1, 2]);
+    expect(res.body.data.turns[0].role).toBe('assistant');
+  });
+
+  test('POSITIONAL queries return the first or last turns of the named speaker', async () => {
+    const first = await call('conversation.resolve', { sessionId: SESSION, query: 'what did I say first?', limit: 1 }).expect(200);
+    expect(first.body.data).toMatchObject({ classification: 'POSITIONAL', strategy: 'first', role: 'user' });
+    expect(first.body.data.turns.map(t => t.turnIndex)).toEqual([0]);
+
+    const last = await call('conversation.resolve', { sessionId: SESSION, query: 'what did you say just now?', limit: 1 }).expect(200);
+    expect(last.body.data).toMatchObject({ classification: 'POSITIONAL', strategy: 'last', role: 'assistant' });
+    expect(last.body.data.turns.map(t => t.turnIndex)).toEqual([3]);
+  });
+
+  test('TOPICAL queries return the turns about the topic in order', async () => {
+    const res = await call('conversation.resolve', {
+      sessionId: SESSION,
+      query: 'remind me of our conversation about the hotel',
+      limit: 2,
+    }).expect(200);
+    expect(res.body.data).toMatchObject({ classification: 'TOPICAL', strategy: 'topic', topic: 'the hotel' });
+    const turns = res.body.data.turns;
+    expect(turns).toHaveLength(2);
+    expect(turns.every(t => t.text.includes('hotel'))).toBe(true);
+    expect(turns[0].turnIndex).toBeLessThan(turns[1].turnIndex);
+  });
+
+  test('TOPICAL queries fall back to topic words when no turn is similar enough', async () => {
+    const res = await call('conversation.resolve', {
+      sessionId: SESSION,
+      query: 'what did we say about the passport?',
+      minSimilarity: 1,
+    }).expect(200);
+    expect(res.body.data).toMatchObject({ strategy: 'topic', topic: 'the passport', match: 'keyword' });
+    expect(res.body.data.turns.map(t => t.turnIndex)).toEqual([4]);
+  });
+
+  test('OVERVIEW queries return a digest of the session', async () => {
+    const res = await call('conversation.resolve', { sessionId: SESSION, query: 'summarize our conversation' }).expect(200);
+    expect(res.body.data).toMatchObject({ classification: 'OVERVIEW', strategy: 'digest', turnCount: 5 });
+    expect(res.body.data.digest.byRole).toEqual({ user: 3, assistant: 2 });
+    expect(res.body.data.digest.entities[0]).toEqual({ type: 'money', value: '150 euros', mentions: 2 });
+    expect(res.body.data.turns).toHaveLength(5);
+  });
+
+  test('GENERAL queries resolve to no turns', async () => {
+    const res = await call('conversation.resolve', { sessionId: SESSION, query: 'what is the capital of France?' }).expect(200);
+    expect(res.body.data).toMatchObject({ classification: 'GENERAL', strategy: 'none', turns: [] });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('Document ingestion', () => {
+  let db;
+  let documentId;
+  let chunkIds;
+  const USER = 'documents_user';
+
+  // ~14,000 characters: too long for memory.store
+  const TRANSCRIPT = Array.from({ length: 40 }, (_, i) => (i === 25
+    ? 'Priya confirmed the Lisbon offsite is booked for the second week of October. '
+    : `Item ${i}: the team reviewed sprint velocity, open incidents and the hiring pipeline. `
+  ).repeat(4)).join('\n\n');
+
+  const call = apiClient({ userId: USER });
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+
+    await call('memory.store', { text: 'Lisbon has great custard tarts', detectSupersession: false }).expect(200);
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('memory.store still rejects long text', async () => {
+    expect(TRANSCRIPT.length).toBeGreaterThan(10000);
+    const res = await call('memory.store', { text: TRANSCRIPT });
+    expect(res.body.error.message).toContain('10,000');
+  });
+
+  test('document.ingest stores overlapping chunks under a parent document', async () => {
+    const res = await call('document.ingest', {
+      text: TRANSCRIPT,
+      title: 'Weekly sync transcript',
+      metadata: { source: 'zoom' },
+    }).expect(200);
+    documentId = res.body.data.documentId;
+    chunkIds = res.body.data.chunkIds;
+
+    expect(res.body.data.title).toBe('Weekly sync transcript');
+    expect(res.body.data.chunkCount).toBeGreaterThan(10);
+    expect(chunkIds).toHaveLength(res.body.data.chunkCount);
+
+    const chunk = await call('memory.retrieve', { memoryId: chunkIds[1] }).expect(200);
+    expect(chunk.body.data.memory.type).toBe('document_chunk');
+    expect(chunk.body.data.memory.metadata).toMatchObject({ source: 'zoom', documentId, chunkIndex: 1 });
+  });
+
+  test('document.ingest validates its input', async () => {
+    await call('document.ingest', {}).expect(400);
+    await call('document.ingest', { text: TRANSCRIPT, chunkSize: 20000 }).expect(400);
+    await call('document.ingest', { text: TRANSCRIPT, chunkSize: 500, chunkOverlap: 400 }).expect(400);
+  });
+
+  test('document.get and document.list describe the document', async () => {
+    const res = await call('document.get', { documentId, includeText: true }).expect(200);
+    expect(res.body.data.text).toBe(TRANSCRIPT);
+    expect(res.body.data.chunks.map(c => c.memoryId)).toEqual(chunkIds);
+    const [first, second] = res.body.data.chunks;
+    expect(TRANSCRIPT.slice(first.start, first.end)).toBe(first.text);
+    expect(second.start).toBeLessThan(first.end);
+
+    const list = await call('document.list', {}).expect(200);
+    expect(list.body.data.documents.map(d => d.id)).toEqual([documentId]);
+
+    await call('document.get', { documentId: 'doc_missing' }).expect(404);
+  });
+
+  test('memory.search collapses chunk hits into the document with highlighted passages', async () => {
+    const res = await call('memory.search', {
+      query: 'Lisbon offsite booking',
+      minSimilarity: 0.0001,
+      limit: 50,
+    }).expect(200);
+    const results = res.body.data.results;
+
+    const documents = results.filter(r => r.type === 'document');
+    expect(documents).toHaveLength(1);
+    expect(results.some(r => r.type === 'document_chunk')).toBe(false);
+
+    const [document] = documents;
+    expect(document).toMatchObject({ id: documentId, title: 'Weekly sync transcript' });
+    expect(document.passages.length).toBeLessThanOrEqual(3);
+    const best = document.passages[0];
+    expect(best.text).toContain('Lisbon offsite');
+    const [start, end] = best.highlights[0];
+    expect(best.text.slice(start, end).toLowerCase()).toBe('lisbon');
+
+    const raw = await call('memory.search', {
+      query: 'Lisbon offsite booking',
+      minSimilarity: 0.0001,
+      collapseDocuments: false,
+    }).expect(200);
+    expect(raw.body.data.results.some(r => r.type === 'document_chunk')).toBe(true);
+  });
+
+  test('document.delete removes the document and its chunks', async () => {
+    const res = await call('document.delete', { documentId }).expect(200);
+    expect(res.body.data).toEqual({ documentId, deleted: true, chunksDeleted: chunkIds.length });
+
+    const rows = await db.query('SELECT COUNT(*) AS count FROM memory WHERE type = \'document_chunk\'');
+    expect(Number(rows[0].count)).toBe(0);
+    await call('document.get', { documentId }).expect(404);
+  });
+});
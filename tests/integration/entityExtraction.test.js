@@ -0,0 +1,99 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('Entity extraction', () => {
+  let db;
+  const ids = {};
+  const USER = 'extraction_user';
+
+  const call = apiClient({ userId: USER });
+
+  function entitiesOf(memoryId) {
+    return db.query(
+      'SELECT type, normalized_value, source FROM memory_entities WHERE memory_id = ? ORDER BY type, normalized_value',
+      [memoryId]
+    );
+  }
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('memory.store extracts entities when none are given', async () => {
+    const res = await call('memory.store', {
+      text: 'Email Sarah Chen at sarah@Acme.io or call 415-555-2671 before 2025-07-01',
+      detectSupersession: false,
+    }).expect(200);
+    ids.sarah = res.body.data.memoryId;
+
+    expect(await entitiesOf(ids.sarah)).toEqual([
+      { type: 'date', normalized_value: '2025-07-01', source: 'extracted' },
+      { type: 'email', normalized_value: 'sarah@acme.io', source: 'extracted' },
+      { type: 'person', normalized_value: 'Sarah Chen', source: 'extracted' },
+      { type: 'phone', normalized_value: '+14155552671', source: 'extracted' },
+    ]);
+  });
+
+  test('caller-provided entities and extractEntities: false skip extraction', async () => {
+    const provided = await call('memory.store', {
+      text: 'Sarah Chen prefers calls after 3pm',
+      entities: [{ type: 'person', value: 'Sarah' }],
+      detectSupersession: false,
+    }).expect(200);
+    ids.provided = provided.body.data.memoryId;
+    expect(await entitiesOf(ids.provided)).toEqual([
+      { type: 'person', normalized_value: 'Sarah', source: null },
+    ]);
+
+    const skipped = await call('memory.store', {
+      text: 'Invoice from Globex Corp was $300',
+      extractEntities: false,
+      detectSupersession: false,
+    }).expect(200);
+    ids.skipped = skipped.body.data.memoryId;
+    expect(await entitiesOf(ids.skipped)).toEqual([]);
+  });
+
+  test('extracted entities feed the entity graph', async () => {
+    const res = await call('graph.entity', { entity: 'sarah@acme.io', type: 'email' }).expect(200);
+    expect(res.body.data.memories.map(m => m.id)).toContain(ids.sarah);
+  });
+
+  test('memory.update re-extracts when the text changes', async () => {
+    await call('memory.update', {
+      memoryId: ids.sarah,
+      updates: { text: 'Email Sarah Chen at sarah.chen@acme.io' },
+    }).expect(200);
+    expect(await entitiesOf(ids.sarah)).toEqual([
+      { type: 'email', normalized_value: 'sarah.chen@acme.io', source: 'extracted' },
+      { type: 'person', normalized_value: 'Sarah Chen', source: 'extracted' },
+    ]);
+  });
+
+  test('memory.entities.backfill fills memories without caller entities', async () => {
+    await db.execute('DELETE FROM memory_entities WHERE memory_id = ?', [ids.sarah]);
+
+    const dry = await call('memory.entities.backfill', { dryRun: true }).expect(200);
+    expect(dry.body.data).toMatchObject({ dryRun: true, entitiesAdded: 4 });
+    expect(await entitiesOf(ids.skipped)).toEqual([]);
+
+    const res = await call('memory.entities.backfill', {}).expect(200);
+    expect(res.body.data).toMatchObject({ scanned: 2, updated: 2, entitiesAdded: 4, dryRun: false });
+    expect(await entitiesOf(ids.skipped)).toEqual([
+      { type: 'money', normalized_value: '300 USD', source: 'extracted' },
+      { type: 'organization', normalized_value: 'Globex Corp', source: 'extracted' },
+    ]);
+    // Caller-provided entities are never touched
+    expect(await entitiesOf(ids.provided)).toEqual([
+      { type: 'person', normalized_value: 'Sarah', source: null },
+    ]);
+
+    await call('memory.entities.backfill', { limit: 0 }).expect(400);
+  });
+});
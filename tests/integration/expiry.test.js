@@ -0,0 +1,108 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { getRetentionService } from '../../src/services/retention.js';
+import { apiClient } from '../helpers/api.js';
+import { runInTimeZone } from '../helpers/timeZone.js';
+
+describe('Memory expiry', () => {
+  let db;
+  const ids = {};
+  const USER = 'expiry_user';
+
+  const call = apiClient({ userId: USER });
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('memory.store accepts ttl and natural expiresAt phrases', async () => {
+    const before = Date.now();
+    const parking = await call('memory.store', {
+      text: 'My parking spot today is B12',
+      entities: [{ type: 'location', value: 'B12' }],
+      ttl: '2h',
+      detectSupersession: false,
+    }).expect(200);
+    ids.parking = parking.body.data.memoryId;
+    const expires = new Date(parking.body.data.expiresAt).getTime();
+    expect(expires).toBeGreaterThanOrEqual(before + 2 * 3600 * 1000);
+    expect(expires).toBeLessThan(before + 2 * 3600 * 1000 + 60 * 1000);
+
+    const guest = await call('memory.store', {
+      text: 'Guest wifi code is 5512',
+      expiresAt: 'until tomorrow',
+      detectSupersession: false,
+    }).expect(200);
+    ids.guest = guest.body.data.memoryId;
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(23, 59, 59, 999);
+    expect(new Date(guest.body.data.expiresAt).getTime()).toBe(tomorrow.getTime());
+
+    const lasting = await call('memory.store', { text: 'My car is a blue hatchback', detectSupersession: false }).expect(200);
+    ids.car = lasting.body.data.memoryId;
+    expect(lasting.body.data.expiresAt).toBeNull();
+  });
+
+  test('memory.store rejects unparseable or past expiry', async () => {
+    await call('memory.store', { text: 'x marks the spot', ttl: 'eventually' }).expect(400);
+    await call('memory.store', { text: 'x marks the spot', expiresAt: '2001-01-01T00:00:00Z' }).expect(400);
+  });
+
+  test('expired memories disappear from reads immediately', async () => {
+    await db.execute('UPDATE memory SET expires_at = now() - INTERVAL 1 MINUTE WHERE id = ?', [ids.parking]);
+
+    await call('memory.retrieve', { memoryId: ids.parking }).expect(404);
+    const list = await call('memory.list', {}).expect(200);
+    expect(list.body.data.memories.map(m => m.id)).not.toContain(ids.parking);
+    const search = await call('memory.search', { query: 'parking spot B12', minSimilarity: 0.0001 }).expect(200);
+    expect(search.body.data.results.map(r => r.id)).not.toContain(ids.parking);
+  });
+
+  test('memory.update can extend or clear an expiry', async () => {
+    await call('memory.update', { memoryId: ids.guest, updates: { ttl: '7d' } }).expect(200);
+    const extended = await call('memory.retrieve', { memoryId: ids.guest }).expect(200);
+    expect(new Date(extended.body.data.memory.expiresAt).getTime()).toBeGreaterThan(Date.now() + 6 * 24 * 3600 * 1000);
+
+    await call('memory.update', { memoryId: ids.guest, updates: { expiresAt: null } }).expect(200);
+    const cleared = await call('memory.retrieve', { memoryId: ids.guest }).expect(200);
+    expect(cleared.body.data.memory.expiresAt).toBeNull();
+  });
+
+  test('a short ttl is not expired on arrival east of UTC', async () => {
+    const result = await runInTimeZone('Asia/Tokyo', async ({ call, db }) => {
+      const stored = await call('memory.store', { text: 'Locker 14 until lunch', ttl: '2h', detectSupersession: false }).expect(200);
+      const updated = await call('memory.store', { text: 'Shuttle leaves from gate C', detectSupersession: false }).expect(200);
+      await call('memory.update', { memoryId: updated.body.data.memoryId, updates: { ttl: '2h' } }).expect(200);
+
+      const ids = [stored.body.data.memoryId, updated.body.data.memoryId];
+      const list = await call('memory.list', {}).expect(200);
+      // The predicate the read filters and the expiry sweep share
+      const live = await db.query('SELECT id FROM memory WHERE id IN (?, ?) AND expires_at > now()', ids);
+      return { ids, listed: list.body.data.memories.map(m => m.id), live: live.map(r => r.id) };
+    }, { userId: 'expiry_tz_user' });
+
+    expect(result.listed).toEqual(expect.arrayContaining(result.ids));
+    expect(result.live.sort()).toEqual([...result.ids].sort());
+  });
+
+  test('the expiry sweep deletes expired memories and their entities', async () => {
+    const retention = getRetentionService();
+    retention.db = db;
+    const purged = await retention.purgeExpired();
+
+    expect(purged).toBe(1);
+    expect(await db.query('SELECT id FROM memory WHERE id = ?', [ids.parking])).toHaveLength(0);
+    expect(await db.query('SELECT id FROM memory_entities WHERE memory_id = ?', [ids.parking])).toHaveLength(0);
+    expect(await db.query('SELECT id FROM memory WHERE id IN (?, ?)', [ids.guest, ids.car])).toHaveLength(2);
+
+    const changes = await call('changes.list', { tables: ['memory'], userId: USER, limit: 500 }).expect(200);
+    const deletion = changes.body.data.changes.find(c => c.id === ids.parking && c.op === 'delete');
+    expect(deletion.data).toEqual({ expired: true });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('Search fusion and explain', () => {
+  let db;
+  const USER = 'fusion_user';
+  const ids = {};
+
+  const call = apiClient({ userId: USER });
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+
+    const pasta = await call('memory.store', {
+      text: 'My favourite dinner is pasta with pesto',
+      detectSupersession: false,
+    }).expect(200);
+    ids.pasta = pasta.body.data.memoryId;
+
+    const dentist = await call('memory.store', {
+      text: 'Appointment with Dr. Rivera about dinner plans next week',
+      entities: [{ type: 'person', value: 'Rivera' }],
+      detectSupersession: false,
+    }).expect(200);
+    ids.dentist = dentist.body.data.memoryId;
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('explain breaks the score down per signal', async () => {
+    const res = await call('memory.search', {
+      query: 'Rivera dinner',
+      minSimilarity: 0.0001,
+      explain: true,
+    }).expect(200);
+
+    expect(res.body.data.fusion.strategy).toBe('weighted');
+    const hit = res.body.data.results.find(r => r.id === ids.dentist);
+    expect(hit.explain.matchedEntities).toEqual(['Rivera']);
+    expect(hit.explain.vectorDistance).toBeCloseTo(1 - hit.similarity, 6);
+    expect(hit.explain.recencyBoost).toBeGreaterThan(0);
+    const sum = Object.values(hit.explain.contributions).reduce((a, b) => a + b, 0);
+    expect(hit.score).toBeCloseTo(sum, 6);
+    expect(hit.explain.finalScore).toBeCloseTo(hit.score, 6);
+  });
+
+  test('explain is omitted unless requested', async () => {
+    const res = await call('memory.search', { query: 'dinner', minSimilarity: 0.0001 }).expect(200);
+    expect(res.body.data.results.length).toBeGreaterThan(0);
+    expect(res.body.data.results[0].explain).toBeUndefined();
+    expect(typeof res.body.data.results[0].score).toBe('number');
+  });
+
+  test('per-request weights change the ranking', async () => {
+    const res = await call('memory.search', {
+      query: 'Rivera dinner',
+      minSimilarity: 0.0001,
+      fusion: { weights: { vector: 0, bm25: 0, recency: 0, entity: 1 } },
+    }).expect(200);
+    expect(res.body.data.results[0].id).toBe(ids.dentist);
+    expect(res.body.data.fusion.weights.entity).toBe(1);
+  });
+
+  test('reciprocal rank fusion scores by rank', async () => {
+    const res = await call('memory.search', {
+      query: 'Rivera dinner',
+      minSimilarity: 0.0001,
+      explain: true,
+      fusion: { strategy: 'rrf', k: 10 },
+    }).expect(200);
+    const hit = res.body.data.results.find(r => r.id === ids.dentist);
+    expect(hit.explain.strategy).toBe('rrf');
+    expect(hit.explain.contributions.entity).toBeCloseTo(0.1 / (10 + hit.explain.ranks.entity), 6);
+  });
+
+  test('rejects invalid fusion options', async () => {
+    await call('memory.search', { query: 'dinner', fusion: { strategy: 'borda' } }).expect(400);
+    await call('memory.search', { query: 'dinner', fusion: { weights: { clicks: 1 } } }).expect(400);
+    await call('memory.search', { query: 'dinner', fusion: { weights: { vector: -1 } } }).expect(400);
+  });
+});
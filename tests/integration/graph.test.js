@@ -0,0 +1,102 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('Entity graph', () => {
+  let db;
+  const USER = 'graph_user';
+  const ids = {};
+
+  const call = apiClient({ userId: USER });
+
+  async function store(text, entities, userId = USER) {
+    const res = await call('memory.store', { text, entities, detectSupersession: false }, { userId }).expect(200);
+    return res.body.data.memoryId;
+  }
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+
+    ids.sarahJohn = await store('Sarah works with John on the billing rewrite', [
+      { type: 'person', value: 'Sarah' },
+      { type: 'person', value: 'John' },
+    ]);
+    ids.mikeJohn = await store('Mike is a teammate of john', [
+      { type: 'PERSON', value: 'Mike' },
+      { type: 'person', value: 'John ' },
+    ]);
+    ids.sarahApollo = await store('Sarah is on the Apollo project', [
+      { type: 'person', value: 'Sarah' },
+      { type: 'project', value: 'Apollo' },
+    ]);
+    ids.apolloAcme = await store('Apollo is built by Acme', [
+      { type: 'project', value: 'Apollo' },
+      { type: 'organization', value: 'Acme' },
+    ]);
+    await store('Sarah works with Dana', [
+      { type: 'person', value: 'Sarah' },
+      { type: 'person', value: 'Dana' },
+    ], 'someone_else');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('graph.entity dedupes mentions into one canonical node', async () => {
+    const res = await call('graph.entity', { entity: 'john' }).expect(200);
+    const { entity, memories, relations } = res.body.data;
+    expect(entity.type).toBe('person');
+    expect(entity.memoryCount).toBe(2);
+    expect(memories.map(m => m.id).sort()).toEqual([ids.sarahJohn, ids.mikeJohn].sort());
+    expect(relations.works_with).toBe(2);
+  });
+
+  test('graph.neighbors answers "who works with John"', async () => {
+    const res = await call('graph.neighbors', { entity: 'John', relation: 'works_with' }).expect(200);
+    const names = res.body.data.neighbors.map(n => n.entity.name).sort();
+    expect(names).toEqual(['Mike', 'Sarah']);
+    const sarah = res.body.data.neighbors.find(n => n.entity.name === 'Sarah');
+    expect(sarah.memories[0].id).toBe(ids.sarahJohn);
+  });
+
+  test('graph.neighbors filters by neighbor type', async () => {
+    const res = await call('graph.neighbors', { entity: 'Sarah', neighborType: 'project' }).expect(200);
+    expect(res.body.data.neighbors).toHaveLength(1);
+    const apollo = res.body.data.neighbors[0];
+    expect(apollo.entity.name).toBe('Apollo');
+    expect(apollo.relations.map(r => r.relation).sort()).toEqual(['co_occurs', 'works_on']);
+    expect(apollo.relations.find(r => r.relation === 'works_on').direction).toBe('out');
+  });
+
+  test('graph.path links entities through shared neighbors', async () => {
+    const res = await call('graph.path', { from: 'Mike', to: 'Acme' }).expect(200);
+    const { found, length, nodes, hops } = res.body.data;
+    expect(found).toBe(true);
+    expect(length).toBe(4);
+    expect(nodes.map(n => n.name)).toEqual(['Mike', 'John', 'Sarah', 'Apollo', 'Acme']);
+    expect(hops[0].memoryIds).toEqual([ids.mikeJohn]);
+
+    const shallow = await call('graph.path', { from: 'Mike', to: 'Acme', maxDepth: 2 }).expect(200);
+    expect(shallow.body.data.found).toBe(false);
+  });
+
+  test('graphs are per user', async () => {
+    await call('graph.entity', { entity: 'Dana' }).expect(404);
+    const res = await call('graph.neighbors', { entity: 'Sarah' }, { userId: 'someone_else' }).expect(200);
+    expect(res.body.data.neighbors.map(n => n.entity.name)).toEqual(['Dana']);
+  });
+
+  test('deleting a memory removes its edges and orphaned entities', async () => {
+    await call('memory.delete', { memoryId: ids.apolloAcme }).expect(200);
+    await call('graph.entity', { entity: 'Acme' }).expect(404);
+    const res = await call('graph.path', { from: 'Mike', to: 'Apollo' }).expect(200);
+    expect(res.body.data.length).toBe(3);
+  });
+
+  test('rejects unknown relations and missing entities', async () => {
+    await call('graph.neighbors', { entity: 'John', relation: 'married_to' }).expect(400);
+    await call('graph.neighbors', {}).expect(400);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('Memory revision history', () => {
+  let db;
+  let memoryId;
+  const USER = 'history_user';
+
+  const call = apiClient({ userId: USER, source: 'history-test' });
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+
+    const res = await call('memory.store', {
+      text: 'The wifi password is hunter2',
+      entities: [{ type: 'secret', value: 'hunter2' }],
+      metadata: { room: 'office' },
+      detectSupersession: false,
+    }).expect(200);
+    memoryId = res.body.data.memoryId;
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('each update keeps the previous version', async () => {
+    const first = await call('memory.update', {
+      memoryId,
+      updates: { text: 'The wifi password is correcthorse', entities: [{ type: 'secret', value: 'correcthorse' }] },
+    }, { requestId: 'req-update-1' }).expect(200);
+    expect(first.body.data.revision).toBe(2);
+
+    const second = await call('memory.update', {
+      memoryId,
+      updates: { metadata: { room: 'kitchen' } },
+    }, { requestId: 'req-update-2' }).expect(200);
+    expect(second.body.data.revision).toBe(3);
+
+    const res = await call('memory.history', { memoryId }).expect(200);
+    const { currentRevision, versions } = res.body.data;
+    expect(currentRevision).toBe(3);
+    expect(versions.map(v => v.text)).toEqual([
+      'The wifi password is hunter2',
+      'The wifi password is correcthorse',
+      'The wifi password is correcthorse',
+    ]);
+
+    expect(versions[0].replacedBy).toEqual({
+      action: 'memory.update',
+      requestId: 'req-update-1',
+      source: 'history-test',
+      actor: 'operator',
+    });
+    expect(versions[0].diff.text).toEqual({
+      from: 'The wifi password is hunter2',
+      to: 'The wifi password is correcthorse',
+    });
+    expect(versions[0].diff.entities.added.map(e => e.value)).toEqual(['correcthorse']);
+    expect(versions[0].diff.entities.removed.map(e => e.value)).toEqual(['hunter2']);
+    expect(Object.keys(versions[1].diff)).toEqual(['metadata']);
+    expect(versions[2].current).toBe(true);
+    expect(versions[2].diff).toBeUndefined();
+  });
+
+  test('an update keeps the creation time to the millisecond', async () => {
+    const stored = await call('memory.store', { text: 'The spare key is under the mat', detectSupersession: false }).expect(200);
+    const id = stored.body.data.memoryId;
+    const [before] = await db.query('SELECT created_at FROM memory WHERE id = ?', [id]);
+    await call('memory.update', { memoryId: id, updates: { metadata: { room: 'hall' } } }).expect(200);
+    const [after] = await db.query('SELECT created_at FROM memory WHERE id = ?', [id]);
+    expect(new Date(after.created_at).getTime()).toBe(new Date(before.created_at).getTime());
+  });
+
+  test('memory.revert rolls back to a revision and records the revert', async () => {
+    const res = await call('memory.revert', { memoryId, revision: 1 }, { requestId: 'req-revert' }).expect(200);
+    expect(res.body.data.revertedTo).toBe(1);
+    expect(res.body.data.revision).toBe(4);
+
+    const current = await call('memory.retrieve', { memoryId }).expect(200);
+    expect(current.body.data.memory.text).toBe('The wifi password is hunter2');
+    expect(current.body.data.memory.metadata).toEqual({ room: 'office' });
+    expect(current.body.data.memory.entities.map(e => e.value)).toEqual(['hunter2']);
+
+    const history = await call('memory.history', { memoryId }).expect(200);
+    const replaced = history.body.data.versions[2];
+    expect(replaced.replacedBy.action).toBe('memory.revert');
+    expect(replaced.replacedBy.requestId).toBe('req-revert');
+  });
+
+  test('an update that fails part way leaves the memory and its history as they were', async () => {
+    // Fail the re-insert of the row, after its revision and the delete ran
+    const insertRow = db.insert.bind(db);
+    const insert = jest.spyOn(db, 'insert').mockImplementation((table, row) => (
+      table === 'memory' ? Promise.reject(new Error('disk full')) : insertRow(table, row)
+    ));
+    try {
+      await call('memory.update', { memoryId, updates: { text: 'The wifi password is lost' } }).expect(500);
+    } finally {
+      insert.mockRestore();
+    }
+
+    const current = await call('memory.retrieve', { memoryId }).expect(200);
+    expect(current.body.data.memory.text).toBe('The wifi password is hunter2');
+    expect(current.body.data.memory.entities.map(e => e.value)).toEqual(['hunter2']);
+
+    const history = await call('memory.history', { memoryId }).expect(200);
+    expect(history.body.data.versions).toHaveLength(4);
+  });
+
+  test('unknown revisions and memories are 404s', async () => {
+    await call('memory.revert', { memoryId, revision: 99 }).expect(404);
+    await call('memory.history', { memoryId: 'mem_missing' }).expect(404);
+    await call('memory.revert', { memoryId }).expect(400);
+  });
+});
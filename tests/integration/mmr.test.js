@@ -0,0 +1,77 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('MMR diversification', () => {
+  let db;
+  const ids = {};
+  const USER = 'mmr_user';
+
+  const call = apiClient({ userId: USER });
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+
+    const texts = {
+      hotel1: 'Booked the Hotel Adlon in Berlin for the trip',
+      hotel2: 'Our Berlin trip hotel booking is at the Adlon',
+      hotel3: 'The hotel for the Berlin trip is booked: Hotel Adlon',
+      flight: 'Flights to Berlin leave Friday morning from SFO',
+    };
+    for (const [key, text] of Object.entries(texts)) {
+      const res = await call('memory.store', { text, detectSupersession: false }).expect(200);
+      ids[key] = res.body.data.memoryId;
+    }
+
+    for (const [id, text] of [['ep_mmr_1', 'Berlin trip itinerary'], ['ep_mmr_2', 'Berlin trip itinerary draft']]) {
+      await db.insert('episodic_memory', {
+        id,
+        user_id: USER,
+        type: 'screen_capture',
+        source_text: text,
+        metadata: JSON.stringify({ appName: 'Notes', windowTitle: id }),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('memory.search with mmr surfaces a distinct memory over paraphrases', async () => {
+    const res = await call('memory.search', {
+      query: 'Berlin trip',
+      minSimilarity: 0.0001,
+      limit: 2,
+      mmr: { lambda: 0.3 },
+    }).expect(200);
+    const { results, mmr, timings } = res.body.data;
+
+    expect(mmr).toEqual({ lambda: 0.3, candidates: 6 });
+    expect(typeof timings.mmr).toBe('number');
+    expect(results).toHaveLength(2);
+    expect(results.map(r => r.id)).toContain(ids.flight);
+    expect(results[0].redundancy).toBe(0);
+    expect(typeof results[1].mmrScore).toBe('number');
+    expect(results[1].redundancy).toBeGreaterThan(0);
+  });
+
+  test('without mmr paraphrases are not penalized', async () => {
+    const res = await call('memory.search', { query: 'Berlin trip hotel', minSimilarity: 0.0001, limit: 2 }).expect(200);
+    expect(res.body.data.mmr).toBeNull();
+    expect(res.body.data.results.every(r => r.redundancy === undefined)).toBe(true);
+  });
+
+  test('episodic.search accepts mmr', async () => {
+    const res = await call('episodic.search', { query: 'Berlin itinerary', mmr: true, dedup: false }).expect(200);
+    expect(res.body.data.mmr).toEqual({ lambda: 0.7, candidates: 75 });
+    expect(res.body.data.results).toHaveLength(2);
+    expect(res.body.data.results[0].redundancy).toBe(0);
+  });
+
+  test('rejects an invalid lambda', async () => {
+    await call('memory.search', { query: 'Berlin', mmr: { lambda: 2 } }).expect(400);
+    await call('episodic.search', { query: 'Berlin', mmr: { candidates: 0 } }).expect(400);
+  });
+});
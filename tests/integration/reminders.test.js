@@ -0,0 +1,113 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('Reminders', () => {
+  let db;
+  const ids = {};
+  const USER = 'reminders_user';
+  const HOUR = 60 * 60 * 1000;
+
+  const call = apiClient({ userId: USER });
+
+  // Move a reminder's due time into the past
+  async function makeDue(id, hoursAgo = 1) {
+    await db.execute('UPDATE reminders SET due_at = ? WHERE id = ?', [new Date(Date.now() - hoursAgo * HOUR), id]);
+  }
+
+  async function dueIds(payload = {}) {
+    const res = await call('reminder.due', payload).expect(200);
+    return res.body.data.reminders.map(r => r.id);
+  }
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('reminder.create accepts timestamps, phrases and recurrence rules', async () => {
+    const call1 = await call('reminder.create', { text: 'Call the dentist', dueAt: 'in 2 hours' }).expect(200);
+    ids.dentist = call1.body.data.id;
+    expect(call1.body.data).toMatchObject({ text: 'Call the dentist', status: 'pending', rrule: null, occurrences: 0 });
+    expect(new Date(call1.body.data.dueAt).getTime()).toBeGreaterThan(Date.now() + HOUR);
+
+    const daily = await call('reminder.create', {
+      text: 'Take vitamins',
+      dueAt: new Date(Date.now() + HOUR).toISOString(),
+      rrule: 'RRULE:FREQ=DAILY;COUNT=3',
+    }).expect(200);
+    ids.vitamins = daily.body.data.id;
+    expect(daily.body.data.rrule).toBe('FREQ=DAILY;COUNT=3');
+  });
+
+  test('validates its input', async () => {
+    await call('reminder.create', { text: 'No time' }).expect(400);
+    await call('reminder.create', { text: 'Past', dueAt: '2020-01-01T00:00:00Z' }).expect(400);
+    await call('reminder.create', { text: 'Hourly', dueAt: 'tomorrow', rrule: 'FREQ=HOURLY' }).expect(400);
+    await call('reminder.complete', { reminderId: 'rem_missing' }).expect(404);
+    await call('reminder.list', { status: 'later' }).expect(400);
+  });
+
+  test('reminder.due returns what is due, with an optional look-ahead', async () => {
+    expect(await dueIds()).toEqual([]);
+    expect(await dueIds({ within: '3h' })).toEqual([ids.vitamins, ids.dentist]);
+
+    await makeDue(ids.dentist);
+    expect(await dueIds()).toEqual([ids.dentist]);
+  });
+
+  test('reminder.snooze postpones a due reminder', async () => {
+    const res = await call('reminder.snooze', { reminderId: ids.dentist, duration: '30m' }).expect(200);
+    expect(res.body.data.status).toBe('snoozed');
+    expect(new Date(res.body.data.snoozedUntil).getTime()).toBeGreaterThan(Date.now());
+
+    expect(await dueIds()).toEqual([]);
+    expect(await dueIds({ within: '1h' })).toContain(ids.dentist);
+    await call('reminder.snooze', { reminderId: ids.dentist, until: '2020-01-01T00:00:00Z' }).expect(400);
+  });
+
+  test('reminder.complete finishes one-off reminders and advances recurring ones', async () => {
+    const done = await call('reminder.complete', { reminderId: ids.dentist }).expect(200);
+    expect(done.body.data).toMatchObject({ status: 'done', snoozedUntil: null });
+    expect(done.body.data.completedAt).not.toBeNull();
+    await call('reminder.complete', { reminderId: ids.dentist }).expect(400);
+
+    // Two days overdue: the missed occurrence is skipped
+    await makeDue(ids.vitamins, 47);
+    const next = await call('reminder.complete', { reminderId: ids.vitamins }).expect(200);
+    expect(next.body.data).toMatchObject({ status: 'pending', occurrences: 2 });
+    expect(new Date(next.body.data.dueAt).getTime()).toBeGreaterThan(Date.now());
+
+    // COUNT=3: the third occurrence was the last
+    const last = await call('reminder.complete', { reminderId: ids.vitamins }).expect(200);
+    expect(last.body.data.status).toBe('done');
+
+    const list = await call('reminder.list', { status: 'done' }).expect(200);
+    expect(list.body.data.total).toBe(2);
+  });
+
+  test('memory.store { createReminder } creates a reminder from a future date', async () => {
+    const year = new Date().getFullYear() + 1;
+    const res = await call('memory.store', {
+      text: `Renew my passport on March 3rd ${year}`,
+      createReminder: true,
+      detectSupersession: false,
+    }).expect(200);
+    const { memoryId, reminder } = res.body.data;
+    expect(reminder).toMatchObject({ memoryId, text: `Renew my passport on March 3rd ${year}`, status: 'pending' });
+    expect(new Date(reminder.dueAt)).toEqual(new Date(year, 2, 3, 9, 0));
+
+    const none = await call('memory.store', { text: 'My passport number ends in 42', createReminder: true, detectSupersession: false }).expect(200);
+    expect(none.body.data.reminder).toBeNull();
+    const unflagged = await call('memory.store', { text: `Dinner with Sam on March 4th ${year}`, detectSupersession: false }).expect(200);
+    expect(unflagged.body.data.reminder).toBeUndefined();
+
+    await call('memory.delete', { memoryId, permanent: true }).expect(200);
+    const rows = await db.query('SELECT COUNT(*) AS count FROM reminders WHERE memory_id = ?', [memoryId]);
+    expect(Number(rows[0].count)).toBe(0);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { getRerankerService, DeterministicRerankProvider } from '../../src/services/reranker.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('Search re-ranking', () => {
+  let db;
+  const ids = {};
+  const USER = 'rerank_user';
+
+  const call = apiClient({ userId: USER });
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+    // No model download in tests: score by query-term overlap
+    getRerankerService().provider = new DeterministicRerankProvider();
+
+    const texts = {
+      answer: 'The wifi password at the cabin is hunter2',
+      office: 'The office wifi network is called Guest and has no password',
+      router: 'Bought a new router for the apartment',
+      cabin: 'The cabin is two hours north of the city',
+    };
+    for (const [key, text] of Object.entries(texts)) {
+      const res = await call('memory.store', { text, detectSupersession: false }).expect(200);
+      ids[key] = res.body.data.memoryId;
+    }
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('rerank re-orders the top candidates by cross-encoder score', async () => {
+    const res = await call('memory.search', {
+      query: 'cabin wifi password',
+      minSimilarity: 0.0001,
+      limit: 2,
+      rerank: { topN: 10 },
+      explain: true,
+    }).expect(200);
+    const { results, rerank, timings } = res.body.data;
+
+    expect(rerank).toMatchObject({ model: 'deterministic:lexical-v1', topN: 10, applied: true });
+    expect(rerank.candidates).toBeGreaterThan(2);
+    expect(typeof timings.rerank).toBe('number');
+
+    expect(results).toHaveLength(2);
+    expect(results[0].id).toBe(ids.answer);
+    expect(results[0].rerankScore).toBeGreaterThanOrEqual(results[1].rerankScore);
+    expect(results[0].explain.rerank).toMatchObject({ score: results[0].rerankScore });
+    expect(results[0].explain.rerank.fusedRank).toBeGreaterThanOrEqual(1);
+  });
+
+  test('search without rerank is unchanged', async () => {
+    const res = await call('memory.search', { query: 'cabin wifi password', minSimilarity: 0.0001 }).expect(200);
+    expect(res.body.data.rerank).toBeNull();
+    expect(res.body.data.timings.rerank).toBeUndefined();
+    expect(res.body.data.results.every(r => r.rerankScore === undefined)).toBe(true);
+  });
+
+  test('rejects an invalid topN', async () => {
+    await call('memory.search', { query: 'wifi', rerank: { topN: 500 } }).expect(400);
+    await call('memory.search', { query: 'wifi', rerank: 'yes' }).expect(400);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { getEmbeddingService } from '../../src/services/embeddings.js';
+import { getSavedSearchService } from '../../src/services/savedSearch.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('Saved searches', () => {
+  let db;
+  const ids = {};
+  const USER = 'saved_search_user';
+
+  const call = apiClient({ userId: USER });
+
+  async function store(key, payload) {
+    const res = await call('memory.store', { detectSupersession: false, ...payload }).expect(200);
+    ids[key] = res.body.data.memoryId;
+  }
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('saved_search.create registers query and entity searches', async () => {
+    await store('before', { text: 'The Q3 budget review is on Thursday' });
+
+    const budget = await call('saved_search.create', { query: 'Q3 budget review', minSimilarity: 0.4 }).expect(200);
+    ids.budget = budget.body.data.id;
+    expect(budget.body.data).toMatchObject({ name: 'Q3 budget review', sources: ['memory', 'episodic'] });
+
+    const priya = await call('saved_search.create', {
+      entities: [{ type: 'person', value: 'Priya' }],
+      sources: ['memory'],
+    }).expect(200);
+    ids.priya = priya.body.data.id;
+    expect(priya.body.data).toMatchObject({ name: 'priya', query: null, entities: [{ type: 'person', value: 'priya' }] });
+  });
+
+  test('validates its input', async () => {
+    await call('saved_search.create', {}).expect(400);
+    await call('saved_search.create', { query: 'x', minSimilarity: 3 }).expect(400);
+    await call('saved_search.create', { query: 'x', sources: ['email'] }).expect(400);
+  });
+
+  test('new memories and captures that match are recorded for poll', async () => {
+    await store('budgetMemory', { text: 'Finance sent over the Q3 budget numbers for review' });
+    await store('lunch', { text: 'Lunch with Priya on Friday', entities: [{ type: 'person', value: 'Priya' }] });
+    await store('milk', { text: 'Bought oat milk' });
+
+    // Screen captures go through MonitorService.storeCapture, which calls evaluate()
+    const embedding = await getEmbeddingService().generateEmbedding('Sheets: Q3 budget review draft');
+    await db.insert('episodic_memory', {
+      id: 'ep_saved_1',
+      user_id: USER,
+      type: 'screen_capture',
+      source_text: 'Sheets: Q3 budget review draft',
+    });
+    const matched = await getSavedSearchService().evaluate('episodic', {
+      id: 'ep_saved_1',
+      userId: USER,
+      embedding,
+      entities: [{ type: 'person', value: 'Priya' }],
+    });
+    expect(matched).toEqual([ids.budget]);
+
+    const res = await call('saved_search.poll', {}).expect(200);
+    const matches = res.body.data.matches;
+    const hits = matches.map(m => [m.savedSearchId, m.memoryId]);
+
+    expect(hits).toContainEqual([ids.budget, ids.budgetMemory]);
+    expect(hits).toContainEqual([ids.priya, ids.lunch]);
+    expect(hits).toContainEqual([ids.budget, 'ep_saved_1']);
+    expect(hits.some(([, memoryId]) => memoryId === ids.milk || memoryId === ids.before)).toBe(false);
+
+    const budgetHit = matches.find(m => m.memoryId === 'ep_saved_1');
+    expect(budgetHit).toMatchObject({ source: 'episodic', savedSearchName: 'Q3 budget review', type: 'screen_capture' });
+    expect(budgetHit.similarity).toBeGreaterThanOrEqual(0.4);
+    expect(matches.find(m => m.memoryId === ids.lunch)).toMatchObject({ similarity: null, matchedEntities: ['priya'] });
+
+    const again = await call('saved_search.poll', {}).expect(200);
+    expect(again.body.data.matches).toEqual([]);
+  });
+
+  test('saved_search.list counts matches', async () => {
+    const res = await call('saved_search.list', {}).expect(200);
+    const budget = res.body.data.savedSearches.find(s => s.id === ids.budget);
+    expect(budget).toMatchObject({ matches: 2, unseen: 0, stale: false });
+  });
+
+  test('saved_search.delete removes the search and its matches', async () => {
+    await call('saved_search.delete', { savedSearchId: ids.priya }).expect(200);
+    await call('saved_search.poll', { savedSearchId: ids.priya }).expect(404);
+
+    const rows = await db.query('SELECT COUNT(*) AS count FROM saved_search_match WHERE saved_search_id = ?', [ids.priya]);
+    expect(Number(rows[0].count)).toBe(0);
+  });
+});
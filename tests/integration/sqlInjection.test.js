@@ -0,0 +1,164 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+// Every MCP action that reaches SQL is fed payloads that would break out of a
+// hand-escaped literal. The tables must survive and the values must round-trip
+// byte-for-byte.
+const HOSTILE = [
+  '\'; DROP TABLE memory; --',
+  'x\' OR \'1\'=\'1',
+  'Robert\'); DELETE FROM user_constraints; --',
+  '\\\'; SELECT 1; --',
+  '100% _literal_ \\ wildcard',
+  'ünïcødé ✓ 日本語 \u0000 tail',
+];
+
+const TABLES = [
+  'memory', 'memory_entities', 'user_constraints', 'context_rules', 'api_rules',
+  'intent_overrides', 'phrase_preferences', 'skill_prompts', 'user_profile',
+  'personality_state', 'personality_traits', 'voice_fingerprint',
+];
+
+describe('Hostile payloads through MCP actions', () => {
+  let db;
+  const USER = 'evil\' OR \'1\'=\'1';
+
+  const call = apiClient({ userId: USER });
+
+  async function expectTablesIntact() {
+    for (const table of TABLES) {
+      const rows = await db.query(`SELECT COUNT(*) AS n FROM ${table}`);
+      expect(rows).toHaveLength(1);
+    }
+  }
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+  });
+
+  afterAll(async () => {
+    await expectTablesIntact();
+    await db.close();
+  });
+
+  describe('memory.*', () => {
+    test.each(HOSTILE)('store/retrieve/update/delete round-trip: %s', async (payload) => {
+      const stored = await call('memory.store', {
+        text: `note ${payload}`,
+        type: payload,
+        entities: [{ type: payload, value: payload, entity_type: payload }],
+        metadata: { sessionId: payload },
+      }).expect(200);
+      const memoryId = stored.body.data.memoryId;
+
+      const got = await call('memory.retrieve', { memoryId }).expect(200);
+      expect(got.body.data.memory.text).toBe(`note ${payload}`);
+      expect(got.body.data.memory.entities[0].value).toBe(payload);
+
+      await call('memory.update', { memoryId, updates: { text: payload } }).expect(200);
+      const updated = await call('memory.retrieve', { memoryId }).expect(200);
+      expect(updated.body.data.memory.text).toBe(payload);
+
+      await call('memory.search', { query: payload, type: payload, sessionId: payload }).expect(200);
+      await call('memory.list', { type: payload, sortBy: payload, sortOrder: payload }).expect(200);
+
+      await call('memory.delete', { memoryId }).expect(200);
+      await expectTablesIntact();
+    });
+
+    test('memory.retrieve with a hostile id matches nothing', async () => {
+      await call('memory.store', { text: 'canary' }).expect(200);
+      await call('memory.retrieve', { memoryId: 'x\' OR \'1\'=\'1' }).expect(404);
+    });
+  });
+
+  describe('constraint.*', () => {
+    test.each(HOSTILE)('add/list/check/remove: %s', async (payload) => {
+      const added = await call('constraint.add', { rule: payload, scope: payload, blocks: [payload] }).expect(200);
+      const id = added.body.data.id;
+
+      const listed = await call('constraint.list', {}).expect(200);
+      expect(listed.body.data.constraints.some(r => r.rule === payload)).toBe(true);
+
+      await call('constraint.check', { actionPatterns: [payload], scope: payload, message: payload }).expect(200);
+      await call('constraint.update', { id, updates: { rule: payload, severity: payload } }).expect(200);
+      await call('constraint.remove', { id }).expect(200);
+      await expectTablesIntact();
+    });
+  });
+
+  describe('context_rule.*', () => {
+    test.each(HOSTILE)('upsert/search/delete_by_key: %s', async (payload) => {
+      await call('context_rule.upsert', { contextKey: payload, ruleText: payload, contextType: 'site' }).expect(200);
+
+      // Keys are stored lowercased and trimmed, so search by the stored form
+      const found = await call('context_rule.search', { contextKeys: [payload.toLowerCase().trim()] }).expect(200);
+      expect(found.body.data.results.some(r => r.ruleText === payload)).toBe(true);
+
+      await call('context_rule.list', { contextKey: payload }).expect(200);
+      await call('context_rule.analyze_cleanup', { contextKey: payload }).expect(200);
+      await call('context_rule.delete_by_key', { contextKey: payload }).expect(200);
+      await expectTablesIntact();
+    });
+  });
+
+  describe('api_rule.*', () => {
+    test.each(HOSTILE)('upsert/search/delete: %s', async (payload) => {
+      const up = await call('api_rule.upsert', { service: payload, ruleType: payload, ruleText: payload, fixHint: payload }).expect(200);
+
+      const found = await call('api_rule.search', { services: [payload], ruleType: payload }).expect(200);
+      expect(found.body.data.results.some(r => r.ruleText === payload)).toBe(true);
+
+      await call('api_rule.list', { service: payload, source: payload }).expect(200);
+      await call('api_rule.delete', { id: up.body.data.id }).expect(200);
+      await expectTablesIntact();
+    });
+  });
+
+  describe('embedding-backed rule stores', () => {
+    test.each(HOSTILE)('intent_override / phrase_preference / skill_prompt: %s', async (payload) => {
+      // correctIntent must name a known intent; the hostile text rides in the free-text fields
+      await call('intent_override.upsert', { examplePrompt: payload, correctIntent: 'memory_store', wrongIntent: payload, source: payload }).expect(200);
+      await call('intent_override.search', { prompt: payload }).expect(200);
+
+      await call('phrase_preference.upsert', { examplePhrase: payload, delivery: payload, service: payload }).expect(200);
+      await call('phrase_preference.search', { phrase: payload, service: payload }).expect(200);
+
+      await call('skill_prompt.upsert', { tags: [payload], promptText: payload }).expect(200);
+      await call('skill_prompt.search', { query: payload }).expect(200);
+      await expectTablesIntact();
+    });
+  });
+
+  describe('profile.*', () => {
+    test.each(HOSTILE)('set/get/delete: %s', async (payload) => {
+      await call('profile.set', { key: payload, valueRef: payload, label: payload }).expect(200);
+      const got = await call('profile.get', { key: payload }).expect(200);
+      expect(JSON.stringify(got.body.data)).toContain(JSON.stringify(payload).slice(1, -1));
+      await call('profile.delete', { key: payload }).expect(200);
+      await expectTablesIntact();
+    });
+  });
+
+  describe('personality.* and fingerprint.*', () => {
+    test.each(HOSTILE)('event/upsertTrait/enroll/rename/delete: %s', async (payload) => {
+      await call('personality.event', { event_type: 'task_success', source: payload, reason: payload }).expect(200);
+      const state = await db.query('SELECT mood_reason FROM personality_state WHERE id = ?', ['singleton']);
+      expect(state[0].mood_reason).toBe(payload);
+
+      await call('personality.upsertTrait', { trait_key: payload, trait_value: payload, source: payload, weight: '1); DROP TABLE memory; --' }).expect(200);
+      const traits = await db.query('SELECT trait_value, weight FROM personality_traits WHERE trait_key = ?', [payload]);
+      expect(traits[0].trait_value).toBe(payload);
+      expect(Number(traits[0].weight)).toBe(1);
+
+      await call('fingerprint.enroll', { speaker_id: payload, speaker_name: payload, features: [0.1, 0.2, 0.3], gender: payload }).expect(200);
+      await call('fingerprint.rename', { speaker_id: payload, speaker_name: payload }).expect(200);
+      const fp = await call('fingerprint.get', { speaker_id: payload }).expect(200);
+      expect(JSON.stringify(fp.body.data)).toContain(JSON.stringify(payload).slice(1, -1));
+      await call('fingerprint.delete', { speaker_id: payload }).expect(200);
+      await expectTablesIntact();
+    });
+  });
+});
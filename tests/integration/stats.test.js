@@ -0,0 +1,86 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('Memory statistics', () => {
+  let db;
+  const USER = 'stats_user';
+
+  const call = apiClient({ userId: USER });
+
+  async function store(text, extra = {}) {
+    const res = await call('memory.store', { text, detectSupersession: false, ...extra }).expect(200);
+    return res.body.data.memoryId;
+  }
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+
+    await store('Lunch with Priya at Blue Bottle', {
+      entities: [{ type: 'person', value: 'Priya' }, { type: 'organization', value: 'Blue Bottle' }],
+    });
+    await store('Priya prefers window seats', { entities: [{ type: 'person', value: 'Priya' }] });
+    await store('Dentist is Dr Okafor', { type: 'health', entities: [{ type: 'person', value: 'Okafor' }] });
+    const trashed = await store('Old gym locker code is 4411');
+    await call('memory.delete', { memoryId: trashed }).expect(200);
+    await call('memory.store', { text: 'Another user\'s secret', detectSupersession: false }, { userId: 'stats_other' }).expect(200);
+
+    for (const [id, app] of [['ep_stats_1', 'Slack'], ['ep_stats_2', 'Slack'], ['ep_stats_3', 'Figma']]) {
+      await db.insert('episodic_memory', {
+        id,
+        user_id: USER,
+        type: 'screen_capture',
+        source_text: `${app} window text`,
+        metadata: JSON.stringify({ appName: app }),
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('memory.stats returns per-user facets', async () => {
+    const res = await call('memory.stats', { months: 3 }).expect(200);
+    const stats = res.body.data;
+
+    expect(stats.userId).toBe(USER);
+    expect(stats.memory).toMatchObject({ total: 3, trashed: 1, superseded: 0 });
+    expect(stats.memory.byType).toEqual([
+      { type: 'user_memory', count: 2 },
+      { type: 'health', count: 1 },
+    ]);
+    expect(stats.memory.byMonth).toHaveLength(3);
+    expect(stats.memory.byMonth[2]).toEqual({ month: new Date().toISOString().slice(0, 7), count: 3 });
+    expect(stats.memory.averageTextLength).toBeGreaterThan(10);
+    expect(stats.memory.embeddings).toMatchObject({ current: 3, stale: 0, missing: 0, coverage: 1 });
+  });
+
+  test('top entities are grouped by type and counted per memory', async () => {
+    const res = await call('memory.stats', { topEntities: 1 }).expect(200);
+    const { entities } = res.body.data;
+    expect(entities.person).toEqual([{ entity: 'Priya', normalized: 'priya', count: 2 }]);
+    expect(entities.organization[0]).toMatchObject({ entity: 'Blue Bottle', count: 1 });
+  });
+
+  test('episodic facets and storage', async () => {
+    const res = await call('memory.stats', {}).expect(200);
+    const { episodic, storage } = res.body.data;
+
+    expect(episodic.total).toBe(3);
+    expect(episodic.topApps).toEqual([{ app: 'Slack', count: 2 }, { app: 'Figma', count: 1 }]);
+    expect(episodic.embeddings).toMatchObject({ current: 0, missing: 3, coverage: 0 });
+
+    expect(storage.tables.memory.rows).toBe(4);
+    expect(storage.tables.memory.estimatedBytes).toBeGreaterThan(4 * 1536);
+    expect(storage.tables.episodic_memory.rows).toBe(3);
+    expect(storage.estimatedBytes).toBeGreaterThanOrEqual(storage.tables.memory.estimatedBytes);
+    expect(storage.databaseBytes).toBeNull();
+  });
+
+  test('rejects invalid options', async () => {
+    await call('memory.stats', { months: 0 }).expect(400);
+    await call('memory.stats', { topApps: 'many' }).expect(400);
+  });
+});
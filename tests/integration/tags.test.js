@@ -0,0 +1,117 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('Tags and collections', () => {
+  let db;
+  const ids = {};
+  let japanId;
+  const USER = 'tags_user';
+
+  const call = apiClient({ userId: USER });
+
+  async function store(key, text) {
+    const res = await call('memory.store', { text, detectSupersession: false }).expect(200);
+    ids[key] = res.body.data.memoryId;
+  }
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+
+    await store('flight', 'Flight to Tokyo departs March 3rd from gate 12');
+    await store('hotel', 'The Tokyo hotel is booked near Shinjuku station');
+    await store('review', 'Quarterly review meeting with the platform team on Friday');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('collection.create enforces unique names', async () => {
+    const res = await call('collection.create', { name: 'Trip to Japan', description: 'Spring 2025' }).expect(200);
+    japanId = res.body.data.id;
+    expect(res.body.data.name).toBe('Trip to Japan');
+
+    await call('collection.create', { name: 'trip to japan' }).expect(400);
+    await call('collection.create', {}).expect(400);
+  });
+
+  test('memory.tag attaches tags and collections', async () => {
+    const res = await call('memory.tag', {
+      memoryIds: [ids.flight, ids.hotel],
+      tags: ['Travel', ' travel ', 'Japan'],
+      collections: ['trip to japan'],
+    }).expect(200);
+    expect(res.body.data.tags).toEqual(['travel', 'japan']);
+    expect(res.body.data.labels[ids.flight].collections).toEqual([{ id: japanId, name: 'Trip to Japan' }]);
+
+    await call('memory.tag', { memoryId: ids.review, tags: ['work'] }).expect(200);
+    // Tagging again is a no-op
+    await call('memory.tag', { memoryId: ids.review, tags: ['work'] }).expect(200);
+
+    const retrieved = await call('memory.retrieve', { memoryId: ids.review }).expect(200);
+    expect(retrieved.body.data.memory.tags).toEqual(['work']);
+  });
+
+  test('memory.tag rejects unknown memories and collections', async () => {
+    await call('memory.tag', { memoryId: 'mem_missing', tags: ['x'] }).expect(404);
+    await call('memory.tag', { memoryId: ids.review, collections: ['Nope'] }).expect(404);
+    await call('memory.tag', { memoryId: ids.review }).expect(400);
+    await call('memory.untag', { memoryId: ids.review, tags: [] }).expect(400);
+  });
+
+  test('memory.list filters by tags and collection', async () => {
+    const travel = await call('memory.list', { filters: { tags: ['travel'] } }).expect(200);
+    expect(travel.body.data.memories.map(m => m.id).sort()).toEqual([ids.flight, ids.hotel].sort());
+
+    const both = await call('memory.list', { filters: { tags: ['travel', 'work'] } }).expect(200);
+    expect(both.body.data.total).toBe(0);
+
+    const japan = await call('memory.list', { filters: { collection: 'Trip to Japan' } }).expect(200);
+    expect(japan.body.data.total).toBe(2);
+    expect(japan.body.data.memories[0].collections[0].id).toBe(japanId);
+  });
+
+  test('memory.search honors tag and collection filters', async () => {
+    const res = await call('memory.search', {
+      query: 'Tokyo',
+      minSimilarity: 0.0001,
+      filters: { collection: japanId },
+    }).expect(200);
+    const found = res.body.data.results.map(r => r.id);
+    expect(found.length).toBeGreaterThan(0);
+    expect(found).not.toContain(ids.review);
+    expect(res.body.data.results[0].tags).toEqual(expect.arrayContaining(['travel']));
+
+    const work = await call('memory.search', {
+      query: 'Tokyo hotel',
+      minSimilarity: 0.0001,
+      filters: { tags: 'work' },
+    }).expect(200);
+    expect(work.body.data.results.map(r => r.id)).toEqual([ids.review]);
+  });
+
+  test('memory.untag and collection.delete unlink without deleting memories', async () => {
+    await call('memory.untag', { memoryId: ids.hotel, tags: ['japan'] }).expect(200);
+    const japanTag = await call('memory.list', { filters: { tags: 'japan' } }).expect(200);
+    expect(japanTag.body.data.memories.map(m => m.id)).toEqual([ids.flight]);
+
+    const list = await call('collection.list', {}).expect(200);
+    expect(list.body.data.collections).toEqual([
+      expect.objectContaining({ id: japanId, memoryCount: 2 }),
+    ]);
+
+    const deleted = await call('collection.delete', { name: 'Trip to Japan' }).expect(200);
+    expect(deleted.body.data.memoriesUnlinked).toBe(2);
+    await call('memory.retrieve', { memoryId: ids.flight }).expect(200);
+    const after = await call('collection.list', {}).expect(200);
+    expect(after.body.data.total).toBe(0);
+  });
+
+  test('permanent delete drops the memory\'s tags', async () => {
+    await call('memory.delete', { memoryId: ids.review, permanent: true }).expect(200);
+    const rows = await db.query('SELECT id FROM memory_tags WHERE memory_id = ?', [ids.review]);
+    expect(rows).toHaveLength(0);
+  });
+});
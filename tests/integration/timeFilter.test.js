@@ -0,0 +1,85 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+import { runInTimeZone } from '../helpers/timeZone.js';
+
+describe('Time expressions in search queries', () => {
+  let db;
+  const ids = {};
+  const USER = 'time_filter_user';
+
+  const call = apiClient({ userId: USER });
+
+  async function store(key, text) {
+    const res = await call('memory.store', { text, detectSupersession: false }).expect(200);
+    ids[key] = res.body.data.memoryId;
+  }
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+
+    await store('article', 'Read an article about sourdough starters');
+    await store('book', 'Read a book chapter about sourdough baking');
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('memory.search filters by a parsed time expression', async () => {
+    const res = await call('memory.search', {
+      query: 'what did I read about sourdough today',
+      minSimilarity: 0.0001,
+    }, { context: { userId: USER, timezone: 'UTC' } }).expect(200);
+
+    expect(res.body.data.query).toBe('what did I read about sourdough today');
+    expect(res.body.data.semanticQuery).toBe('what did I read about sourdough');
+    expect(res.body.data.timeFilter).toMatchObject({ expression: 'today', timeZone: 'UTC' });
+    expect(res.body.data.results.map(r => r.id).sort()).toEqual([ids.article, ids.book].sort());
+  });
+
+  test('without a timezone, ranges follow the host zone and still match new memories', async () => {
+    const result = await runInTimeZone('America/New_York', async ({ call }) => {
+      const stored = await call('memory.store', { text: 'Read a note about rye sourdough', detectSupersession: false }).expect(200);
+      const res = await call('memory.search', { query: 'what did I read about sourdough today', minSimilarity: 0.0001 }).expect(200);
+      return {
+        id: stored.body.data.memoryId,
+        timeZone: res.body.data.timeFilter.timeZone,
+        found: res.body.data.results.map(r => r.id),
+      };
+    }, { userId: 'time_filter_tz_user' });
+
+    expect(result.timeZone).toBe('America/New_York');
+    expect(result.found).toEqual([result.id]);
+  });
+
+  test('memories outside the parsed range are filtered out', async () => {
+    const res = await call('memory.search', {
+      query: 'sourdough last week',
+      minSimilarity: 0.0001,
+    }).expect(200);
+    expect(res.body.data.timeFilter.expression).toBe('last week');
+    expect(res.body.data.results).toEqual([]);
+  });
+
+  test('parseTime: false leaves the query untouched', async () => {
+    const res = await call('memory.search', {
+      query: 'sourdough today',
+      minSimilarity: 0.0001,
+      parseTime: false,
+    }).expect(200);
+    expect(res.body.data.timeFilter).toBeNull();
+    expect(res.body.data.semanticQuery).toBe('sourdough today');
+  });
+
+  test('rejects an unknown time zone', async () => {
+    await call('memory.search', { query: 'sourdough yesterday', timezone: 'Mars/Olympus' }).expect(400);
+  });
+
+  test('episodic.search reports the parsed range', async () => {
+    const res = await call('episodic.search', { query: 'yesterday' }, { context: { userId: USER, timezone: 'UTC' } }).expect(200);
+    expect(res.body.data.semanticQuery).toBe('');
+    expect(res.body.data.timeFilter.expression).toBe('yesterday');
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { getRetentionService } from '../../src/services/retention.js';
+import { apiClient } from '../helpers/api.js';
+
+describe('Memory trash', () => {
+  let db;
+  const USER = 'trash_user';
+  const ids = {};
+
+  const call = apiClient({ userId: USER });
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+
+    for (const [key, text] of [
+      ['bike', 'My bike lock code is 4721'],
+      ['plant', 'Water the fern every Sunday'],
+    ]) {
+      const res = await call('memory.store', { text, detectSupersession: false }).expect(200);
+      ids[key] = res.body.data.memoryId;
+    }
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('memory.delete moves the memory to the trash', async () => {
+    const res = await call('memory.delete', { memoryId: ids.bike }).expect(200);
+    expect(res.body.data.deleted).toBe(true);
+    expect(res.body.data.trashed).toBe(true);
+
+    await call('memory.retrieve', { memoryId: ids.bike }).expect(404);
+
+    const list = await call('memory.list', {}).expect(200);
+    expect(list.body.data.memories.map(m => m.id)).not.toContain(ids.bike);
+
+    const search = await call('memory.search', { query: 'bike lock code' }).expect(200);
+    expect(search.body.data.results.map(r => r.id)).not.toContain(ids.bike);
+  });
+
+  test('memory.trash.list shows trashed memories with a purge time', async () => {
+    const res = await call('memory.trash.list', {}).expect(200);
+    expect(res.body.data.total).toBe(1);
+    const [item] = res.body.data.memories;
+    expect(item.id).toBe(ids.bike);
+    expect(item.deletedAt).toBeDefined();
+    expect(new Date(item.purgeAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('memory.restore brings it back', async () => {
+    const res = await call('memory.restore', { memoryId: ids.bike }).expect(200);
+    expect(res.body.data.restored).toBe(true);
+
+    const retrieved = await call('memory.retrieve', { memoryId: ids.bike }).expect(200);
+    expect(retrieved.body.data.memory.text).toBe('My bike lock code is 4721');
+
+    await call('memory.restore', { memoryId: ids.bike }).expect(404);
+    const trash = await call('memory.trash.list', {}).expect(200);
+    expect(trash.body.data.total).toBe(0);
+  });
+
+  test('permanent delete skips the trash', async () => {
+    const res = await call('memory.delete', { memoryId: ids.plant, permanent: true }).expect(200);
+    expect(res.body.data.trashed).toBe(false);
+    const trash = await call('memory.trash.list', {}).expect(200);
+    expect(trash.body.data.total).toBe(0);
+    await call('memory.restore', { memoryId: ids.plant }).expect(404);
+  });
+
+  test('retention purges trash older than the window', async () => {
+    await call('memory.delete', { memoryId: ids.bike }).expect(200);
+
+    const retention = getRetentionService();
+    retention.db = db;
+    retention.trashDays = 0;
+    const purged = await retention.purgeTrash();
+    retention.trashDays = 30;
+
+    expect(purged).toBe(1);
+    const rows = await db.query('SELECT id FROM memory WHERE id = ?', [ids.bike]);
+    expect(rows).toHaveLength(0);
+    const entities = await db.query('SELECT id FROM memory_entities WHERE memory_id = ?', [ids.bike]);
+    expect(entities).toHaveLength(0);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getDatabaseService } from '../../src/services/database.js';
+import { apiClient } from '../helpers/api.js';
+import { runInTimeZone } from '../helpers/timeZone.js';
+
+describe('Memory validity and supersession', () => {
+  let db;
+  const USER = 'validity_user';
+  const ids = {};
+
+  const call = apiClient({ userId: USER });
+
+  beforeAll(async () => {
+    db = getDatabaseService();
+    await db.initialize();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  test('a contradicting memory supersedes the older one', async () => {
+    const acme = await call('memory.store', {
+      text: 'I work at Acme as a software engineer',
+      entities: [{ type: 'organization', value: 'Acme' }],
+    }).expect(200);
+    ids.acme = acme.body.data.memoryId;
+    expect(acme.body.data.superseded).toEqual([]);
+
+    const globex = await call('memory.store', {
+      text: 'I now work at Globex as a software engineer',
+      entities: [{ type: 'organization', value: 'Globex' }],
+    }).expect(200);
+    ids.globex = globex.body.data.memoryId;
+    expect(globex.body.data.superseded).toEqual([ids.acme]);
+
+    const old = await call('memory.retrieve', { memoryId: ids.acme }).expect(200);
+    expect(old.body.data.memory.supersededBy).toBe(ids.globex);
+    expect(old.body.data.memory.isCurrent).toBe(false);
+    expect(old.body.data.memory.validUntil).not.toBeNull();
+  });
+
+  test('unrelated entities do not supersede', async () => {
+    const res = await call('memory.store', {
+      text: 'My sister works at Initech',
+      entities: [{ type: 'person', value: 'my sister' }, { type: 'organization', value: 'Initech' }],
+      detectSupersession: false,
+    }).expect(200);
+    expect(res.body.data.superseded).toEqual([]);
+  });
+
+  test('search returns current facts by default', async () => {
+    const res = await call('memory.search', { query: 'where do I work', minSimilarity: 0.1 }).expect(200);
+    const resultIds = res.body.data.results.map(r => r.id);
+
+    expect(res.body.data.validity).toBe('current');
+    expect(resultIds).toContain(ids.globex);
+    expect(resultIds).not.toContain(ids.acme);
+  });
+
+  test('validity all includes superseded facts', async () => {
+    const res = await call('memory.search', { query: 'where do I work', minSimilarity: 0.1, validity: 'all' }).expect(200);
+    const acme = res.body.data.results.find(r => r.id === ids.acme);
+    expect(acme).toBeDefined();
+    expect(acme.isCurrent).toBe(false);
+  });
+
+  test('validity history attaches the supersession chain', async () => {
+    const res = await call('memory.search', { query: 'where do I work', minSimilarity: 0.1, validity: 'history' }).expect(200);
+    const globex = res.body.data.results.find(r => r.id === ids.globex);
+    expect(globex.history.map(h => h.id)).toEqual([ids.acme]);
+  });
+
+  test('explicit supersedes and validity windows', async () => {
+    const future = new Date(Date.now() + 7 * 86400000).toISOString();
+    const res = await call('memory.store', {
+      text: 'Starting next week I work at Umbrella',
+      validFrom: future,
+      supersedes: [ids.globex],
+    }).expect(200);
+    expect(res.body.data.superseded).toEqual([ids.globex]);
+
+    // Not valid yet, so Globex stays the current fact until then
+    const search = await call('memory.search', { query: 'where do I work', minSimilarity: 0.1 }).expect(200);
+    const resultIds = search.body.data.results.map(r => r.id);
+    expect(resultIds).not.toContain(res.body.data.memoryId);
+    expect(resultIds).toContain(ids.globex);
+  });
+
+  test('a new memory is current at once west of UTC', async () => {
+    const result = await runInTimeZone('America/New_York', async ({ call }) => {
+      const stored = await call('memory.store', { text: 'I work at Hooli as a designer' }).expect(200);
+      const search = await call('memory.search', { query: 'where do I work', minSimilarity: 0.1 }).expect(200);
+      const memory = await call('memory.retrieve', { memoryId: stored.body.data.memoryId }).expect(200);
+      return {
+        id: stored.body.data.memoryId,
+        found: search.body.data.results.map(r => r.id),
+        isCurrent: memory.body.data.memory.isCurrent,
+      };
+    }, { userId: 'validity_tz_user' });
+
+    expect(result.found).toContain(result.id);
+    expect(result.isCurrent).toBe(true);
+  });
+
+  test('rejects invalid validity input', async () => {
+    await call('memory.store', { text: 'bad window', validFrom: '2030-01-02', validUntil: '2030-01-01' }).expect(400);
+    await call('memory.store', { text: 'bad date', validFrom: 'not a date' }).expect(400);
+    await call('memory.search', { query: 'x', validity: 'sometimes' }).expect(400);
+  });
+});
@@ -1,11 +1,13 @@
 // Jest setup file
-import { jest } from '@jest/globals';
+import { jest, beforeAll } from '@jest/globals';
 
 // Set test environment variables
 process.env.NODE_ENV = 'test';
 process.env.LOG_LEVEL = 'error';
 process.env.DB_PATH = ':memory:';
 process.env.API_KEY = 'k7F9qLp3XzR2vH8sT1mN4bC0yW6uJ5eQG4tY9bH2wQ6nM1vS8xR3cL5pZ0kF7uDe';
+// Hash-based embeddings: no model download, same vectors on every run
+process.env.EMBEDDING_PROVIDER = 'deterministic';
 
 // Increase timeout for embedding model loading
 jest.setTimeout(30000);
@@ -19,3 +21,11 @@ global.console = {
   warn: jest.fn(),
   error: jest.fn(),
 };
+
+// memory.store refuses to store without embeddings, so every suite gets a
+// loaded service. Imported here rather than at the top so the service is
+// built after the variables above are set.
+beforeAll(async () => {
+  const { getEmbeddingService } = await import('../src/services/embeddings.js');
+  await getEmbeddingService().initialize();
+});
@@ -0,0 +1,52 @@
+import { describe, test, expect } from '@jest/globals';
+import { chunkText, highlightTerms } from '../../src/utils/chunking.js';
+
+const SENTENCE = 'The quarterly review covered revenue growth and hiring. ';
+
+describe('chunking', () => {
+  test('short text is a single chunk', () => {
+    expect(chunkText('  Just one line.  ')).toEqual([
+      { index: 0, text: 'Just one line.', start: 2, end: 16 },
+    ]);
+  });
+
+  test('chunks overlap, respect the size and point into the original text', () => {
+    const text = Array.from({ length: 6 }, (_, i) => `Part ${i}. ${SENTENCE.repeat(4)}`).join('\n\n');
+    const chunks = chunkText(text, { size: 300, overlap: 60 });
+
+    expect(chunks.length).toBeGreaterThan(3);
+    chunks.forEach((chunk, i) => {
+      expect(chunk.index).toBe(i);
+      expect(chunk.text.length).toBeLessThanOrEqual(300);
+      expect(text.slice(chunk.start, chunk.end)).toBe(chunk.text);
+      if (i > 0) expect(chunk.start).toBeLessThan(chunks[i - 1].end);
+    });
+    expect(chunks[chunks.length - 1].end).toBe(text.trimEnd().length);
+  });
+
+  test('prefers paragraph, then sentence boundaries', () => {
+    const paragraphs = `${'a'.repeat(150)}.\n\n${'b'.repeat(150)}.`;
+    expect(chunkText(paragraphs, { size: 200, overlap: 0 })[0].text).toBe(`${'a'.repeat(150)}.`);
+
+    const sentences = `${SENTENCE.repeat(3)}${SENTENCE.repeat(3)}`;
+    const [first] = chunkText(sentences, { size: 200, overlap: 20 });
+    expect(first.text.endsWith('hiring.')).toBe(true);
+  });
+
+  test('hard-splits text without boundaries', () => {
+    const chunks = chunkText('x'.repeat(2500), { size: 1000, overlap: 100 });
+    expect(chunks.map(c => [c.start, c.end])).toEqual([[0, 1000], [1000, 2000], [2000, 2500]]);
+  });
+
+  test('rejects bad sizes', () => {
+    expect(() => chunkText('text', { size: 50 })).toThrow('Invalid chunkSize');
+    expect(() => chunkText('text', { size: 200, overlap: 100 })).toThrow('Invalid chunkOverlap');
+  });
+
+  test('highlightTerms finds whole query words, ignoring case and stopwords', () => {
+    const text = 'Sarah presented the Roadmap; the roadmaps were late.';
+    expect(highlightTerms(text, 'what roadmap did sarah present')).toEqual([[0, 5], [20, 27]]);
+    expect(highlightTerms(text, 'the and of')).toEqual([]);
+    expect(highlightTerms(text, '')).toEqual([]);
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, test, expect } from '@jest/globals';
+import { classifyByRules } from '../../src/utils/conversationalRules.js';
+
+const SESSION = { sessionId: 'sess_1', context: { messageCount: 4 } };
+
+describe('Conversational query rules', () => {
+  test('classify queries about an ongoing conversation', () => {
+    expect(classifyByRules('what did I say first?', SESSION).classification).toBe('POSITIONAL');
+    expect(classifyByRules('like you said, book the hotel', SESSION).classification).toBe('POSITIONAL');
+    expect(classifyByRules('remind me of our conversation about the hotel', SESSION).classification).toBe('TOPICAL');
+    expect(classifyByRules('summarize our conversation', SESSION).classification).toBe('OVERVIEW');
+    expect(classifyByRules('what is the weather?', SESSION).classification).toBe('GENERAL');
+  });
+
+  test('without message history only strong markers count', () => {
+    const result = classifyByRules('summarize our conversation');
+    expect(result).toMatchObject({ classification: 'GENERAL', isConversational: false, confidence: 0.95 });
+    expect(result.contextInfo.hasConversationContext).toBe(false);
+
+    expect(classifyByRules('as you mentioned, the flight is at 9').classification).toBe('POSITIONAL');
+  });
+});
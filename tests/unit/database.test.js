@@ -67,6 +67,34 @@ describe('DatabaseService', () => {
     }).rejects.toThrow();
   });
 
+  test('should roll a failed transaction back', async () => {
+    await expect(db.transaction(async () => {
+      await db.execute("INSERT INTO memory (id, user_id, source_text) VALUES ('tx_001', 'user_123', 'Rolled back')");
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    const rows = await db.query("SELECT id FROM memory WHERE id = 'tx_001'");
+    expect(rows).toEqual([]);
+  });
+
+  test('should keep concurrent statements out of a transaction', async () => {
+    // Another caller, writing while the transaction is open
+    let release;
+    const outside = new Promise(resolve => { release = resolve; })
+      .then(() => db.execute("INSERT INTO memory (id, user_id, source_text) VALUES ('tx_003', 'user_123', 'Kept')"));
+
+    await expect(db.transaction(async () => {
+      await db.execute("INSERT INTO memory (id, user_id, source_text) VALUES ('tx_002', 'user_123', 'Rolled back')");
+      release();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    await outside;
+
+    const rows = await db.query("SELECT id FROM memory WHERE id IN ('tx_002', 'tx_003') ORDER BY id");
+    expect(rows.map(r => r.id)).toEqual(['tx_003']);
+  });
+
   test('should create indexes', async () => {
     const indexes = await db.query(`
       SELECT index_name as name FROM duckdb_indexes()
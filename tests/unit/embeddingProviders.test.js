@@ -0,0 +1,137 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import {
+  createEmbeddingProvider,
+  DeterministicProvider,
+  OpenAICompatibleProvider,
+  EMBEDDING_DIMENSIONS,
+} from '../../src/services/embeddingProviders.js';
+import EmbeddingService from '../../src/services/embeddings.js';
+
+function cosine(a, b) {
+  return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+describe('Embedding providers', () => {
+  test('createEmbeddingProvider rejects unknown providers', () => {
+    expect(() => createEmbeddingProvider('nope')).toThrow('Invalid embedding provider');
+  });
+
+  test('modelId is provider-qualified', () => {
+    expect(createEmbeddingProvider('deterministic').modelId).toBe('deterministic:hash-v1');
+    expect(createEmbeddingProvider('local', { model: 'Xenova/foo' }).modelId).toBe('local:Xenova/foo');
+  });
+
+  test('deterministic provider is stable and normalized', async () => {
+    const provider = new DeterministicProvider();
+    const a = await provider.embed('meeting with john tomorrow');
+    const b = await provider.embed('meeting with john tomorrow');
+
+    expect(a).toHaveLength(EMBEDDING_DIMENSIONS);
+    expect(a).toEqual(b);
+    expect(cosine(a, a)).toBeCloseTo(1, 5);
+  });
+
+  test('EmbeddingService reports the provider model id', async () => {
+    const service = new EmbeddingService(new DeterministicProvider());
+    await service.initialize();
+
+    expect(service.getModelId()).toBe('deterministic:hash-v1');
+    expect(await service.generateEmbedding('hello world')).toHaveLength(EMBEDDING_DIMENSIONS);
+  });
+
+  test('generateEmbeddings batches uncached texts and serves the rest from cache', async () => {
+    const provider = new DeterministicProvider();
+    const service = new EmbeddingService(provider);
+    await service.initialize();
+    const cached = await service.generateEmbedding('already seen');
+
+    const batches = [];
+    const embedBatch = provider.embedBatch.bind(provider);
+    provider.embedBatch = async (texts) => {
+      batches.push(texts);
+      return embedBatch(texts);
+    };
+
+    const embeddings = await service.generateEmbeddings(['first text', 'already seen', 'second text']);
+    expect(batches).toEqual([['first text', 'second text']]);
+    expect(embeddings[1]).toEqual(cached);
+    expect(embeddings[0]).toEqual(await provider.embed('first text'));
+    await expect(service.generateEmbeddings(['ok', ''])).rejects.toThrow('non-empty');
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        if (req.headers.authorization !== 'Bearer secret') {
+          res.writeHead(401);
+          res.end('unauthorized');
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        const { input } = JSON.parse(body);
+        if (Array.isArray(input)) {
+          // Batch: answer out of order; `index` maps items back to inputs
+          const data = input.map((_, i) => ({ index: i, embedding: new Array(EMBEDDING_DIMENSIONS).fill(i) }));
+          res.end(JSON.stringify({ data: data.reverse() }));
+          return;
+        }
+        res.end(JSON.stringify({ data: [{ embedding: new Array(EMBEDDING_DIMENSIONS).fill(0.5) }] }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('posts to {baseUrl}/embeddings and returns the vector', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl, apiKey: 'secret', model: 'm1' });
+    const embedding = await provider.embed('hello');
+
+    expect(embedding).toHaveLength(EMBEDDING_DIMENSIONS);
+    const last = requests[requests.length - 1];
+    expect(last.url).toBe('/v1/embeddings');
+    expect(last.body).toEqual({ model: 'm1', input: 'hello' });
+    expect(provider.modelId).toBe('openai:m1');
+  });
+
+  test('sends dimensions only when configured', async () => {
+    await new OpenAICompatibleProvider({ baseUrl, apiKey: 'secret', model: 'm1', dimensions: EMBEDDING_DIMENSIONS }).embed('hello');
+    expect(requests[requests.length - 1].body.dimensions).toBe(EMBEDDING_DIMENSIONS);
+
+    process.env.EMBEDDING_API_DIMENSIONS = String(EMBEDDING_DIMENSIONS);
+    try {
+      expect(createEmbeddingProvider('openai', { baseUrl }).dimensions).toBe(EMBEDDING_DIMENSIONS);
+    } finally {
+      delete process.env.EMBEDDING_API_DIMENSIONS;
+    }
+    expect(createEmbeddingProvider('openai', { baseUrl }).dimensions).toBeNull();
+  });
+
+  test('embedBatch sends one request and keeps input order', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl, apiKey: 'secret', model: 'm1' });
+    const before = requests.length;
+    const embeddings = await provider.embedBatch(['a', 'b', 'c']);
+
+    expect(requests.length).toBe(before + 1);
+    expect(requests[requests.length - 1].body.input).toEqual(['a', 'b', 'c']);
+    expect(embeddings.map(e => e[0])).toEqual([0, 1, 2]);
+  });
+
+  test('surfaces HTTP errors', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl, apiKey: 'wrong' });
+    await expect(provider.embed('hello')).rejects.toThrow('HTTP 401');
+  });
+});
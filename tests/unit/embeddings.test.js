@@ -59,6 +59,7 @@ describe('EmbeddingService', () => {
     const health = await embeddingService.healthCheck();
 
     expect(health.status).toBe('loaded');
-    expect(health.model).toBe('Xenova/all-MiniLM-L6-v2');
+    // tests/setup.js selects the deterministic provider
+    expect(health.modelId).toBe('deterministic:hash-v1');
   });
 });
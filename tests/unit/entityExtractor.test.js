@@ -0,0 +1,85 @@
+import { describe, test, expect } from '@jest/globals';
+import { extractEntities, normalizePhone } from '../../src/utils/entityExtractor.js';
+
+// Wednesday 2025-06-11 10:30 local time
+const NOW = new Date(2025, 5, 11, 10, 30, 0);
+
+function pairs(text) {
+  return extractEntities(text, { now: NOW }).map(e => [e.type, e.normalized]);
+}
+
+describe('entityExtractor', () => {
+  test('extracts contact details with normalized values', () => {
+    expect(pairs('Email John.Doe@Example.com or call (415) 555-2671, docs at https://example.com/docs.')).toEqual([
+      ['url', 'https://example.com/docs'],
+      ['email', 'john.doe@example.com'],
+      ['phone', '+14155552671'],
+    ]);
+    expect(pairs('Reach me at www.example.org')).toEqual([['url', 'https://www.example.org/']]);
+  });
+
+  test('normalizes phone numbers to E.164', () => {
+    expect(normalizePhone('415.555.2671')).toBe('+14155552671');
+    expect(normalizePhone('1-415-555-2671')).toBe('+14155552671');
+    expect(normalizePhone('+44 20 7946 0958')).toBe('+442079460958');
+    expect(normalizePhone('0044 20 7946 0958')).toBe('+442079460958');
+    expect(normalizePhone('020 7946 0958', '44')).toBe('+442079460958');
+    expect(normalizePhone('12345678')).toBeNull();
+  });
+
+  test('resolves absolute and relative dates to ISO dates', () => {
+    expect(pairs('Deadline is March 3rd, 2026')).toEqual([['date', '2026-03-03']]);
+    expect(pairs('Dentist on 6/12/2025')).toEqual([['date', '2025-06-12']]);
+    expect(pairs('Released 2025-02-30 or 2025-02-28')).toEqual([['date', '2025-02-28']]);
+    expect(pairs('Standup tomorrow')).toEqual([['date', '2025-06-12']]);
+    expect(pairs('Picked it up yesterday')).toEqual([['date', '2025-06-10']]);
+    expect(pairs('Gym on friday')).toEqual([['date', '2025-06-13']]);
+    expect(pairs('The 14th of July is a holiday')).toEqual([['date', '2025-07-14']]);
+  });
+
+  test('extracts times and money amounts', () => {
+    expect(pairs('Call at 3pm, or 12:30 if late')).toEqual([['time', '15:00'], ['time', '12:30']]);
+    expect(pairs('Rent is $1,200 and the bonus was 5k EUR')).toEqual([['money', '1200 USD'], ['money', '5000 EUR']]);
+    expect(pairs('Paid £45.50 for tickets')).toEqual([['money', '45.5 GBP']]);
+  });
+
+  test('extracts file paths and file names', () => {
+    expect(pairs('Saved to ~/Documents/q3-report.pdf and /var/log/app.log')).toEqual([
+      ['file', '~/Documents/q3-report.pdf'],
+      ['file', '/var/log/app.log'],
+    ]);
+    expect(pairs('The budget is in budget-2025.xlsx')).toEqual([['file', 'budget-2025.xlsx']]);
+    expect(pairs('Ask him and/or her')).toEqual([]);
+  });
+
+  test('detects people and organizations from capitalization and context', () => {
+    expect(extractEntities('Lunch with Sarah Chen about the launch', { now: NOW })).toEqual([
+      { type: 'person', value: 'Sarah Chen', entity_type: 'PERSON', normalized: 'Sarah Chen', source: 'extracted' },
+    ]);
+    expect(pairs('I work at Acme Corp and my manager is Dr. Patel')).toEqual([
+      ['organization', 'Acme Corp'],
+      ['person', 'Patel'],
+    ]);
+    expect(pairs('She joined Google last year')).toEqual([['organization', 'Google']]);
+    expect(pairs('Met Dana at the cafe')).toEqual([['person', 'Dana']]);
+  });
+
+  test('ignores sentence-initial and common capitalized words', () => {
+    expect(pairs('My favorite color is blue')).toEqual([]);
+    expect(pairs('The Monday meeting moved. I LOVE pizza')).toEqual([['date', '2025-06-16']]);
+    expect(pairs('')).toEqual([]);
+    expect(extractEntities(null)).toEqual([]);
+  });
+
+  test('does not extract parts of an earlier match twice', () => {
+    // The date inside the URL and the digits inside the email stay with them
+    expect(pairs('See https://example.com/2025-06-12/notes and ops4155552671@example.com')).toEqual([
+      ['url', 'https://example.com/2025-06-12/notes'],
+      ['email', 'ops4155552671@example.com'],
+    ]);
+    expect(pairs('Ask Bob at bob@example.com, or Bob@Example.com if that fails')).toEqual([
+      ['email', 'bob@example.com'],
+      ['person', 'Bob'],
+    ]);
+  });
+});
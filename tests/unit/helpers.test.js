@@ -6,7 +6,8 @@ import {
   formatMCPResponse,
   extractUserId,
   validateEntity,
-  normalizeEntities
+  normalizeEntities,
+  auditInfo
 } from '../../src/utils/helpers.js';
 
 describe('Helper Functions', () => {
@@ -200,4 +201,30 @@ describe('Helper Functions', () => {
       expect(entities).toEqual([]);
     });
   });
+
+  describe('auditInfo', () => {
+    test('should describe an operator request', () => {
+      const req = {
+        auth: { type: 'operator', scopes: ['*:admin'] },
+        body: { requestId: 'req-1', context: { userId: 'u1', source: 'assistant' } }
+      };
+
+      expect(auditInfo(req, 'memory.update')).toEqual({
+        action: 'memory.update',
+        requestId: 'req-1',
+        source: 'assistant',
+        actor: 'operator'
+      });
+    });
+
+    test('should name the API key of a user request', () => {
+      const req = { auth: { type: 'user', keyId: 'key_1', userId: 'u1' }, body: {} };
+
+      const audit = auditInfo(req, 'memory.revert');
+
+      expect(audit.actor).toBe('api_key:key_1');
+      expect(audit.requestId).toBeNull();
+      expect(audit.source).toBeNull();
+    });
+  });
 });
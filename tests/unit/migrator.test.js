@@ -0,0 +1,98 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import Migrator, { checksum } from '../../src/services/migrator.js';
+import migrations from '../../src/migrations/index.js';
+
+// Minimal stand-in for DatabaseService.run/all that tracks schema_migrations
+// rows and records every other statement.
+function fakeDb() {
+  const db = {
+    rows: [],
+    statements: [],
+    failOn: null,
+    async run(sql, ...params) {
+      if (db.failOn && sql.includes(db.failOn)) throw new Error('boom');
+      if (sql.startsWith('INSERT INTO schema_migrations')) {
+        const [version, name, sum] = params;
+        db.rows.push({ version, name, checksum: sum, applied_at: new Date() });
+      } else if (sql.startsWith('DELETE FROM schema_migrations')) {
+        db.rows = db.rows.filter(r => r.version !== params[0]);
+      } else if (!sql.includes('schema_migrations')) {
+        db.statements.push(sql);
+      }
+    },
+    async all() {
+      return [...db.rows].sort((a, b) => a.version - b.version);
+    },
+  };
+  return db;
+}
+
+const TEST_MIGRATIONS = [
+  { version: 1, name: 'one', up: ['CREATE TABLE a (id INT)'], down: ['DROP TABLE a'] },
+  { version: 2, name: 'two', up: ['CREATE TABLE b (id INT)'], down: ['DROP TABLE b'] },
+];
+
+describe('Migrator', () => {
+  let db;
+
+  beforeEach(() => {
+    db = fakeDb();
+  });
+
+  test('shipped migrations have unique, ascending versions', () => {
+    const versions = migrations.map(m => m.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(new Set(versions).size).toBe(versions.length);
+    for (const m of migrations) {
+      expect(Array.isArray(m.up)).toBe(true);
+      expect(Array.isArray(m.down)).toBe(true);
+    }
+  });
+
+  test('up applies pending migrations in order and is idempotent', async () => {
+    const migrator = new Migrator(db, TEST_MIGRATIONS);
+    expect(await migrator.up()).toEqual([1, 2]);
+    expect(db.statements).toEqual(['BEGIN TRANSACTION', 'CREATE TABLE a (id INT)', 'COMMIT',
+      'BEGIN TRANSACTION', 'CREATE TABLE b (id INT)', 'COMMIT']);
+    expect(await migrator.up()).toEqual([]);
+    expect(await migrator.currentVersion()).toBe(2);
+  });
+
+  test('up stops at the target version', async () => {
+    const migrator = new Migrator(db, TEST_MIGRATIONS);
+    expect(await migrator.up(1)).toEqual([1]);
+    const status = await migrator.status();
+    expect(status.currentVersion).toBe(1);
+    expect(status.pending).toBe(1);
+  });
+
+  test('down reverts the most recent migrations', async () => {
+    const migrator = new Migrator(db, TEST_MIGRATIONS);
+    await migrator.up();
+    expect(await migrator.down()).toEqual([2]);
+    expect(db.statements).toContain('DROP TABLE b');
+    expect(await migrator.currentVersion()).toBe(1);
+  });
+
+  test('a failing migration rolls back and is not recorded', async () => {
+    const migrator = new Migrator(db, TEST_MIGRATIONS);
+    db.failOn = 'CREATE TABLE b';
+    await expect(migrator.up()).rejects.toThrow('Migration 002_two (up) failed: boom');
+    expect(db.statements).toContain('ROLLBACK');
+    expect(await migrator.currentVersion()).toBe(1);
+  });
+
+  test('refuses a schema newer than the code', async () => {
+    await new Migrator(db, TEST_MIGRATIONS).up();
+    const older = new Migrator(db, TEST_MIGRATIONS.slice(0, 1));
+    await expect(older.assertCompatible()).rejects.toThrow('newer than this build supports');
+    await expect(older.up()).rejects.toThrow('newer than this build supports');
+  });
+
+  test('refuses an applied migration whose SQL changed', async () => {
+    await new Migrator(db, TEST_MIGRATIONS).up();
+    const edited = [TEST_MIGRATIONS[0], { ...TEST_MIGRATIONS[1], up: ['CREATE TABLE b (id BIGINT)'] }];
+    await expect(new Migrator(db, edited).assertCompatible()).rejects.toThrow('checksum mismatch');
+    expect(checksum(edited[1])).not.toBe(checksum(TEST_MIGRATIONS[1]));
+  });
+});
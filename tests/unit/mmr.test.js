@@ -0,0 +1,44 @@
+import { describe, test, expect } from '@jest/globals';
+import { mmrSelect } from '../../src/utils/mmr.js';
+
+// Three paraphrases of the hotel booking and one flight memory
+const ITEMS = [
+  { id: 'hotel1', score: 0.9 },
+  { id: 'hotel2', score: 0.88 },
+  { id: 'hotel3', score: 0.86 },
+  { id: 'flight', score: 0.7 },
+];
+const SIMILAR = new Set(['hotel1|hotel2', 'hotel1|hotel3', 'hotel2|hotel3']);
+
+function similarity(a, b) {
+  const key = [a.id, b.id].sort().join('|');
+  return SIMILAR.has(key) ? 0.95 : 0.1;
+}
+
+function select(options) {
+  return mmrSelect(ITEMS, { relevance: item => item.score, similarity, ...options });
+}
+
+describe('mmr', () => {
+  test('lambda 1 keeps relevance order', () => {
+    expect(select({ lambda: 1 }).map(r => r.item.id)).toEqual(['hotel1', 'hotel2', 'hotel3', 'flight']);
+  });
+
+  test('lower lambda promotes a distinct result over paraphrases', () => {
+    const picked = select({ lambda: 0.5, limit: 2 });
+    expect(picked.map(r => r.item.id)).toEqual(['hotel1', 'flight']);
+    expect(picked[0]).toMatchObject({ redundancy: 0, mmrScore: 0.5 });
+    expect(picked[1].redundancy).toBeCloseTo(0.1, 5);
+  });
+
+  test('reports redundancy against earlier picks', () => {
+    const picked = select({ lambda: 0.7 });
+    expect(picked.map(r => r.item.id)).toEqual(['hotel1', 'flight', 'hotel2', 'hotel3']);
+    expect(picked[2].redundancy).toBeCloseTo(0.95, 5);
+  });
+
+  test('unknown similarity is not redundant and equal relevance keeps order', () => {
+    const picked = mmrSelect([{ id: 'a' }, { id: 'b' }], { relevance: () => 1, similarity: () => null });
+    expect(picked.map(r => [r.item.id, r.redundancy])).toEqual([['a', 0], ['b', 0]]);
+  });
+});
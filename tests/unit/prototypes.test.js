@@ -0,0 +1,45 @@
+import { describe, test, expect } from '@jest/globals';
+import { cosineSimilarity, buildPrototypes, scorePrototypes, softmax } from '../../src/utils/prototypes.js';
+
+describe('Prototype classification', () => {
+  test('cosineSimilarity', () => {
+    expect(cosineSimilarity([1, 0], [1, 0])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBeCloseTo(0);
+    expect(cosineSimilarity([1, 1], [-1, -1])).toBeCloseTo(-1);
+    expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+  });
+
+  test('prototypes are the weighted mean of their examples', () => {
+    const prototypes = buildPrototypes([
+      { label: 'A', vector: [1, 0] },
+      { label: 'A', vector: [0, 1], weight: 3 },
+      { label: 'B', vector: [-1, 0] },
+    ]);
+    expect(prototypes.get('A')).toEqual({ vector: [0.25, 0.75], examples: 2 });
+    expect(prototypes.get('B')).toEqual({ vector: [-1, 0], examples: 1 });
+  });
+
+  test('a query scores highest against the nearest prototype', () => {
+    const query = [0.6, 0.5, 0.6];
+    const examples = [
+      { label: 'A', vector: [1, 0, 0] },
+      { label: 'A', vector: [0.9, 0.1, 0] },
+      { label: 'B', vector: [0, 1, 0] },
+    ];
+    const scores = scorePrototypes(query, buildPrototypes(examples));
+    expect(scores.A).toBeGreaterThan(scores.B);
+
+    // A correction moves its label's prototype towards the query
+    const after = scorePrototypes(query, buildPrototypes([...examples, { label: 'B', vector: query, weight: 3 }]));
+    expect(after.B).toBeGreaterThan(after.A);
+  });
+
+  test('softmax sums to 1 and sharpens with a low temperature', () => {
+    const flat = softmax({ A: 0.6, B: 0.5 });
+    const sharp = softmax({ A: 0.6, B: 0.5 }, 0.05);
+    expect(flat.A + flat.B).toBeCloseTo(1);
+    expect(sharp.A + sharp.B).toBeCloseTo(1);
+    expect(sharp.A).toBeGreaterThan(flat.A);
+    expect(sharp.A).toBeGreaterThan(0.8);
+  });
+});
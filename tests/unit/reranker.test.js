@@ -0,0 +1,58 @@
+import { describe, test, expect } from '@jest/globals';
+import RerankerService, {
+  createRerankProvider,
+  DeterministicRerankProvider,
+  lexicalScore,
+} from '../../src/services/reranker.js';
+
+describe('Re-ranker', () => {
+  test('createRerankProvider rejects unknown providers', () => {
+    expect(() => createRerankProvider('nope')).toThrow('Invalid rerank provider');
+    expect(createRerankProvider('local', { model: 'Xenova/foo' }).modelId).toBe('local:Xenova/foo');
+  });
+
+  test('lexicalScore rewards query terms and phrases', () => {
+    expect(lexicalScore('cabin wifi password', 'The wifi password at the cabin is hunter2')).toBeCloseTo(0.9, 5);
+    expect(lexicalScore('cabin wifi password', 'Password rules for the office')).toBeCloseTo(0.8 / 3, 5);
+    expect(lexicalScore('cabin wifi password', 'Lunch with Sam')).toBe(0);
+    expect(lexicalScore('', 'anything')).toBe(0);
+  });
+
+  test('score batches pairs through the provider', async () => {
+    const provider = new DeterministicRerankProvider();
+    const batches = [];
+    const score = provider.score.bind(provider);
+    provider.score = async (query, texts) => {
+      batches.push(texts.length);
+      return score(query, texts);
+    };
+    const service = new RerankerService(provider);
+
+    const texts = Array.from({ length: 20 }, (_, i) => (i === 7 ? 'cabin wifi password' : `note ${i}`));
+    const scores = await service.score('cabin wifi password', texts);
+
+    expect(batches).toEqual([16, 4]);
+    expect(scores).toHaveLength(20);
+    expect(scores.indexOf(Math.max(...scores))).toBe(7);
+    expect(service.getModelId()).toBe('deterministic:lexical-v1');
+  });
+
+  test('concurrent callers share one load and a failed load is retried', async () => {
+    let loads = 0;
+    const provider = new DeterministicRerankProvider();
+    provider.initialize = async () => {
+      loads++;
+      if (loads === 1) throw new Error('download failed');
+    };
+    const service = new RerankerService(provider);
+
+    await expect(Promise.all([service.initialize(), service.initialize()])).rejects.toThrow('download failed');
+    expect(loads).toBe(1);
+    expect(service.isInitialized()).toBe(false);
+
+    await service.initialize();
+    await service.initialize();
+    expect(loads).toBe(2);
+    expect(service.isInitialized()).toBe(true);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseRRule, nextOccurrence } from '../../src/utils/rrule.js';
+
+// Local time, like the rule evaluation
+const at = (y, m, d, h = 9, min = 0) => new Date(y, m - 1, d, h, min);
+
+describe('RRULE subset', () => {
+  test('parseRRule', () => {
+    expect(parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TH,MO')).toMatchObject({
+      freq: 'WEEKLY', interval: 2, byDay: [0, 3], count: null,
+    });
+    expect(parseRRule('freq=monthly;bymonthday=15,1;count=3')).toMatchObject({
+      freq: 'MONTHLY', byMonthDay: [1, 15], count: 3,
+    });
+    expect(parseRRule('FREQ=DAILY;UNTIL=20260105').until).toEqual(new Date(2026, 0, 5, 23, 59, 59, 999));
+    expect(parseRRule('FREQ=DAILY;UNTIL=20260105T120000Z').until).toEqual(new Date(Date.UTC(2026, 0, 5, 12)));
+  });
+
+  test('parseRRule rejects what it does not support', () => {
+    expect(() => parseRRule('')).toThrow('Invalid rrule');
+    expect(() => parseRRule('INTERVAL=2')).toThrow('FREQ is required');
+    expect(() => parseRRule('FREQ=HOURLY')).toThrow('FREQ must be');
+    expect(() => parseRRule('FREQ=WEEKLY;BYDAY=1MO')).toThrow('BYDAY');
+    expect(() => parseRRule('FREQ=DAILY;BYDAY=MO')).toThrow('only supported with FREQ=WEEKLY');
+    expect(() => parseRRule('FREQ=MONTHLY;BYSETPOS=-1')).toThrow('unsupported part BYSETPOS');
+    expect(() => parseRRule('FREQ=DAILY;COUNT=0')).toThrow('positive integer');
+  });
+
+  test('daily and weekly rules', () => {
+    const daily = parseRRule('FREQ=DAILY;INTERVAL=3');
+    expect(nextOccurrence(daily, at(2026, 1, 1), at(2026, 1, 1))).toEqual({ date: at(2026, 1, 4), index: 1 });
+
+    // Thursday Jan 1st 2026; every other week on Monday and Thursday
+    const weekly = parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH');
+    const start = at(2026, 1, 1);
+    expect(nextOccurrence(weekly, start, start).date).toEqual(at(2026, 1, 12));
+    expect(nextOccurrence(weekly, start, at(2026, 1, 12)).date).toEqual(at(2026, 1, 15));
+  });
+
+  test('monthly and yearly rules skip days a month or year does not have', () => {
+    const monthly = parseRRule('FREQ=MONTHLY');
+    expect(nextOccurrence(monthly, at(2026, 1, 31), at(2026, 1, 31)).date).toEqual(at(2026, 3, 31));
+
+    const yearly = parseRRule('FREQ=YEARLY');
+    expect(nextOccurrence(yearly, at(2024, 2, 29), at(2024, 2, 29)).date).toEqual(at(2028, 2, 29));
+  });
+
+  test('COUNT and UNTIL end the rule', () => {
+    const counted = parseRRule('FREQ=DAILY;COUNT=3');
+    expect(nextOccurrence(counted, at(2026, 1, 1), at(2026, 1, 2))).toEqual({ date: at(2026, 1, 3), index: 2 });
+    expect(nextOccurrence(counted, at(2026, 1, 1), at(2026, 1, 3))).toBeNull();
+    // Continuing from the second occurrence
+    expect(nextOccurrence(counted, at(2026, 1, 2), at(2026, 1, 2), { startIndex: 1 }).index).toBe(2);
+
+    const until = parseRRule('FREQ=WEEKLY;UNTIL=20260110');
+    expect(nextOccurrence(until, at(2026, 1, 1), at(2026, 1, 1)).date).toEqual(at(2026, 1, 8));
+    expect(nextOccurrence(until, at(2026, 1, 1), at(2026, 1, 8))).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseScope,
+  normalizeScopes,
+  requiredLevel,
+  isActionAllowed,
+  scopesCover,
+} from '../../src/utils/scopes.js';
+
+describe('API key scopes', () => {
+  test('parses pattern and level, defaulting to admin', () => {
+    expect(parseScope('memory.*:read')).toEqual({ pattern: 'memory.*', level: 'read' });
+    expect(parseScope('constraint.*')).toEqual({ pattern: 'constraint.*', level: 'admin' });
+    expect(() => parseScope('memory.*:owner')).toThrow('Invalid scope level');
+    expect(() => parseScope(':read')).toThrow('Invalid scope pattern');
+  });
+
+  test('normalizes and de-duplicates', () => {
+    expect(normalizeScopes(['memory.*:READ', 'memory.*:read', 'profile.get']))
+      .toEqual(['memory.*:read', 'profile.get:admin']);
+    expect(() => normalizeScopes([])).toThrow('Invalid scopes');
+  });
+
+  test('classifies actions by verb', () => {
+    expect(requiredLevel('memory.search')).toBe('read');
+    expect(requiredLevel('memory.list')).toBe('read');
+    expect(requiredLevel('skill.health.get')).toBe('read');
+    expect(requiredLevel('graph.neighbors')).toBe('read');
+    expect(requiredLevel('graph.rebuild')).toBe('write');
+    expect(requiredLevel('memory.history')).toBe('read');
+    expect(requiredLevel('memory.stats')).toBe('read');
+    expect(requiredLevel('conversation.resolve')).toBe('read');
+    expect(requiredLevel('conversation.append')).toBe('write');
+    expect(requiredLevel('memory.classify.feedback')).toBe('write');
+    expect(requiredLevel('reminder.due')).toBe('read');
+    expect(requiredLevel('reminder.snooze')).toBe('write');
+    expect(requiredLevel('collection.list')).toBe('read');
+    expect(requiredLevel('memory.tag')).toBe('write');
+    expect(requiredLevel('collection.delete')).toBe('write');
+    expect(requiredLevel('memory.revert')).toBe('write');
+    expect(requiredLevel('memory.store')).toBe('write');
+    expect(requiredLevel('constraint.remove')).toBe('write');
+    expect(requiredLevel('api_key.list')).toBe('admin');
+    expect(requiredLevel('memory.import')).toBe('admin');
+  });
+
+  test('read-only memory scope', () => {
+    const scopes = ['memory.*:read'];
+    expect(isActionAllowed(scopes, 'memory.search')).toBe(true);
+    expect(isActionAllowed(scopes, 'memory.store')).toBe(false);
+    expect(isActionAllowed(scopes, 'constraint.list')).toBe(false);
+  });
+
+  test('admin scope covers every level in its namespace only', () => {
+    const scopes = ['constraint.*:admin'];
+    expect(isActionAllowed(scopes, 'constraint.add')).toBe(true);
+    expect(isActionAllowed(scopes, 'constraint.list')).toBe(true);
+    expect(isActionAllowed(scopes, 'memory.search')).toBe(false);
+  });
+
+  test('wildcard write does not reach admin actions', () => {
+    expect(isActionAllowed(['*:write'], 'memory.store')).toBe(true);
+    expect(isActionAllowed(['*:write'], 'api_key.issue')).toBe(false);
+  });
+
+  test('scopesCover prevents escalation', () => {
+    expect(scopesCover(['memory.*:write'], ['memory.*:read'])).toBe(true);
+    expect(scopesCover(['memory.*:write'], ['memory.*:admin'])).toBe(false);
+    expect(scopesCover(['memory.*:write'], ['*:read'])).toBe(false);
+    expect(scopesCover(['*:admin'], ['constraint.*:admin', 'memory.*:read'])).toBe(true);
+  });
+});
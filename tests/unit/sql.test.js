@@ -0,0 +1,94 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  Conditions,
+  identifier,
+  toParam,
+  countPlaceholders,
+  placeholders,
+  int,
+  vectorLiteral,
+  escapeLike,
+} from '../../src/utils/sql.js';
+
+describe('SQL helpers', () => {
+  describe('identifier', () => {
+    test('accepts plain and table-qualified names', () => {
+      expect(identifier('memory')).toBe('memory');
+      expect(identifier('m.user_id')).toBe('m.user_id');
+    });
+
+    test('rejects anything that could escape an identifier', () => {
+      expect(() => identifier('memory; DROP TABLE memory')).toThrow('Invalid SQL identifier');
+      expect(() => identifier('"memory"')).toThrow('Invalid SQL identifier');
+      expect(() => identifier('')).toThrow('Invalid SQL identifier');
+    });
+  });
+
+  describe('toParam', () => {
+    test('passes scalars through and maps undefined to null', () => {
+      expect(toParam('x\' OR 1=1')).toBe('x\' OR 1=1');
+      expect(toParam(3)).toBe(3);
+      expect(toParam(undefined)).toBeNull();
+    });
+
+    test('formats dates as timestamps', () => {
+      expect(toParam(new Date('2024-01-02T03:04:05Z'))).toBe('2024-01-02 03:04:05.000');
+      expect(toParam(new Date('2024-01-02T03:04:05.678Z'))).toBe('2024-01-02 03:04:05.678');
+    });
+
+    test('rejects objects and arrays', () => {
+      expect(() => toParam({ a: 1 })).toThrow('Invalid SQL parameter');
+      expect(() => toParam(['a'])).toThrow('Invalid SQL parameter of type array');
+    });
+  });
+
+  describe('placeholders', () => {
+    test('ignores question marks inside literals', () => {
+      expect(countPlaceholders('SELECT \'?\' WHERE a = ? AND b = "?"')).toBe(1);
+      expect(placeholders(3)).toBe('?, ?, ?');
+    });
+  });
+
+  describe('int', () => {
+    test('coerces to a non-negative integer or falls back', () => {
+      expect(int('25')).toBe(25);
+      expect(int('10; DROP TABLE memory', 5)).toBe(10);
+      expect(int('abc', 5)).toBe(5);
+      expect(int(-1, 5)).toBe(5);
+    });
+  });
+
+  describe('vectorLiteral', () => {
+    test('builds a typed list literal', () => {
+      expect(vectorLiteral([1, 2, 3], 3)).toBe('list_value(1,2,3)::FLOAT[3]');
+    });
+
+    test('rejects non-numeric elements and wrong dimensions', () => {
+      expect(() => vectorLiteral(['1); DROP TABLE memory; --', 2, 3], 3)).toThrow('non-finite');
+      expect(() => vectorLiteral([1, 2], 3)).toThrow('expected 3-dim');
+    });
+  });
+
+  describe('Conditions', () => {
+    test('collects clauses and params in order', () => {
+      const where = new Conditions()
+        .add('user_id = ?', 'x\' OR \'1\'=\'1')
+        .in('type', ['a', 'b'])
+        .contains('source_text', '50%_off');
+
+      expect(where.toWhere()).toBe(
+        'WHERE user_id = ? AND type IN (?, ?) AND source_text LIKE ? ESCAPE \'\\\''
+      );
+      expect(where.params).toEqual(['x\' OR \'1\'=\'1', 'a', 'b', `%${escapeLike('50%_off')}%`]);
+    });
+
+    test('empty IN matches nothing, empty NOT IN is dropped', () => {
+      expect(new Conditions().in('type', []).toSql()).toBe('FALSE');
+      expect(new Conditions().notIn('type', []).toWhere()).toBe('');
+    });
+
+    test('rejects a param count mismatch', () => {
+      expect(() => new Conditions().add('a = ? AND b = ?', 1)).toThrow('expects 2 param(s), got 1');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseTimeFilter } from '../../src/utils/timeFilter.js';
+
+// Wednesday 2025-06-11 14:30 UTC
+const NOW = new Date('2025-06-11T14:30:00Z');
+
+function range(query, timeZone = 'UTC') {
+  const { timeFilter } = parseTimeFilter(query, { now: NOW, timeZone });
+  return timeFilter && [timeFilter.start, timeFilter.end];
+}
+
+describe('timeFilter', () => {
+  test('strips the expression and reports what was parsed', () => {
+    expect(parseTimeFilter('what did I read last tuesday afternoon?', { now: NOW, timeZone: 'UTC' })).toEqual({
+      query: 'what did I read?',
+      timeFilter: {
+        expression: 'last tuesday afternoon',
+        start: '2025-06-10T12:00:00.000Z',
+        end: '2025-06-10T17:00:00.000Z',
+        timeZone: 'UTC',
+      },
+    });
+    expect(parseTimeFilter('coffee with Sam', { now: NOW, timeZone: 'UTC' })).toEqual({
+      query: 'coffee with Sam',
+      timeFilter: null,
+    });
+  });
+
+  test('day boundaries follow the time zone', () => {
+    expect(range('meetings yesterday', 'America/New_York')).toEqual(['2025-06-10T04:00:00.000Z', '2025-06-11T04:00:00.000Z']);
+    expect(range('notes from this morning', 'Europe/Berlin')).toEqual(['2025-06-11T03:00:00.000Z', '2025-06-11T10:00:00.000Z']);
+    // Local time is already Thursday at UTC+14
+    expect(range('today', 'Pacific/Kiritimati')).toEqual(['2025-06-11T10:00:00.000Z', '2025-06-12T10:00:00.000Z']);
+    expect(() => parseTimeFilter('today', { timeZone: 'Mars/Olympus' })).toThrow('Invalid timezone: Mars/Olympus');
+  });
+
+  test('weekdays and relative days', () => {
+    expect(range('this wednesday')).toEqual(['2025-06-11T00:00:00.000Z', '2025-06-12T00:00:00.000Z']);
+    expect(range('last wednesday')).toEqual(['2025-06-04T00:00:00.000Z', '2025-06-05T00:00:00.000Z']);
+    expect(range('last friday evening')).toEqual(['2025-06-06T17:00:00.000Z', '2025-06-06T21:00:00.000Z']);
+    expect(range('3 days ago')).toEqual(['2025-06-08T00:00:00.000Z', '2025-06-09T00:00:00.000Z']);
+    expect(range('last night')).toEqual(['2025-06-10T21:00:00.000Z', '2025-06-11T05:00:00.000Z']);
+    expect(range('earlier today')).toEqual(['2025-06-11T00:00:00.000Z', '2025-06-11T14:30:00.000Z']);
+  });
+
+  test('calendar periods and rolling windows', () => {
+    expect(range('bugs last week')).toEqual(['2025-06-02T00:00:00.000Z', '2025-06-09T00:00:00.000Z']);
+    expect(range('last weekend')).toEqual(['2025-06-07T00:00:00.000Z', '2025-06-09T00:00:00.000Z']);
+    expect(range('2 weeks ago')).toEqual(['2025-05-26T00:00:00.000Z', '2025-06-02T00:00:00.000Z']);
+    expect(range('this month')).toEqual(['2025-06-01T00:00:00.000Z', '2025-07-01T00:00:00.000Z']);
+    expect(range('in the last 3 days')).toEqual(['2025-06-08T14:30:00.000Z', '2025-06-11T14:30:00.000Z']);
+    expect(range('past week')).toEqual(['2025-06-04T14:30:00.000Z', '2025-06-11T14:30:00.000Z']);
+    expect(range('past 2 months')).toEqual(['2025-04-11T14:30:00.000Z', '2025-06-11T14:30:00.000Z']);
+  });
+
+  test('absolute dates, months and years', () => {
+    expect(range('on 2025-03-04')).toEqual(['2025-03-04T00:00:00.000Z', '2025-03-05T00:00:00.000Z']);
+    expect(range('6/3/2025')).toEqual(['2025-06-03T00:00:00.000Z', '2025-06-04T00:00:00.000Z']);
+    expect(range('March 3rd')).toEqual(['2025-03-03T00:00:00.000Z', '2025-03-04T00:00:00.000Z']);
+    // December has not happened yet this year, so it is last December
+    expect(range('in december')).toEqual(['2024-12-01T00:00:00.000Z', '2025-01-01T00:00:00.000Z']);
+    expect(range('trip notes in 2024')).toEqual(['2024-01-01T00:00:00.000Z', '2025-01-01T00:00:00.000Z']);
+    expect(range('2025-02-30')).toBeNull();
+  });
+
+  test('since, before and relative periods', () => {
+    expect(range('emails since monday')).toEqual(['2025-06-09T00:00:00.000Z', '2025-06-11T14:30:00.000Z']);
+    expect(range('anything before 2025-06-01')).toEqual([null, '2025-06-01T00:00:00.000Z']);
+    expect(parseTimeFilter('photos from the week before June 1', { now: NOW, timeZone: 'UTC' })).toMatchObject({
+      query: 'photos',
+      timeFilter: { start: '2025-05-25T00:00:00.000Z', end: '2025-06-01T00:00:00.000Z' },
+    });
+  });
+
+  test('leaves ordinary words alone', () => {
+    expect(range('I may have left my keys somewhere')).toBeNull();
+    expect(range('add 1/2 cup of sugar')).toBeNull();
+    expect(range('dec 5 is a holiday')).toEqual(['2024-12-05T00:00:00.000Z', '2024-12-06T00:00:00.000Z']);
+  });
+
+  test('bare weekday and month names need last/this or a preposition', () => {
+    expect(range('my sister June')).toBeNull();
+    expect(range('the march of progress')).toBeNull();
+    expect(range('dentist appointment on friday')).toBeNull();
+    expect(range('lunch next friday')).toBeNull();
+    expect(range('holiday plans for next march')).toBeNull();
+    expect(range('notes from june')).toEqual(['2025-06-01T00:00:00.000Z', '2025-07-01T00:00:00.000Z']);
+    expect(range('this friday')).toEqual(['2025-06-06T00:00:00.000Z', '2025-06-07T00:00:00.000Z']);
+  });
+});
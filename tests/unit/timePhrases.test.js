@@ -0,0 +1,50 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseDuration, resolveTimePhrase, resolveExpiry, endOfDay } from '../../src/utils/timePhrases.js';
+
+// Wednesday 2025-06-11 10:30 local time
+const NOW = new Date(2025, 5, 11, 10, 30, 0);
+const HOUR = 60 * 60 * 1000;
+
+describe('timePhrases', () => {
+  test('parseDuration reads compact and spelled-out durations', () => {
+    expect(parseDuration(90)).toBe(90 * 1000);
+    expect(parseDuration('90')).toBe(90 * 1000);
+    expect(parseDuration('2h')).toBe(2 * HOUR);
+    expect(parseDuration('30 minutes')).toBe(30 * 60 * 1000);
+    expect(parseDuration('an hour')).toBe(HOUR);
+    expect(parseDuration('for 3 days')).toBe(72 * HOUR);
+    expect(parseDuration('in 1.5 hours')).toBe(1.5 * HOUR);
+    expect(parseDuration('tomorrow')).toBeNull();
+    expect(parseDuration('3 fortnights')).toBeNull();
+    expect(parseDuration(-5)).toBeNull();
+  });
+
+  test('day phrases resolve to the end of that day', () => {
+    expect(resolveTimePhrase('today', NOW)).toEqual(endOfDay(NOW));
+    expect(resolveTimePhrase('until tomorrow', NOW)).toEqual(new Date(2025, 5, 12, 23, 59, 59, 999));
+    expect(resolveTimePhrase('end of the week', NOW)).toEqual(new Date(2025, 5, 15, 23, 59, 59, 999));
+    expect(resolveTimePhrase('next week', NOW)).toEqual(new Date(2025, 5, 22, 23, 59, 59, 999));
+    expect(resolveTimePhrase('end of month', NOW)).toEqual(new Date(2025, 5, 30, 23, 59, 59, 999));
+    expect(resolveTimePhrase('until Friday', NOW)).toEqual(new Date(2025, 5, 13, 23, 59, 59, 999));
+    expect(resolveTimePhrase('wednesday', NOW)).toEqual(endOfDay(NOW));
+    expect(resolveTimePhrase('next wednesday', NOW)).toEqual(new Date(2025, 5, 18, 23, 59, 59, 999));
+    expect(resolveTimePhrase('in 2 hours', NOW)).toEqual(new Date(NOW.getTime() + 2 * HOUR));
+    expect(resolveTimePhrase('whenever', NOW)).toBeNull();
+  });
+
+  test('resolveExpiry accepts timestamps, phrases and ttls', () => {
+    expect(resolveExpiry({}, NOW)).toBeNull();
+    expect(resolveExpiry({ expiresAt: '2025-07-01T00:00:00Z' }, NOW)).toEqual(new Date('2025-07-01T00:00:00Z'));
+    expect(resolveExpiry({ expiresAt: 'until tomorrow' }, NOW)).toEqual(new Date(2025, 5, 12, 23, 59, 59, 999));
+    expect(resolveExpiry({ ttl: 3600 }, NOW)).toEqual(new Date(NOW.getTime() + HOUR));
+    expect(resolveExpiry({ ttl: '1d' }, NOW)).toEqual(new Date(NOW.getTime() + 24 * HOUR));
+    expect(resolveExpiry({ ttl: 'end of day' }, NOW)).toEqual(endOfDay(NOW));
+  });
+
+  test('resolveExpiry rejects bad and past values', () => {
+    expect(() => resolveExpiry({ expiresAt: 'someday maybe' }, NOW)).toThrow('Invalid expiresAt');
+    expect(() => resolveExpiry({ expiresAt: '2020-01-01' }, NOW)).toThrow('must be in the future');
+    expect(() => resolveExpiry({ ttl: 'soonish' }, NOW)).toThrow('Invalid ttl');
+    expect(() => resolveExpiry({ ttl: '1h', expiresAt: 'tomorrow' }, NOW)).toThrow('not both');
+  });
+});